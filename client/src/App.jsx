@@ -18,15 +18,23 @@ import SortableInstance from "./SortableInstance";
 import Instance from "./Instance";
 import Toolbar from "./Toolbar";
 import TransactionHistory from "./ui/TransactionHistory";
+import AccessTokens from "./ui/AccessTokens";
+import Webhooks from "./ui/Webhooks";
+import GridSharing from "./ui/GridSharing";
+import PanelShares from "./ui/PanelShares";
+import CalendarFeeds from "./ui/CalendarFeeds";
+import CsvExport from "./ui/CsvExport";
 import { SpinnerOverlay } from "./components/ui/spinner";
-import { Toaster } from "./components/ui/sonner";
+import { Toaster, toast } from "./components/ui/sonner";
 
 import { useUndoRedo } from "./hooks/useUndoRedo";
 import { useKeyboardShortcuts } from "./hooks/useKeyboardShortcuts";
+import { useOccurrenceWindows } from "./hooks/useOccurrenceWindows";
 
 import * as CommitHelpers from "./helpers/CommitHelpers";
 import * as LayoutHelpers from "./helpers/LayoutHelpers";
 import { buildLookup } from "./helpers/LayoutHelpers";
+import { getStateCalendar, toCalendarDate } from "./helpers/CalculationHelpers";
 
 function findNextOpenPosition(panels = [], rows = 1, cols = 1) {
   const taken = new Set(panels.map((p) => `${p.row}-${p.col}`));
@@ -89,6 +97,12 @@ export default function App() {
 
   // Undo/Redo state (lifted from Grid so Toolbar can access it)
   const [historyOpen, setHistoryOpen] = useState(false);
+  const [accessTokensOpen, setAccessTokensOpen] = useState(false);
+  const [webhooksOpen, setWebhooksOpen] = useState(false);
+  const [sharingOpen, setSharingOpen] = useState(false);
+  const [panelSharesOpen, setPanelSharesOpen] = useState(false);
+  const [calendarFeedsOpen, setCalendarFeedsOpen] = useState(false);
+  const [csvExportOpen, setCsvExportOpen] = useState(false);
 
   const { canUndo, canRedo, undo, redo, isProcessing } = useUndoRedo(
     socket,
@@ -115,6 +129,17 @@ export default function App() {
     state?.grid?.currentIterationValue ? new Date(state.grid.currentIterationValue) : new Date()
   );
 
+  // Load the viewed iteration periods' occurrences, evict far-away ones
+  const selectedTimeFilter =
+    (iterations.find((i) => i.id === selectedIterationId) || iterations[0])?.timeFilter || "daily";
+  useOccurrenceWindows({
+    socket,
+    dispatch,
+    state,
+    timeFilter: selectedTimeFilter,
+    date: currentIterationValue,
+  });
+
   // Category iteration state (for compound filtering: time + category)
   const categoryDimensions = state?.grid?.categoryDimensions || [];
   const [selectedCategoryId, setSelectedCategoryId] = useState(
@@ -340,6 +365,30 @@ export default function App() {
     CommitHelpers.deleteGrid({ dispatch, socket, gridId, emit: true });
   }, [dispatch, state?.gridId, state?.grid?._id]);
 
+  // Grid bundle export/import
+  const handleExportBundle = useCallback(async () => {
+    const gridId = state?.gridId || state?.grid?._id;
+    try {
+      await CommitHelpers.exportGridBundle({ gridId });
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }, [state?.gridId, state?.grid?._id]);
+
+  const handleImportBundle = useCallback(async (file) => {
+    if (!file) return;
+    try {
+      const { gridId, counts } = await CommitHelpers.importGridBundle({ file });
+      toast.success(`Imported grid (${counts?.occurrences ?? 0} occurrences, ${counts?.fields ?? 0} fields)`);
+
+      dispatch({ type: ActionTypes.SET_GRID_ID, payload: gridId });
+      localStorage.setItem("moduli-gridId", gridId);
+      socket.emit("request_full_state", { gridId });
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }, [dispatch]);
+
   // Iteration handlers
   const handleSelectIteration = useCallback((iterationId) => {
     setSelectedIterationId(iterationId);
@@ -373,7 +422,7 @@ export default function App() {
     const docs = state?.docs || [];
     const dayPagesFolder = folders.find(f => f.folderType === "day-pages");
     if (dayPagesFolder) {
-      const dateStr = date.toISOString().slice(0, 10); // YYYY-MM-DD
+      const dateStr = toCalendarDate(date, state?.timeZone || undefined); // YYYY-MM-DD
       const existingDoc = docs.find(
         d => d.folderId === dayPagesFolder.id && d.title === dateStr
       );
@@ -403,7 +452,26 @@ export default function App() {
         });
       }
     }
-  }, [dispatch, state?.gridId, state?.grid?._id, state?.folders, state?.docs, state?.userId]);
+  }, [dispatch, state?.gridId, state?.grid?._id, state?.folders, state?.docs, state?.userId, state?.timeZone]);
+
+  // Calendar: the grid's week start, the user's time zone
+  const calendar = useMemo(() => getStateCalendar(state), [state?.timeZone, state?.grid?.weekStart, state?.grid?.periods]);
+
+  const handleWeekStartChange = useCallback((weekStart) => {
+    const gridId = state?.gridId || state?.grid?._id;
+    if (!gridId) return;
+    CommitHelpers.updateGrid({
+      dispatch,
+      socket,
+      gridId,
+      grid: { weekStart },
+      emit: true,
+    });
+  }, [dispatch, state?.gridId, state?.grid?._id]);
+
+  const handleTimeZoneChange = useCallback((timeZone) => {
+    CommitHelpers.updateUserSettings({ dispatch, socket, settings: { timeZone } });
+  }, [dispatch]);
 
   // Category handlers (for compound filtering: time + category)
   const handleSelectCategory = useCallback((categoryId) => {
@@ -460,6 +528,19 @@ export default function App() {
     }
   }, [dispatch, state?.gridId, state?.grid?._id]);
 
+  const handleCommitPeriods = useCallback((periods) => {
+    const gridId = state?.gridId || state?.grid?._id;
+    if (gridId) {
+      CommitHelpers.updateGrid({
+        dispatch,
+        socket,
+        gridId,
+        grid: { periods },
+        emit: true,
+      });
+    }
+  }, [dispatch, state?.gridId, state?.grid?._id]);
+
   // Field CRUD handlers (grid-level field management)
   const createField = useCallback((field) => {
     const gridId = state?.gridId || state?.grid?._id;
@@ -493,7 +574,9 @@ export default function App() {
         containers: state.containers || [],
         instances: state.instances || [],
         occurrences: state.occurrences || [],
+        occurrenceWindows: state.occurrenceWindows,
         fields: state.fields || [],
+        timeZone: state.timeZone,
         activeId: state.activeId,
         activeSize: state.activeSize,
         softTick: state.softTick,
@@ -512,7 +595,9 @@ export default function App() {
       state.containers,
       state.instances,
       state.occurrences,
+      state.occurrenceWindows,
       state.fields,
+      state.timeZone,
       state.activeId,
       state.activeSize,
       state.softTick,
@@ -629,6 +714,7 @@ export default function App() {
         <Toolbar
           gridId={state.gridId}
           availableGrids={state.availableGrids || []}
+          access={state.access}
           gridName={gridName}
           setGridName={setGridName}
           rowInput={rowInput}
@@ -641,13 +727,19 @@ export default function App() {
           onUpdateRows={updateRows}
           onUpdateCols={updateCols}
           onAddPanel={addNewPanel}
-          onDeleteGrid={deleteGridFinal}
+          onDeleteGrid={!state.access || state.access.ownerId === state.userId ? deleteGridFinal : undefined}
+          onExportBundle={handleExportBundle}
+          onImportBundle={handleImportBundle}
           onCommitIterations={handleCommitIterations}
+          onCommitPeriods={handleCommitPeriods}
           iterations={iterations}
           selectedIterationId={selectedIterationId}
           onSelectIteration={handleSelectIteration}
           currentIterationValue={currentIterationValue}
           onIterationValueChange={handleIterationValueChange}
+          calendar={calendar}
+          onWeekStartChange={state.access?.role === "viewer" ? undefined : handleWeekStartChange}
+          onTimeZoneChange={handleTimeZoneChange}
           categoryDimensions={categoryDimensions}
           selectedCategoryId={selectedCategoryId}
           currentCategoryValue={currentCategoryValue}
@@ -658,6 +750,12 @@ export default function App() {
           canUndo={canUndo && !isProcessing}
           canRedo={canRedo && !isProcessing}
           onHistory={() => setHistoryOpen(true)}
+          onOpenSharing={() => setSharingOpen(true)}
+          onOpenPanelShares={!state.access || state.access.ownerId === state.userId ? () => setPanelSharesOpen(true) : undefined}
+          onOpenAccessTokens={() => setAccessTokensOpen(true)}
+          onOpenWebhooks={() => setWebhooksOpen(true)}
+          onOpenCalendarFeeds={() => setCalendarFeedsOpen(true)}
+          onOpenCsvExport={() => setCsvExportOpen(true)}
         />
 
         {/* Transaction History Dialog */}
@@ -667,6 +765,50 @@ export default function App() {
           gridId={state.gridId}
         />
 
+        {/* Personal Access Tokens Dialog */}
+        <AccessTokens
+          open={accessTokensOpen}
+          onOpenChange={setAccessTokensOpen}
+          availableGrids={(state.availableGrids || []).filter(g => !g.shared)}
+        />
+
+        {/* Grid Sharing Dialog */}
+        <GridSharing
+          open={sharingOpen}
+          onOpenChange={setSharingOpen}
+          gridId={state.gridId}
+          access={state.access}
+          userId={state.userId}
+        />
+
+        {/* Public Panel Links Dialog */}
+        <PanelShares
+          open={panelSharesOpen}
+          onOpenChange={setPanelSharesOpen}
+          gridId={state.gridId}
+        />
+
+        {/* Webhooks Dialog */}
+        <Webhooks
+          open={webhooksOpen}
+          onOpenChange={setWebhooksOpen}
+          gridId={state.gridId}
+        />
+
+        {/* Calendar Feeds Dialog */}
+        <CalendarFeeds
+          open={calendarFeedsOpen}
+          onOpenChange={setCalendarFeedsOpen}
+          gridId={state.gridId}
+        />
+
+        {/* CSV Export Dialog */}
+        <CsvExport
+          open={csvExportOpen}
+          onOpenChange={setCsvExportOpen}
+          gridId={state.gridId}
+        />
+
         <div className="app-root grid-frame bg-background2 ring-1 ring-black/40 rounded-xl p-3 shadow-inner border border-border">
           {state.grid?._id ? (
             <Grid components={components} />
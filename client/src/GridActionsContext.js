@@ -8,6 +8,11 @@ export const GridActionsContext = createContext({
   // Full state object (for calculations)
   state: {},
 
+  // Public panel links (PublicPanel.jsx): no edits, except checkboxes
+  // when the link allows them
+  readOnly: false,
+  allowToggles: false,
+
   // action creators (you pass these)
   updatePanel: () => {},
   updateGrid: () => {},
@@ -12,16 +12,19 @@ import {
   PopoverTrigger,
 } from "@/components/ui/popover";
 
-import { Link2, Unlink, Settings, Copy, Move } from "lucide-react";
+import { Link2, Unlink, Settings, Copy, Move, CalendarX, RotateCcw } from "lucide-react";
 import * as CommitHelpers from "./helpers/CommitHelpers";
+import * as LayoutHelpers from "./helpers/LayoutHelpers";
 import { useDragContext } from "./helpers/dragSystem";
 import { resolveInstanceStyle, styleToCSS } from "./helpers/StyleHelpers";
+import { formatTimeOfDay, getOccurrenceTimeSlot } from "./helpers/CalculationHelpers";
 
 function InstanceInner({
   id,
   label,
   instance,
   occurrence,
+  recurrenceDate = null,
   panel,
   container,
   overlay = false,
@@ -118,8 +121,10 @@ function InstanceInner({
       containerId: occurrence?.meta?.containerId,
       currentIteration: currentIteration?.timeFilter || "daily",
       iterationDate: currentIteration?.currentDate || new Date().toISOString(),
+      // Series date edits go to (recurring occurrences hold no values themselves)
+      recurrenceDate,
     };
-  }, [occurrence?.gridId, occurrence?.meta?.containerId, state?.grid]);
+  }, [occurrence?.gridId, occurrence?.meta?.containerId, state?.grid, recurrenceDate]);
 
   // Resolved cascading style for this instance
   const resolvedInstanceCSS = useMemo(
@@ -127,9 +132,27 @@ function InstanceInner({
     [instance, container, panel]
   );
 
-  // Build radial menu items - include Break Link when occurrence is linked
+  // One date of a recurring series, with its own occurrence
+  const recurrenceSeries = occurrence?.meta?.recurrence ? occurrencesById?.[occurrence.meta.recurrence.seriesId] : null;
+
+  const skipRecurrence = useCallback(() => {
+    if (occurrence?.iteration?.mode === "recurring") {
+      LayoutHelpers.skipRecurrenceDate({ dispatch, socket, series: occurrence, date: recurrenceDate });
+    } else {
+      LayoutHelpers.removeRecurrenceOverride({ dispatch, socket, container, override: occurrence, series: recurrenceSeries });
+    }
+  }, [occurrence, recurrenceDate, recurrenceSeries, container, dispatch, socket]);
+
+  const resetToSeries = useCallback(() => {
+    LayoutHelpers.removeRecurrenceOverride({ dispatch, socket, container, override: occurrence, series: recurrenceSeries, restore: true });
+  }, [occurrence, recurrenceSeries, container, dispatch, socket]);
+
+  // Build radial menu items - include Break Link when occurrence is linked,
+  // and skip/reset for dates of a recurring series
   const radialItems = useMemo(() => {
-    if (!occurrence?.linkedGroupId) return null; // null = use default items
+    const isSeriesDate = occurrence?.iteration?.mode === "recurring" && Boolean(recurrenceDate);
+    const isOverride = Boolean(recurrenceSeries);
+    if (!occurrence?.linkedGroupId && !isSeriesDate && !isOverride) return null; // null = use default items
     return [
       {
         icon: Settings,
@@ -143,16 +166,29 @@ function InstanceInner({
         onClick: toggleEntityDragMode,
         color: entityDragMode === "move" ? "bg-blue-600 hover:bg-blue-500" : "bg-slate-600 hover:bg-slate-500",
       },
-      {
+      occurrence?.linkedGroupId && {
         icon: Unlink,
         label: "Break Link",
         onClick: () => socket?.emit("break_link", { occurrenceId: occurrence.id }),
         color: "bg-orange-600 hover:bg-orange-500",
       },
-    ];
-  }, [occurrence?.linkedGroupId, occurrence?.id, entityDragMode, toggleEntityDragMode, socket]);
+      (isSeriesDate || isOverride) && {
+        icon: CalendarX,
+        label: "Skip Date",
+        onClick: skipRecurrence,
+        color: "bg-rose-600 hover:bg-rose-500",
+      },
+      isOverride && {
+        icon: RotateCcw,
+        label: "Reset to Series",
+        onClick: resetToSeries,
+        color: "bg-slate-600 hover:bg-slate-500",
+      },
+    ].filter(Boolean);
+  }, [occurrence?.linkedGroupId, occurrence?.id, occurrence?.iteration?.mode, recurrenceDate, recurrenceSeries, entityDragMode, toggleEntityDragMode, skipRecurrence, resetToSeries, socket]);
 
   const hasLabel = !!label;
+  const timeSlot = getOccurrenceTimeSlot(occurrence);
   const hasFields = instanceFields.length > 0;
 
   return (
@@ -232,6 +268,9 @@ function InstanceInner({
               overflowWrap: "anywhere",
             }}
           >
+            {timeSlot && (
+              <span className="mr-1 tabular-nums opacity-70">{formatTimeOfDay(timeSlot.start)}</span>
+            )}
             {label}
             {occurrence?.linkedGroupId && (
               <Popover open={linksPopoverOpen} onOpenChange={setLinksPopoverOpen}>
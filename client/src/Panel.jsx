@@ -91,6 +91,9 @@ function Panel({
   fullscreenPanelId,
   setFullscreenPanelId,
   forceFullscreen = false,
+  // Embedded widgets (iframes) fill the window and may drop the header
+  embedded = false,
+  showHeader = true,
 }) {
   const [settingsOpen, setSettingsOpen] = useState(false);
   const [kindSelectorOpen, setKindSelectorOpen] = useState(false);
@@ -106,7 +109,7 @@ function Panel({
   // ============================================================
   // CONTEXT
   // ============================================================
-  const { occurrencesById, instancesById, containersById, viewsById, manifestsById, fieldsById } = useContext(GridActionsContext);
+  const { occurrencesById, instancesById, containersById, viewsById, manifestsById, fieldsById, readOnly } = useContext(GridActionsContext);
   const { state } = useContext(GridDataContext);
   const dragCtx = useDragContext();
   const {
@@ -424,7 +427,7 @@ function Panel({
         pointerEvents: isPanelDrag && !isDragging ? "none" : "auto",
         ...(isFullscreen && {
           position: "fixed",
-          top: 16, left: 16, right: 16, bottom: 16,
+          ...(embedded ? { top: 0, left: 0, right: 0, bottom: 0 } : { top: 16, left: 16, right: 16, bottom: 16 }),
           zIndex: 1000,
         }),
       }}
@@ -449,58 +452,60 @@ function Panel({
         style={{
           userSelect: "none",
           cursor: isChildDrag ? "default" : "grab",
-          display: "flex",
+          display: showHeader ? "flex" : "none",
           alignItems: "center",
           flex: "0 0 auto",
           position: "relative",
         }}
       >
-        <Popover open={settingsOpen} onOpenChange={setSettingsOpen}>
-          <PopoverTrigger asChild>
-            <div
-              style={{ position: "relative", zIndex: 50, display: "flex", height: "100%" }}
-              onPointerDown={(e) => e.stopPropagation()}
-              onMouseDown={(e) => e.stopPropagation()}
-            >
-              <RadialMenu
-                dragMode={panelDragMode}
-                onToggleDragMode={togglePanelDragModeQuick}
-                onSettings={() => setSettingsOpen(true)}
-                onAddChild={(e) => {
-                  // Get position for popup from click event
-                  const rect = e?.currentTarget?.getBoundingClientRect?.();
-                  if (rect) {
-                    setKindSelectorPos({ top: rect.bottom + 8, left: rect.left });
-                  } else {
-                    setKindSelectorPos(null);
-                  }
-                  setKindSelectorOpen(true);
-                }}
-                addLabel="Container"
-                size="sm"
+        {!readOnly && (
+          <Popover open={settingsOpen} onOpenChange={setSettingsOpen}>
+            <PopoverTrigger asChild>
+              <div
+                style={{ position: "relative", zIndex: 50, display: "flex", height: "100%" }}
+                onPointerDown={(e) => e.stopPropagation()}
+                onMouseDown={(e) => e.stopPropagation()}
+              >
+                <RadialMenu
+                  dragMode={panelDragMode}
+                  onToggleDragMode={togglePanelDragModeQuick}
+                  onSettings={() => setSettingsOpen(true)}
+                  onAddChild={(e) => {
+                    // Get position for popup from click event
+                    const rect = e?.currentTarget?.getBoundingClientRect?.();
+                    if (rect) {
+                      setKindSelectorPos({ top: rect.bottom + 8, left: rect.left });
+                    } else {
+                      setKindSelectorPos(null);
+                    }
+                    setKindSelectorOpen(true);
+                  }}
+                  addLabel="Container"
+                  size="sm"
+                />
+              </div>
+            </PopoverTrigger>
+
+            <PopoverContent align="start" side="right" className="w-auto">
+              <LayoutForm
+                value={layout}
+                onChange={setLayout}
+                onCommit={commitPanelLayout}
+                panelId={panel.id}
+                panel={panel}
+                onPanelStyleUpdate={commitPanelStyleUpdate}
+                iteration={panel.iteration}
+                onIterationChange={commitPanelIteration}
+                defaultDragMode={panel.defaultDragMode}
+                onDragModeChange={commitPanelDragMode}
+                occurrence={panelOccurrence}
+                onOccurrenceUpdate={commitOccurrenceUpdate}
+                currentViewType={currentViewType}
+                onViewTypeChange={handleViewTypeChange}
               />
-            </div>
-          </PopoverTrigger>
-
-          <PopoverContent align="start" side="right" className="w-auto">
-            <LayoutForm
-              value={layout}
-              onChange={setLayout}
-              onCommit={commitPanelLayout}
-              panelId={panel.id}
-              panel={panel}
-              onPanelStyleUpdate={commitPanelStyleUpdate}
-              iteration={panel.iteration}
-              onIterationChange={commitPanelIteration}
-              defaultDragMode={panel.defaultDragMode}
-              onDragModeChange={commitPanelDragMode}
-              occurrence={panelOccurrence}
-              onOccurrenceUpdate={commitOccurrenceUpdate}
-              currentViewType={currentViewType}
-              onViewTypeChange={handleViewTypeChange}
-            />
-          </PopoverContent>
-        </Popover>
+            </PopoverContent>
+          </Popover>
+        )}
 
 
         {/* Top drop indicator - when hovering header to insert at top (vertical layouts only) */}
@@ -527,16 +532,18 @@ function Panel({
           )}
         </span>
 
-        {/* Local iteration navigation — always visible in header */}
-        <div className="ml-auto mr-2 flex items-center" onPointerDown={(e) => e.stopPropagation()}>
-          <LocalIterationNav
-            occurrence={panelOccurrence}
-            onUpdate={commitOccurrenceUpdate}
-            showModeToggle={true}
-            compact={true}
-            alwaysExpanded={true}
-          />
-        </div>
+        {/* Local iteration navigation — always visible in header (except on public links) */}
+        {!readOnly && (
+          <div className="ml-auto mr-2 flex items-center" onPointerDown={(e) => e.stopPropagation()}>
+            <LocalIterationNav
+              occurrence={panelOccurrence}
+              onUpdate={commitOccurrenceUpdate}
+              showModeToggle={true}
+              compact={true}
+              alwaysExpanded={true}
+            />
+          </div>
+        )}
 
         {showStackNav && (
           <div className="flex items-center gap-1 mr-2">
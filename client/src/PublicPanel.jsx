@@ -0,0 +1,238 @@
+// PublicPanel.jsx
+// ============================================================
+// Public read-only panel, served at /share/panel/:token, and as an
+// iframe widget at /embed/panel/:token
+// Connects to the server's "/public" namespace with the share token and
+// renders the one panel it serves with the regular Panel / Display
+// components. The server pushes a fresh full_state whenever the panel
+// changes and refuses every write (except checkbox changes on links
+// that allow them). Derived values come from the server
+// (useServerDerivedValue), which says when they may have changed.
+//
+// Embed query parameters:
+//   date=YYYY-MM-DD          iteration value (default: the grid's)
+//   iteration=<id>           time iteration (default: the grid's)
+//   category=<dimensionId>   category filter, with categoryValue=<value>
+//   theme=light|dark
+//   header=0                 hide the panel header
+// ============================================================
+
+import React, { useEffect, useMemo, useReducer, useRef, useState } from "react";
+import { io } from "socket.io-client";
+
+import Panel from "./Panel";
+import SortableContainer from "./SortableContainer";
+import SortableInstance from "./SortableInstance";
+import Instance from "./Instance";
+import { GridDataContext } from "./GridDataContext";
+import { GridActionsContext } from "./GridActionsContext";
+import { DragProvider } from "./helpers/DragProvider";
+import { buildLookup } from "./helpers/LayoutHelpers";
+import { masterReducer } from "./state/masterReducer";
+import { initialState } from "./state/initialState";
+import { ActionTypes, softTickAction } from "./state/actions";
+import { Toaster, toast } from "./components/ui/sonner";
+
+// Same as ./socket, which isn't imported: it opens the signed-in connection
+const SERVER_URL = import.meta.env.VITE_SERVER_URL || "http://localhost:5000";
+
+const publicInitialState = { ...initialState, userId: null, gridId: null };
+
+const noop = () => {};
+
+function readEmbedOptions(search) {
+  const params = new URLSearchParams(search);
+  const date = params.get("date");
+  return {
+    date: date ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(date) ? `${date}T00:00:00` : date) : null,
+    iterationId: params.get("iteration"),
+    categoryKey: params.get("category"),
+    categoryValue: params.get("categoryValue"),
+    theme: params.get("theme"),
+    showHeader: params.get("header") !== "0",
+  };
+}
+
+export default function PublicPanel({ token, embedded = false }) {
+  const [state, dispatch] = useReducer(masterReducer, publicInitialState);
+  const embed = useMemo(() => (embedded ? readEmbedOptions(window.location.search) : null), [embedded]);
+  const [socket, setSocket] = useState(null);
+  const [closedReason, setClosedReason] = useState(null);
+  const gridRef = useRef(null);
+
+  useEffect(() => {
+    const s = io(`${SERVER_URL}/public`, {
+      transports: ["websocket"],
+      auth: { shareToken: token },
+    });
+
+    s.on("full_state", (payload) => dispatch({ type: ActionTypes.FULL_STATE, payload }));
+    s.on("derived_values_stale", () => dispatch(softTickAction()));
+    // A refused write was already applied locally; reload the panel to undo it
+    s.on("server_error", (msg) => {
+      toast(typeof msg === "string" ? msg : "This link is read-only");
+      s.emit("request_full_state");
+    });
+    s.on("share_closed", ({ reason } = {}) => setClosedReason(reason || "This link is no longer available"));
+    s.on("connect_error", (err) => {
+      if (err?.message === "INVALID_SHARE") setClosedReason("This link is invalid or has been revoked");
+    });
+
+    setSocket(s);
+    return () => {
+      s.removeAllListeners();
+      s.disconnect();
+    };
+  }, [token]);
+
+  useEffect(() => {
+    if (embed?.theme === "light" || embed?.theme === "dark") {
+      document.documentElement.classList.toggle("dark", embed.theme === "dark");
+    }
+  }, [embed]);
+
+  const panel = state.panels[0] || null;
+
+  const instancesById = useMemo(() => buildLookup(state.instances), [state.instances]);
+  const occurrencesById = useMemo(() => buildLookup(state.occurrences), [state.occurrences]);
+  const containersById = useMemo(() => buildLookup(state.containers), [state.containers]);
+  const fieldsById = useMemo(() => buildLookup(state.fields), [state.fields]);
+  const panelsById = useMemo(() => buildLookup(state.panels), [state.panels]);
+  const manifestsById = useMemo(() => buildLookup(state.manifests), [state.manifests]);
+  const viewsById = useMemo(() => buildLookup(state.views), [state.views]);
+  const docsById = useMemo(() => buildLookup(state.docs), [state.docs]);
+  const foldersById = useMemo(() => buildLookup(state.folders), [state.folders]);
+  const artifactsById = useMemo(() => buildLookup(state.artifacts), [state.artifacts]);
+
+  // The grid's saved iteration drives derived values, as in the owner's
+  // view, unless an embed asks for another one
+  const iterations = state.grid?.iterations || [{ id: "default", name: "Daily", timeFilter: "daily" }];
+  const selectedIterationId =
+    (embed?.iterationId && iterations.some(i => i.id === embed.iterationId) && embed.iterationId) ||
+    state.grid?.selectedIterationId || "default";
+  const currentIterationValue = useMemo(() => {
+    if (embed?.date && !Number.isNaN(embed.date.getTime())) return embed.date;
+    return state.grid?.currentIterationValue ? new Date(state.grid.currentIterationValue) : new Date();
+  }, [embed, state.grid?.currentIterationValue]);
+  const selectedCategoryId = embed?.categoryKey || state.grid?.selectedCategoryId || null;
+  const currentCategoryValue = embed?.categoryKey ? embed.categoryValue || null : state.grid?.currentCategoryValue || null;
+
+  const dataValue = useMemo(
+    () => ({
+      state: {
+        userId: null,
+        gridId: state.gridId,
+        grid: state.grid,
+        panels: state.panels,
+        containers: state.containers,
+        instances: state.instances,
+        occurrences: state.occurrences,
+        fields: state.fields,
+        activeId: state.activeId,
+        activeSize: state.activeSize,
+        softTick: state.softTick,
+        containersById,
+        panelsById,
+        selectedIterationId,
+        currentIterationValue,
+        selectedCategoryId,
+        currentCategoryValue,
+      },
+    }),
+    [state, containersById, panelsById, selectedIterationId, currentIterationValue, selectedCategoryId, currentCategoryValue]
+  );
+
+  const actionsValue = useMemo(
+    () => ({
+      socket,
+      dispatch,
+      state,
+      readOnly: true,
+      serverDerivedValues: true,
+      allowToggles: Boolean(state.access?.allowToggles),
+
+      instancesById,
+      occurrencesById,
+      containersById,
+      fieldsById,
+      panelsById,
+      manifestsById,
+      viewsById,
+      docsById,
+      foldersById,
+      artifactsById,
+      addContainerToPanel: noop,
+      addInstanceToContainer: noop,
+      createField: noop,
+      updateField: noop,
+      deleteField: noop,
+
+      onCommitIterations: noop,
+      iterations,
+      selectedIterationId,
+      currentIterationValue,
+      onSelectIteration: noop,
+      onIterationValueChange: noop,
+      categoryDimensions: state.grid?.categoryDimensions || [],
+      selectedCategoryId,
+      currentCategoryValue,
+      onSelectCategory: noop,
+      onCategoryValueChange: noop,
+      onCommitCategoryDimensions: noop,
+
+      canUndo: false,
+      canRedo: false,
+      undo: noop,
+      redo: noop,
+      isProcessing: false,
+    }),
+    [
+      socket, state,
+      instancesById, occurrencesById, containersById, fieldsById, panelsById,
+      manifestsById, viewsById, docsById, foldersById, artifactsById,
+      iterations, selectedIterationId, currentIterationValue, selectedCategoryId, currentCategoryValue,
+    ]
+  );
+
+  const components = useMemo(() => ({ SortableContainer, Instance, SortableInstance }), []);
+
+  if (closedReason || !panel) {
+    return (
+      <div className="h-screen flex items-center justify-center text-sm text-muted-foreground">
+        {closedReason || "Loading…"}
+      </div>
+    );
+  }
+
+  return (
+    <GridActionsContext.Provider value={actionsValue}>
+      <GridDataContext.Provider value={dataValue}>
+        <DragProvider
+          state={dataValue.state}
+          dispatch={dispatch}
+          socket={socket}
+          gridRef={gridRef}
+          visiblePanels={state.panels}
+          readOnly
+        >
+          <div ref={gridRef}>
+            <Panel
+              panel={panel}
+              components={components}
+              dispatch={dispatch}
+              socket={socket}
+              cols={1}
+              rows={1}
+              addContainerToPanel={noop}
+              addInstanceToContainer={noop}
+              forceFullscreen
+              embedded={embedded}
+              showHeader={embed?.showHeader ?? true}
+            />
+          </div>
+        </DragProvider>
+        <Toaster />
+      </GridDataContext.Provider>
+    </GridActionsContext.Provider>
+  );
+}
@@ -12,14 +12,17 @@ import DocContainer from "./docs/DocContainer";
 import { Settings, PlusSquare, GripVertical, Copy, Link2 } from "lucide-react";
 import ButtonPopover from "./ui/ButtonPopover";
 import ContainerForm from "./ui/ContainerForm";
+import CsvImport from "./ui/CsvImport";
 import RadialMenu from "./ui/RadialMenu";
 import LocalIterationNav from "./ui/LocalIterationNav";
 import { Popover, PopoverTrigger, PopoverContent } from "@/components/ui/popover";
 import { GridActionsContext } from "./GridActionsContext";
 import * as CommitHelpers from "./helpers/CommitHelpers";
-import { getContainerItems, getContainerItemsWithOccurrences } from "./helpers/LayoutHelpers";
+import { toast } from "./components/ui/sonner";
+import { getContainerItems, getContainerItemsWithOccurrences, getRecurrenceDateInPeriod, recurrenceShowsInPeriod, resolveViewedPeriod } from "./helpers/LayoutHelpers";
 import { useDragDrop, useDroppable, useDragContext, DragType, DropAccepts } from "./helpers/dragSystem";
 import { resolveContainerStyle, resolveInstanceStyle, styleToCSS } from "./helpers/StyleHelpers";
+import { getStateCalendar } from "./helpers/CalculationHelpers";
 
 function SortableContainer({
   container,
@@ -36,7 +39,7 @@ function SortableContainer({
   // ============================================================
   // CONTEXT
   // ============================================================
-  const { occurrencesById, instancesById, state: ctxState } = useContext(GridActionsContext);
+  const { occurrencesById, instancesById, state: ctxState, iterations = [], selectedIterationId, currentIterationValue } = useContext(GridActionsContext);
   const dragCtx = useDragContext();
   const { isContainerDrag, isInstanceDrag, isExternalDrag, isPanelDrag, dragMode, toggleDragMode } = dragCtx;
 
@@ -46,6 +49,7 @@ function SortableContainer({
   const [draft, setDraft] = useState(() => ({ label: container.label ?? "" }));
   const [isHoveringBottomSpace, setIsHoveringBottomSpace] = useState(false);
   const [settingsOpen, setSettingsOpen] = useState(false);
+  const [csvImportOpen, setCsvImportOpen] = useState(false);
   const containerDragMode = container?.defaultDragMode || "move";
 
   useEffect(() => {
@@ -152,6 +156,18 @@ function SortableContainer({
     });
   }, [ctxGrid, container.id, socket]);
 
+  // Calendar import (.ics)
+  const handleImportIcs = useCallback(async (file) => {
+    const gridId = ctxGrid?._id;
+    if (!gridId || !file) return;
+    try {
+      const result = await CommitHelpers.importIcsFile({ gridId, containerId: container.id, file });
+      toast.success(`Calendar imported: ${result.created} new, ${result.updated} updated`);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }, [ctxGrid, container.id]);
+
   // ============================================================
   // LAYOUT DETECTION
   // ============================================================
@@ -206,9 +222,26 @@ function SortableContainer({
   // ============================================================
   // ITEMS - lookup instances via occurrences (with occurrence data for fields)
   // ============================================================
+  // Recurring series show in the periods their dates fall in, each date's
+  // own occurrence only in its period
+  const viewedPeriod = useMemo(() => {
+    const panelOccurrence = Object.values(occurrencesById).find(
+      occ => occ.targetType === "panel" && occ.targetId === panelId
+    );
+    const selectedIteration = iterations.find(i => i.id === selectedIterationId) || iterations[0];
+    return resolveViewedPeriod({
+      containerOccurrence,
+      panelOccurrence,
+      timeFilter: selectedIteration?.timeFilter || "daily",
+      date: currentIterationValue,
+      calendar: getStateCalendar(ctxState),
+    });
+  }, [occurrencesById, panelId, containerOccurrence, iterations, selectedIterationId, currentIterationValue, ctxState?.timeZone, ctxGrid?.weekStart]);
+
   const itemsWithOccurrences = useMemo(
-    () => getContainerItemsWithOccurrences(container, occurrencesById, instancesById),
-    [container, occurrencesById, instancesById]
+    () => getContainerItemsWithOccurrences(container, occurrencesById, instancesById)
+      .filter(({ occurrence }) => recurrenceShowsInPeriod(occurrence, viewedPeriod)),
+    [container, occurrencesById, instancesById, viewedPeriod]
   );
 
   // For backward compatibility with code that just needs instance count
@@ -365,6 +398,11 @@ function SortableContainer({
               onOccurrenceUpdate={commitOccurrenceUpdate}
               onSaveAsTemplate={handleSaveAsTemplate}
               onFillFromTemplate={handleFillFromTemplate}
+              onImportIcs={handleImportIcs}
+              onImportCsv={() => {
+                setSettingsOpen(false);
+                setCsvImportOpen(true);
+              }}
               templates={gridTemplates}
             />
           </PopoverContent>
@@ -470,6 +508,7 @@ function SortableContainer({
                 key={instance.id}
                 instance={instance}
                 occurrence={occurrence}
+                recurrenceDate={occurrence.iteration?.mode === "recurring" ? getRecurrenceDateInPeriod(occurrence, viewedPeriod) : null}
                 containerId={container.id}
                 panelId={panelId}
                 panel={panel}
@@ -517,6 +556,16 @@ function SortableContainer({
           zIndex: 2,
         }}
       />
+
+      {csvImportOpen && (
+        <CsvImport
+          open={csvImportOpen}
+          onOpenChange={setCsvImportOpen}
+          gridId={ctxGrid?._id}
+          containerId={container.id}
+          containerLabel={container.label}
+        />
+      )}
     </div>
   );
 }
@@ -11,6 +11,7 @@ import { useDragDrop, useDragContext, DragType, DropAccepts } from "./helpers/dr
 function SortableInstance({
   instance,
   occurrence,
+  recurrenceDate = null,
   containerId,
   panelId,
   panel,
@@ -130,6 +131,7 @@ function SortableInstance({
         label={instance.label}
         instance={instance}
         occurrence={occurrence}
+        recurrenceDate={recurrenceDate}
         panel={panel}
         container={container}
         dispatch={dispatch}
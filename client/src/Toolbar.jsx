@@ -11,6 +11,7 @@ import { Settings, PlusSquare, Undo2, Redo2, History } from "lucide-react";
 export default function Toolbar({
   gridId,
   availableGrids,
+  access,
 
   gridName,
   setGridName,
@@ -26,12 +27,16 @@ export default function Toolbar({
   onUpdateCols,
   onAddPanel,
   onCommitIterations,
+  onCommitPeriods,
   iterations,
   // Iteration nav props
   selectedIterationId,
   onSelectIteration,
   currentIterationValue,
   onIterationValueChange,
+  calendar,
+  onWeekStartChange,
+  onTimeZoneChange,
   // Category iteration props
   categoryDimensions,
   selectedCategoryId,
@@ -44,6 +49,14 @@ export default function Toolbar({
   canUndo,
   canRedo,
   onHistory,
+  onOpenSharing,
+  onOpenPanelShares,
+  onOpenAccessTokens,
+  onOpenWebhooks,
+  onOpenCalendarFeeds,
+  onOpenCsvExport,
+  onExportBundle,
+  onImportBundle,
 }) {
   const [panelSelectorOpen, setPanelSelectorOpen] = useState(false);
   const [panelSelectorPos, setPanelSelectorPos] = useState(null);
@@ -69,9 +82,10 @@ export default function Toolbar({
       (availableGrids || []).map((g) => {
         const id = g.id || g._id;
         const name = g.name || g.gridName || "";
+        const label = name || `Grid ${String(id).slice(-4)}`;
         return {
           value: id,
-          label: name || `Grid ${String(id).slice(-4)}`,
+          label: g.shared ? `${label} (shared)` : label,
         };
       }),
     [availableGrids]
@@ -82,6 +96,7 @@ export default function Toolbar({
     rows: rowInput,
     cols: colInput,
     iterations: iterations || [{ id: "default", name: "Daily", timeFilter: "daily" }],
+    periods: calendar?.periods || [],
   };
 
   const onFormChange = (next) => {
@@ -154,7 +169,16 @@ export default function Toolbar({
               onChange={onFormChange}
               onCommitGridName={(name) => onCommitGridName?.(name)}
               onCommitIterations={onCommitIterations}
+              onCommitPeriods={onCommitPeriods}
               onDeleteGrid={onDeleteGrid}
+              onOpenSharing={onOpenSharing}
+              onOpenPanelShares={onOpenPanelShares}
+              onOpenAccessTokens={onOpenAccessTokens}
+              onOpenWebhooks={onOpenWebhooks}
+              onOpenCalendarFeeds={onOpenCalendarFeeds}
+              onOpenCsvExport={onOpenCsvExport}
+              onExportBundle={onExportBundle}
+              onImportBundle={onImportBundle}
               gridId={gridId}
             />
           </ButtonPopover>
@@ -177,6 +201,14 @@ export default function Toolbar({
               }}
             />
           </div>
+          {access?.role === "viewer" && (
+            <span
+              className="text-[10px] px-1.5 py-0.5 rounded border border-border text-muted-foreground"
+              title="This grid was shared with you as a viewer"
+            >
+              View only
+            </span>
+          )}
           <Button
             ref={panelButtonRef}
             size="sm"
@@ -202,6 +234,9 @@ export default function Toolbar({
             onSelectIteration={onSelectIteration}
             currentValue={currentIterationValue}
             onValueChange={onIterationValueChange}
+            calendar={calendar}
+            onWeekStartChange={onWeekStartChange}
+            onTimeZoneChange={onTimeZoneChange}
           />
         )}
 
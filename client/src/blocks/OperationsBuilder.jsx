@@ -63,7 +63,7 @@ export default function OperationsBuilder({
 
     // Evaluate the block tree
     const evalResult = evaluateBlockTree(rootBlock, {
-      state: context.state || {},
+      occurrences: context.state?.occurrences || [],
       fieldsById,
       variables: {},
     });
@@ -250,7 +250,7 @@ export function useOperationsBuilder({
   const result = useMemo(() => {
     if (!rootBlock) return { value: null, errors: [] };
     return evaluateBlockTree(rootBlock, {
-      state: context.state || {},
+      occurrences: context.state?.occurrences || [],
       fieldsById,
       variables: {},
     });
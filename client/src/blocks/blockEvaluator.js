@@ -1,293 +1,15 @@
 // blocks/blockEvaluator.js
 // ============================================================
-// Evaluates block trees to produce calculated values
-// This is the runtime engine for the visual block programming system
+// Block tree helpers for the visual block programming system
+// Evaluation itself lives in shared/blockEvaluator.js so the server runs
+// stored trees the same way; this re-export keeps client imports unchanged.
 // ============================================================
 
 import { BlockType } from "./blockTypes";
-import { AGGREGATIONS, applyAggregation, extractFieldValues } from "../helpers/CalculationHelpers";
+import { AGGREGATIONS } from "../helpers/CalculationHelpers";
+import { evaluateBlock, evaluateBlockTree } from "../../../shared/blockEvaluator.js";
 
-/**
- * Evaluate a block tree and return the calculated value
- *
- * @param {Object} block - The root block to evaluate
- * @param {Object} context - Evaluation context
- * @param {Object} context.state - App state with occurrences, fields, etc.
- * @param {Object} context.fieldsById - Map of field ID to field definition
- * @param {Object} context.variables - Map of variable names to values
- * @returns {any} The calculated value
- */
-export function evaluateBlock(block, context = {}) {
-  if (!block) return null;
-
-  const { state = {}, fieldsById = {}, variables = {} } = context;
-
-  switch (block.type) {
-    // ============================================================
-    // VALUE BLOCKS
-    // ============================================================
-    case BlockType.FIELD: {
-      const { fieldId } = block.data;
-      if (!fieldId) return null;
-
-      // Get the field value from occurrences
-      const occurrences = state.occurrences || [];
-      const values = extractFieldValues(occurrences, fieldId, { flowFilter: "any" });
-
-      // For now, return the last value (or sum for numbers)
-      if (values.length === 0) return null;
-
-      const field = fieldsById[fieldId];
-      if (field?.type === "number") {
-        // Return sum for numbers
-        return values.reduce((a, b) => a + b, 0);
-      }
-      // Return last value for other types
-      return values[values.length - 1];
-    }
-
-    case BlockType.LITERAL: {
-      return block.data.value;
-    }
-
-    case BlockType.VARIABLE: {
-      const { varName } = block.data;
-      return variables[varName] ?? null;
-    }
-
-    // ============================================================
-    // MATH OPERATORS
-    // ============================================================
-    case BlockType.OPERATOR: {
-      const left = evaluateSlot(block, "left", context);
-      const right = evaluateSlot(block, "right", context);
-
-      if (left === null || right === null) return null;
-
-      const leftNum = Number(left);
-      const rightNum = Number(right);
-
-      switch (block.data.op) {
-        case "+": return leftNum + rightNum;
-        case "-": return leftNum - rightNum;
-        case "*": return leftNum * rightNum;
-        case "/": return rightNum !== 0 ? leftNum / rightNum : null;
-        case "%": return rightNum !== 0 ? leftNum % rightNum : null;
-        default: return null;
-      }
-    }
-
-    // ============================================================
-    // COMPARISON OPERATORS
-    // ============================================================
-    case BlockType.COMPARISON: {
-      const left = evaluateSlot(block, "left", context);
-      const right = evaluateSlot(block, "right", context);
-
-      if (left === null || right === null) return null;
-
-      switch (block.data.op) {
-        case ">": return left > right;
-        case "<": return left < right;
-        case ">=": return left >= right;
-        case "<=": return left <= right;
-        case "==": return left === right;
-        case "!=": return left !== right;
-        default: return false;
-      }
-    }
-
-    // ============================================================
-    // LOGICAL OPERATORS
-    // ============================================================
-    case BlockType.LOGICAL: {
-      switch (block.data.op) {
-        case "and": {
-          const left = evaluateSlot(block, "left", context);
-          const right = evaluateSlot(block, "right", context);
-          return Boolean(left) && Boolean(right);
-        }
-        case "or": {
-          const left = evaluateSlot(block, "left", context);
-          const right = evaluateSlot(block, "right", context);
-          return Boolean(left) || Boolean(right);
-        }
-        case "not": {
-          const value = evaluateSlot(block, "value", context);
-          return !Boolean(value);
-        }
-        default:
-          return false;
-      }
-    }
-
-    // ============================================================
-    // AGGREGATION
-    // ============================================================
-    case BlockType.AGGREGATION: {
-      const { aggregation } = block.data;
-      if (!aggregation || !AGGREGATIONS[aggregation]) return null;
-
-      // Get the source field from the slot
-      const sourceSlot = block.slots?.find(s => s.id === "source");
-      const sourceBlock = sourceSlot?.connected;
-
-      if (!sourceBlock || sourceBlock.type !== BlockType.FIELD) {
-        return null;
-      }
-
-      const { fieldId } = sourceBlock.data;
-      if (!fieldId) return null;
-
-      // Extract values from occurrences
-      const occurrences = state.occurrences || [];
-      const values = extractFieldValues(occurrences, fieldId, { flowFilter: "any" });
-
-      // Apply aggregation
-      return applyAggregation(values, aggregation);
-    }
-
-    // ============================================================
-    // FUNCTIONS
-    // ============================================================
-    case BlockType.FUNCTION: {
-      const value = evaluateSlot(block, "value", context);
-      if (value === null) return null;
-
-      const num = Number(value);
-
-      switch (block.data.fn) {
-        case "round": return Math.round(num);
-        case "floor": return Math.floor(num);
-        case "ceil": return Math.ceil(num);
-        case "abs": return Math.abs(num);
-        case "sqrt": return num >= 0 ? Math.sqrt(num) : null;
-        case "min": {
-          // For min/max functions, we might need multiple values
-          // For now, just return the value
-          return num;
-        }
-        case "max": {
-          return num;
-        }
-        default:
-          return value;
-      }
-    }
-
-    // ============================================================
-    // CONTROL FLOW
-    // ============================================================
-    case BlockType.CONDITION: {
-      const condition = evaluateSlot(block, "condition", context);
-
-      if (Boolean(condition)) {
-        // Execute inner blocks (then branch)
-        return evaluateInnerBlocks(block, 0, context);
-      } else {
-        // Execute else branch if exists
-        return evaluateInnerBlocks(block, 1, context);
-      }
-    }
-
-    case BlockType.LOOP: {
-      if (block.data.loopType === "repeat") {
-        const count = evaluateSlot(block, "count", context);
-        const times = Number(count) || 0;
-        let result = null;
-
-        for (let i = 0; i < times; i++) {
-          result = evaluateInnerBlocks(block, 0, {
-            ...context,
-            variables: { ...context.variables, index: i },
-          });
-        }
-
-        return result;
-      } else {
-        // For each - would need collection support
-        return null;
-      }
-    }
-
-    case BlockType.SET_VARIABLE: {
-      const varNameBlock = block.slots?.find(s => s.id === "varName")?.connected;
-      const value = evaluateSlot(block, "value", context);
-
-      if (varNameBlock?.type === BlockType.VARIABLE) {
-        const varName = varNameBlock.data.varName;
-        // Note: In a real implementation, we'd need to propagate this change
-        // For now, just return the set value
-        return { varName, value };
-      }
-      return null;
-    }
-
-    // ============================================================
-    // TRIGGERS (don't evaluate to values)
-    // ============================================================
-    case BlockType.ON_DROP:
-    case BlockType.ON_CHANGE:
-      return null;
-
-    default:
-      console.warn(`Unknown block type: ${block.type}`);
-      return null;
-  }
-}
-
-/**
- * Helper: Evaluate a specific slot of a block
- */
-function evaluateSlot(block, slotId, context) {
-  const slot = block.slots?.find(s => s.id === slotId);
-  if (!slot?.connected) return null;
-  return evaluateBlock(slot.connected, context);
-}
-
-/**
- * Helper: Evaluate inner blocks (for C-blocks)
- */
-function evaluateInnerBlocks(block, innerSlotIndex, context) {
-  const innerSlot = block.innerSlots?.[innerSlotIndex];
-  if (!innerSlot?.connected?.length) return null;
-
-  let result = null;
-  for (const innerBlock of innerSlot.connected) {
-    result = evaluateBlock(innerBlock, context);
-  }
-  return result;
-}
-
-/**
- * Evaluate a complete block tree
- * Returns the final value and any side effects (variable assignments, etc.)
- *
- * @param {Object} rootBlock - The root block to evaluate
- * @param {Object} context - Evaluation context
- * @returns {Object} { value, variables, errors }
- */
-export function evaluateBlockTree(rootBlock, context = {}) {
-  const result = {
-    value: null,
-    variables: { ...context.variables },
-    errors: [],
-  };
-
-  try {
-    result.value = evaluateBlock(rootBlock, {
-      ...context,
-      variables: result.variables,
-    });
-  } catch (err) {
-    result.errors.push({
-      message: err.message,
-      blockId: rootBlock?.id,
-    });
-  }
-
-  return result;
-}
+export { evaluateBlock, evaluateBlockTree };
 
 /**
  * Validate a block tree for errors before evaluation
@@ -36,9 +36,8 @@ export default function DocContainer({
   isHot = false,
   docModel = null, // Legacy: save to Doc model for pre-migration docs without real occurrences
 }) {
-  const { state } = useContext(GridActionsContext) || {};
+  const { state, readOnly } = useContext(GridActionsContext) || {};
   const gridId = state?.grid?._id;
-  const userId = state?.userId;
 
   const saveTimeout = useRef(null);
   const [isSaving, setIsSaving] = useState(false);
@@ -85,7 +84,7 @@ export default function DocContainer({
 
     for (const file of files) {
       const artifact = await CommitHelpers.uploadFile({
-        dispatch, file, gridId, userId, folderId: null,
+        dispatch, file, gridId, folderId: null,
       });
       if (artifact && editor) {
         editor.chain().focus().insertContent({
@@ -97,7 +96,7 @@ export default function DocContainer({
         }).insertContent(" ").run();
       }
     }
-  }, [dispatch, gridId, userId]);
+  }, [dispatch, gridId]);
 
   // Set up drop target for instances/fields
   useEffect(() => {
@@ -276,7 +275,7 @@ export default function DocContainer({
         onChange={handleChange}
         onBlur={handleBlur}
         placeholder="Start writing... Use @ to insert fields"
-        editable={true}
+        editable={!readOnly}
         showToolbar={true}
         className="flex-1 overflow-auto"
       />
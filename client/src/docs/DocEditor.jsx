@@ -8,9 +8,11 @@ import { useCallback, useContext, useEffect, useMemo, useRef, useState, forwardR
 import { useEditor, EditorContent } from "@tiptap/react";
 import StarterKit from "@tiptap/starter-kit";
 import Placeholder from "@tiptap/extension-placeholder";
+import { TaskList, TaskItem } from "@tiptap/extension-list";
 import { FieldPill } from "./FieldPillExtension";
 import { InstancePill } from "./InstancePillExtension";
 import { DocLink } from "./DocLinkExtension";
+import { DocImage } from "./ImageExtension";
 import { PillBackspace } from "./PillBackspaceExtension";
 import { HeadingFocus } from "./HeadingFocusExtension";
 import FieldSuggestion from "./suggestions/FieldSuggestion";
@@ -130,6 +132,9 @@ const DocEditor = forwardRef(function DocEditor({
       Placeholder.configure({
         placeholder,
       }),
+      TaskList,
+      TaskItem.configure({ nested: true }),
+      DocImage,
       FieldPill,
       InstancePill,
       DocLink,
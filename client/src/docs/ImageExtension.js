@@ -0,0 +1,39 @@
+// docs/ImageExtension.js
+// ============================================================
+// Tiptap Extension: Inline images
+// Usually an uploaded Artifact (src = its storagePath), e.g. the
+// embeds brought in by the Markdown importer
+// ============================================================
+
+import { Node, mergeAttributes } from "@tiptap/core";
+
+export const DocImage = Node.create({
+  name: "image",
+  group: "inline",
+  inline: true,
+  draggable: true,
+  atom: true,
+
+  addAttributes() {
+    return {
+      src: { default: null },
+      alt: { default: "" },
+      // Artifact the image was uploaded as (null for external URLs)
+      artifactId: {
+        default: null,
+        parseHTML: (element) => element.getAttribute("data-artifact-id"),
+        renderHTML: (attributes) => (attributes.artifactId ? { "data-artifact-id": attributes.artifactId } : {}),
+      },
+    };
+  },
+
+  parseHTML() {
+    return [{ tag: "img[src]" }];
+  },
+
+  renderHTML({ HTMLAttributes }) {
+    return ["img", mergeAttributes({ class: "doc-image" }, HTMLAttributes)];
+  },
+});
+
+export default DocImage;
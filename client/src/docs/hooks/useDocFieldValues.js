@@ -32,6 +32,54 @@ function extractFieldIds(content) {
   return Array.from(fieldIds);
 }
 
+/**
+ * Compute a field pill's value the way docs display it:
+ * derived fields via calculateDerivedField, input fields aggregated over
+ * every occurrence (sum for number/duration, first value otherwise)
+ *
+ * @param {Object} field - Field definition
+ * @param {Object} params - { state, occurrencesById }
+ * @returns {Object} { value, displayValue, error }
+ */
+export function computeFieldPillValue(field, { state = {}, occurrencesById = {} } = {}) {
+  if (!field) {
+    return { value: null, displayValue: "—", error: "Field not found" };
+  }
+
+  try {
+    if (field.mode === "derived") {
+      // Derived field - use calculateDerivedField with full state
+      const calculatedValue = CalculationHelpers.calculateDerivedField(state, field);
+
+      return {
+        value: calculatedValue,
+        displayValue: formatValue(calculatedValue, field),
+        error: null,
+      };
+    }
+
+    // Input field - aggregate values from all occurrences
+    const occurrences = Object.values(occurrencesById);
+    const values = CalculationHelpers.extractFieldValues(occurrences, field.id);
+
+    // Use sum for numbers, first value for others
+    const aggregation = field.type === "number" || field.type === "duration" ? "sum" : "first";
+    const aggregatedValue = CalculationHelpers.applyAggregation(values, aggregation);
+
+    return {
+      value: aggregatedValue,
+      displayValue: formatValue(aggregatedValue, field),
+      error: null,
+    };
+  } catch (err) {
+    return {
+      value: null,
+      displayValue: "Error",
+      error: err.message,
+    };
+  }
+}
+
 /**
  * useDocFieldValues - Calculate live values for field pills in a document
  *
@@ -54,48 +102,9 @@ export function useDocFieldValues(docContent) {
   // Calculate values for each field
   const values = useMemo(() => {
     const result = {};
-
     for (const fieldId of fieldIds) {
-      const field = fieldsById[fieldId];
-      if (!field) {
-        result[fieldId] = { value: null, displayValue: "—", error: "Field not found" };
-        continue;
-      }
-
-      try {
-        if (field.mode === "derived") {
-          // Derived field - use calculateDerivedField with full state
-          const calculatedValue = CalculationHelpers.calculateDerivedField(state, field);
-
-          result[fieldId] = {
-            value: calculatedValue,
-            displayValue: formatValue(calculatedValue, field),
-            error: null,
-          };
-        } else {
-          // Input field - aggregate values from all occurrences
-          const occurrences = Object.values(occurrencesById);
-          const values = CalculationHelpers.extractFieldValues(occurrences, fieldId);
-
-          // Use sum for numbers, first value for others
-          const aggregation = field.type === "number" || field.type === "duration" ? "sum" : "first";
-          const aggregatedValue = CalculationHelpers.applyAggregation(values, aggregation);
-
-          result[fieldId] = {
-            value: aggregatedValue,
-            displayValue: formatValue(aggregatedValue, field),
-            error: null,
-          };
-        }
-      } catch (err) {
-        result[fieldId] = {
-          value: null,
-          displayValue: "Error",
-          error: err.message,
-        };
-      }
+      result[fieldId] = computeFieldPillValue(fieldsById[fieldId], { state, occurrencesById });
     }
-
     return result;
   }, [fieldIds, fieldsById, occurrencesById, state]);
 
@@ -168,45 +177,10 @@ export function useFieldValue(fieldId) {
     state = {},
   } = context;
 
-  return useMemo(() => {
-    const field = fieldsById[fieldId];
-    if (!field) {
-      return { value: null, displayValue: "—", error: "Field not found" };
-    }
-
-    try {
-      if (field.mode === "derived") {
-        // Derived field - use calculateDerivedField with full state
-        const calculatedValue = CalculationHelpers.calculateDerivedField(state, field);
-
-        return {
-          value: calculatedValue,
-          displayValue: formatValue(calculatedValue, field),
-          error: null,
-        };
-      } else {
-        // Input field - aggregate values from all occurrences
-        const occurrences = Object.values(occurrencesById);
-        const values = CalculationHelpers.extractFieldValues(occurrences, fieldId);
-
-        // Use sum for numbers, first value for others
-        const aggregation = field.type === "number" || field.type === "duration" ? "sum" : "first";
-        const aggregatedValue = CalculationHelpers.applyAggregation(values, aggregation);
-
-        return {
-          value: aggregatedValue,
-          displayValue: formatValue(aggregatedValue, field),
-          error: null,
-        };
-      }
-    } catch (err) {
-      return {
-        value: null,
-        displayValue: "Error",
-        error: err.message,
-      };
-    }
-  }, [fieldId, fieldsById, occurrencesById, state]);
+  return useMemo(
+    () => computeFieldPillValue(fieldsById[fieldId], { state, occurrencesById }),
+    [fieldId, fieldsById, occurrencesById, state]
+  );
 }
 
 export default useDocFieldValues;
@@ -12,6 +12,7 @@ export { default as DocContainer } from "./DocContainer";
 export { FieldPill, default as FieldPillExtension } from "./FieldPillExtension";
 export { InstancePill, default as InstancePillExtension } from "./InstancePillExtension";
 export { DocLink, default as DocLinkExtension } from "./DocLinkExtension";
+export { DocImage } from "./ImageExtension";
 
 // Pills
 export { default as FieldPillNode } from "./pills/FieldPillNode";
@@ -24,4 +25,7 @@ export { default as CommandPalette, COMMANDS } from "./suggestions/CommandPalett
 export { default as DocLinkSuggestion } from "./suggestions/DocLinkSuggestion";
 
 // Hooks
-export { useDocFieldValues, useFieldValue } from "./hooks/useDocFieldValues";
+export { useDocFieldValues, useFieldValue, computeFieldPillValue } from "./hooks/useDocFieldValues";
+
+// Export
+export { tiptapToMarkdown, planMarkdownExport } from "./markdownExport";
@@ -0,0 +1,219 @@
+// docs/markdownExport.js
+// ============================================================
+// Tiptap JSON → Markdown, and doc/folder/manifest export plans
+//
+// Custom nodes:
+// - fieldPill    → the field's current value, or a {{field:Name}} token
+// - instancePill → the instance label
+// - docLink      → [[Title]] (Obsidian-style wiki link)
+// ============================================================
+
+const MARK_WRAPPERS = {
+  bold: "**",
+  italic: "*",
+  strike: "~~",
+  code: "`",
+};
+
+// Characters that would otherwise start Markdown syntax mid-text
+function escapeText(text) {
+  return text.replace(/([\\`*_[\]#<>~|])/g, "\\$1");
+}
+
+function renderMarks(text, marks = []) {
+  // Emphasis can't open or close on whitespace, so keep it outside the markers
+  const [, lead, inner, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!inner) return text;
+  let out = marks.some(m => m.type === "code") ? inner : escapeText(inner);
+  for (const mark of marks) {
+    const wrap = MARK_WRAPPERS[mark.type];
+    if (wrap) out = `${wrap}${out}${wrap}`;
+  }
+  const link = marks.find(m => m.type === "link");
+  if (link?.attrs?.href) out = `[${out}](${link.attrs.href})`;
+  return `${lead}${out}${trail}`;
+}
+
+/**
+ * Renders inline content (text, marks, pills, hard breaks)
+ */
+function renderInline(nodes = [], ctx) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case "text":
+        return renderMarks(node.text || "", node.marks);
+      case "hardBreak":
+        return "\\\n";
+      case "fieldPill":
+        return ctx.renderField(node.attrs || {});
+      case "instancePill":
+        return escapeText(ctx.renderInstance(node.attrs || {}));
+      case "docLink":
+        return `[[${ctx.renderDocLink(node.attrs || {})}]]`;
+      case "image":
+        return `![${node.attrs?.alt || ""}](${ctx.renderImage?.(node.attrs?.src) || node.attrs?.src || ""})`;
+      default:
+        return node.content ? renderInline(node.content, ctx) : node.text || "";
+    }
+  }).join("");
+}
+
+function indent(text, prefix) {
+  return text.split("\n").map((line, i) => (i === 0 || line === "" ? line : prefix + line)).join("\n");
+}
+
+/**
+ * Renders a list item's children; nested blocks are indented under the marker.
+ * Children are joined tightly so nested lists don't turn into loose lists.
+ */
+function renderListItem(item, marker, ctx) {
+  const body = (item.content || []).map(node => renderBlock(node, ctx)).join("\n").trimEnd();
+  return `${marker}${indent(body, " ".repeat(marker.length))}`;
+}
+
+function renderBlock(node, ctx) {
+  switch (node.type) {
+    case "paragraph":
+      return renderInline(node.content, ctx);
+    case "heading":
+      return `${"#".repeat(node.attrs?.level || 1)} ${renderInline(node.content, ctx)}`;
+    case "blockquote":
+      return renderBlocks(node.content || [], ctx).trimEnd().split("\n").map(l => (l ? `> ${l}` : ">")).join("\n");
+    case "codeBlock": {
+      const code = (node.content || []).map(n => n.text || "").join("");
+      return `\`\`\`${node.attrs?.language || ""}\n${code}\n\`\`\``;
+    }
+    case "horizontalRule":
+      return "---";
+    case "bulletList":
+      return (node.content || []).map(item => renderListItem(item, "- ", ctx)).join("\n");
+    case "orderedList": {
+      const start = node.attrs?.start ?? 1;
+      return (node.content || []).map((item, i) => renderListItem(item, `${start + i}. `, ctx)).join("\n");
+    }
+    case "taskList":
+      return (node.content || []).map(item => renderListItem(item, item.attrs?.checked ? "- [x] " : "- [ ] ", ctx)).join("\n");
+    default:
+      return node.content ? renderBlocks(node.content, ctx) : renderInline([node], ctx);
+  }
+}
+
+function renderBlocks(nodes, ctx) {
+  return nodes.map(node => renderBlock(node, ctx)).join("\n\n");
+}
+
+/**
+ * Converts Tiptap JSON to Markdown
+ * @param {Object} content - Tiptap doc JSON
+ * @param {Object} ctx - { renderField(attrs), renderInstance(attrs), renderDocLink(attrs), renderImage?(src) }
+ * @returns {string} Markdown text
+ */
+export function tiptapToMarkdown(content, ctx) {
+  if (!content?.content) return "";
+  return renderBlocks(content.content, ctx).replace(/\n{3,}/g, "\n\n").trim() + "\n";
+}
+
+/**
+ * Makes a name safe as a file/folder name in a zip
+ */
+export function safeFileName(name, fallback = "Untitled") {
+  const cleaned = String(name || "").replace(/[\\/:*?"<>|\x00-\x1f]+/g, "-").replace(/^\.+/, "").trim();
+  return cleaned.slice(0, 120) || fallback;
+}
+
+function uniquePath(path, used) {
+  if (!used.has(path)) {
+    used.add(path);
+    return path;
+  }
+  const dot = path.lastIndexOf(".");
+  const [base, ext] = dot > path.lastIndexOf("/") ? [path.slice(0, dot), path.slice(dot)] : [path, ""];
+  for (let n = 2; ; n++) {
+    const candidate = `${base} (${n})${ext}`;
+    if (!used.has(candidate)) {
+      used.add(candidate);
+      return candidate;
+    }
+  }
+}
+
+/**
+ * Plans a Markdown export of one doc, a folder (with subfolders) or a manifest
+ *
+ * @param {Object} params - Parameters
+ * @param {Object} params.target - { type: "doc" | "folder" | "manifest", id }
+ * @param {Object} params.lookups - { docsById, foldersById, artifactsById, manifestsById, instancesById, fieldsById, occurrencesById }
+ * @param {Function} params.fieldValue - (field) => display string for "values" mode
+ * @param {string} [params.pillMode] - "values" (current values) or "tokens" ({{field:Name}})
+ * @returns {Object} { name, files: [{ path, text } | { path, artifact }] }
+ */
+export function planMarkdownExport({ target, lookups, fieldValue, pillMode = "values" }) {
+  const { docsById = {}, foldersById = {}, artifactsById = {}, manifestsById = {}, instancesById = {}, fieldsById = {}, occurrencesById = {} } = lookups;
+
+  // Doc content lives on the doc's occurrence; Doc.content is the fallback
+  const docContentById = {};
+  for (const occ of Object.values(occurrencesById)) {
+    if (occ.targetType === "doc" && occ.docContent) docContentById[occ.targetId] = occ.docContent;
+  }
+
+  const used = new Set();
+  const artifactPaths = {};
+  const docNames = {};
+  const files = [];
+
+  const ctx = {
+    renderField: (attrs) => {
+      const field = fieldsById[attrs.fieldId];
+      const name = field?.name || attrs.fieldName || "field";
+      if (pillMode === "tokens" || !field) return `{{field:${name}}}`;
+      const value = fieldValue(field);
+      return attrs.showLabel === false ? value : `${name}: ${value}`;
+    },
+    renderInstance: (attrs) => instancesById[attrs.instanceId]?.label || attrs.instanceLabel || "Untitled",
+    // Match the exported file name so the link resolves inside the zip
+    renderDocLink: (attrs) => docNames[attrs.targetId] || safeFileName(docsById[attrs.targetId]?.title || attrs.label),
+    renderImage: (src) => artifactPaths[src],
+  };
+
+  const addArtifact = (artifact, dir) => {
+    const path = uniquePath(`${dir}${safeFileName(artifact.name, "file")}`, used);
+    if (artifact.storagePath) artifactPaths[artifact.storagePath] = path;
+    files.push({ path, artifact });
+  };
+
+  const addDoc = (doc, dir) => {
+    const content = docContentById[doc.id] || doc.content;
+    const path = uniquePath(`${dir}${safeFileName(doc.title)}.md`, used);
+    docNames[doc.id] = path.slice(dir.length, -3);
+    // Rendered after artifacts so image links can point at their zip paths
+    files.push({ path, doc, content });
+  };
+
+  const addFolder = (folderId, dir) => {
+    const byOrder = (a, b) => (a.sortOrder || 0) - (b.sortOrder || 0);
+    Object.values(artifactsById).filter(a => a.folderId === folderId && !a.isDeleted).sort(byOrder).forEach(a => addArtifact(a, dir));
+    Object.values(docsById).filter(d => d.folderId === folderId && !d.isDeleted).sort(byOrder).forEach(d => addDoc(d, dir));
+    Object.values(foldersById).filter(f => f.parentId === folderId).sort(byOrder).forEach(f => {
+      addFolder(f.id, `${dir}${safeFileName(f.name, "Folder")}/`);
+    });
+  };
+
+  let name;
+  if (target.type === "doc") {
+    const doc = docsById[target.id];
+    name = safeFileName(doc?.title);
+    if (doc) addDoc(doc, "");
+  } else if (target.type === "folder") {
+    name = safeFileName(foldersById[target.id]?.name, "Folder");
+    addFolder(target.id, "");
+  } else {
+    const manifest = manifestsById[target.id];
+    name = safeFileName(manifest?.name, "Files");
+    if (manifest?.rootFolderId) addFolder(manifest.rootFolderId, "");
+  }
+
+  return {
+    name,
+    files: files.map(f => (f.doc ? { path: f.path, text: tiptapToMarkdown(f.content, ctx) } : f)),
+  };
+}
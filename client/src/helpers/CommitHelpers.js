@@ -34,6 +34,7 @@ import {
   createArtifactAction,
   updateArtifactAction,
   deleteArtifactAction,
+  setUserSettingsAction,
 } from "../state/actions";
 
 /**
@@ -47,6 +48,13 @@ function shouldEmit(emit) {
   return emit !== false;
 }
 
+// ===== USER SETTINGS =====
+export function updateUserSettings({ dispatch, socket, settings, emit = true }) {
+  if (!settings) return;
+  dispatch?.(setUserSettingsAction(settings));
+  if (shouldEmit(emit)) socket?.emit("update_user_settings", settings);
+}
+
 // ===== GRID =====
 export function createGrid({ dispatch, socket, grid, emit = true }) {
   if (!grid) return;
@@ -292,16 +300,20 @@ export function fillFromTemplate({ socket, gridId, templateId, containerId, iter
 }
 
 // ---- file upload ----
-export async function uploadFile({ file, userId, gridId, folderId, manifestId, dispatch }) {
+export async function uploadFile({ file, gridId, folderId, manifestId, dispatch }) {
   const formData = new FormData();
   formData.append("file", file);
-  formData.append("userId", userId);
   if (gridId) formData.append("gridId", gridId);
   if (folderId) formData.append("folderId", folderId);
   if (manifestId) formData.append("manifestId", manifestId);
 
   try {
-    const res = await fetch("/api/upload", { method: "POST", body: formData });
+    const token = localStorage.getItem("moduli-token");
+    const res = await fetch("/api/upload", {
+      method: "POST",
+      body: formData,
+      headers: token ? { Authorization: `Bearer ${token}` } : undefined,
+    });
     const data = await res.json();
     if (data.artifact && dispatch) {
       dispatch(createArtifactAction(data.artifact));
@@ -311,4 +323,173 @@ export async function uploadFile({ file, userId, gridId, folderId, manifestId, d
     console.error("Upload failed:", err);
     return null;
   }
-}
\ No newline at end of file
+}
+
+// ---- grid bundles (export/import) ----
+function authHeaders() {
+  const token = localStorage.getItem("moduli-token");
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Saves a fetched file under the server's Content-Disposition name
+async function downloadResponse(res, fallbackName) {
+  const disposition = res.headers.get("Content-Disposition") || "";
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+  downloadBlob(await res.blob(), filename);
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Downloads the grid (with all its entities and files) as a .moduli.json bundle
+ */
+export async function exportGridBundle({ gridId }) {
+  if (!gridId) return false;
+  const res = await fetch(`/api/v1/grids/${gridId}/bundle`, { headers: authHeaders() });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || `Export failed (${res.status})`);
+  }
+
+  await downloadResponse(res, "grid.moduli.json");
+  return true;
+}
+
+/**
+ * Uploads a bundle file; the server creates a new grid with fresh IDs
+ * @returns {Object} { gridId, counts }
+ */
+export async function importGridBundle({ file }) {
+  const formData = new FormData();
+  formData.append("file", file);
+
+  const res = await fetch("/api/v1/bundles", {
+    method: "POST",
+    body: formData,
+    headers: authHeaders(),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Import failed (${res.status})`);
+  return data;
+}
+
+// ---- occurrence windows ----
+/**
+ * Fetches a grid's dated occurrences in [start, end) without putting them
+ * in the store (the store only holds the windows on screen)
+ * @param {Object} params - { socket, gridId, start, end } (start/end as Dates)
+ * @returns {Promise<Array>} occurrences
+ */
+export function fetchOccurrencesInWindow({ socket, gridId, start, end, timeoutMs = 15000 }) {
+  return new Promise((resolve, reject) => {
+    const requestId = crypto.randomUUID();
+    const timer = setTimeout(() => {
+      socket.off("occurrences_loaded", onLoaded);
+      reject(new Error("Loading occurrences timed out"));
+    }, timeoutMs);
+
+    function onLoaded(payload = {}) {
+      if (payload.requestId !== requestId) return;
+      clearTimeout(timer);
+      socket.off("occurrences_loaded", onLoaded);
+      resolve(payload.occurrences || []);
+    }
+
+    socket.on("occurrences_loaded", onLoaded);
+    socket.emit("load_occurrences", { gridId, start: start.toISOString(), end: end.toISOString(), requestId });
+  });
+}
+
+// ---- csv export ----
+/**
+ * Downloads a field's transaction history as CSV
+ * @param {Object} params - { gridId, fieldId, start?, end? } (start/end as yyyy-mm-dd)
+ */
+export async function exportFieldTransactionsCsv({ gridId, fieldId, start, end }) {
+  if (!gridId || !fieldId) return false;
+  const params = new URLSearchParams();
+  if (start) params.set("start", new Date(`${start}T00:00:00`).toISOString());
+  if (end) params.set("end", new Date(`${end}T23:59:59.999`).toISOString());
+  const query = params.toString() ? `?${params}` : "";
+
+  const res = await fetch(`/api/v1/grids/${gridId}/fields/${fieldId}/transactions.csv${query}`, { headers: authHeaders() });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || `Export failed (${res.status})`);
+  }
+
+  await downloadResponse(res, "field-transactions.csv");
+  return true;
+}
+
+// ---- csv import ----
+/**
+ * Imports a CSV into a container using a column mapping. With dryRun the
+ * server only resolves the rows and returns a preview.
+ * @param {Object} params - { gridId, containerId, file, mapping, dryRun }
+ * @returns {Object} dry run: { headers, errors, summary, preview }; import: { summary, batchId }
+ */
+export async function importCsvFile({ gridId, containerId, file, mapping, dryRun = false }) {
+  const formData = new FormData();
+  formData.append("file", file);
+  formData.append("mapping", JSON.stringify(mapping));
+
+  const query = dryRun ? "?dryRun=1" : "";
+  const res = await fetch(`/api/v1/grids/${gridId}/containers/${containerId}/csv${query}`, {
+    method: "POST",
+    body: formData,
+    headers: authHeaders(),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Import failed (${res.status})`);
+  return data;
+}
+
+// ---- markdown import ----
+/**
+ * Uploads a .zip of Markdown notes (or one .md file) into a manifest folder.
+ * Folders, docs and artifacts arrive over the socket.
+ * @returns {Object} { counts: { folders, docs, artifacts }, unresolvedLinks }
+ */
+export async function importMarkdownFile({ gridId, manifestId, folderId, file }) {
+  const formData = new FormData();
+  formData.append("file", file);
+  if (folderId) formData.append("folderId", folderId);
+
+  const res = await fetch(`/api/v1/grids/${gridId}/manifests/${manifestId}/markdown`, {
+    method: "POST",
+    body: formData,
+    headers: authHeaders(),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Markdown import failed (${res.status})`);
+  return data;
+}
+
+// ---- calendar import ----
+/**
+ * Uploads an .ics file into a container. New events arrive over the socket
+ * (the server broadcasts to every window, this one included).
+ * @returns {Object} { created, updated, unchanged, skipped, durationFieldId }
+ */
+export async function importIcsFile({ gridId, containerId, file, durationFieldId }) {
+  const formData = new FormData();
+  formData.append("file", file);
+
+  const query = durationFieldId ? `?durationFieldId=${encodeURIComponent(durationFieldId)}` : "";
+  const res = await fetch(`/api/v1/grids/${gridId}/containers/${containerId}/ics${query}`, {
+    method: "POST",
+    body: formData,
+    headers: authHeaders(),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Calendar import failed (${res.status})`);
+  return data;
+}
@@ -0,0 +1,8 @@
+// helpers/CsvHelpers.js
+// ============================================================
+// CSV reading and writing lives in shared/csv.js so browser-side exports,
+// the import column mapper and the server encode and parse alike; this
+// re-export keeps client imports unchanged.
+// ============================================================
+
+export * from "../../../shared/csv.js";
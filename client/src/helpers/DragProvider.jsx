@@ -9,7 +9,8 @@
 // RESPONSIBILITIES:
 // - Track active drag payload
 // - Track hot target (what's being hovered)
-// - Handle drop commits (panel→cell, container→panel, instance→container)
+// - Handle drop commits (panel→cell, container→panel, instance→container,
+//   instance→timeline, instance→calendar day)
 // - Manage draft state for live previews
 // - Handle external/cross-window drops
 
@@ -24,6 +25,7 @@ import {
 } from "./dragSystem";
 import * as CommitHelpers from "./CommitHelpers";
 import * as LayoutHelpers from "./LayoutHelpers";
+import { DEFAULT_SLOT_MINUTES, getOccurrenceTimeSlot, startOfCalendarDate } from "./CalculationHelpers";
 
 // ============================================================
 // UTILITIES
@@ -71,6 +73,8 @@ export function DragProvider({
   colSizes = [],
   visiblePanels = [],
   onTick,
+  // Public panel links: draggables/droppables stay unregistered
+  readOnly = false,
 }) {
   // ============================================================
   // STATE
@@ -928,6 +932,74 @@ export function DragProvider({
       }
     }
 
+    // ============================================================
+    // INSTANCE → TIMELINE / CALENDAR DAY (sets the time slot or the day
+    // where it lands)
+    // ============================================================
+    const isTimelineDrop = dropTarget.type === "timeline";
+    if (payload?.type === DragType.INSTANCE && (isTimelineDrop || dropTarget.type === "calendar-day")) {
+      if (dropTarget.dataTransfer && parseExternalDrop(dropTarget.dataTransfer).isCrossWindow) {
+        return;
+      }
+
+      const target = dropTarget.context || {};
+      const sourceOcc = occurrencesById[payload.context?.occurrenceId];
+      const fromC = baseContainers.find((c) => c.id === payload.context?.containerId);
+      const column = isTimelineDrop && document.querySelector(`[data-drop-id="${dropTarget.id}"]`);
+      if (!sourceOcc || !fromC || (isTimelineDrop && !column)) {
+        clearSession();
+        return;
+      }
+
+      // On a timeline: keep the item's length, start it where the pointer
+      // is. On a day: keep its time.
+      const current = getOccurrenceTimeSlot(sourceOcc);
+      let slot = current;
+      if (isTimelineDrop) {
+        const length = current ? current.end - current.start : DEFAULT_SLOT_MINUTES;
+        const start = LayoutHelpers.getTimelineMinutes(column, y, target);
+        slot = { start, end: Math.min(24 * 60, start + length) };
+      }
+      const placeOnDate = (occurrence) => (isTimelineDrop
+        ? LayoutHelpers.scheduleOccurrence({ dispatch, socket, occurrence, slot, date: target.date, timeZone: target.timeZone })
+        : LayoutHelpers.setOccurrenceDate({ dispatch, socket, occurrence, date: target.date, timeZone: target.timeZone }));
+
+      const isCopyMode = sessionRef.current.mode === 'copy';
+      const isCopylinkMode = sessionRef.current.mode === 'copylink';
+      const toC = baseContainers.find((c) => c.id === target.containerId);
+
+      if ((target.containerIds || []).includes(fromC.id) || !toC) {
+        // Already in this view - just reschedule
+        placeOnDate(sourceOcc);
+      } else if (isCopyMode || isCopylinkMode) {
+        const copy = isCopylinkMode
+          ? LayoutHelpers.copylinkInstanceToContainer
+          : LayoutHelpers.copyInstanceToContainer;
+        copy({
+          dispatch,
+          socket,
+          gridId: state?.gridId || state?.grid?._id,
+          sourceInstanceId: payload.id,
+          sourceOccurrenceId: sourceOcc.id,
+          toContainer: toC,
+          userId: state?.userId,
+          emit: true,
+          iterationMode: "specific",
+          iterationValue: startOfCalendarDate(target.date, target.timeZone),
+          sourceOccurrence: sourceOcc,
+          timeSlot: slot,
+        });
+      } else {
+        LayoutHelpers.moveInstanceBetweenContainers({
+          dispatch, socket, fromContainer: fromC, toContainer: toC, occurrenceId: sourceOcc.id, emit: true,
+        });
+        placeOnDate(sourceOcc);
+      }
+
+      clearSession();
+      return;
+    }
+
     // ============================================================
     // INSTANCE → CONTAINER (MOVE BEHAVIOR - no duplication in same window)
     // ============================================================
@@ -1423,6 +1495,8 @@ export function DragProvider({
     // Hit testing
     getHoveredPanelId,
     getHoveredContainerId,
+
+    readOnly,
   }), [
     handleDragStart, handleDragMove, handleDragOver, handleDrop, handleDragEnd,
     activePayload, activeType, activeId, isDragging, hotTarget, panelOverCellId,
@@ -1430,6 +1504,7 @@ export function DragProvider({
     getWorkingPanels, getWorkingAllPanels, getWorkingContainers,
     getStacksByCell, getStackForPanel, setActivePanelInCell, cyclePanelStack,
     getHoveredPanelId, getHoveredContainerId,
+    readOnly,
   ]);
 
   return (
@@ -1,5 +1,15 @@
 // helpers/LayoutHelpers.js
 import * as CommitHelpers from "./CommitHelpers";
+import {
+  addCalendarDays,
+  getOccurrenceCalendarDate,
+  getPeriodBounds,
+  getRecurrenceDates,
+  occurrenceRecursOn,
+  startOfCalendarDate,
+  toCalendarDate,
+  withTimeSlot,
+} from "./CalculationHelpers";
 import { uid } from "../uid";
 
 // ============================================================================
@@ -44,33 +54,28 @@ export function getItemsByIds(ids, lookup) {
  * - "persistent" → always visible
  * - "specific"   → visible only when iteration date matches occurrence date (same day)
  * - "untilDone"  → visible until completedOn is set, then only on that date
+ * - "recurring"  → visible on the dates its recurrence rule picks
+ * Days are calendar dates in calendar.timeZone (see shared/calculations.js)
  */
-function occurrenceMatchesIteration(occ, currentIterationValue) {
+function occurrenceMatchesIteration(occ, currentIterationValue, calendar = {}) {
   if (!occ?.iteration) return true; // no iteration info = always show
   const mode = occ.iteration.mode;
   if (mode === "persistent") return true;
 
   if (!currentIterationValue) return true; // can't filter without a target date
 
-  const occDate = (occ.iteration.timeValue || occ.iteration.value) ? new Date(occ.iteration.timeValue || occ.iteration.value) : null;
-  const curDate = new Date(currentIterationValue);
+  if (mode === "recurring") return occurrenceRecursOn(occ, currentIterationValue, calendar);
 
-  if (!occDate) return true;
-
-  // Normalize to date-only comparison
-  const sameDay = (a, b) =>
-    a.getFullYear() === b.getFullYear() &&
-    a.getMonth() === b.getMonth() &&
-    a.getDate() === b.getDate();
+  if (!(occ.iteration.timeValue || occ.iteration.value || occ.iteration.date)) return true;
+  const curDay = toCalendarDate(currentIterationValue, calendar.timeZone);
 
   if (mode === "specific") {
-    return sameDay(occDate, curDate);
+    return getOccurrenceCalendarDate(occ, calendar.timeZone) === curDay;
   }
 
   if (mode === "untilDone") {
-    const completedOn = occ.iteration.completedOn ? new Date(occ.iteration.completedOn) : null;
-    if (!completedOn) return true; // not done yet → always visible
-    return sameDay(completedOn, curDate);
+    if (!occ.iteration.completedOn) return true; // not done yet → always visible
+    return toCalendarDate(occ.iteration.completedOn, calendar.timeZone) === curDay;
   }
 
   return true;
@@ -448,6 +453,11 @@ export function copyInstance({
   });
 }
 
+// Copies dropped on a timeline start out scheduled
+function withOptionalTimeSlot(iteration, timeSlot) {
+  return timeSlot ? withTimeSlot(iteration, timeSlot) : iteration;
+}
+
 /**
  * Creates a new occurrence for an existing instance in a container
  * Used for "copy-drag" mode where the same instance appears in multiple places
@@ -470,6 +480,7 @@ export function copyInstanceToContainer({
   iterationMode = "specific",  // Default: specific to this iteration
   iterationValue = null,       // The date for this occurrence
   sourceOccurrence = null,     // Source occurrence to copy field values from
+  timeSlot = null,             // { start, end } minutes within that date (timeline drops)
 }) {
   if (!gridId || !sourceInstanceId || !toContainer || !userId) return null;
 
@@ -496,11 +507,11 @@ export function copyInstanceToContainer({
     targetType: "instance",
     targetId: sourceInstanceId,
     gridId,
-    iteration: {
+    iteration: withOptionalTimeSlot({
       key: "time",
       value: dateValue,
       mode: iterationMode,  // 'persistent', 'specific', or 'untilDone'
-    },
+    }, timeSlot),
     timestamp: new Date(),
     fields: copiedFields,
     meta: { containerId },
@@ -540,6 +551,7 @@ export function copylinkInstanceToContainer({
   iterationMode = "specific",
   iterationValue = null,
   sourceOccurrence = null,
+  timeSlot = null,
 }) {
   if (!gridId || !sourceInstanceId || !toContainer || !userId) return null;
 
@@ -566,11 +578,11 @@ export function copylinkInstanceToContainer({
     targetType: "instance",
     targetId: sourceInstanceId,
     gridId,
-    iteration: {
+    iteration: withOptionalTimeSlot({
       key: "time",
       value: dateValue,
       mode: iterationMode,
-    },
+    }, timeSlot),
     timestamp: new Date(),
     fields: copiedFields,
     linkedGroupId,
@@ -872,6 +884,295 @@ export function moveInstanceBetweenContainers({
   CommitHelpers.updateContainer({ dispatch, socket, container: nextTo, emit });
 }
 
+// ============================================================================
+// RECURRENCE: series dates shown, overridden and skipped
+// ============================================================================
+
+/**
+ * Period a container shows: its own iteration (LocalIterationNav), else its
+ * panel's, else the grid's
+ * @param {Object} params
+ * @param {Object} params.containerOccurrence - The container's occurrence
+ * @param {Object} params.panelOccurrence - The panel's occurrence
+ * @param {string} params.timeFilter - The grid's selected time filter
+ * @param {Date|string} params.date - The grid's current iteration date
+ * @param {Object} [params.calendar] - { timeZone, weekStart } (getStateCalendar)
+ * @returns {Object} { timeFilter, date, calendar }
+ */
+export function resolveViewedPeriod({ containerOccurrence, panelOccurrence, timeFilter, date, calendar = {} }) {
+  for (const occ of [containerOccurrence, panelOccurrence]) {
+    const iteration = occ?.iteration;
+    if (iteration?.inheritMode === "own") {
+      return {
+        timeFilter: iteration.timeFilter || timeFilter,
+        date: iteration.timeValue || iteration.value || date,
+        calendar,
+      };
+    }
+  }
+  return { timeFilter, date, calendar };
+}
+
+/**
+ * The series date a recurring occurrence stands for in a period: the first
+ * one that doesn't have its own occurrence yet
+ * @param {Object} occ - Occurrence with iteration.mode "recurring"
+ * @param {Object} period - { timeFilter, date, calendar }
+ * @returns {string|null} "YYYY-MM-DD", or null when none falls in the period
+ */
+export function getRecurrenceDateInPeriod(occ, { timeFilter, date, calendar = {} } = {}) {
+  const bounds = date && getPeriodBounds(timeFilter, date, calendar);
+  if (!bounds) return null;
+  const [first] = getRecurrenceDates(occ, bounds.start, bounds.end, calendar);
+  return first || null;
+}
+
+/**
+ * Whether a recurring series, or a date overridden from one, belongs in a
+ * period. Series show when one of their dates falls in it; overrides only
+ * in the period of their own date. Other occurrences always belong.
+ * @param {Object} occ - Occurrence
+ * @param {Object} period - { timeFilter, date, calendar }
+ * @returns {boolean}
+ */
+export function recurrenceShowsInPeriod(occ, { timeFilter, date, calendar = {} } = {}) {
+  const bounds = date && getPeriodBounds(timeFilter, date, calendar);
+  if (!bounds) return true;
+  if (occ?.iteration?.mode === "recurring") return getRecurrenceDateInPeriod(occ, { timeFilter, date, calendar }) !== null;
+
+  const overrideDate = occ?.meta?.recurrence?.date;
+  if (!overrideDate) return true;
+  return overrideDate >= bounds.start && overrideDate < bounds.end;
+}
+
+function setRecurrenceExDate({ dispatch, socket, series, date, skipped, emit }) {
+  const recurrence = series.iteration?.recurrence || {};
+  const exDates = removeId(recurrence.exDates || [], date);
+  CommitHelpers.updateOccurrence({
+    dispatch,
+    socket,
+    occurrence: {
+      id: series.id,
+      iteration: {
+        ...series.iteration,
+        recurrence: { ...recurrence, exDates: skipped ? [...exDates, date].sort() : exDates },
+      },
+    },
+    emit,
+  });
+}
+
+/**
+ * Gives one date of a recurring series its own occurrence (field values,
+ * completion), placed right after the series in its container. The series
+ * stops showing on that date.
+ * @param {Object} params
+ * @param {Object} params.container - Container holding the series
+ * @param {Object} params.series - Occurrence with iteration.mode "recurring"
+ * @param {string} params.date - Series date ("YYYY-MM-DD")
+ * @param {Object} [params.fields] - Field values for the date (defaults to the series')
+ * @param {string} [params.timeZone] - Viewer's zone (the override's time is midnight in it)
+ * @returns {Object} The new occurrence
+ */
+export function overrideRecurrenceDate({ dispatch, socket, container, series, date, fields, timeZone, emit = true }) {
+  if (!container || !series?.id || !date) return null;
+
+  const dayDate = startOfCalendarDate(date, timeZone);
+  const { recurrence, completedOn, ...iteration } = series.iteration || {};
+
+  const occurrence = {
+    id: uid(),
+    userId: series.userId,
+    targetType: "instance",
+    targetId: series.targetId,
+    gridId: series.gridId,
+    iteration: { ...iteration, key: "time", value: dayDate, timeValue: dayDate, date, timeZone, mode: "specific" },
+    timestamp: new Date(),
+    fields: fields || JSON.parse(JSON.stringify(series.fields || {})),
+    meta: { ...(series.meta || {}), recurrence: { seriesId: series.id, date } },
+  };
+  CommitHelpers.createOccurrence({ dispatch, socket, occurrence, emit });
+
+  const index = (container.occurrences || []).indexOf(series.id);
+  addInstanceToContainer({
+    dispatch,
+    socket,
+    container,
+    occurrenceId: occurrence.id,
+    index: index >= 0 ? index + 1 : null,
+    emit,
+  });
+
+  setRecurrenceExDate({ dispatch, socket, series, date, skipped: true, emit });
+  return occurrence;
+}
+
+/**
+ * Skips (or un-skips) one date of a recurring series
+ * @param {Object} params
+ * @param {Object} params.series - Occurrence with iteration.mode "recurring"
+ * @param {string} params.date - Series date ("YYYY-MM-DD")
+ * @param {boolean} [params.skipped] - false brings the date back
+ */
+export function skipRecurrenceDate({ dispatch, socket, series, date, skipped = true, emit = true }) {
+  if (!series?.id || !date) return;
+  setRecurrenceExDate({ dispatch, socket, series, date, skipped, emit });
+}
+
+/**
+ * Deletes a date's own occurrence. With restore the series shows on that
+ * date again; without it the date stays skipped.
+ * @param {Object} params
+ * @param {Object} params.container - Container holding the override
+ * @param {Object} params.override - Occurrence with meta.recurrence
+ * @param {Object} [params.series] - The series it was made from
+ * @param {boolean} [params.restore]
+ */
+export function removeRecurrenceOverride({ dispatch, socket, container, override, series, restore = false, emit = true }) {
+  if (!override?.id) return;
+
+  removeInstanceFromContainer({ dispatch, socket, container, occurrenceId: override.id, emit });
+  CommitHelpers.deleteOccurrence({ dispatch, socket, occurrenceId: override.id, emit });
+
+  const date = override.meta?.recurrence?.date;
+  if (restore && series?.id && date) {
+    setRecurrenceExDate({ dispatch, socket, series, date, skipped: false, emit });
+  }
+}
+
+// ============================================================================
+// TIME OF DAY: timeline scheduling
+// ============================================================================
+
+/**
+ * Minutes since midnight under the pointer in a timeline day column,
+ * snapped and kept inside the day
+ * @param {Element} column - The column element (its top is 00:00)
+ * @param {number} clientY - Pointer position
+ * @param {Object} scale - { pxPerMinute, snapMinutes }
+ * @returns {number}
+ */
+export function getTimelineMinutes(column, clientY, { pxPerMinute, snapMinutes = 15 }) {
+  const rect = column.getBoundingClientRect();
+  const minutes = Math.round((clientY - rect.top) / pxPerMinute / snapMinutes) * snapMinutes;
+  return Math.min(24 * 60 - snapMinutes, Math.max(0, minutes));
+}
+
+/**
+ * Puts an occurrence in a slot of a day, or unschedules it with a null slot.
+ * A "specific" occurrence dated another day moves to that day; persistent
+ * and recurring ones keep their dates and take the time on every day.
+ * @param {Object} params
+ * @param {Object} params.occurrence - Instance occurrence
+ * @param {Object|null} params.slot - { start, end } in minutes
+ * @param {string} [params.date] - Day of the timeline ("YYYY-MM-DD")
+ * @param {string} [params.timeZone] - Viewer's zone
+ */
+export function scheduleOccurrence({ dispatch, socket, occurrence, slot, date, timeZone, emit = true }) {
+  if (!occurrence?.id) return;
+
+  let iteration = withTimeSlot(occurrence.iteration, slot);
+  const mode = iteration.mode || "specific";
+  if (date && mode === "specific" && getOccurrenceCalendarDate(occurrence, timeZone) !== date) {
+    iteration = onCalendarDate(iteration, date, timeZone);
+  }
+
+  CommitHelpers.updateOccurrence({ dispatch, socket, occurrence: { id: occurrence.id, iteration }, emit });
+}
+
+function onCalendarDate(iteration, date, timeZone) {
+  const dayDate = startOfCalendarDate(date, timeZone);
+  return { ...iteration, key: "time", value: dayDate, timeValue: dayDate, date, timeZone };
+}
+
+// ============================================================================
+// CALENDAR VIEW: month/week grids of days
+// ============================================================================
+
+/**
+ * Days a calendar view shows around a date: its week, or its month padded
+ * out to whole weeks
+ * @param {string} range - "month" or "week"
+ * @param {Date|string} date - Any date in the period
+ * @param {Object} calendar - { timeZone, weekStart } (getStateCalendar)
+ * @returns {Array<string>} "YYYY-MM-DD", in order
+ */
+export function getCalendarViewDays(range, date, calendar = {}) {
+  const period = getPeriodBounds(range === "week" ? "weekly" : "monthly", date, calendar);
+  if (!period) return [];
+
+  let { start, end } = period;
+  if (range !== "week") {
+    start = getPeriodBounds("weekly", start, calendar).start;
+    end = getPeriodBounds("weekly", addCalendarDays(end, -1), calendar).end;
+  }
+
+  const days = [];
+  for (let day = start; day < end; day = addCalendarDays(day, 1)) days.push(day);
+  return days;
+}
+
+/**
+ * Instants a calendar view covers (what has to be loaded for it)
+ * @returns {Object|null} { start, end } Dates
+ */
+export function getCalendarViewWindow(range, date, calendar = {}) {
+  const days = getCalendarViewDays(range, date, calendar);
+  if (!days.length) return null;
+  return {
+    start: startOfCalendarDate(days[0], calendar.timeZone),
+    end: startOfCalendarDate(addCalendarDays(days[days.length - 1], 1), calendar.timeZone),
+  };
+}
+
+/**
+ * Moves a dated occurrence to another day, keeping its time slot
+ * @param {Object} params
+ * @param {Object} params.occurrence - Instance occurrence (not a recurring series)
+ * @param {string} params.date - "YYYY-MM-DD"
+ * @param {string} [params.timeZone] - Viewer's zone
+ */
+export function setOccurrenceDate({ dispatch, socket, occurrence, date, timeZone, emit = true }) {
+  if (!occurrence?.id || !date || occurrence.iteration?.mode === "recurring") return;
+  if (getOccurrenceCalendarDate(occurrence, timeZone) === date) return;
+
+  CommitHelpers.updateOccurrence({
+    dispatch,
+    socket,
+    occurrence: { id: occurrence.id, iteration: onCalendarDate(occurrence.iteration || {}, date, timeZone) },
+    emit,
+  });
+}
+
+/**
+ * Occurrences of containers by the calendar day they fall on. Recurring
+ * series appear on each of their dates; persistent items have no day.
+ * @param {Array} containers - The view's containers
+ * @param {Array<string>} days - getCalendarViewDays
+ * @returns {Object} day -> [{ instance, occurrence, containerId, recurrenceDate }]
+ */
+export function getOccurrencesByCalendarDay(containers, occurrencesById, instancesById, days, calendar = {}) {
+  const byDay = Object.fromEntries(days.map(day => [day, []]));
+  if (!days.length) return byDay;
+  const end = addCalendarDays(days[days.length - 1], 1);
+
+  for (const container of containers) {
+    for (const item of getContainerItemsWithOccurrences(container, occurrencesById, instancesById)) {
+      const entry = { ...item, containerId: container.id, recurrenceDate: null };
+      const mode = item.occurrence.iteration?.mode || "specific";
+      if (mode === "persistent") continue;
+      if (mode === "recurring") {
+        for (const day of getRecurrenceDates(item.occurrence, days[0], end, calendar)) {
+          byDay[day]?.push({ ...entry, recurrenceDate: day });
+        }
+        continue;
+      }
+      byDay[getOccurrenceCalendarDate(item.occurrence, calendar.timeZone)]?.push(entry);
+    }
+  }
+  return byDay;
+}
+
 // ============================================================================
 // GRID RESIZE
 // ============================================================================
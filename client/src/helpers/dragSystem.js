@@ -194,7 +194,7 @@ export function useDraggable({
 
   useEffect(() => {
     const el = ref.current;
-    if (!el || disabled) return;
+    if (!el || disabled || dragCtx.readOnly) return;
 
     const payload = createPayload(type, id, data, context);
 
@@ -272,7 +272,7 @@ export function useDroppable({
 
   useEffect(() => {
     const el = ref.current;
-    if (!el || disabled) return;
+    if (!el || disabled || dragCtx.readOnly) return;
 
     const canAccept = (source) => {
       const dragType = source?.data?.type;
@@ -401,7 +401,7 @@ export function useDragDrop({
 
   useEffect(() => {
     const el = ref.current;
-    if (!el || disabled) return;
+    if (!el || disabled || dragCtx.readOnly) return;
 
     const payload = createPayload(type, id, data, context);
 
@@ -0,0 +1,128 @@
+// hooks/useOccurrenceWindows.js
+// ============================================================
+// Keeps the iteration windows on screen loaded
+// full_state only carries the dated occurrences of the period the grid is
+// viewing. When IterationNav moves, or a panel/container with its own
+// iteration (LocalIterationNav) moves, this asks the server for the new
+// period (load_occurrences) and drops periods that are far from every
+// view (EVICT_OCCURRENCES). Calendar views need the whole month or week
+// around the grid's date. Persistent and not-yet-done occurrences are
+// always loaded and never evicted.
+// ============================================================
+
+import { useEffect, useMemo, useRef } from "react";
+import { ActionTypes } from "../state/actions";
+import { getIterationWindow, getStateCalendar } from "../helpers/CalculationHelpers";
+import { getCalendarViewWindow } from "../helpers/LayoutHelpers";
+
+// Loaded windows within this distance of a viewed one are kept
+const KEEP_NEARBY_MS = 60 * 24 * 60 * 60 * 1000;
+
+const windowKey = (w) => `${w.start}|${w.end}`;
+
+function toWire(window) {
+  return window && { start: window.start.toISOString(), end: window.end.toISOString() };
+}
+
+/**
+ * Windows on screen: the grid's, plus each panel/container with its own
+ * iteration and each panel showing a calendar view
+ * @returns {Array} [{ start, end }] as ISO strings; a null entry means "all"
+ */
+function getViewedWindows(occurrences, calendarViews, gridId, timeFilter, date, calendar) {
+  const windows = [toWire(getIterationWindow(timeFilter, date, calendar))];
+  for (const occ of occurrences) {
+    if (occ.gridId !== gridId || (occ.targetType !== "panel" && occ.targetType !== "container")) continue;
+    const iteration = occ.iteration;
+    if (iteration?.inheritMode !== "own") continue;
+    windows.push(toWire(getIterationWindow(
+      iteration.timeFilter || timeFilter,
+      iteration.timeValue || iteration.value || date,
+      calendar
+    )));
+  }
+  for (const view of calendarViews) {
+    windows.push(toWire(getCalendarViewWindow(view.calendarRange, date, calendar)));
+  }
+  return windows;
+}
+
+/**
+ * useOccurrenceWindows - Loads and evicts occurrences by iteration window
+ *
+ * @param {Object} params - Parameters
+ * @param {Object} params.socket - Socket.io client instance
+ * @param {Function} params.dispatch - Store dispatch
+ * @param {Object} params.state - Board state (gridId, occurrences, occurrenceWindows, panels, views, timeZone, grid)
+ * @param {string} params.timeFilter - The grid's selected iteration time filter
+ * @param {Date} params.date - The grid's current iteration date
+ */
+export function useOccurrenceWindows({ socket, dispatch, state, timeFilter, date }) {
+  const { gridId, occurrences = [], occurrenceWindows, panels = [], views = [] } = state;
+  const { timeZone, weekStart } = getStateCalendar(state);
+
+  // Window keys asked for and not merged yet
+  const pendingRef = useRef(new Set());
+
+  useEffect(() => {
+    pendingRef.current = new Set();
+  }, [gridId]);
+
+  // Replies in flight when the connection dropped won't come
+  useEffect(() => {
+    if (!socket) return;
+    const onConnect = () => pendingRef.current.clear();
+    socket.on("connect", onConnect);
+    return () => socket.off("connect", onConnect);
+  }, [socket]);
+
+  // Calendar views of this grid's panels
+  const calendarViews = useMemo(
+    () => views.filter((v) => v.viewType === "calendar" && panels.some((p) => p.viewId === v.id)),
+    [views, panels]
+  );
+
+  const viewed = useMemo(
+    () => getViewedWindows(occurrences, calendarViews, gridId, timeFilter, date, { timeZone, weekStart }),
+    [occurrences, calendarViews, gridId, timeFilter, date, timeZone, weekStart]
+  );
+  // Only re-run the effect when the windows themselves change
+  const viewedKey = viewed.map((w) => (w ? windowKey(w) : "all")).join(",");
+
+  useEffect(() => {
+    if (!socket || !gridId) return;
+    if (!occurrenceWindows) {
+      // Everything is loaded
+      pendingRef.current.clear();
+      return;
+    }
+
+    const loaded = occurrenceWindows.map((w) => ({ ...w, from: Date.parse(w.start), to: Date.parse(w.end) }));
+    const covered = (w) => loaded.some((l) => l.from <= Date.parse(w.start) && l.to >= Date.parse(w.end));
+
+    for (const w of loaded) pendingRef.current.delete(windowKey(w));
+
+    // ---- load what's on screen
+    for (const w of viewed) {
+      const key = w ? windowKey(w) : "all";
+      if ((w && covered(w)) || pendingRef.current.has(key)) continue;
+      pendingRef.current.add(key);
+      socket.emit("load_occurrences", w ? { gridId, ...w } : { gridId, all: true });
+    }
+
+    // ---- evict what's far from every view
+    const views = viewed.filter(Boolean);
+    if (views.length < viewed.length) return;
+    for (const w of loaded) {
+      const near = views.some((v) =>
+        w.to > Date.parse(v.start) - KEEP_NEARBY_MS && w.from < Date.parse(v.end) + KEEP_NEARBY_MS
+      );
+      if (!near) {
+        dispatch({ type: ActionTypes.EVICT_OCCURRENCES, payload: { window: { start: w.start, end: w.end } } });
+      }
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [socket, dispatch, gridId, occurrenceWindows, viewedKey]);
+}
+
+export default useOccurrenceWindows;
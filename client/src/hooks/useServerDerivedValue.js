@@ -0,0 +1,90 @@
+// hooks/useServerDerivedValue.js
+// ============================================================
+// Derived field values the client can't compute from what it holds
+// Legacy single-field metrics span all time (or a range relative to
+// today), so once occurrences load by iteration window
+// (useOccurrenceWindows) the client no longer has their inputs; and
+// "transactions" metrics never had them. Those are asked of the server
+// (get_derived_value), which reads every occurrence and the materialized
+// field aggregates. Everything else is still computed locally, except on
+// public panels (serverDerivedValues), which only hold the panel's own
+// occurrences and ask for every derived value.
+// ============================================================
+
+import { useContext, useEffect, useState } from "react";
+import { GridActionsContext } from "../GridActionsContext";
+import { toCalendarDate } from "../helpers/CalculationHelpers";
+
+// Edits come in bursts; ask once they settle
+const REQUEST_DELAY_MS = 300;
+
+/**
+ * Whether a derived field's value has to come from the server
+ * @param {Object} field - Field definition
+ * @param {Array|null} occurrenceWindows - Loaded windows (null = everything is loaded)
+ * @returns {boolean}
+ */
+export function needsServerDerivedValue(field, occurrenceWindows) {
+  const metric = field?.mode === "derived" ? field.metric : null;
+  if (!metric) return false;
+  if (metric.source === "transactions") return true;
+  const isLegacy = !(metric.allowedFields?.length > 0) && Boolean(metric.fieldId);
+  return isLegacy && Boolean(occurrenceWindows);
+}
+
+/**
+ * useServerDerivedValue - A derived field's value from the server, when needed
+ *
+ * @param {Object} field - Field definition
+ * @param {Object} state - GridDataContext state
+ * @param {Object} context - { panelId, containerId, instanceId }
+ * @returns {Object} { enabled, value } - enabled: use value instead of computing locally
+ */
+export function useServerDerivedValue(field, state, context) {
+  const { socket, readOnly, serverDerivedValues } = useContext(GridActionsContext) || {};
+  const enabled = Boolean(
+    socket && state?.gridId && field?.mode === "derived" &&
+    (serverDerivedValues || (!readOnly && needsServerDerivedValue(field, state.occurrenceWindows)))
+  );
+  const [value, setValue] = useState(null);
+
+  // The viewed day, so the server reads the same period whatever its zone
+  const date = state?.currentIterationValue ? toCalendarDate(state.currentIterationValue, state.timeZone || undefined) : undefined;
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const requestId = crypto.randomUUID();
+    const onValue = (payload = {}) => {
+      if (payload.requestId === requestId) setValue(payload.value);
+    };
+    socket.on("derived_value", onValue);
+
+    const timer = setTimeout(() => {
+      socket.emit("get_derived_value", {
+        gridId: state.gridId,
+        fieldId: field.id,
+        date,
+        iterationId: state.selectedIterationId,
+        categoryKey: state.selectedCategoryId || undefined,
+        categoryValue: state.currentCategoryValue || undefined,
+        panelId: context?.panelId,
+        containerId: context?.containerId,
+        instanceId: context?.instanceId,
+        requestId,
+      });
+    }, REQUEST_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      socket.off("derived_value", onValue);
+    };
+    // Occurrence edits can change the value, so they ask again too (softTick:
+    // public panels are told when data outside the panel changed)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [enabled, socket, state?.gridId, field, date, state?.selectedIterationId, state?.selectedCategoryId, state?.currentCategoryValue, context?.panelId, context?.containerId, context?.instanceId, state?.occurrences, state?.softTick]);
+
+  return { enabled, value };
+}
+
+export default useServerDerivedValue;
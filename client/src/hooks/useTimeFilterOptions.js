@@ -0,0 +1,23 @@
+// hooks/useTimeFilterOptions.js
+// ============================================================
+// Time filter picker options with the grid's custom periods appended
+// ============================================================
+
+import { useContext, useMemo } from "react";
+import { GridActionsContext } from "../GridActionsContext";
+import { getCustomTimeFilterOptions } from "../helpers/CalculationHelpers";
+
+/**
+ * @param {Array} baseOptions - Built-in options [{ value, label }] (module constant)
+ * @returns {Array} baseOptions followed by one option per grid.periods entry
+ */
+export function useTimeFilterOptions(baseOptions) {
+  const { state } = useContext(GridActionsContext);
+  const periods = state?.grid?.periods;
+  return useMemo(
+    () => [...baseOptions, ...getCustomTimeFilterOptions(periods)],
+    [baseOptions, periods]
+  );
+}
+
+export default useTimeFilterOptions;
@@ -1,10 +1,21 @@
-import React from 'react';
+import React, { Suspense, lazy } from 'react';
 import ReactDOM from 'react-dom/client';
 import "./index.css";
-import App from './App';
 import reportWebVitals from './reportWebVitals';
 
-ReactDOM.createRoot(document.getElementById("root")).render(<App />);
+// Public panel links and embeds get their own read-only app; loading App
+// would open the signed-in socket connection
+const [, publicMode, publicPanelToken] = window.location.pathname.match(/^\/(share|embed)\/panel\/([^/]+)\/?$/) || [];
+const App = lazy(() => import('./App'));
+const PublicPanel = lazy(() => import('./PublicPanel'));
+
+ReactDOM.createRoot(document.getElementById("root")).render(
+  <Suspense fallback={null}>
+    {publicPanelToken
+      ? <PublicPanel token={decodeURIComponent(publicPanelToken)} embedded={publicMode === "embed"} />
+      : <App />}
+  </Suspense>
+);
 
 
 // If you want to start measuring performance in your app, pass a function
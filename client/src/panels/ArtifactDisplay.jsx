@@ -6,13 +6,18 @@
 // ============================================================
 
 import React, { useState, useMemo, useCallback, useContext, useRef, useEffect } from "react";
-import { ChevronRight, ChevronDown, FileText, Folder, FolderOpen, Plus, Calendar, Image, Film, Music, File, Upload, FolderPlus } from "lucide-react";
+import { ChevronRight, ChevronDown, FileText, Folder, FolderOpen, Plus, Calendar, Image, Film, Music, File, Upload, FolderPlus, Download, FileUp } from "lucide-react";
 import { uid } from "../uid";
 import { Button } from "@/components/ui/button";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import { toast } from "../components/ui/sonner";
 import { GridActionsContext } from "../GridActionsContext";
 import DocContainer from "../docs/DocContainer";
 import MediaContainer from "./MediaContainer";
 import * as CommitHelpers from "../helpers/CommitHelpers";
+import { createZip } from "../helpers/ZipHelpers";
+import { planMarkdownExport } from "../docs/markdownExport";
+import { computeFieldPillValue } from "../docs/hooks/useDocFieldValues";
 import { dropTargetForElements } from "@atlaskit/pragmatic-drag-and-drop/element/adapter";
 import { attachClosestEdge, extractClosestEdge } from "@atlaskit/pragmatic-drag-and-drop-hitbox/closest-edge";
 
@@ -212,8 +217,23 @@ function ArtifactSidebar({
   collapsed,
   onToggleCollapse,
   onDropOnItem,
+  exportTargets = [],
+  onExport,
+  onImportMarkdown,
 }) {
   const [expandedIds, setExpandedIds] = useState(new Set());
+  const importInputRef = useRef(null);
+  const [pillMode, setPillMode] = useState("values");
+  const [exporting, setExporting] = useState(false);
+
+  const runExport = async (target) => {
+    setExporting(true);
+    try {
+      await onExport?.(target, pillMode);
+    } finally {
+      setExporting(false);
+    }
+  };
 
   // Auto-expand root-level folders
   useEffect(() => {
@@ -254,6 +274,68 @@ function ArtifactSidebar({
       <div className="flex items-center justify-between px-2 py-1.5 border-b border-border">
         <span className="text-xs font-medium text-muted-foreground">Files</span>
         <div className="flex items-center gap-1">
+          {exportTargets.length > 0 && (
+            <Popover>
+              <PopoverTrigger asChild>
+                <Button variant="ghost" size="sm" className="h-5 w-5 p-0" title="Export as Markdown">
+                  <Download className="w-3 h-3" />
+                </Button>
+              </PopoverTrigger>
+              <PopoverContent className="w-56 space-y-2 text-xs" align="end">
+                <div className="font-medium">Export as Markdown</div>
+                <div className="flex gap-1">
+                  {[["values", "Field values"], ["tokens", "{{field}} tokens"]].map(([mode, label]) => (
+                    <Button
+                      key={mode}
+                      size="sm"
+                      variant={pillMode === mode ? "default" : "outline"}
+                      className="h-6 flex-1 text-[10px] px-1"
+                      onClick={() => setPillMode(mode)}
+                    >
+                      {label}
+                    </Button>
+                  ))}
+                </div>
+                {exportTargets.map((target) => (
+                  <Button
+                    key={`${target.type}:${target.id}`}
+                    size="sm"
+                    variant="ghost"
+                    className="h-7 w-full justify-start text-xs"
+                    disabled={exporting}
+                    onClick={() => runExport(target)}
+                  >
+                    {target.type === "doc" ? <FileText className="w-3 h-3 mr-1" /> : <Folder className="w-3 h-3 mr-1" />}
+                    <span className="truncate">{target.label}</span>
+                  </Button>
+                ))}
+              </PopoverContent>
+            </Popover>
+          )}
+          {onImportMarkdown && (
+            <>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => importInputRef.current?.click()}
+                className="h-5 w-5 p-0"
+                title="Import Markdown (.zip or .md)"
+              >
+                <FileUp className="w-3 h-3" />
+              </Button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept=".zip,.md,.markdown,application/zip,text/markdown"
+                className="hidden"
+                onChange={(e) => {
+                  const file = e.target.files?.[0];
+                  e.target.value = "";
+                  if (file) onImportMarkdown(file);
+                }}
+              />
+            </>
+          )}
           <Button
             variant="ghost"
             size="sm"
@@ -386,6 +468,9 @@ export default function ArtifactDisplay({
     docsById,
     foldersById,
     artifactsById,
+    manifestsById,
+    instancesById,
+    fieldsById,
     state,
   } = useContext(GridActionsContext);
 
@@ -1028,13 +1113,12 @@ export default function ArtifactDisplay({
   const handleUploadFile = useCallback(async (file) => {
     await CommitHelpers.uploadFile({
       file,
-      userId,
       gridId,
       folderId: effectiveFolderId,
       manifestId: manifest?.id,
       dispatch,
     });
-  }, [userId, gridId, effectiveFolderId, manifest, dispatch]);
+  }, [gridId, effectiveFolderId, manifest, dispatch]);
 
   const handleCreateSubfolder = useCallback(() => {
     const newFolder = {
@@ -1083,6 +1167,72 @@ export default function ArtifactDisplay({
     setSelectedItemType("doc");
   }, [userId, gridId, manifest, effectiveFolderId, dispatch, socket]);
 
+  // ============================================================
+  // MARKDOWN EXPORT — selected doc, current folder or whole manifest
+  // ============================================================
+  const exportTargets = useMemo(() => {
+    const targets = [];
+    if (selectedDoc) targets.push({ type: "doc", id: selectedDoc.id, label: selectedDoc.title || "Untitled" });
+    if (selectedFolder && selectedFolder.id !== manifest?.rootFolderId) {
+      targets.push({ type: "folder", id: selectedFolder.id, label: `${selectedFolder.name || "Folder"} (zip)` });
+    }
+    if (manifest?.rootFolderId) targets.push({ type: "manifest", id: manifest.id, label: "Everything (zip)" });
+    return targets;
+  }, [selectedDoc, selectedFolder, manifest]);
+
+  const handleExportMarkdown = useCallback(async (target, pillMode) => {
+    const plan = planMarkdownExport({
+      target,
+      pillMode,
+      lookups: { docsById, foldersById, artifactsById, manifestsById, instancesById, fieldsById, occurrencesById },
+      fieldValue: (field) => computeFieldPillValue(field, { state, occurrencesById }).displayValue,
+    });
+
+    if (target.type === "doc") {
+      const [file] = plan.files;
+      CommitHelpers.downloadBlob(new Blob([file?.text || ""], { type: "text/markdown" }), `${plan.name}.md`);
+      return;
+    }
+
+    const missing = [];
+    const entries = [];
+    for (const file of plan.files) {
+      if (!file.artifact) {
+        entries.push({ path: file.path, data: file.text });
+        continue;
+      }
+      try {
+        const res = await fetch(file.artifact.storagePath);
+        if (!res.ok) throw new Error(res.statusText);
+        entries.push({ path: file.path, data: new Uint8Array(await res.arrayBuffer()) });
+      } catch {
+        missing.push(file.artifact.name || file.path);
+      }
+    }
+
+    CommitHelpers.downloadBlob(createZip(entries), `${plan.name}.zip`);
+    if (missing.length > 0) toast.error(`Couldn't include ${missing.length} file(s): ${missing.slice(0, 3).join(", ")}`);
+  }, [docsById, foldersById, artifactsById, manifestsById, instancesById, fieldsById, occurrencesById, state]);
+
+  // Notes land in the folder being viewed (the root in tree mode)
+  const handleImportMarkdown = useCallback(async (file) => {
+    const toastId = toast.loading(`Importing ${file.name}…`);
+    try {
+      const { counts, unresolvedLinks } = await CommitHelpers.importMarkdownFile({
+        gridId,
+        manifestId: manifest.id,
+        folderId: effectiveFolderId,
+        file,
+      });
+      toast.success(`Imported ${counts.docs} notes, ${counts.folders} folders and ${counts.artifacts} files`, { id: toastId });
+      if (unresolvedLinks.length > 0) {
+        toast.warning(`${unresolvedLinks.length} links had no matching note: ${unresolvedLinks.slice(0, 3).join(", ")}`);
+      }
+    } catch (err) {
+      toast.error(err.message, { id: toastId });
+    }
+  }, [gridId, manifest, effectiveFolderId]);
+
   // ============================================================
   // RENDER — content area based on selected item type
   // ============================================================
@@ -1169,6 +1319,9 @@ export default function ArtifactDisplay({
           collapsed={sidebarCollapsed}
           onToggleCollapse={() => setSidebarCollapsed((v) => !v)}
           onDropOnItem={handleDropOnItem}
+          exportTargets={exportTargets}
+          onExport={handleExportMarkdown}
+          onImportMarkdown={manifest?.rootFolderId ? handleImportMarkdown : undefined}
         />
       )}
 
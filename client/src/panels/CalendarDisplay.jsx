@@ -0,0 +1,239 @@
+// panels/CalendarDisplay.jsx
+// ============================================================
+// Calendar view: the panel's dated items in a month or week grid around
+// the grid's current date (view.calendarRange). Dragging an item to another
+// day re-dates it (DragProvider, INSTANCE → CALENDAR DAY); clicking a day
+// moves the whole grid to it. Recurring series show on each of their dates.
+// ============================================================
+
+import React, { useContext, useMemo } from "react";
+import { ChevronLeft, ChevronRight, Repeat } from "lucide-react";
+import { GridActionsContext } from "../GridActionsContext";
+import * as CommitHelpers from "../helpers/CommitHelpers";
+import { useDraggable, useDroppable, useDragContext, DragType } from "../helpers/dragSystem";
+import { getCalendarViewDays, getOccurrencesByCalendarDay } from "../helpers/LayoutHelpers";
+import {
+  formatTimeOfDay,
+  getOccurrenceTimeSlot,
+  getStateCalendar,
+  shiftPeriod,
+  startOfCalendarDate,
+  toCalendarDate,
+} from "../helpers/CalculationHelpers";
+
+// Items a month cell lists before "+N more"
+const MONTH_CELL_ITEMS = 3;
+
+function formatCalendarDate(key, options) {
+  return new Date(`${key}T12:00:00Z`).toLocaleDateString(undefined, { ...options, timeZone: "UTC" });
+}
+
+// All-day items first, then by start time
+function byTimeOfDay(a, b) {
+  const sa = getOccurrenceTimeSlot(a.occurrence);
+  const sb = getOccurrenceTimeSlot(b.occurrence);
+  return (sa ? sa.start : -1) - (sb ? sb.start : -1);
+}
+
+/**
+ * An item on a day; series dates can't be dragged (the series has no single day)
+ */
+function CalendarItem({ item, panelId }) {
+  const { instance, occurrence, containerId, recurrenceDate } = item;
+  const slot = getOccurrenceTimeSlot(occurrence);
+  const { ref, isDragging } = useDraggable({
+    type: DragType.INSTANCE,
+    id: instance.id,
+    data: { ...instance, occurrence },
+    context: { containerId, panelId, instanceId: instance.id, occurrenceId: occurrence.id },
+    disabled: Boolean(recurrenceDate),
+  });
+
+  return (
+    <div
+      ref={ref}
+      data-occurrence-id={occurrence.id}
+      className={`flex items-center gap-1 px-1 rounded text-[10px] leading-4 truncate select-none ${
+        recurrenceDate ? "bg-muted/40" : "bg-primary/20 cursor-grab"
+      }`}
+      style={{ opacity: isDragging ? 0.4 : 1 }}
+      title={instance.label || "Untitled"}
+    >
+      {recurrenceDate && <Repeat className="h-2.5 w-2.5 shrink-0 opacity-60" />}
+      {slot && <span className="tabular-nums opacity-70 shrink-0">{formatTimeOfDay(slot.start)}</span>}
+      <span className="truncate">{instance.label || "Untitled"}</span>
+    </div>
+  );
+}
+
+/**
+ * One day of the grid; a drop target that also selects the day on click
+ */
+function DayCell({ day, items, panelId, dropContext, isToday, isSelected, isOutside, compact, onSelect, disabled }) {
+  const { isInstanceDrag } = useDragContext();
+  const { ref, isOver, dropProps } = useDroppable({
+    type: "calendar-day",
+    id: `calendar-day:${panelId}:${day}`,
+    context: { ...dropContext, date: day },
+    accepts: [DragType.INSTANCE],
+    disabled,
+  });
+
+  const shown = compact ? items.slice(0, MONTH_CELL_ITEMS) : items;
+  const hidden = items.length - shown.length;
+
+  return (
+    <div
+      ref={ref}
+      {...dropProps}
+      onClick={() => onSelect(day)}
+      className={`min-h-0 flex flex-col gap-0.5 p-1 border-r border-b border-border cursor-pointer overflow-hidden ${
+        isSelected ? "bg-primary/10" : "hover:bg-muted/20"
+      } ${isOutside ? "opacity-50" : ""}`}
+      style={{ outline: isOver && isInstanceDrag ? "2px solid rgba(50,150,255,0.5)" : "none", outlineOffset: -2 }}
+    >
+      <div className="flex justify-end">
+        <span
+          className={`text-[10px] tabular-nums leading-4 px-1 rounded-full ${
+            isToday ? "bg-primary text-primary-foreground" : "text-muted-foreground"
+          }`}
+        >
+          {Number(day.slice(8))}
+        </span>
+      </div>
+      <div className={`flex flex-col gap-0.5 min-h-0 ${compact ? "" : "overflow-y-auto"}`}>
+        {shown.map(item => (
+          <CalendarItem
+            key={`${item.occurrence.id}:${item.recurrenceDate || ""}`}
+            item={item}
+            panelId={panelId}
+          />
+        ))}
+        {hidden > 0 && (
+          <span className="text-[10px] text-muted-foreground px-1">+{hidden} more</span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * CalendarDisplay - Month/week grid of a panel's dated items
+ *
+ * Props:
+ * - panel: The panel object
+ * - view: View model (calendarRange "month" | "week")
+ * - containers: Resolved container list for this panel
+ * - dispatch, socket: For state updates
+ */
+export default function CalendarDisplay({ panel, view, containers = [], dispatch, socket }) {
+  const {
+    occurrencesById,
+    instancesById,
+    state,
+    currentIterationValue,
+    onIterationValueChange,
+    readOnly,
+  } = useContext(GridActionsContext);
+
+  const range = view?.calendarRange === "week" ? "week" : "month";
+  const calendar = useMemo(() => getStateCalendar(state), [state?.timeZone, state?.grid?.weekStart, state?.grid?.periods]);
+  const { timeZone } = calendar;
+
+  const selected = toCalendarDate(currentIterationValue || new Date(), timeZone);
+  const today = toCalendarDate(new Date(), timeZone);
+  const days = useMemo(() => getCalendarViewDays(range, selected, calendar), [range, selected, calendar]);
+
+  const listContainers = useMemo(() => containers.filter(c => c.kind !== "doc"), [containers]);
+
+  const itemsByDay = useMemo(() => {
+    const byDay = getOccurrencesByCalendarDay(listContainers, occurrencesById, instancesById, days, calendar);
+    for (const day of days) byDay[day].sort(byTimeOfDay);
+    return byDay;
+  }, [listContainers, occurrencesById, instancesById, days, calendar]);
+
+  const dropContext = useMemo(() => ({
+    panelId: panel.id,
+    containerId: listContainers[0]?.id,
+    containerIds: listContainers.map(c => c.id),
+    timeZone,
+  }), [panel.id, listContainers, timeZone]);
+
+  const selectDay = (day) => onIterationValueChange?.(startOfCalendarDate(day, timeZone));
+
+  const step = (steps) => {
+    const day = shiftPeriod(range === "week" ? "weekly" : "monthly", selected, steps, calendar);
+    if (day) selectDay(day);
+  };
+
+  const setRange = (next) => {
+    if (!view || next === range) return;
+    CommitHelpers.updateView({ dispatch, socket, view: { ...view, calendarRange: next }, emit: true });
+  };
+
+  const title = range === "week" && days.length
+    ? `${formatCalendarDate(days[0], { month: "short", day: "numeric" })} – ${formatCalendarDate(days[days.length - 1], { month: "short", day: "numeric", year: "numeric" })}`
+    : formatCalendarDate(selected, { month: "long", year: "numeric" });
+  const month = selected.slice(0, 7);
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0 overflow-hidden bg-background">
+      <div className="flex items-center gap-1 px-2 py-1 border-b border-border">
+        <button type="button" className="p-0.5 rounded hover:bg-muted" onClick={() => step(-1)} title="Previous">
+          <ChevronLeft className="h-3.5 w-3.5" />
+        </button>
+        <button type="button" className="px-1.5 text-[10px] rounded hover:bg-muted" onClick={() => selectDay(today)}>
+          Today
+        </button>
+        <button type="button" className="p-0.5 rounded hover:bg-muted" onClick={() => step(1)} title="Next">
+          <ChevronRight className="h-3.5 w-3.5" />
+        </button>
+        <span className="text-xs font-medium ml-1 truncate">{title}</span>
+        <div className="ml-auto flex rounded border border-border overflow-hidden">
+          {["month", "week"].map(option => (
+            <button
+              key={option}
+              type="button"
+              disabled={readOnly}
+              onClick={() => setRange(option)}
+              className={`px-1.5 text-[10px] capitalize ${
+                range === option ? "bg-primary text-primary-foreground" : "hover:bg-muted"
+              }`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-7 border-b border-border">
+        {days.slice(0, 7).map(day => (
+          <div key={day} className="text-[10px] text-muted-foreground text-center py-0.5">
+            {formatCalendarDate(day, { weekday: "short" })}
+          </div>
+        ))}
+      </div>
+
+      <div
+        className="flex-1 min-h-0 grid grid-cols-7 border-l border-border overflow-y-auto"
+        style={{ gridAutoRows: range === "week" ? "1fr" : "minmax(5rem, 1fr)" }}
+      >
+        {days.map(day => (
+          <DayCell
+            key={day}
+            day={day}
+            items={itemsByDay[day]}
+            panelId={panel.id}
+            dropContext={dropContext}
+            isToday={day === today}
+            isSelected={day === selected}
+            isOutside={range === "month" && day.slice(0, 7) !== month}
+            compact={range === "month"}
+            onSelect={selectDay}
+            disabled={listContainers.length === 0}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -9,11 +9,15 @@
 //   "artifact-viewer" → ArtifactDisplay without tree + content viewer
 //   "doc-viewer"      → DocContainer directly (single doc, no tree)
 //   "file-manager"    → ArtifactDisplay with tree + folder grid
+//   "timeline"        → TimelineDisplay (hour-by-hour day column)
+//   "calendar"        → CalendarDisplay (month/week grid of days)
 //   "canvas"          → future stub
 // ============================================================
 
 import React, { useContext, useMemo } from "react";
 import ArtifactDisplay from "./ArtifactDisplay";
+import TimelineDisplay from "./TimelineDisplay";
+import CalendarDisplay from "./CalendarDisplay";
 import DocContainer from "../docs/DocContainer";
 import { GridActionsContext } from "../GridActionsContext";
 
@@ -95,6 +99,27 @@ export default function Display({
       );
     }
 
+    case "timeline":
+      return (
+        <TimelineDisplay
+          panel={panel}
+          containers={containers}
+          dispatch={dispatch}
+          socket={socket}
+        />
+      );
+
+    case "calendar":
+      return (
+        <CalendarDisplay
+          panel={panel}
+          view={view}
+          containers={containers}
+          dispatch={dispatch}
+          socket={socket}
+        />
+      );
+
     case "canvas":
       return (
         <div className="flex-1 flex items-center justify-center text-muted-foreground text-sm">
@@ -0,0 +1,354 @@
+// panels/TimelineDisplay.jsx
+// ============================================================
+// Timeline view: an hour-by-hour column for one day of the panel's items.
+// Items with a time slot (iteration.startTime/endTime) sit at their time;
+// the rest wait in the "Unscheduled" strip. Dropping an instance on the
+// column schedules it (DragProvider, INSTANCE → TIMELINE), dragging the
+// bottom edge of an item changes its length. Overlapping items are flagged.
+// ============================================================
+
+import React, { useContext, useEffect, useMemo, useRef, useState } from "react";
+import { AlertTriangle, X } from "lucide-react";
+import { GridActionsContext } from "../GridActionsContext";
+import { useDraggable, useDroppable, useDragContext, DragType } from "../helpers/dragSystem";
+import {
+  getContainerItemsWithOccurrences,
+  resolveViewedPeriod,
+  scheduleOccurrence,
+  getTimelineMinutes,
+} from "../helpers/LayoutHelpers";
+import {
+  findTimeSlotConflicts,
+  formatTimeOfDay,
+  getOccurrenceCalendarDate,
+  getOccurrenceTimeSlot,
+  getStateCalendar,
+  getTimeOfDay,
+  occurrenceRecursOn,
+  parseTimeOfDay,
+  toCalendarDate,
+} from "../helpers/CalculationHelpers";
+
+const HOUR_PX = 48;
+const PX_PER_MINUTE = HOUR_PX / 60;
+const SNAP_MINUTES = 15;
+const DAY_MINUTES = 24 * 60;
+const HOURS = Array.from({ length: 24 }, (_, h) => h);
+
+/**
+ * Whether an item belongs on a day: persistent and open items every day,
+ * series on their dates, everything else on its own date
+ */
+function showsOnDay(occ, day, calendar) {
+  const mode = occ?.iteration?.mode || "specific";
+  if (mode === "persistent" || mode === "untilDone") return true;
+  if (mode === "recurring") return occurrenceRecursOn(occ, day, calendar);
+  return getOccurrenceCalendarDate(occ, calendar.timeZone) === day;
+}
+
+/**
+ * Side-by-side lanes for overlapping items
+ * @returns {Object} id -> { lane, lanes }
+ */
+function layoutLanes(items) {
+  const out = {};
+  let cluster = [];
+  let clusterEnd = -1;
+  let laneEnds = [];
+
+  const closeCluster = () => {
+    for (const id of cluster) out[id].lanes = laneEnds.length;
+    cluster = [];
+    laneEnds = [];
+  };
+
+  for (const { id, slot } of [...items].sort((a, b) => a.slot.start - b.slot.start)) {
+    if (slot.start >= clusterEnd) closeCluster();
+    let lane = laneEnds.findIndex(end => end <= slot.start);
+    if (lane === -1) lane = laneEnds.length;
+    laneEnds[lane] = slot.end;
+    clusterEnd = Math.max(clusterEnd, slot.end);
+    out[id] = { lane, lanes: 1 };
+    cluster.push(id);
+  }
+  closeCluster();
+  return out;
+}
+
+/**
+ * A scheduled item; drag it to move, drag its bottom edge to resize
+ */
+function TimelineItem({ item, slot, lane, conflict, dragContext, readOnly, onResize, onUnschedule }) {
+  const { instance, occurrence } = item;
+  const [previewEnd, setPreviewEnd] = useState(null);
+  const { ref, isDragging } = useDraggable({
+    type: DragType.INSTANCE,
+    id: instance.id,
+    data: { ...instance, occurrence },
+    context: { ...dragContext, instanceId: instance.id, occurrenceId: occurrence.id },
+  });
+
+  const end = previewEnd ?? slot.end;
+
+  const startResize = (e) => {
+    if (readOnly) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const handle = e.currentTarget;
+    handle.setPointerCapture(e.pointerId);
+    const originY = e.clientY;
+
+    const toEnd = (clientY) => {
+      const minutes = slot.end + Math.round((clientY - originY) / PX_PER_MINUTE / SNAP_MINUTES) * SNAP_MINUTES;
+      return Math.min(DAY_MINUTES, Math.max(slot.start + SNAP_MINUTES, minutes));
+    };
+    const move = (ev) => setPreviewEnd(toEnd(ev.clientY));
+    const up = (ev) => {
+      handle.removeEventListener("pointermove", move);
+      handle.removeEventListener("pointerup", up);
+      setPreviewEnd(null);
+      const next = toEnd(ev.clientY);
+      if (next !== slot.end) onResize(item, { start: slot.start, end: next });
+    };
+    handle.addEventListener("pointermove", move);
+    handle.addEventListener("pointerup", up);
+  };
+
+  return (
+    <div
+      data-occurrence-id={occurrence.id}
+      className={`absolute rounded border text-[11px] overflow-hidden flex flex-col ${
+        conflict ? "border-red-500 bg-red-500/20" : "border-primary/60 bg-primary/20"
+      }`}
+      style={{
+        top: slot.start * PX_PER_MINUTE,
+        height: Math.max(SNAP_MINUTES, end - slot.start) * PX_PER_MINUTE,
+        left: `calc(${(lane.lane / lane.lanes) * 100}% + 2px)`,
+        width: `calc(${100 / lane.lanes}% - 4px)`,
+        opacity: isDragging ? 0.4 : 1,
+        zIndex: previewEnd != null ? 3 : 2,
+      }}
+    >
+      <div ref={ref} className="flex-1 min-h-0 px-1.5 py-0.5 cursor-grab select-none">
+        <div className="flex items-center gap-1">
+          {conflict && (
+            <span title="Overlaps another item">
+              <AlertTriangle className="h-3 w-3 text-red-400 shrink-0" />
+            </span>
+          )}
+          <span className="truncate font-medium">{instance.label || "Untitled"}</span>
+          {!readOnly && (
+            <button
+              type="button"
+              title="Unschedule"
+              className="ml-auto opacity-60 hover:opacity-100"
+              onClick={() => onUnschedule(item)}
+            >
+              <X className="h-3 w-3" />
+            </button>
+          )}
+        </div>
+        <div className="text-muted-foreground">
+          {formatTimeOfDay(slot.start)} – {formatTimeOfDay(end)}
+        </div>
+      </div>
+      {!readOnly && (
+        <div
+          className="h-1.5 shrink-0 cursor-ns-resize hover:bg-primary/50"
+          style={{ touchAction: "none" }}
+          onPointerDown={startResize}
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * An item without a time, waiting to be dragged onto the column
+ */
+function UnscheduledItem({ item, dragContext }) {
+  const { instance, occurrence } = item;
+  const { ref, isDragging } = useDraggable({
+    type: DragType.INSTANCE,
+    id: instance.id,
+    data: { ...instance, occurrence },
+    context: { ...dragContext, instanceId: instance.id, occurrenceId: occurrence.id },
+  });
+
+  return (
+    <div
+      ref={ref}
+      data-occurrence-id={occurrence.id}
+      className="px-1.5 py-0.5 rounded border border-border bg-muted/30 text-[11px] cursor-grab select-none truncate max-w-[10rem]"
+      style={{ opacity: isDragging ? 0.4 : 1 }}
+    >
+      {instance.label || "Untitled"}
+    </div>
+  );
+}
+
+/**
+ * TimelineDisplay - Day column of a panel's items by time of day
+ *
+ * Props:
+ * - panel: The panel object
+ * - containers: Resolved container list for this panel
+ * - dispatch, socket: For state updates
+ */
+export default function TimelineDisplay({ panel, containers = [], dispatch, socket }) {
+  const {
+    occurrencesById,
+    instancesById,
+    state,
+    iterations = [],
+    selectedIterationId,
+    currentIterationValue,
+    readOnly,
+  } = useContext(GridActionsContext);
+  const { isInstanceDrag } = useDragContext();
+  const scrollRef = useRef(null);
+
+  const calendar = useMemo(() => getStateCalendar(state), [state?.timeZone, state?.grid?.weekStart, state?.grid?.periods]);
+
+  // The day shown: the panel's own iteration date, else the grid's
+  const day = useMemo(() => {
+    const panelOccurrence = Object.values(occurrencesById).find(
+      occ => occ.targetType === "panel" && occ.targetId === panel.id
+    );
+    const selectedIteration = iterations.find(i => i.id === selectedIterationId) || iterations[0];
+    const viewed = resolveViewedPeriod({
+      panelOccurrence,
+      timeFilter: selectedIteration?.timeFilter || "daily",
+      date: currentIterationValue,
+      calendar,
+    });
+    return toCalendarDate(viewed.date || new Date(), calendar.timeZone);
+  }, [occurrencesById, panel.id, iterations, selectedIterationId, currentIterationValue, calendar]);
+
+  const listContainers = useMemo(() => containers.filter(c => c.kind !== "doc"), [containers]);
+
+  const { scheduled, unscheduled } = useMemo(() => {
+    const scheduled = [];
+    const unscheduled = [];
+    for (const container of listContainers) {
+      for (const item of getContainerItemsWithOccurrences(container, occurrencesById, instancesById)) {
+        if (!showsOnDay(item.occurrence, day, calendar)) continue;
+        const slot = getOccurrenceTimeSlot(item.occurrence);
+        const entry = { ...item, containerId: container.id };
+        if (slot) scheduled.push({ ...entry, slot });
+        else unscheduled.push(entry);
+      }
+    }
+    return { scheduled, unscheduled };
+  }, [listContainers, occurrencesById, instancesById, day, calendar]);
+
+  const lanes = useMemo(
+    () => layoutLanes(scheduled.map(s => ({ id: s.occurrence.id, slot: s.slot }))),
+    [scheduled]
+  );
+  const conflicts = useMemo(
+    () => findTimeSlotConflicts(scheduled.map(s => ({ id: s.occurrence.id, slot: s.slot }))),
+    [scheduled]
+  );
+
+  const { ref: dropRef, isOver, dropProps } = useDroppable({
+    type: "timeline",
+    id: `timeline:${panel.id}`,
+    context: {
+      panelId: panel.id,
+      containerId: listContainers[0]?.id,
+      containerIds: listContainers.map(c => c.id),
+      date: day,
+      timeZone: calendar.timeZone,
+      pxPerMinute: PX_PER_MINUTE,
+      snapMinutes: SNAP_MINUTES,
+    },
+    accepts: [DragType.INSTANCE],
+    disabled: listContainers.length === 0,
+  });
+
+  // Open on the first item of the day, or the start of a working day
+  const firstStart = scheduled.length ? Math.min(...scheduled.map(s => s.slot.start)) : null;
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (el) el.scrollTop = Math.max(0, (firstStart ?? 8 * 60) - 30) * PX_PER_MINUTE;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [day, panel.id]);
+
+  const isToday = day === toCalendarDate(new Date(), calendar.timeZone);
+  const nowMinutes = isToday ? parseTimeOfDay(getTimeOfDay(new Date(), calendar.timeZone)) : null;
+
+  const schedule = (item, slot) => scheduleOccurrence({
+    dispatch, socket, occurrence: item.occurrence, slot, date: day, timeZone: calendar.timeZone,
+  });
+
+  if (listContainers.length === 0) {
+    return (
+      <div className="flex-1 flex items-center justify-center text-muted-foreground text-sm">
+        Add a container to this panel to schedule items on the timeline
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0 overflow-hidden bg-background">
+      <div className="flex items-center gap-1.5 px-2 py-1 border-b border-border min-h-[2rem] flex-wrap">
+        <span className="text-[10px] uppercase tracking-wide text-muted-foreground shrink-0">
+          {unscheduled.length ? "Unscheduled" : day}
+        </span>
+        {unscheduled.map(item => (
+          <UnscheduledItem
+            key={item.occurrence.id}
+            item={item}
+            dragContext={{ containerId: item.containerId, panelId: panel.id }}
+          />
+        ))}
+        {conflicts.size > 0 && (
+          <span className="ml-auto flex items-center gap-1 text-[10px] text-red-400 shrink-0">
+            <AlertTriangle className="h-3 w-3" />
+            {conflicts.size} overlapping
+          </span>
+        )}
+      </div>
+
+      <div ref={scrollRef} className="flex-1 min-h-0 overflow-y-auto">
+        <div className="flex" style={{ height: DAY_MINUTES * PX_PER_MINUTE }}>
+          <div className="w-12 shrink-0 relative text-[10px] text-muted-foreground">
+            {HOURS.map(h => (
+              <div key={h} className="absolute right-1.5 -translate-y-1/2" style={{ top: h * HOUR_PX }}>
+                {h > 0 && formatTimeOfDay(h * 60)}
+              </div>
+            ))}
+          </div>
+
+          <div
+            ref={dropRef}
+            {...dropProps}
+            className="flex-1 relative border-l border-border"
+            style={{ outline: isOver && isInstanceDrag ? "2px solid rgba(50,150,255,0.5)" : "none", outlineOffset: -2 }}
+          >
+            {HOURS.map(h => (
+              <div key={h} className="absolute left-0 right-0 border-t border-border/50" style={{ top: h * HOUR_PX }} />
+            ))}
+            {nowMinutes != null && (
+              <div className="absolute left-0 right-0 border-t-2 border-red-500/70" style={{ top: nowMinutes * PX_PER_MINUTE, zIndex: 4 }} />
+            )}
+            {scheduled.map(item => (
+              <TimelineItem
+                key={item.occurrence.id}
+                item={item}
+                slot={item.slot}
+                lane={lanes[item.occurrence.id]}
+                conflict={conflicts.has(item.occurrence.id)}
+                dragContext={{ containerId: item.containerId, panelId: panel.id }}
+                readOnly={readOnly}
+                onResize={schedule}
+                onUnschedule={(it) => schedule(it, null)}
+              />
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -11,6 +11,7 @@ export const ActionTypes = {
   FULL_STATE: "FULL_STATE",
 
   SET_USER_ID: "SET_USER_ID",
+  SET_USER_SETTINGS: "SET_USER_SETTINGS",
   SET_GRID_ID: "SET_GRID_ID",
   LOGOUT: "LOGOUT",
 
@@ -18,6 +19,8 @@ export const ActionTypes = {
   UPDATE_GRID: "UPDATE_GRID",
   DELETE_GRID: "DELETE_GRID",
   SET_AVAILABLE_GRIDS: "SET_AVAILABLE_GRIDS",
+  UPSERT_AVAILABLE_GRID: "UPSERT_AVAILABLE_GRID",
+  REMOVE_AVAILABLE_GRID: "REMOVE_AVAILABLE_GRID",
   SET_GRID: "SET_GRID",
 
   CREATE_PANEL: "CREATE_PANEL",
@@ -42,6 +45,8 @@ export const ActionTypes = {
   UPDATE_OCCURRENCE: "UPDATE_OCCURRENCE",
   DELETE_OCCURRENCE: "DELETE_OCCURRENCE",
   SET_OCCURRENCES: "SET_OCCURRENCES",
+  MERGE_OCCURRENCES: "MERGE_OCCURRENCES",
+  EVICT_OCCURRENCES: "EVICT_OCCURRENCES",
 
   CREATE_FIELD: "CREATE_FIELD",
   UPDATE_FIELD: "UPDATE_FIELD",
@@ -90,6 +95,12 @@ export const setUserIdAction = (userId) => ({
   payload: { userId },
 });
 
+// settings: { timeZone }
+export const setUserSettingsAction = (settings) => ({
+  type: ActionTypes.SET_USER_SETTINGS,
+  payload: { settings },
+});
+
 export const setGridIdAction = (gridId) => ({
   type: ActionTypes.SET_GRID_ID,
   payload: { gridId },
@@ -219,6 +230,17 @@ export const deleteOccurrenceAction = (occurrenceId) => ({
   payload: { occurrenceId },
 });
 
+// window: { start, end } the occurrences were loaded for (null = all of them)
+export const mergeOccurrencesAction = ({ gridId, window, occurrences }) => ({
+  type: ActionTypes.MERGE_OCCURRENCES,
+  payload: { gridId, window, occurrences },
+});
+
+export const evictOccurrencesAction = (window) => ({
+  type: ActionTypes.EVICT_OCCURRENCES,
+  payload: { window },
+});
+
 // ---- fields ----
 export const setFieldsAction = (fields) => ({
   type: ActionTypes.SET_FIELDS,
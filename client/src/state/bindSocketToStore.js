@@ -3,15 +3,28 @@
 // bindSocketToStore.js — CLEAN + CONSISTENT
 // ✅ UPDATED for no-echo rooms:
 // - Other windows must self-heal if their active grid is deleted.
+// ✅ DELTA SYNC:
+// - full_state and every broadcast carry a syncCursor; on reconnect the
+//   client asks for what changed since it (sync_delta) and the server only
+//   falls back to full_state when it can't tell (see server utils/syncLog.js)
 // =========================================
 
 import { ActionTypes } from "./actions";
+import { getDefaultTimeZone } from "../helpers/CalculationHelpers";
 
 export function bindSocketToStore(socket, dispatch) {
   // Wrap dispatch to tag all socket-originated actions
   // This prevents BroadcastChannel from re-broadcasting server events
   const socketDispatch = (action) => dispatch({ ...action, _fromSocket: true });
 
+  // Newest change this client holds, for the grid it was loaded with
+  const sync = { cursor: null, gridId: null, socketId: socket.id || null };
+
+  function resetSync() {
+    sync.cursor = null;
+    sync.gridId = null;
+  }
+
   // ======================================================
   // FULL STATE HYDRATE
   // ======================================================
@@ -24,10 +37,56 @@ export function bindSocketToStore(socket, dispatch) {
     }
 
     socketDispatch({ type: ActionTypes.FULL_STATE, payload });
+
+    sync.cursor = payload.syncCursor || null;
+    sync.gridId = payload.gridId || null;
+
+    // No zone saved yet: adopt this browser's
+    if (payload.userSettings && !payload.userSettings.timeZone) {
+      socket.emit("update_user_settings", { timeZone: getDefaultTimeZone() });
+    }
   }
 
   socket.on("full_state", onFullState);
 
+  // ======================================================
+  // DELTA SYNC
+  // ======================================================
+  // Broadcasts end with { syncCursor }
+  function onAnyEvent(_event, ...args) {
+    const meta = args[args.length - 1];
+    if (meta && typeof meta === "object" && typeof meta.syncCursor === "string") {
+      sync.cursor = meta.syncCursor;
+    }
+  }
+
+  // Replays missed events through the same listeners as live ones
+  function onSyncDelta({ gridId, changes = [], syncCursor } = {}) {
+    console.log("[socket] sync_delta received:", changes.length, "changes");
+    for (const { event, args = [] } of changes) {
+      for (const listener of socket.listeners(event)) listener(...args);
+    }
+    sync.cursor = syncCursor || sync.cursor;
+    sync.gridId = gridId || sync.gridId;
+  }
+
+  // Reconnected: catch up from the cursor instead of reloading everything
+  function onConnect() {
+    const lastSocketId = sync.socketId;
+    sync.socketId = socket.id;
+    if (!sync.cursor || !sync.gridId || !lastSocketId) return;
+
+    socket.emit("request_full_state", {
+      gridId: sync.gridId,
+      since: sync.cursor,
+      lastSocketId,
+    });
+  }
+
+  socket.onAny(onAnyEvent);
+  socket.on("sync_delta", onSyncDelta);
+  socket.on("connect", onConnect);
+
   // ======================================================
   // CONTAINERS (CRUD)
   // ======================================================
@@ -146,6 +205,28 @@ export function bindSocketToStore(socket, dispatch) {
   socket.on("occurrence_updated", onOccurrenceUpdated);
   socket.on("occurrence_deleted", onOccurrenceDeleted);
 
+  // ======================================================
+  // OCCURRENCE WINDOWS (see hooks/useOccurrenceWindows.js)
+  // ======================================================
+  function onOccurrencesLoaded({ gridId, window, occurrences, requestId } = {}) {
+    // Loads with a requestId are one-off reads (e.g. CSV export) kept out of the store
+    if (requestId || !gridId || !Array.isArray(occurrences)) return;
+
+    socketDispatch({
+      type: ActionTypes.MERGE_OCCURRENCES,
+      payload: { gridId, window: window || null, occurrences },
+    });
+  }
+
+  // A batch import (e.g. CSV) landed in a grid: reload it once instead of per row
+  function onOccurrencesImported({ gridId } = {}) {
+    if (!gridId || gridId !== sync.gridId) return;
+    socket.emit("request_full_state", { gridId });
+  }
+
+  socket.on("occurrences_loaded", onOccurrencesLoaded);
+  socket.on("occurrences_imported", onOccurrencesImported);
+
   // ======================================================
   // FIELDS (CRUD)
   // ======================================================
@@ -261,6 +342,35 @@ export function bindSocketToStore(socket, dispatch) {
   socket.on("grid_deleted", onGridDeleted);
   socket.on("grid_created", onGridCreated);
 
+  // ======================================================
+  // GRID SHARING
+  // ======================================================
+  function onGridShared({ grid } = {}) {
+    if (!grid?.id) return;
+    socketDispatch({
+      type: ActionTypes.UPSERT_AVAILABLE_GRID,
+      payload: { grid },
+    });
+  }
+
+  // Removed from a shared grid (or it was deleted): drop it, and leave it if it's open
+  function onGridAccessRevoked({ gridId } = {}) {
+    if (!gridId) return;
+    socketDispatch({
+      type: ActionTypes.REMOVE_AVAILABLE_GRID,
+      payload: { gridId },
+    });
+
+    const saved = localStorage.getItem("moduli-gridId");
+    if (saved && saved === gridId) {
+      localStorage.removeItem("moduli-gridId");
+      socket.emit("request_full_state");
+    }
+  }
+
+  socket.on("grid_shared", onGridShared);
+  socket.on("grid_access_revoked", onGridAccessRevoked);
+
   // ======================================================
   // AUTH
   // ======================================================
@@ -269,6 +379,7 @@ export function bindSocketToStore(socket, dispatch) {
 
     if (token) localStorage.setItem("moduli-token", token);
     if (userId) localStorage.setItem("moduli-userId", userId);
+    resetSync();
 
     socketDispatch({
       type: ActionTypes.SET_USER_ID,
@@ -296,6 +407,7 @@ export function bindSocketToStore(socket, dispatch) {
     localStorage.removeItem("moduli-token");
     localStorage.removeItem("moduli-userId");
     localStorage.removeItem("moduli-gridId");
+    resetSync();
     socketDispatch({ type: ActionTypes.LOGOUT });
   }
 
@@ -307,6 +419,7 @@ export function bindSocketToStore(socket, dispatch) {
       localStorage.removeItem("moduli-token");
       localStorage.removeItem("moduli-userId");
       localStorage.removeItem("moduli-gridId");
+      resetSync();
 
       socketDispatch({ type: ActionTypes.LOGOUT });
 
@@ -323,6 +436,20 @@ export function bindSocketToStore(socket, dispatch) {
   socket.on("auth_error", onAuthError);
   socket.on("connect_error", onConnectError);
 
+  // ======================================================
+  // USER SETTINGS
+  // ======================================================
+  function onUserSettingsUpdated({ settings } = {}) {
+    if (!settings) return;
+
+    socketDispatch({
+      type: ActionTypes.SET_USER_SETTINGS,
+      payload: { settings },
+    });
+  }
+
+  socket.on("user_settings_updated", onUserSettingsUpdated);
+
   // ======================================================
   // GENERIC CRUD — Manifests, Views, Docs, Folders, Artifacts
   // ======================================================
@@ -379,6 +506,10 @@ export function bindSocketToStore(socket, dispatch) {
   return () => {
     socket.off("full_state", onFullState);
 
+    socket.offAny(onAnyEvent);
+    socket.off("sync_delta", onSyncDelta);
+    socket.off("connect", onConnect);
+
     socket.off("container_created", onContainerCreated);
     socket.off("container_items_updated", onContainerItemsUpdated);
     socket.off("container_updated", onContainerUpdated);
@@ -391,6 +522,8 @@ export function bindSocketToStore(socket, dispatch) {
     socket.off("occurrence_created", onOccurrenceCreated);
     socket.off("occurrence_updated", onOccurrenceUpdated);
     socket.off("occurrence_deleted", onOccurrenceDeleted);
+    socket.off("occurrences_loaded", onOccurrencesLoaded);
+    socket.off("occurrences_imported", onOccurrencesImported);
 
     socket.off("field_created", onFieldCreated);
     socket.off("field_updated", onFieldUpdated);
@@ -403,11 +536,15 @@ export function bindSocketToStore(socket, dispatch) {
     socket.off("grid_updated", onGridUpdated);
     socket.off("grid_deleted", onGridDeleted);
     socket.off("grid_created", onGridCreated);
+    socket.off("grid_shared", onGridShared);
+    socket.off("grid_access_revoked", onGridAccessRevoked);
 
     socket.off("auth_success", onAuthSuccess);
     socket.off("auth_error", onAuthError);
     socket.off("connect_error", onConnectError);
 
+    socket.off("user_settings_updated", onUserSettingsUpdated);
+
     socket.off("server_error", onServerError);
 
     for (const { name, onCreated, onUpdated, onDeleted } of genericHandlers) {
@@ -8,6 +8,10 @@ export const initialState = {
   gridId: localStorage.getItem("moduli-gridId") || null,
   grid: null,
   availableGrids: [],
+  access: null,   // { role, ownerId } on the active grid
+  // IANA zone iteration dates are read in (user settings); null until the
+  // server has one, then the browser's is proposed
+  timeZone: null,
 
   // panels
   panels: [],
@@ -16,6 +20,9 @@ export const initialState = {
   containers: [], // { id, label, occurrences: [occurrenceId...] }
   instances: [],  // { id, label }
   occurrences: [], // { id, targetType, targetId, gridId, iteration, ... }
+  // iteration windows [{ start, end }] whose dated occurrences are loaded;
+  // null = every occurrence of the grid is
+  occurrenceWindows: null,
   fields: [],      // { id, name, type, mode, ... }
 
   // drag state
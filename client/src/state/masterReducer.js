@@ -14,6 +14,9 @@
 // =========================================
 
 import { ActionTypes } from "./actions";
+import { getOccurrenceWindowDate, stampIterationDate } from "../helpers/CalculationHelpers";
+
+const sameWindow = (a, b) => a.start === b.start && a.end === b.end;
 
 export function masterReducer(state, action) {
     switch (action.type) {
@@ -26,12 +29,15 @@ export function masterReducer(state, action) {
                 grid = null,
                 panels = [],
                 grids: availableGrids = [],
+                access = null,
 
                 // server sends these (user-scoped)
                 containers = [],
                 instances = [],
                 occurrences = [],
+                occurrenceWindow = null,
                 fields = [],
+                userSettings = null,
 
                 // new models
                 manifests = [],
@@ -47,9 +53,12 @@ export function masterReducer(state, action) {
                 grid,
                 panels: panels || [],
                 availableGrids: availableGrids || [],
+                access,
+                timeZone: userSettings?.timeZone || state.timeZone,
                 containers: containers || [],
                 instances: instances || [],
                 occurrences: occurrences || [],
+                occurrenceWindows: occurrenceWindow ? [occurrenceWindow] : null,
                 fields: fields || [],
                 manifests: manifests || [],
                 views: views || [],
@@ -75,6 +84,11 @@ export function masterReducer(state, action) {
             const userId = typeof action.payload === "string" ? action.payload : action.payload?.userId;
             return { ...state, userId: userId ?? state.userId };
         }
+
+        case ActionTypes.SET_USER_SETTINGS: {
+            const settings = action.payload?.settings || {};
+            return { ...state, timeZone: settings.timeZone || state.timeZone };
+        }
         case ActionTypes.LOGOUT: {
             return {
                 ...state,
@@ -83,9 +97,12 @@ export function masterReducer(state, action) {
                 grid: null,
                 panels: [],
                 availableGrids: [],
+                access: null,
+                timeZone: null,
                 containers: [],
                 instances: [],
                 occurrences: [],
+                occurrenceWindows: null,
                 fields: [],
                 manifests: [],
                 views: [],
@@ -106,6 +123,30 @@ export function masterReducer(state, action) {
             return { ...state, availableGrids };
         }
 
+        // A grid someone shared with us (or our role on it changed)
+        case ActionTypes.UPSERT_AVAILABLE_GRID: {
+            const grid = action.payload?.grid;
+            if (!grid?.id) return state;
+
+            const exists = (state.availableGrids || []).some((g) => (g.id || g._id) === grid.id);
+            const availableGrids = exists
+                ? state.availableGrids.map((g) => ((g.id || g._id) === grid.id ? { ...g, ...grid } : g))
+                : [...(state.availableGrids || []), grid];
+            const access = state.gridId === grid.id && grid.role
+                ? { ...(state.access || {}), role: grid.role }
+                : state.access;
+            return { ...state, availableGrids, access };
+        }
+
+        case ActionTypes.REMOVE_AVAILABLE_GRID: {
+            const gridId = action.payload?.gridId;
+            if (!gridId) return state;
+            return {
+                ...state,
+                availableGrids: (state.availableGrids || []).filter((g) => (g.id || g._id) !== gridId),
+            };
+        }
+
         case ActionTypes.SET_GRID: {
             const grid = action.payload?.grid ?? null;
             return { ...state, grid };
@@ -345,9 +386,14 @@ export function masterReducer(state, action) {
 
         case ActionTypes.CREATE_OCCURRENCE:
         case ActionTypes.UPDATE_OCCURRENCE: {
-            const occurrence = action.payload?.occurrence ?? action.payload;
+            let occurrence = action.payload?.occurrence ?? action.payload;
             if (!occurrence?.id) return state;
 
+            // Same stamping the server does, so local edits match before the echo
+            if (occurrence.iteration && state.timeZone) {
+                occurrence = { ...occurrence, iteration: stampIterationDate(occurrence.iteration, state.timeZone) };
+            }
+
             const exists = (state.occurrences || []).some((o) => o.id === occurrence.id);
 
             return {
@@ -368,6 +414,44 @@ export function masterReducer(state, action) {
             };
         }
 
+        // Another window's occurrences arrived (load_occurrences). Ones we
+        // already hold are kept: live events have been keeping them current.
+        case ActionTypes.MERGE_OCCURRENCES: {
+            const { gridId, window = null, occurrences = [] } = action.payload || {};
+            if (gridId !== state.gridId || !state.occurrenceWindows) return state;
+
+            const held = new Set((state.occurrences || []).map((o) => o.id));
+            const added = occurrences.filter((o) => o?.id && !held.has(o.id));
+
+            return {
+                ...state,
+                occurrences: added.length ? [...(state.occurrences || []), ...added] : state.occurrences,
+                occurrenceWindows: window
+                    ? [...state.occurrenceWindows.filter((w) => !sameWindow(w, window)), window]
+                    : null,
+            };
+        }
+
+        // Drops a window's dated occurrences; the always-shown ones stay
+        case ActionTypes.EVICT_OCCURRENCES: {
+            const window = action.payload?.window;
+            if (!window || !state.occurrenceWindows) return state;
+
+            const start = new Date(window.start);
+            const end = new Date(window.end);
+            const remaining = state.occurrenceWindows.filter((w) => !sameWindow(w, window));
+            const stillLoaded = (date) => remaining.some((w) => date >= new Date(w.start) && date < new Date(w.end));
+
+            return {
+                ...state,
+                occurrences: (state.occurrences || []).filter((o) => {
+                    const date = getOccurrenceWindowDate(o, state.timeZone || undefined);
+                    return !date || date < start || date >= end || stillLoaded(date);
+                }),
+                occurrenceWindows: remaining,
+            };
+        }
+
         // ======================================================
         // FIELDS
         // ======================================================
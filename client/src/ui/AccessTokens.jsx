@@ -0,0 +1,245 @@
+// ui/AccessTokens.jsx
+// ============================================================
+// Personal Access Tokens Dialog
+// Create, list and revoke long-lived tokens for scripts/shortcuts.
+// The plain token is only shown once, right after creation.
+// ============================================================
+
+import React, { useState, useEffect, useContext } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Checkbox } from "@/components/ui/checkbox";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { KeyRound, Copy, Trash2, Plus } from "lucide-react";
+import { GridActionsContext } from "../GridActionsContext";
+import { toast } from "../components/ui/sonner";
+
+const SCOPE_OPTIONS = [
+  { value: "fields:read", label: "Read fields" },
+  { value: "fields:write", label: "Write fields" },
+  { value: "occurrences:read", label: "Read occurrences" },
+  { value: "occurrences:write", label: "Write occurrences" },
+  { value: "artifacts:write", label: "Upload artifacts" },
+  { value: "grids:export", label: "Export grid bundles" },
+  { value: "grids:import", label: "Import grid bundles" },
+];
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : "—";
+}
+
+export default function AccessTokens({ open, onOpenChange, availableGrids = [] }) {
+  const { socket } = useContext(GridActionsContext);
+
+  const [tokens, setTokens] = useState([]);
+  const [newSecret, setNewSecret] = useState(null);
+  const [draft, setDraft] = useState({
+    name: "",
+    scopes: ["fields:read", "occurrences:write"],
+    gridIds: [],
+    expiresInDays: "",
+  });
+
+  useEffect(() => {
+    if (!open || !socket) return;
+
+    socket.emit("list_access_tokens");
+
+    const handleList = ({ tokens: list }) => setTokens(list || []);
+    const handleCreated = ({ token, secret }) => {
+      if (!token) return;
+      setTokens(prev => [token, ...prev.filter(t => t.id !== token.id)]);
+      if (secret) setNewSecret(secret);
+    };
+    const handleRevoked = ({ token }) => {
+      if (!token) return;
+      setTokens(prev => prev.map(t => (t.id === token.id ? token : t)));
+    };
+
+    socket.on("access_tokens", handleList);
+    socket.on("access_token_created", handleCreated);
+    socket.on("access_token_revoked", handleRevoked);
+
+    return () => {
+      socket.off("access_tokens", handleList);
+      socket.off("access_token_created", handleCreated);
+      socket.off("access_token_revoked", handleRevoked);
+    };
+  }, [open, socket]);
+
+  const toggleIn = (key, value) => {
+    setDraft(d => ({
+      ...d,
+      [key]: d[key].includes(value) ? d[key].filter(v => v !== value) : [...d[key], value],
+    }));
+  };
+
+  const handleCreate = () => {
+    if (!socket || draft.scopes.length === 0) return;
+    socket.emit("create_access_token", {
+      name: draft.name.trim() || "Untitled Token",
+      scopes: draft.scopes,
+      gridIds: draft.gridIds,
+      expiresInDays: draft.expiresInDays ? Number(draft.expiresInDays) : null,
+    });
+    setDraft(d => ({ ...d, name: "" }));
+  };
+
+  const handleRevoke = (token) => {
+    if (!socket) return;
+    const ok = window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`);
+    if (!ok) return;
+    socket.emit("revoke_access_token", { tokenId: token.id });
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newSecret);
+      toast.success("Token copied");
+    } catch {
+      toast.error("Couldn't copy — select and copy manually");
+    }
+  };
+
+  const gridName = (gid) => {
+    const g = availableGrids.find(x => (x.id || x._id) === gid);
+    return g?.name || `Grid ${String(gid).slice(-4)}`;
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onOpenChange={(next) => {
+        if (!next) setNewSecret(null);
+        onOpenChange?.(next);
+      }}
+    >
+      <DialogContent className="max-w-2xl max-h-[80vh] flex flex-col">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <KeyRound className="w-5 h-5" />
+            Access Tokens
+          </DialogTitle>
+        </DialogHeader>
+
+        {/* New token secret (shown once) */}
+        {newSecret && (
+          <div className="rounded border border-amber-500/40 bg-amber-500/10 p-2 text-xs space-y-1">
+            <div className="text-amber-300">Copy this token now — it won't be shown again.</div>
+            <div className="flex items-center gap-2">
+              <code className="flex-1 break-all bg-muted px-1 rounded text-[11px]">{newSecret}</code>
+              <Button variant="ghost" size="icon" className="h-6 w-6" onClick={handleCopy} title="Copy">
+                <Copy className="w-3 h-3" />
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {/* Create form */}
+        <div className="space-y-2 border-b pb-3">
+          <div className="flex items-center gap-2">
+            <Input
+              value={draft.name}
+              onChange={(e) => setDraft(d => ({ ...d, name: e.target.value }))}
+              placeholder="Token name (e.g. Run logger shortcut)"
+              className="h-7 text-xs flex-1"
+            />
+            <Input
+              type="number"
+              min={1}
+              value={draft.expiresInDays}
+              onChange={(e) => setDraft(d => ({ ...d, expiresInDays: e.target.value }))}
+              placeholder="Expires (days)"
+              className="h-7 text-xs w-28"
+            />
+            <Button size="sm" className="h-7" onClick={handleCreate} disabled={draft.scopes.length === 0}>
+              <Plus className="h-3 w-3 mr-1" />
+              Create
+            </Button>
+          </div>
+
+          <div className="flex flex-wrap gap-3 text-xs">
+            {SCOPE_OPTIONS.map(opt => (
+              <label key={opt.value} className="flex items-center gap-1 cursor-pointer">
+                <Checkbox
+                  checked={draft.scopes.includes(opt.value)}
+                  onCheckedChange={() => toggleIn("scopes", opt.value)}
+                />
+                {opt.label}
+              </label>
+            ))}
+          </div>
+
+          {availableGrids.length > 0 && (
+            <div className="flex flex-wrap gap-3 text-xs">
+              <span className="text-muted-foreground">Grids (none = all):</span>
+              {availableGrids.map(g => {
+                const gid = g.id || g._id;
+                return (
+                  <label key={gid} className="flex items-center gap-1 cursor-pointer">
+                    <Checkbox
+                      checked={draft.gridIds.includes(gid)}
+                      onCheckedChange={() => toggleIn("gridIds", gid)}
+                    />
+                    {gridName(gid)}
+                  </label>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        {/* Token list */}
+        <ScrollArea className="flex-1 min-h-[120px]">
+          {tokens.length === 0 ? (
+            <div className="text-xs text-muted-foreground p-3">No access tokens yet.</div>
+          ) : (
+            tokens.map(token => {
+              const revoked = !!token.revokedAt;
+              const expired = token.expiresAt && new Date(token.expiresAt) < new Date();
+              return (
+                <div
+                  key={token.id}
+                  className={`flex items-center gap-3 border-b border-border/50 py-2 px-3 text-xs ${revoked || expired ? "opacity-60" : ""}`}
+                >
+                  <div className="flex-1 min-w-0">
+                    <div className={`truncate ${revoked ? "line-through" : ""}`}>
+                      {token.name} <code className="text-[10px] bg-muted px-1 rounded">{token.prefix}…</code>
+                    </div>
+                    <div className="text-[10px] text-muted-foreground truncate">
+                      {token.scopes.join(", ")}
+                      {token.gridIds.length > 0 && ` · ${token.gridIds.map(gridName).join(", ")}`}
+                    </div>
+                    <div className="text-[10px] text-muted-foreground">
+                      Created {formatDate(token.createdAt)} · Last used {formatDate(token.lastUsedAt)}
+                      {token.expiresAt && ` · Expires ${formatDate(token.expiresAt)}`}
+                    </div>
+                  </div>
+                  {revoked ? (
+                    <span className="text-[9px] px-1.5 py-0.5 rounded border bg-red-500/20 text-red-400 border-red-500/30">Revoked</span>
+                  ) : (
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-6 w-6 hover:bg-red-500/20"
+                      onClick={() => handleRevoke(token)}
+                      title="Revoke token"
+                    >
+                      <Trash2 className="w-3 h-3 text-red-400" />
+                    </Button>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </ScrollArea>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,280 @@
+// ui/CalendarFeeds.jsx
+// ============================================================
+// Calendar Feeds Dialog
+// Per-grid iCalendar subscription URLs (/api/feeds/:token.ics) for
+// phone/desktop calendars. Each feed can be narrowed to panels,
+// containers or a category; rotating the token revokes the old URL.
+// ============================================================
+
+import React, { useState, useEffect, useMemo, useContext } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { CalendarDays, Plus, Trash2, RefreshCw, Copy, Link } from "lucide-react";
+import { GridActionsContext } from "../GridActionsContext";
+import { toast } from "../components/ui/sonner";
+import { SERVER_URL } from "../socket";
+import { uid } from "../uid";
+
+const EMPTY_DRAFT = {
+  name: "",
+  panelIds: [],
+  containerIds: [],
+  categoryKey: "",
+  categoryValue: "",
+  includeFieldValues: true,
+};
+
+const feedUrl = (token) => `${SERVER_URL}/api/feeds/${token}.ics`;
+const webcalUrl = (token) => feedUrl(token).replace(/^https?:/, "webcal:");
+
+export default function CalendarFeeds({ open, onOpenChange, gridId }) {
+  const { socket, panelsById, containersById, categoryDimensions = [] } = useContext(GridActionsContext);
+
+  const [feeds, setFeeds] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+
+  const panels = useMemo(
+    () => Object.values(panelsById || {}).filter(p => !p.gridId || p.gridId === gridId),
+    [panelsById, gridId]
+  );
+  const containers = useMemo(() => Object.values(containersById || {}), [containersById]);
+  const draftDimension = categoryDimensions.find(c => c.id === draft.categoryKey);
+
+  useEffect(() => {
+    if (!open || !gridId || !socket) return;
+
+    socket.emit("list_calendar_feeds", { gridId });
+
+    const handleList = (payload) => {
+      if (payload.gridId === gridId) setFeeds(payload.feeds || []);
+    };
+    const handleUpsert = ({ feed }) => {
+      if (feed?.gridId !== gridId) return;
+      setFeeds(prev => {
+        const exists = prev.some(f => f.id === feed.id);
+        return exists ? prev.map(f => (f.id === feed.id ? feed : f)) : [...prev, feed];
+      });
+    };
+    const handleDeleted = ({ feedId }) => {
+      setFeeds(prev => prev.filter(f => f.id !== feedId));
+    };
+
+    socket.on("calendar_feeds", handleList);
+    socket.on("calendar_feed_created", handleUpsert);
+    socket.on("calendar_feed_updated", handleUpsert);
+    socket.on("calendar_feed_deleted", handleDeleted);
+
+    return () => {
+      socket.off("calendar_feeds", handleList);
+      socket.off("calendar_feed_created", handleUpsert);
+      socket.off("calendar_feed_updated", handleUpsert);
+      socket.off("calendar_feed_deleted", handleDeleted);
+    };
+  }, [open, gridId, socket]);
+
+  const handleCreate = () => {
+    if (!socket || !gridId) return;
+    socket.emit("create_calendar_feed", {
+      feed: {
+        ...draft,
+        id: uid(),
+        gridId,
+        name: draft.name.trim() || "Moduli Calendar",
+        categoryKey: draft.categoryKey || null,
+        categoryValue: draft.categoryKey && draft.categoryValue ? draft.categoryValue : null,
+      },
+    });
+    setDraft(EMPTY_DRAFT);
+  };
+
+  const handleRotate = (feed) => {
+    const ok = window.confirm(`Generate a new URL for "${feed.name}"? Calendars subscribed to the old URL will stop updating.`);
+    if (!ok) return;
+    socket.emit("rotate_calendar_feed_token", { feedId: feed.id });
+  };
+
+  const handleDelete = (feed) => {
+    const ok = window.confirm(`Delete calendar feed "${feed.name}"?`);
+    if (!ok) return;
+    socket.emit("delete_calendar_feed", { feedId: feed.id });
+  };
+
+  const handleCopy = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success("Feed URL copied");
+    } catch {
+      toast.error("Couldn't copy URL");
+    }
+  };
+
+  const panelName = (id) => panelsById?.[id]?.name || id;
+  const containerName = (id) => containersById?.[id]?.label || id;
+  const categoryName = (key) => categoryDimensions.find(c => c.id === key)?.name || key;
+
+  const multiSelect = (key, options, labelKey) => (
+    <select
+      multiple
+      value={draft[key]}
+      onChange={(e) => setDraft(d => ({ ...d, [key]: [...e.target.selectedOptions].map(o => o.value) }))}
+      className="text-xs bg-background border border-border rounded px-1 text-foreground h-16 flex-1"
+    >
+      {options.map(o => (
+        <option key={o.id} value={o.id}>{o[labelKey] || o.id}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[85vh] flex flex-col">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <CalendarDays className="w-5 h-5" />
+            Calendar Feeds
+          </DialogTitle>
+        </DialogHeader>
+
+        {/* Create form */}
+        <div className="space-y-2 border-b pb-3 text-xs">
+          <div className="flex items-center gap-2">
+            <Input
+              value={draft.name}
+              onChange={(e) => setDraft(d => ({ ...d, name: e.target.value }))}
+              placeholder="Calendar name"
+              className="h-7 text-xs flex-1"
+            />
+            <label className="flex items-center gap-1 cursor-pointer whitespace-nowrap">
+              <Switch
+                checked={draft.includeFieldValues}
+                onCheckedChange={(includeFieldValues) => setDraft(d => ({ ...d, includeFieldValues }))}
+              />
+              Field values
+            </label>
+            <Button size="sm" className="h-7" onClick={handleCreate} disabled={!gridId}>
+              <Plus className="h-3 w-3 mr-1" />
+              Add
+            </Button>
+          </div>
+
+          <div className="flex gap-2">
+            {panels.length > 0 && (
+              <div className="flex-1 flex flex-col gap-1">
+                <span className="text-muted-foreground">Only panels (none = all):</span>
+                {multiSelect("panelIds", panels, "name")}
+              </div>
+            )}
+            {containers.length > 0 && (
+              <div className="flex-1 flex flex-col gap-1">
+                <span className="text-muted-foreground">Only containers (none = all):</span>
+                {multiSelect("containerIds", containers, "label")}
+              </div>
+            )}
+          </div>
+
+          {categoryDimensions.length > 0 && (
+            <div className="flex items-center gap-2">
+              <span className="text-muted-foreground">Only category:</span>
+              <select
+                value={draft.categoryKey}
+                onChange={(e) => setDraft(d => ({ ...d, categoryKey: e.target.value, categoryValue: "" }))}
+                className="text-xs bg-background border border-border rounded px-1 h-7 text-foreground"
+              >
+                <option value="">Any</option>
+                {categoryDimensions.map(c => (
+                  <option key={c.id} value={c.id}>{c.name || c.id}</option>
+                ))}
+              </select>
+              {draftDimension && (
+                <select
+                  value={draft.categoryValue}
+                  onChange={(e) => setDraft(d => ({ ...d, categoryValue: e.target.value }))}
+                  className="text-xs bg-background border border-border rounded px-1 h-7 text-foreground"
+                >
+                  <option value="">Any value</option>
+                  {(draftDimension.values || []).map(v => (
+                    <option key={v} value={v}>{v}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Feed list */}
+        <ScrollArea className="flex-1 min-h-[160px]">
+          {feeds.length === 0 ? (
+            <div className="text-xs text-muted-foreground p-3">No calendar feeds for this grid.</div>
+          ) : (
+            feeds.map(feed => (
+              <div key={feed.id} className="border-b border-border/50 py-2 px-2 text-xs">
+                <div className="flex items-center gap-2">
+                  <Switch
+                    checked={feed.includeFieldValues !== false}
+                    title="Include field values"
+                    onCheckedChange={(includeFieldValues) =>
+                      socket.emit("update_calendar_feed", { feed: { id: feed.id, includeFieldValues } })
+                    }
+                  />
+                  <span className="font-semibold truncate flex-1">{feed.name}</span>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-5 w-5"
+                    title="Copy subscription URL (webcal://)"
+                    onClick={() => handleCopy(webcalUrl(feed.token))}
+                  >
+                    <Link className="w-3 h-3" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-5 w-5"
+                    title="Copy feed URL (https://)"
+                    onClick={() => handleCopy(feedUrl(feed.token))}
+                  >
+                    <Copy className="w-3 h-3" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-5 w-5"
+                    title="Generate a new URL"
+                    onClick={() => handleRotate(feed)}
+                  >
+                    <RefreshCw className="w-3 h-3" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-5 w-5 hover:bg-red-500/20"
+                    title="Delete feed"
+                    onClick={() => handleDelete(feed)}
+                  >
+                    <Trash2 className="w-3 h-3 text-red-400" />
+                  </Button>
+                </div>
+                <div className="text-[10px] text-muted-foreground truncate">{feedUrl(feed.token)}</div>
+                <div className="text-[10px] text-muted-foreground truncate">
+                  {feed.panelIds?.length > 0 ? `Panels: ${feed.panelIds.map(panelName).join(", ")}` : "All panels"}
+                  {feed.containerIds?.length > 0 && ` · Containers: ${feed.containerIds.map(containerName).join(", ")}`}
+                  {feed.categoryKey && ` · ${categoryName(feed.categoryKey)}${feed.categoryValue ? `: ${feed.categoryValue}` : ""}`}
+                  {" · "}
+                  {feed.lastFetchedAt ? `Last fetched ${new Date(feed.lastFetchedAt).toLocaleString()}` : "Never fetched"}
+                </div>
+              </div>
+            ))
+          )}
+        </ScrollArea>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -1,10 +1,11 @@
 // forms/ContainerForm.jsx
-import React from "react";
+import React, { useRef } from "react";
 import { Separator } from "@/components/ui/separator";
 import FormInput from "./FormInput";
 import { Button } from "@/components/ui/button";
 import IterationSettings from "./IterationSettings";
 import StyleEditor from "./StyleEditor";
+import { useTimeFilterOptions } from "../hooks/useTimeFilterOptions";
 
 const ITERATION_MODES = [
   { value: "inherit", label: "Inherit from Panel" },
@@ -41,8 +42,12 @@ export default function ContainerForm({
   onSaveAsTemplate,  // () => void — save current items as a template
   onFillFromTemplate, // (templateId) => void — fill from a saved template
   templates,         // Array of available templates
+  onImportIcs,       // (file) => void — import an .ics calendar into this container
+  onImportCsv,       // () => void — open the CSV import dialog for this container
 }) {
+  const icsInputRef = useRef(null);
   const iter = iteration || { mode: "inherit", timeFilter: "daily" };
+  const timeFilterOptions = useTimeFilterOptions(TIME_FILTER_OPTIONS);
 
   return (
     <div className="font-mono">
@@ -136,7 +141,7 @@ export default function ContainerForm({
                 type: "select",
                 key: "__iterTimeFilter",
                 label: "Time Filter",
-                options: TIME_FILTER_OPTIONS,
+                options: timeFilterOptions,
                 description: "How occurrences are grouped for this container.",
               }}
               value={{ __iterTimeFilter: iter.timeFilter || "daily" }}
@@ -193,6 +198,63 @@ export default function ContainerForm({
 
       <Separator />
 
+      {/* Calendar import */}
+      {onImportIcs && (
+        <>
+          <div className="py-2">
+            <h4 className="text-xs font-semibold text-foregroundScale-2 mb-2">Calendar</h4>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              className="text-xs w-full"
+              onClick={() => icsInputRef.current?.click()}
+            >
+              Import .ics File
+            </Button>
+            <input
+              ref={icsInputRef}
+              type="file"
+              accept=".ics,text/calendar"
+              className="hidden"
+              onChange={(e) => {
+                const file = e.target.files?.[0];
+                e.target.value = "";
+                if (file) onImportIcs(file);
+              }}
+            />
+            <p className="text-[10px] text-muted-foreground mt-1">
+              Events land on their day; re-importing updates them by UID.
+            </p>
+          </div>
+
+          <Separator />
+        </>
+      )}
+
+      {/* CSV history import */}
+      {onImportCsv && (
+        <>
+          <div className="py-2">
+            <h4 className="text-xs font-semibold text-foregroundScale-2 mb-2">History</h4>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              className="text-xs w-full"
+              onClick={() => onImportCsv()}
+            >
+              Import CSV…
+            </Button>
+            <p className="text-[10px] text-muted-foreground mt-1">
+              Backfill dated rows; map columns to a label, a date and fields.
+            </p>
+          </div>
+
+          <Separator />
+        </>
+      )}
+
       {/* Container Style */}
       <StyleEditor
         styleMode={container?.styleMode || "inherit"}
@@ -0,0 +1,258 @@
+// ui/CsvExport.jsx
+// ============================================================
+// CSV Export Dialog
+// - Field history: one row per field transaction (built by the server
+//   from the Transaction log).
+// - Derived series: derived fields sampled per day/week/month, computed
+//   here with calculateDerivedField so the numbers match the grid. The
+//   range's occurrences are fetched first when the grid only holds the
+//   viewed iteration window.
+// ============================================================
+
+import React, { useState, useMemo, useContext } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Tabs, TabsList, TabsTrigger, TabsContent } from "@/components/ui/tabs";
+import { FileSpreadsheet, Download } from "lucide-react";
+import { GridActionsContext } from "../GridActionsContext";
+import { toast } from "../components/ui/sonner";
+import { exportFieldTransactionsCsv, downloadBlob, fetchOccurrencesInWindow } from "../helpers/CommitHelpers";
+import { sampleDerivedFieldSeries, getPeriodStarts, getStateCalendar, startOfCalendarDate, toCalendarDate } from "../helpers/CalculationHelpers";
+import { toCsv } from "../helpers/CsvHelpers";
+import { useTimeFilterOptions } from "../hooks/useTimeFilterOptions";
+
+const SERIES_PERIODS = [
+  { value: "daily", label: "Day" },
+  { value: "weekly", label: "Week" },
+  { value: "monthly", label: "Month" },
+];
+
+// Guard against accidentally sampling decades of days
+const MAX_SERIES_ROWS = 5000;
+
+function toDateInput(date) {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function defaultRange() {
+  const end = new Date();
+  const start = new Date(end);
+  start.setMonth(start.getMonth() - 3);
+  return { start: toDateInput(start), end: toDateInput(end) };
+}
+
+export default function CsvExport({ open, onOpenChange, gridId }) {
+  const { state, socket, fieldsById } = useContext(GridActionsContext);
+  const seriesPeriods = useTimeFilterOptions(SERIES_PERIODS);
+
+  const gridFields = useMemo(
+    () => Object.values(fieldsById || {}).filter(f => f.gridId === gridId),
+    [fieldsById, gridId]
+  );
+  const inputFields = gridFields.filter(f => f.mode !== "derived");
+  const derivedFields = gridFields.filter(f => f.mode === "derived" && f.metric);
+
+  const [historyFieldId, setHistoryFieldId] = useState("");
+  const [historyRange, setHistoryRange] = useState({ start: "", end: "" });
+  const [seriesFieldIds, setSeriesFieldIds] = useState([]);
+  const [seriesPeriod, setSeriesPeriod] = useState("daily");
+  const [seriesRange, setSeriesRange] = useState(defaultRange);
+  const [keepCategory, setKeepCategory] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const handleExportHistory = async () => {
+    setBusy(true);
+    try {
+      await exportFieldTransactionsCsv({ gridId, fieldId: historyFieldId, ...historyRange });
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleExportSeries = async () => {
+    const fields = derivedFields.filter(f => seriesFieldIds.includes(f.id));
+    if (fields.length === 0 || !seriesRange.start || !seriesRange.end) return;
+
+    // Periods are the user's (time zone, the grid's week start)
+    const calendar = getStateCalendar(state);
+    const start = startOfCalendarDate(seriesRange.start, calendar.timeZone);
+    const end = startOfCalendarDate(seriesRange.end, calendar.timeZone);
+    const periods = getPeriodStarts(seriesPeriod, start, end, calendar).length;
+    if (periods > MAX_SERIES_ROWS) {
+      toast.error(`That range has ${periods} periods; pick at most ${MAX_SERIES_ROWS}.`);
+      return;
+    }
+
+    let series;
+    setBusy(true);
+    try {
+      let occurrences = state.occurrences;
+      if (state.occurrenceWindows) {
+        // Whole months at both ends, so the first week and month are complete
+        const from = new Date(start);
+        from.setDate(from.getDate() - 7);
+        from.setDate(1);
+        const to = new Date(end);
+        to.setMonth(to.getMonth() + 1, 1);
+
+        const held = new Set(occurrences.map(o => o.id));
+        occurrences = [...occurrences];
+        // A year per request (the server caps window length)
+        for (let chunkStart = from; chunkStart < to; ) {
+          const chunkEnd = new Date(chunkStart);
+          chunkEnd.setFullYear(chunkEnd.getFullYear() + 1);
+          const loaded = await fetchOccurrencesInWindow({
+            socket,
+            gridId,
+            start: chunkStart,
+            end: chunkEnd < to ? chunkEnd : to,
+          });
+          occurrences.push(...loaded.filter(o => !held.has(o.id)));
+          chunkStart = chunkEnd;
+        }
+      }
+
+      series = sampleDerivedFieldSeries({ ...state, occurrences }, fields, {
+        timeFilter: seriesPeriod,
+        start,
+        end,
+        context: { gridId },
+        keepCategory,
+      });
+    } catch (err) {
+      toast.error(err.message);
+      return;
+    } finally {
+      setBusy(false);
+    }
+
+    const columns = [
+      { key: "period", header: "period_start" },
+      ...fields.map(f => ({ key: f.id, header: f.name })),
+    ];
+    const { timeZone } = getStateCalendar(state);
+    const rows = series.map(({ period, values }) => ({ period: toCalendarDate(period, timeZone), ...values }));
+    const csv = toCsv(columns, rows);
+    downloadBlob(new Blob([csv], { type: "text/csv;charset=utf-8" }), `derived-${seriesPeriod}-${seriesRange.start}-${seriesRange.end}.csv`);
+  };
+
+  const toggleSeriesField = (fieldId) => {
+    setSeriesFieldIds(ids => (ids.includes(fieldId) ? ids.filter(id => id !== fieldId) : [...ids, fieldId]));
+  };
+
+  const rangeInputs = (range, setRange) => (
+    <div className="flex items-center gap-2">
+      <span className="text-muted-foreground w-12">From</span>
+      <Input
+        type="date"
+        value={range.start}
+        onChange={(e) => setRange(r => ({ ...r, start: e.target.value }))}
+        className="h-7 text-xs w-36"
+      />
+      <span className="text-muted-foreground">to</span>
+      <Input
+        type="date"
+        value={range.end}
+        onChange={(e) => setRange(r => ({ ...r, end: e.target.value }))}
+        className="h-7 text-xs w-36"
+      />
+    </div>
+  );
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <FileSpreadsheet className="w-5 h-5" />
+            Export CSV
+          </DialogTitle>
+        </DialogHeader>
+
+        <Tabs defaultValue="history" className="text-xs">
+          <TabsList>
+            <TabsTrigger value="history">Field history</TabsTrigger>
+            <TabsTrigger value="series">Derived series</TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="history" className="space-y-3 pt-2">
+            <p className="text-[10px] text-muted-foreground">
+              Every recorded value of one field, with its occurrence, instance, container, panel, iteration, flow and timestamp.
+            </p>
+            <select
+              value={historyFieldId}
+              onChange={(e) => setHistoryFieldId(e.target.value)}
+              className="text-xs bg-background border border-border rounded px-1 h-7 w-full text-foreground"
+            >
+              <option value="">Choose a field…</option>
+              {inputFields.map(f => (
+                <option key={f.id} value={f.id}>{f.name}</option>
+              ))}
+            </select>
+            {rangeInputs(historyRange, setHistoryRange)}
+            <p className="text-[10px] text-muted-foreground">Leave the dates empty to export all history.</p>
+            <Button size="sm" className="h-7" onClick={handleExportHistory} disabled={!historyFieldId || busy}>
+              <Download className="h-3 w-3 mr-1" />
+              Download CSV
+            </Button>
+          </TabsContent>
+
+          <TabsContent value="series" className="space-y-3 pt-2">
+            <p className="text-[10px] text-muted-foreground">
+              One row per period with each derived field's value for that period, as the grid would show it.
+            </p>
+            {derivedFields.length === 0 ? (
+              <div className="text-muted-foreground">This grid has no derived fields.</div>
+            ) : (
+              <div className="flex flex-wrap gap-3">
+                {derivedFields.map(f => (
+                  <label key={f.id} className="flex items-center gap-1 cursor-pointer">
+                    <Checkbox checked={seriesFieldIds.includes(f.id)} onCheckedChange={() => toggleSeriesField(f.id)} />
+                    {f.name}
+                  </label>
+                ))}
+              </div>
+            )}
+            <div className="flex items-center gap-2">
+              <span className="text-muted-foreground w-12">Every</span>
+              <select
+                value={seriesPeriod}
+                onChange={(e) => setSeriesPeriod(e.target.value)}
+                className="text-xs bg-background border border-border rounded px-1 h-7 text-foreground"
+              >
+                {seriesPeriods.map(p => (
+                  <option key={p.value} value={p.value}>{p.label}</option>
+                ))}
+              </select>
+            </div>
+            {rangeInputs(seriesRange, setSeriesRange)}
+            <label className="flex items-center gap-1 cursor-pointer">
+              <Checkbox checked={keepCategory} onCheckedChange={(v) => setKeepCategory(Boolean(v))} />
+              Apply the current category filter
+            </label>
+            <Button
+              size="sm"
+              className="h-7"
+              onClick={handleExportSeries}
+              disabled={seriesFieldIds.length === 0 || !seriesRange.start || !seriesRange.end}
+            >
+              <Download className="h-3 w-3 mr-1" />
+              Download CSV
+            </Button>
+          </TabsContent>
+        </Tabs>
+      </DialogContent>
+    </Dialog>
+  );
+}
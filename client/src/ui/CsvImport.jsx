@@ -0,0 +1,253 @@
+// ui/CsvImport.jsx
+// ============================================================
+// CSV Import Dialog
+// Backfills history into one container:
+//   1. pick a file (headers are read here)
+//   2. map columns → label / date / fields
+//   3. dry run on the server → preview + row errors
+//   4. import the valid rows (occurrences + dated "in" transactions)
+// ============================================================
+
+import React, { useState, useMemo, useContext, useRef } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { FileUp, Eye, Upload } from "lucide-react";
+import { GridActionsContext } from "../GridActionsContext";
+import { toast } from "../components/ui/sonner";
+import { importCsvFile } from "../helpers/CommitHelpers";
+import { parseCsv } from "../helpers/CsvHelpers";
+
+const DATE_FORMATS = [
+  { value: "auto", label: "Auto (YYYY-MM-DD, MM/DD/YYYY)" },
+  { value: "dmy", label: "DD/MM/YYYY" },
+  { value: "mdy", label: "MM/DD/YYYY" },
+];
+
+const LABEL_COLUMN_NAMES = ["label", "name", "item", "title", "exercise", "description"];
+const DATE_COLUMN_NAMES = ["date", "day", "when", "timestamp"];
+
+const selectClass = "text-xs bg-background border border-border rounded px-1 h-7 text-foreground";
+
+/**
+ * Guesses a mapping from header names
+ */
+function guessMapping(headers, fields) {
+  const lower = headers.map(h => h.toLowerCase());
+  const label = headers[lower.findIndex(h => LABEL_COLUMN_NAMES.includes(h))] || headers[0] || "";
+  const date = headers[lower.findIndex(h => DATE_COLUMN_NAMES.includes(h))] || "";
+
+  const byName = new Map(fields.map(f => [f.name.trim().toLowerCase(), f.id]));
+  const mappedFields = {};
+  headers.forEach((h, i) => {
+    if (h === label || h === date) return;
+    const fieldId = byName.get(lower[i]);
+    if (fieldId) mappedFields[h] = fieldId;
+  });
+
+  return { label, date, dateFormat: "auto", fields: mappedFields };
+}
+
+export default function CsvImport({ open, onOpenChange, gridId, containerId, containerLabel }) {
+  const { fieldsById } = useContext(GridActionsContext);
+  const fileInputRef = useRef(null);
+
+  const [file, setFile] = useState(null);
+  const [headers, setHeaders] = useState([]);
+  const [sampleRows, setSampleRows] = useState([]);
+  const [mapping, setMapping] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const inputFields = useMemo(
+    () => Object.values(fieldsById || {}).filter(f => f.gridId === gridId && f.mode !== "derived"),
+    [fieldsById, gridId]
+  );
+
+  const reset = () => {
+    setFile(null);
+    setHeaders([]);
+    setSampleRows([]);
+    setMapping(null);
+    setPreview(null);
+  };
+
+  const handleOpenChange = (next) => {
+    if (!next) reset();
+    onOpenChange(next);
+  };
+
+  const handleFile = async (nextFile) => {
+    if (!nextFile) return;
+    const [headerRow = [], ...rows] = parseCsv(await nextFile.text());
+    const nextHeaders = headerRow.map(h => h.trim()).filter(Boolean);
+    if (nextHeaders.length === 0) {
+      toast.error("That file has no header row");
+      return;
+    }
+    setFile(nextFile);
+    setHeaders(nextHeaders);
+    setSampleRows(rows.slice(0, 3));
+    setMapping(guessMapping(nextHeaders, inputFields));
+    setPreview(null);
+  };
+
+  const updateMapping = (patch) => {
+    setMapping(m => ({ ...m, ...patch }));
+    setPreview(null);
+  };
+
+  const setColumnField = (column, fieldId) => {
+    const nextFields = { ...mapping.fields };
+    if (fieldId) nextFields[column] = fieldId;
+    else delete nextFields[column];
+    updateMapping({ fields: nextFields });
+  };
+
+  const run = async (dryRun) => {
+    setBusy(true);
+    try {
+      const result = await importCsvFile({ gridId, containerId, file, mapping, dryRun });
+      if (dryRun) {
+        setPreview(result);
+        return;
+      }
+      const { valid, invalid, newInstances } = result.summary;
+      toast.success(`Imported ${valid} rows (${newInstances} new items)${invalid ? `, skipped ${invalid}` : ""}`);
+      handleOpenChange(false);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const fieldName = (id) => fieldsById?.[id]?.name || id;
+  const formatCell = (value) => (value === true ? "Yes" : value === false ? "No" : String(value));
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[85vh] flex flex-col">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <FileUp className="w-5 h-5" />
+            Import CSV{containerLabel ? ` into ${containerLabel}` : ""}
+          </DialogTitle>
+        </DialogHeader>
+
+        <div className="flex items-center gap-2 text-xs">
+          <Button size="sm" variant="outline" className="h-7" onClick={() => fileInputRef.current?.click()}>
+            {file ? "Choose another file" : "Choose CSV file"}
+          </Button>
+          {file && <span className="text-muted-foreground truncate">{file.name}</span>}
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.tsv,text/csv,text/tab-separated-values"
+            className="hidden"
+            onChange={(e) => {
+              const nextFile = e.target.files?.[0];
+              e.target.value = "";
+              handleFile(nextFile);
+            }}
+          />
+        </div>
+
+        {mapping && (
+          <div className="space-y-2 border-y py-3 text-xs">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-muted-foreground w-16">Label</span>
+              <select value={mapping.label} onChange={(e) => updateMapping({ label: e.target.value })} className={selectClass}>
+                {headers.map(h => <option key={h} value={h}>{h}</option>)}
+              </select>
+              <span className="text-muted-foreground ml-4">Date</span>
+              <select value={mapping.date} onChange={(e) => updateMapping({ date: e.target.value })} className={selectClass}>
+                <option value="">None (today)</option>
+                {headers.map(h => <option key={h} value={h}>{h}</option>)}
+              </select>
+              {mapping.date && (
+                <select value={mapping.dateFormat} onChange={(e) => updateMapping({ dateFormat: e.target.value })} className={selectClass}>
+                  {DATE_FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+                </select>
+              )}
+            </div>
+            <p className="text-[10px] text-muted-foreground">
+              Rows whose label matches an item already in this grid become new occurrences of it; other labels create new items.
+            </p>
+
+            <div className="grid grid-cols-[minmax(0,1fr)_minmax(0,1fr)_minmax(0,2fr)] gap-x-2 gap-y-1 items-center">
+              <span className="text-muted-foreground">Column</span>
+              <span className="text-muted-foreground">Field</span>
+              <span className="text-muted-foreground">Sample</span>
+              {headers.filter(h => h !== mapping.label && h !== mapping.date).map(h => (
+                <React.Fragment key={h}>
+                  <span className="truncate font-medium">{h}</span>
+                  <select value={mapping.fields[h] || ""} onChange={(e) => setColumnField(h, e.target.value)} className={selectClass}>
+                    <option value="">Skip</option>
+                    {inputFields.map(f => <option key={f.id} value={f.id}>{f.name}</option>)}
+                  </select>
+                  <span className="truncate text-muted-foreground">
+                    {sampleRows.map(r => r[headers.indexOf(h)]).filter(Boolean).join(" · ")}
+                  </span>
+                </React.Fragment>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {preview && (
+          <div className="flex-1 min-h-0 flex flex-col gap-2 text-xs">
+            {preview.errors.length > 0 ? (
+              <div className="text-red-400">{preview.errors.join(" · ")}</div>
+            ) : (
+              <div>
+                {preview.summary.valid} of {preview.summary.rows} rows ready · {preview.summary.newInstances} new items,{" "}
+                {preview.summary.matchedInstances} existing
+                {preview.summary.invalid > 0 && <span className="text-red-400"> · {preview.summary.invalid} rows will be skipped</span>}
+              </div>
+            )}
+            <ScrollArea className="flex-1 min-h-[120px] border rounded">
+              {preview.preview.map(r => (
+                <div key={r.row} className={`border-b border-border/50 py-1 px-2 ${r.errors.length ? "bg-red-500/10" : ""}`}>
+                  <div className="flex items-center gap-2">
+                    <span className="text-[10px] text-muted-foreground w-8">#{r.row}</span>
+                    <span className="font-semibold truncate">{r.label || "—"}</span>
+                    {r.isNew && <span className="text-[9px] px-1 rounded border border-emerald-500/30 text-emerald-400">new</span>}
+                    <span className="text-muted-foreground">{r.day ? new Date(`${r.day}T12:00:00Z`).toLocaleDateString(undefined, { timeZone: "UTC" }) : ""}</span>
+                    <span className="text-muted-foreground truncate flex-1">
+                      {Object.entries(r.fields).map(([fid, v]) => `${fieldName(fid)}: ${formatCell(v)}`).join(" · ")}
+                    </span>
+                  </div>
+                  {r.errors.length > 0 && <div className="text-[10px] text-red-400 pl-10">{r.errors.join(" · ")}</div>}
+                </div>
+              ))}
+            </ScrollArea>
+          </div>
+        )}
+
+        {mapping && (
+          <div className="flex justify-end gap-2">
+            <Button size="sm" variant="outline" className="h-7" onClick={() => run(true)} disabled={busy || !mapping.label}>
+              <Eye className="h-3 w-3 mr-1" />
+              Preview
+            </Button>
+            <Button
+              size="sm"
+              className="h-7"
+              onClick={() => run(false)}
+              disabled={busy || !preview || preview.errors.length > 0 || preview.summary.valid === 0}
+            >
+              <Upload className="h-3 w-3 mr-1" />
+              Import {preview?.summary?.valid ?? ""} rows
+            </Button>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,215 @@
+// ui/CustomPeriodsEditor.jsx
+// ============================================================
+// Grid settings section for custom periods (grid.periods)
+// Sprints, 4-4-5 fiscal months or explicit named date ranges, usable
+// anywhere a time filter is picked ("custom:<id>", see CUSTOM PERIODS in
+// shared/calculations.js)
+// ============================================================
+
+import React, { useCallback, useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Plus, Trash2 } from "lucide-react";
+import { uid } from "../uid";
+import { toCalendarDate } from "../helpers/CalculationHelpers";
+
+const KIND_OPTIONS = [
+  { value: "repeating", label: "Repeating" },
+  { value: "ranges", label: "Date ranges" },
+];
+
+const UNIT_OPTIONS = [
+  { value: "week", label: "Weeks" },
+  { value: "day", label: "Days" },
+];
+
+function newPeriod(kind = "repeating") {
+  const today = toCalendarDate(new Date());
+  return kind === "ranges"
+    ? { id: uid(), name: "", kind, ranges: [{ name: "", start: today, end: today }] }
+    : { id: uid(), name: "", kind, anchor: today, unit: "week", lengths: [2] };
+}
+
+/**
+ * Lengths typed as "4, 4, 5"; committed on blur so partial input survives
+ */
+function LengthsInput({ lengths = [], onCommit }) {
+  const [draft, setDraft] = useState(lengths.join(", "));
+  useEffect(() => setDraft(lengths.join(", ")), [lengths]);
+
+  const commit = () => {
+    const next = draft.split(/[\s,]+/).map(Number).filter(n => Number.isInteger(n) && n >= 1);
+    if (next.length > 0) onCommit(next);
+    else setDraft(lengths.join(", "));
+  };
+
+  return (
+    <Input
+      type="text"
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+      placeholder="2  or  4, 4, 5"
+      className="h-7 text-xs flex-1"
+    />
+  );
+}
+
+/**
+ * CustomPeriodsEditor - Add, edit and remove a grid's custom periods
+ *
+ * Props:
+ * - periods: grid.periods
+ * - onCommit: (periods) => void - saves them to the server
+ */
+export default function CustomPeriodsEditor({ periods = [], onCommit }) {
+  const update = useCallback((id, changes) => {
+    onCommit?.(periods.map(p => (p.id === id ? { ...p, ...changes } : p)));
+  }, [periods, onCommit]);
+
+  const changeKind = (period, kind) => {
+    const { id, name } = period;
+    onCommit?.(periods.map(p => (p.id === id ? { ...newPeriod(kind), id, name } : p)));
+  };
+
+  const updateRange = (period, index, changes) => {
+    update(period.id, { ranges: period.ranges.map((r, i) => (i === index ? { ...r, ...changes } : r)) });
+  };
+
+  return (
+    <div className="py-2">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-xs font-semibold text-white">Custom Periods</h4>
+        <Button
+          variant="ghost"
+          size="sm"
+          className="h-6 text-[10px]"
+          onClick={() => onCommit?.([...periods, newPeriod()])}
+          disabled={!onCommit}
+        >
+          <Plus className="h-3 w-3 mr-1" />
+          Add Period
+        </Button>
+      </div>
+      <p className="text-[10px] text-foregroundScale-2/80 mb-2">
+        Sprints, fiscal months or named date ranges. Repeating periods cycle their lengths from the start date; they show up wherever a time filter is picked.
+      </p>
+
+      <div className="space-y-2">
+        {periods.map((period) => (
+          <div key={period.id} className="space-y-1.5 p-2 bg-muted/20 rounded border border-border">
+            <div className="flex items-center gap-2">
+              <Input
+                type="text"
+                value={period.name || ""}
+                onChange={(e) => update(period.id, { name: e.target.value })}
+                placeholder="Period name"
+                className="h-7 text-xs flex-1"
+              />
+              <Select value={period.kind} onValueChange={(kind) => changeKind(period, kind)}>
+                <SelectTrigger className="h-7 text-xs w-28">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {KIND_OPTIONS.map(opt => (
+                    <SelectItem key={opt.value} value={opt.value}>{opt.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button
+                variant="ghost"
+                size="sm"
+                className="h-7 w-7 p-0"
+                onClick={() => onCommit?.(periods.filter(p => p.id !== period.id))}
+              >
+                <Trash2 className="h-3.5 w-3.5 text-muted-foreground hover:text-red-400" />
+              </Button>
+            </div>
+
+            {period.kind === "repeating" && (
+              <div className="flex items-center gap-2">
+                <Input
+                  type="date"
+                  value={period.anchor || ""}
+                  onChange={(e) => e.target.value && update(period.id, { anchor: e.target.value })}
+                  className="h-7 text-xs w-32"
+                />
+                <LengthsInput
+                  lengths={period.lengths}
+                  onCommit={(lengths) => update(period.id, { lengths })}
+                />
+                <Select value={period.unit || "week"} onValueChange={(unit) => update(period.id, { unit })}>
+                  <SelectTrigger className="h-7 text-xs w-20">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {UNIT_OPTIONS.map(opt => (
+                      <SelectItem key={opt.value} value={opt.value}>{opt.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+
+            {period.kind === "ranges" && (
+              <div className="space-y-1">
+                {(period.ranges || []).map((range, index) => (
+                  <div key={index} className="flex items-center gap-1.5">
+                    <Input
+                      type="text"
+                      value={range.name || ""}
+                      onChange={(e) => updateRange(period, index, { name: e.target.value })}
+                      placeholder="Range name"
+                      className="h-7 text-xs flex-1"
+                    />
+                    <Input
+                      type="date"
+                      value={range.start || ""}
+                      onChange={(e) => e.target.value && updateRange(period, index, { start: e.target.value })}
+                      className="h-7 text-xs w-32"
+                    />
+                    <Input
+                      type="date"
+                      value={range.end || ""}
+                      onChange={(e) => e.target.value && updateRange(period, index, { end: e.target.value })}
+                      className="h-7 text-xs w-32"
+                    />
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="h-7 w-7 p-0"
+                      onClick={() => update(period.id, { ranges: period.ranges.filter((_, i) => i !== index) })}
+                    >
+                      <Trash2 className="h-3 w-3 text-muted-foreground hover:text-red-400" />
+                    </Button>
+                  </div>
+                ))}
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-6 text-[10px]"
+                  onClick={() => {
+                    const last = period.ranges?.[period.ranges.length - 1];
+                    const start = last?.end || toCalendarDate(new Date());
+                    update(period.id, { ranges: [...(period.ranges || []), { name: "", start, end: start }] });
+                  }}
+                >
+                  <Plus className="h-3 w-3 mr-1" />
+                  Add Range
+                </Button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -6,7 +6,8 @@
 
 import React, { useMemo } from "react";
 import { calculateDerivedField } from "../state/selectors";
-import { checkTarget, getScaledTargetValue, calculateProgress } from "../helpers/CalculationHelpers";
+import { checkTarget, getScaledTargetValue, calculateProgress, getStateCalendar } from "../helpers/CalculationHelpers";
+import { useServerDerivedValue } from "../hooks/useServerDerivedValue";
 
 /**
  * FieldDisplay - Renders a read-only display of a field value
@@ -29,18 +30,22 @@ function FieldDisplay({
 }) {
   // All hooks must be called before any early return
 
+  // Values that need occurrences outside the loaded windows come from the server
+  const serverValue = useServerDerivedValue(field, state, context);
+
   // Calculate derived value if this is a derived field
   const displayValue = useMemo(() => {
     if (!field) return null;
 
     if (field.mode === "derived" && state) {
+      if (serverValue.enabled) return serverValue.value;
       return calculateDerivedField(state, field, context);
     }
 
     // Extract raw value if stored as { value, flow } object (safety check)
     if (value && typeof value === "object" && "value" in value) return value.value;
     return value;
-  }, [field, value, state, context]);
+  }, [field, value, state, context, serverValue.enabled, serverValue.value]);
 
   // Format the value based on type
   const formattedValue = useMemo(() => {
@@ -133,6 +138,7 @@ function FieldDisplay({
 
   // Progress bar for target comparison (with scaling based on iteration)
   const currentTimeFilter = context?.currentIteration || "daily";
+  const calendar = useMemo(() => getStateCalendar(state), [state?.timeZone, state?.grid?.weekStart, state?.grid?.periods]);
 
   const targetProgress = useMemo(() => {
     const target = field?.metric?.target;
@@ -145,16 +151,16 @@ function FieldDisplay({
     if (isNaN(current)) return null;
 
     // Get scaled target value based on current viewing period
-    const scaledTarget = getScaledTargetValue(target, currentTimeFilter);
+    const scaledTarget = getScaledTargetValue(target, currentTimeFilter, calendar);
 
     // Calculate progress using helper (handles scaling)
-    const progress = calculateProgress(current, target, currentTimeFilter) ?? 0;
+    const progress = calculateProgress(current, target, currentTimeFilter, calendar) ?? 0;
 
     // Check if target is met using helper (handles scaling)
-    const met = checkTarget(current, target, currentTimeFilter) ?? false;
+    const met = checkTarget(current, target, currentTimeFilter, calendar) ?? false;
 
     return { progress, met, target: scaledTarget };
-  }, [field, displayValue, currentTimeFilter]);
+  }, [field, displayValue, currentTimeFilter, calendar]);
 
   // Early return after all hooks
   if (!field) return null;
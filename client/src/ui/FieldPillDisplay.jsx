@@ -12,7 +12,9 @@ import {
   getAggregationSymbol,
   checkTarget,
   getScaledTargetValue,
+  getStateCalendar,
 } from "../helpers/CalculationHelpers";
+import { useServerDerivedValue } from "../hooks/useServerDerivedValue";
 
 /**
  * FieldPillDisplay - Display pill for derived field values
@@ -36,12 +38,16 @@ export default function FieldPillDisplay({
   }, [state.occurrences, field, context]);
 
   // Calculate the derived value - only recomputes when cacheKey changes
-  const calculatedValue = useMemo(() => {
+  const localValue = useMemo(() => {
     if (!field || field.mode !== "derived") return null;
     return calculateDerivedField(state, field, context);
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [cacheKey]);
 
+  // Unless it needs occurrences outside the loaded windows
+  const serverValue = useServerDerivedValue(field, state, context);
+  const calculatedValue = serverValue.enabled ? serverValue.value : localValue;
+
   // Get formatting from field meta
   const prefix = field?.meta?.prefix || "";
   const postfix = field?.meta?.postfix || "";
@@ -55,11 +61,12 @@ export default function FieldPillDisplay({
 
   // Get current iteration's time filter for target scaling
   const currentTimeFilter = context?.currentIteration || "daily";
+  const calendar = useMemo(() => getStateCalendar(state), [state?.timeZone, state?.grid?.weekStart, state?.grid?.periods]);
 
   // Get scaled target value based on current viewing period
   const scaledTargetValue = useMemo(() => {
-    return getScaledTargetValue(target, currentTimeFilter);
-  }, [target, currentTimeFilter]);
+    return getScaledTargetValue(target, currentTimeFilter, calendar);
+  }, [target, currentTimeFilter, calendar]);
 
   // Format display value
   const displayValue = calculatedValue ?? 0;
@@ -80,8 +87,8 @@ export default function FieldPillDisplay({
   // Check if target is met (uses scaled target via checkTarget helper)
   const targetMet = useMemo(() => {
     if (!hasTarget) return null;
-    return checkTarget(displayValue, target, currentTimeFilter);
-  }, [hasTarget, target, displayValue, currentTimeFilter]);
+    return checkTarget(displayValue, target, currentTimeFilter, calendar);
+  }, [hasTarget, target, displayValue, currentTimeFilter, calendar]);
 
   // Get aggregation symbol from helpers
   const aggSymbol = getAggregationSymbol(aggregation);
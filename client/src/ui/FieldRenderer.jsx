@@ -6,14 +6,14 @@
 // - compact: uses pill components (FieldPillInput, FieldPillDisplay)
 // ============================================================
 
-import React, { useCallback, useMemo } from "react";
+import React, { useCallback, useContext, useMemo } from "react";
 import FieldInput from "./FieldInput";
 import FieldDisplay from "./FieldDisplay";
 import FieldPillInput from "./FieldPillInput";
 import FieldPillDisplay from "./FieldPillDisplay";
 import * as CommitHelpers from "../helpers/CommitHelpers";
-
-// Removed unused: useContext, GridActionsContext
+import * as LayoutHelpers from "../helpers/LayoutHelpers";
+import { GridActionsContext } from "../GridActionsContext";
 
 /**
  * FieldRenderer - Renders field input or display based on configuration
@@ -40,6 +40,39 @@ function FieldRenderer({
   socket,
   compact = false,
 }) {
+  // Public panel links are read-only, except checkboxes when the link allows them
+  const { readOnly, allowToggles, containersById } = useContext(GridActionsContext);
+  const disabled = Boolean(readOnly) && !(allowToggles && field?.type === "boolean");
+
+  // A recurring series keeps no values itself: the date being viewed gets
+  // its own occurrence holding them (LayoutHelpers.overrideRecurrenceDate)
+  const commitFields = useCallback((fields) => {
+    if (occurrence.iteration?.mode === "recurring") {
+      const container = containersById?.[context?.containerId];
+      if (!context?.recurrenceDate || !container) return;
+      LayoutHelpers.overrideRecurrenceDate({
+        dispatch,
+        socket,
+        container,
+        series: occurrence,
+        date: context.recurrenceDate,
+        fields,
+        timeZone: state?.timeZone || undefined,
+      });
+      return;
+    }
+
+    CommitHelpers.updateOccurrence({
+      dispatch,
+      socket,
+      occurrence: {
+        id: occurrence.id,
+        fields,
+      },
+      emit: true,
+    });
+  }, [occurrence, containersById, context?.containerId, context?.recurrenceDate, state?.timeZone, dispatch, socket]);
+
   // Get current value and flow from occurrence.fields
   // Values are stored as { value, flow } objects
   const { value, flow: currentFlow } = useMemo(() => {
@@ -72,16 +105,8 @@ function FieldRenderer({
       [field.id]: fieldValue,
     };
 
-    CommitHelpers.updateOccurrence({
-      dispatch,
-      socket,
-      occurrence: {
-        id: occurrence.id,
-        fields: updatedFields,
-      },
-      emit: true,
-    });
-  }, [occurrence, field?.id, currentFlow, field?.meta?.flow, field?.mode, dispatch, socket]);
+    commitFields(updatedFields);
+  }, [occurrence, field?.id, currentFlow, field?.meta?.flow, field?.mode, commitFields]);
 
   // Handle flow direction change (cycle through in → out → replace)
   const handleFlowChange = useCallback((newFlow) => {
@@ -95,16 +120,8 @@ function FieldRenderer({
       [field.id]: { value: currentValue, flow: newFlow },
     };
 
-    CommitHelpers.updateOccurrence({
-      dispatch,
-      socket,
-      occurrence: {
-        id: occurrence.id,
-        fields: updatedFields,
-      },
-      emit: true,
-    });
-  }, [occurrence, field?.id, dispatch, socket]);
+    commitFields(updatedFields);
+  }, [occurrence, field?.id, commitFields]);
 
   if (!field) return null;
 
@@ -139,6 +156,7 @@ function FieldRenderer({
           onChange={handleChange}
           onCommit={handleCommit}
           compact={true}
+          disabled={disabled}
         />
       );
     }
@@ -153,6 +171,7 @@ function FieldRenderer({
         onCommit={handleCommit}
         onFlowChange={handleFlowChange}
         compact={compact}
+        disabled={disabled}
       />
     );
   }
@@ -206,6 +225,7 @@ function FieldRenderer({
           onCommit={handleCommit}
           onFlowChange={handleFlowChange}
           compact={compact}
+          disabled={disabled}
         />
       </div>
     );
@@ -222,6 +242,7 @@ function FieldRenderer({
       onCommit={handleCommit}
       onFlowChange={handleFlowChange}
       compact={compact}
+      disabled={disabled}
     />
   );
 }
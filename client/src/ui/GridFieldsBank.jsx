@@ -25,6 +25,7 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Switch } from "@/components/ui/switch";
 import { Plus, Trash2, ChevronDown, ChevronUp, Settings2, Zap, Filter } from "lucide-react";
 import { uid } from "../uid";
+import { useTimeFilterOptions } from "../hooks/useTimeFilterOptions";
 import { OperationsBuilder } from "../blocks";
 import {
   SCOPES as CALC_SCOPES,
@@ -68,6 +69,13 @@ const TRIGGER_EVENTS = [
   { value: "onComplete", label: "When Completed" },
 ];
 
+const TRIGGER_ACTIONS = [
+  { value: "set", label: "Set to" },
+  { value: "increment", label: "Increment by" },
+  { value: "decrement", label: "Decrement by" },
+  { value: "toggle", label: "Toggle" },
+];
+
 /**
  * GridFieldsBank - Modal for managing all fields in a grid
  */
@@ -245,6 +253,7 @@ function FieldEditor({
 }) {
   const [localField, setLocalField] = useState(field);
   const [activeTab, setActiveTab] = useState("basic");
+  const timeFilterOptions = useTimeFilterOptions(TIME_FILTER_OPTIONS);
 
   // Reset when field changes
   useMemo(() => {
@@ -452,7 +461,7 @@ function FieldEditor({
                       <SelectValue />
                     </SelectTrigger>
                     <SelectContent>
-                      {TIME_FILTER_OPTIONS.map(t => (
+                      {timeFilterOptions.map(t => (
                         <SelectItem key={t.value} value={t.value}>{t.label}</SelectItem>
                       ))}
                     </SelectContent>
@@ -698,6 +707,7 @@ function SelectOptionsEditor({ options, onChange }) {
  * AllowedFieldsEditor - Configure which fields and destinations to include in calculations
  */
 function AllowedFieldsEditor({ allowedFields = [], allFields, panels, containers, onChange }) {
+  const timeFilterOptions = useTimeFilterOptions(TIME_FILTER_OPTIONS);
   const addAllowedField = useCallback(() => {
     onChange([
       ...allowedFields,
@@ -903,7 +913,7 @@ function AllowedFieldsEditor({ allowedFields = [], allFields, panels, containers
                     <SelectValue />
                   </SelectTrigger>
                   <SelectContent>
-                    {TIME_FILTER_OPTIONS.map(t => (
+                    {timeFilterOptions.map(t => (
                       <SelectItem key={t.value} value={t.value}>{t.label}</SelectItem>
                     ))}
                   </SelectContent>
@@ -932,6 +942,7 @@ function AllowedFieldsEditor({ allowedFields = [], allFields, panels, containers
 function TriggersEditor({ triggers, allFields, onChange }) {
   const addTrigger = useCallback(() => {
     onChange([...triggers, {
+      id: uid(),
       event: "onDrop",
       blockTree: null,
       targetFieldId: null,
@@ -981,6 +992,48 @@ function TriggersEditor({ triggers, allFields, onChange }) {
             </Button>
           </div>
 
+          <div className="flex items-center gap-2">
+            <Select
+              value={trigger.action || "set"}
+              onValueChange={(v) => updateTrigger(index, "action", v)}
+            >
+              <SelectTrigger className="h-7 w-32 text-xs">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {TRIGGER_ACTIONS.map(a => (
+                  <SelectItem key={a.value} value={a.value}>{a.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+
+            <Select
+              value={trigger.targetFieldId || ""}
+              onValueChange={(v) => updateTrigger(index, "targetFieldId", v)}
+            >
+              <SelectTrigger className="h-7 flex-1 text-xs">
+                <SelectValue placeholder="Target field..." />
+              </SelectTrigger>
+              <SelectContent>
+                {allFields.filter(f => f.mode !== "derived").map(f => (
+                  <SelectItem key={f.id} value={f.id}>{f.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+
+            {trigger.action !== "toggle" && (
+              <Input
+                value={trigger.value ?? ""}
+                onChange={(e) => updateTrigger(index, "value", e.target.value)}
+                placeholder={trigger.action === "set" || !trigger.action ? "Value" : "1"}
+                className="h-7 w-20 text-xs"
+              />
+            )}
+          </div>
+
+          <div className="text-[10px] text-muted-foreground">
+            Only if (leave empty to always run):
+          </div>
           <OperationsBuilder
             initialBlocks={trigger.blockTree}
             availableFields={allFields}
@@ -1,4 +1,4 @@
-import React, { useCallback } from "react";
+import React, { useCallback, useRef } from "react";
 import { Separator } from "@/components/ui/separator";
 import FormInput from "./FormInput";
 import { Button } from "@/components/ui/button";
@@ -11,8 +11,10 @@ import {
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select";
-import { Plus, Trash2 } from "lucide-react";
+import { Plus, Trash2, KeyRound, Webhook, CalendarDays, Download, Upload, FileSpreadsheet, Users, Globe } from "lucide-react";
 import { uid } from "../uid";
+import { getCustomTimeFilterOptions } from "../helpers/CalculationHelpers";
+import CustomPeriodsEditor from "./CustomPeriodsEditor";
 
 // Time filter options for iterations
 const TIME_FILTER_OPTIONS = [
@@ -23,15 +25,28 @@ const TIME_FILTER_OPTIONS = [
 ];
 
 export default function GridLayoutForm({
-  value,          // { gridName, rows, cols, iterations }
+  value,          // { gridName, rows, cols, iterations, periods }
   onChange,       // (next) => void
   onCommitGridName,
   onCommitIterations, // (iterations) => void - saves iterations to server
+  onCommitPeriods, // (periods) => void - saves custom periods to server
   onDeleteGrid,
+  onOpenSharing,
+  onOpenPanelShares,
+  onOpenAccessTokens,
+  onOpenWebhooks,
+  onOpenCalendarFeeds,
+  onOpenCsvExport,
+  onExportBundle,
+  onImportBundle, // (file) => void
   gridId
 }) {
+  const bundleInputRef = useRef(null);
+
   // Get iterations from value or default
   const iterations = value?.iterations || [{ id: "default", name: "Daily", timeFilter: "daily" }];
+  const periods = value?.periods || [];
+  const timeFilterOptions = [...TIME_FILTER_OPTIONS, ...getCustomTimeFilterOptions(periods)];
 
   // Add a new iteration
   const addIteration = useCallback(() => {
@@ -94,6 +109,130 @@ export default function GridLayoutForm({
       />
 
 
+      <Separator />
+
+      <div className="py-2">
+        <h4 className="text-xs font-semibold text-white">Sharing</h4>
+        <p className="text-[10px] text-foregroundScale-2/80 mt-1">
+          Invite other accounts to this grid as viewers, editors or owners, or publish a panel as a read-only link.
+        </p>
+        <div className="mt-2 flex flex-wrap gap-2">
+          <Button
+            type="button"
+            size="sm"
+            className="h-7 text-[11px]"
+            onClick={() => onOpenSharing?.()}
+            disabled={!onOpenSharing || !gridId}
+          >
+            <Users className="h-3 w-3 mr-1" />
+            Members
+          </Button>
+          <Button
+            type="button"
+            size="sm"
+            className="h-7 text-[11px]"
+            onClick={() => onOpenPanelShares?.()}
+            disabled={!onOpenPanelShares || !gridId}
+          >
+            <Globe className="h-3 w-3 mr-1" />
+            Public links
+          </Button>
+        </div>
+      </div>
+
+      <Separator />
+
+      <div className="py-2">
+        <h4 className="text-xs font-semibold text-white">Integrations</h4>
+        <p className="text-[10px] text-foregroundScale-2/80 mt-1">
+          Tokens for scripts and shortcuts, webhooks for outside services, and calendar feeds.
+        </p>
+        <div className="mt-2 flex flex-wrap gap-2">
+          <Button
+            type="button"
+            size="sm"
+            className="h-7 text-[11px]"
+            onClick={() => onOpenAccessTokens?.()}
+            disabled={!onOpenAccessTokens}
+          >
+            <KeyRound className="h-3 w-3 mr-1" />
+            Access Tokens
+          </Button>
+          <Button
+            type="button"
+            size="sm"
+            className="h-7 text-[11px]"
+            onClick={() => onOpenWebhooks?.()}
+            disabled={!onOpenWebhooks}
+          >
+            <Webhook className="h-3 w-3 mr-1" />
+            Webhooks
+          </Button>
+          <Button
+            type="button"
+            size="sm"
+            className="h-7 text-[11px]"
+            onClick={() => onOpenCalendarFeeds?.()}
+            disabled={!onOpenCalendarFeeds}
+          >
+            <CalendarDays className="h-3 w-3 mr-1" />
+            Calendar Feeds
+          </Button>
+        </div>
+      </div>
+
+      <Separator />
+
+      <div className="py-2">
+        <h4 className="text-xs font-semibold text-white">Backup</h4>
+        <p className="text-[10px] text-foregroundScale-2/80 mt-1">
+          Export this grid with its files as a bundle, or import a bundle as a new grid. CSV exports are for spreadsheets.
+        </p>
+        <div className="mt-2 flex flex-wrap gap-2">
+          <Button
+            type="button"
+            size="sm"
+            className="h-7 text-[11px]"
+            onClick={() => onExportBundle?.()}
+            disabled={!onExportBundle || !gridId}
+          >
+            <Download className="h-3 w-3 mr-1" />
+            Export Bundle
+          </Button>
+          <Button
+            type="button"
+            size="sm"
+            className="h-7 text-[11px]"
+            onClick={() => bundleInputRef.current?.click()}
+            disabled={!onImportBundle}
+          >
+            <Upload className="h-3 w-3 mr-1" />
+            Import Bundle
+          </Button>
+          <Button
+            type="button"
+            size="sm"
+            className="h-7 text-[11px]"
+            onClick={() => onOpenCsvExport?.()}
+            disabled={!onOpenCsvExport || !gridId}
+          >
+            <FileSpreadsheet className="h-3 w-3 mr-1" />
+            Export CSV
+          </Button>
+          <input
+            ref={bundleInputRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              e.target.value = "";
+              if (file) onImportBundle?.(file);
+            }}
+          />
+        </div>
+      </div>
+
       <Separator />
 
       <div className="pt-2">
@@ -193,7 +332,7 @@ export default function GridLayoutForm({
                   <SelectValue />
                 </SelectTrigger>
                 <SelectContent>
-                  {TIME_FILTER_OPTIONS.map(opt => (
+                  {timeFilterOptions.map(opt => (
                     <SelectItem key={opt.value} value={opt.value}>
                       {opt.label}
                     </SelectItem>
@@ -215,6 +354,16 @@ export default function GridLayoutForm({
           ))}
         </div>
       </div>
+
+      <Separator />
+
+      <CustomPeriodsEditor
+        periods={periods}
+        onCommit={(next) => {
+          onChange?.({ ...value, periods: next });
+          onCommitPeriods?.(next);
+        }}
+      />
     </div>
   );
 }
@@ -0,0 +1,154 @@
+// ui/GridSharing.jsx
+// ============================================================
+// Grid Sharing Dialog
+// Invite other accounts to the active grid as viewer, editor or owner.
+// Owners manage members; everyone else sees the list and may leave.
+// The list updates live via "grid_members".
+// ============================================================
+
+import React, { useState, useEffect, useContext } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { Users, UserPlus, Trash2, LogOut } from "lucide-react";
+import { GridActionsContext } from "../GridActionsContext";
+
+const ROLE_OPTIONS = [
+  { value: "viewer", label: "Viewer", hint: "Can see the grid" },
+  { value: "editor", label: "Editor", hint: "Can change the grid's data" },
+  { value: "owner", label: "Owner", hint: "Can also manage members" },
+];
+
+function RoleSelect({ value, onChange, disabled }) {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      className="h-7 text-xs bg-background border border-border rounded px-1 text-foreground"
+    >
+      {ROLE_OPTIONS.map(opt => (
+        <option key={opt.value} value={opt.value} title={opt.hint}>{opt.label}</option>
+      ))}
+    </select>
+  );
+}
+
+export default function GridSharing({ open, onOpenChange, gridId, access, userId }) {
+  const { socket } = useContext(GridActionsContext);
+
+  const [sharing, setSharing] = useState({ ownerEmail: "", members: [] });
+  const [draft, setDraft] = useState({ email: "", role: "viewer" });
+
+  const isOwner = access?.role === "owner";
+
+  useEffect(() => {
+    if (!open || !gridId || !socket) return;
+
+    socket.emit("list_grid_members", { gridId });
+
+    const handleMembers = (payload) => {
+      if (payload.gridId === gridId) setSharing(payload);
+    };
+
+    socket.on("grid_members", handleMembers);
+    return () => {
+      socket.off("grid_members", handleMembers);
+    };
+  }, [open, gridId, socket]);
+
+  const handleAdd = () => {
+    const email = draft.email.trim();
+    if (!socket || !email) return;
+    socket.emit("add_grid_member", { gridId, email, role: draft.role });
+    setDraft(d => ({ ...d, email: "" }));
+  };
+
+  const handleRemove = (member) => {
+    const self = member.userId === userId;
+    const ok = window.confirm(self ? "Leave this grid? You'll lose access until you're invited again." : `Remove ${member.email} from this grid?`);
+    if (!ok) return;
+    socket.emit("remove_grid_member", { gridId, userId: member.userId });
+    if (self) onOpenChange?.(false);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg max-h-[85vh] flex flex-col">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Users className="w-5 h-5" />
+            Sharing
+          </DialogTitle>
+        </DialogHeader>
+
+        {/* Invite form */}
+        {isOwner && (
+          <div className="flex items-center gap-2 border-b pb-3 text-xs">
+            <Input
+              value={draft.email}
+              onChange={(e) => setDraft(d => ({ ...d, email: e.target.value }))}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") handleAdd();
+              }}
+              placeholder="Email of an existing account"
+              className="h-7 text-xs flex-1"
+            />
+            <RoleSelect value={draft.role} onChange={(role) => setDraft(d => ({ ...d, role }))} />
+            <Button size="sm" className="h-7" onClick={handleAdd} disabled={!draft.email.trim()}>
+              <UserPlus className="h-3 w-3 mr-1" />
+              Invite
+            </Button>
+          </div>
+        )}
+
+        <ScrollArea className="min-h-[120px]">
+          <div className="border-b border-border/50 py-2 px-2 text-xs flex items-center gap-2">
+            <span className="font-semibold truncate flex-1">{sharing.ownerEmail || "Creator"}</span>
+            <span className="text-[10px] text-muted-foreground">creator</span>
+          </div>
+          {sharing.members.length === 0 ? (
+            <div className="text-xs text-muted-foreground p-3">Not shared with anyone yet.</div>
+          ) : (
+            sharing.members.map(member => (
+              <div key={member.userId} className="border-b border-border/50 py-2 px-2 text-xs flex items-center gap-2">
+                <span className="truncate flex-1">
+                  {member.email}
+                  {member.userId === userId && <span className="text-muted-foreground"> (you)</span>}
+                </span>
+                <RoleSelect
+                  value={member.role}
+                  disabled={!isOwner}
+                  onChange={(role) => socket.emit("update_grid_member", { gridId, userId: member.userId, role })}
+                />
+                {(isOwner || member.userId === userId) && (
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-5 w-5 hover:bg-red-500/20"
+                    title={member.userId === userId ? "Leave grid" : "Remove member"}
+                    onClick={() => handleRemove(member)}
+                  >
+                    {member.userId === userId
+                      ? <LogOut className="w-3 h-3 text-red-400" />
+                      : <Trash2 className="w-3 h-3 text-red-400" />}
+                  </Button>
+                )}
+              </div>
+            ))
+          )}
+        </ScrollArea>
+
+        <p className="text-[10px] text-muted-foreground">
+          Members see this grid in their grid list. Webhooks, calendar feeds and access tokens stay with the account that made them.
+        </p>
+      </DialogContent>
+    </Dialog>
+  );
+}
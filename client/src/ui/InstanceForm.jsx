@@ -13,6 +13,7 @@ import StyleEditor from "./StyleEditor";
 import { GridActionsContext } from "../GridActionsContext";
 import * as CommitHelpers from "../helpers/CommitHelpers";
 import { uid } from "../uid";
+import { useTimeFilterOptions } from "../hooks/useTimeFilterOptions";
 import {
   TIME_FILTERS,
   COMPARISONS,
@@ -631,6 +632,9 @@ function FieldBindingRow({
   onUpdateBinding,
 }) {
   const [expanded, setExpanded] = useState(false);
+  const sourceTimeFilterOptions = useTimeFilterOptions(SOURCE_TIME_FILTER_OPTIONS);
+  const targetTimeFilterOptions = useTimeFilterOptions(TARGET_TIME_FILTER_OPTIONS);
+  const timeFilterOptions = useTimeFilterOptions(TIME_FILTER_OPTIONS);
 
   const isInput = field.mode === "input";
   const pillColor = isInput
@@ -870,7 +874,7 @@ function FieldBindingRow({
                     <SelectValue />
                   </SelectTrigger>
                   <SelectContent>
-                    {SOURCE_TIME_FILTER_OPTIONS.map(f => (
+                    {sourceTimeFilterOptions.map(f => (
                       <SelectItem key={f.value} value={f.value}>{f.label}</SelectItem>
                     ))}
                   </SelectContent>
@@ -928,7 +932,7 @@ function FieldBindingRow({
                         <SelectValue />
                       </SelectTrigger>
                       <SelectContent>
-                        {TARGET_TIME_FILTER_OPTIONS.map(f => (
+                        {targetTimeFilterOptions.map(f => (
                           <SelectItem key={f.value} value={f.value}>{f.label}</SelectItem>
                         ))}
                       </SelectContent>
@@ -1061,7 +1065,7 @@ function FieldBindingRow({
                                     <SelectValue />
                                   </SelectTrigger>
                                   <SelectContent>
-                                    {TIME_FILTER_OPTIONS.map(t => (
+                                    {timeFilterOptions.map(t => (
                                       <SelectItem key={t.value} value={t.value}>{t.label}</SelectItem>
                                     ))}
                                   </SelectContent>
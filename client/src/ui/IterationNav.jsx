@@ -3,6 +3,7 @@
 // Navigation component for iteration/time-based filtering
 // Includes: iteration selector dropdown, date navigation arrows,
 // and a period display button that opens a quick date picker
+// (plus the week start and time zone periods are cut with)
 // ============================================================
 
 import React, { useMemo, useCallback } from "react";
@@ -20,44 +21,74 @@ import {
   PopoverTrigger,
 } from "@/components/ui/popover";
 import { ChevronLeft, ChevronRight, CalendarDays } from "lucide-react";
+import { addCalendarDays, getDefaultTimeZone, getPeriodBounds, isCustomTimeFilter, shiftPeriod, startOfCalendarDate, toCalendarDate } from "../helpers/CalculationHelpers";
+
+const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+/**
+ * Format a calendar date ("YYYY-MM-DD") the same in every zone
+ */
+function formatCalendarDate(key, options) {
+  return new Date(`${key}T12:00:00Z`).toLocaleDateString(undefined, { ...options, timeZone: "UTC" });
+}
+
+/**
+ * "Mar 3 - Mar 16" for a period's { start, end } (end exclusive)
+ */
+function formatSpan({ start, end }) {
+  const last = addCalendarDays(end, -1);
+  const first = formatCalendarDate(start, { month: "short", day: "numeric" });
+  return last === start ? first : `${first} - ${formatCalendarDate(last, { month: "short", day: "numeric" })}`;
+}
 
 /**
  * Format a date based on time filter type
  */
-function formatPeriodDisplay(date, timeFilter) {
+function formatPeriodDisplay(date, timeFilter, calendar = {}) {
   if (!date) return "Select date";
-  const d = new Date(date);
+  const day = toCalendarDate(date, calendar.timeZone);
+  if (!day) return "Select date";
+
+  if (isCustomTimeFilter(timeFilter)) {
+    const bounds = getPeriodBounds(timeFilter, day, calendar);
+    return bounds.label ? `${bounds.label} (${formatSpan(bounds)})` : formatSpan(bounds);
+  }
 
   switch (timeFilter) {
     case "daily":
-      return d.toLocaleDateString(undefined, {
+      return formatCalendarDate(day, {
         weekday: "short",
         month: "short",
         day: "numeric",
       });
-    case "weekly": {
+    case "weekly":
       // Show week range
-      const startOfWeek = new Date(d);
-      startOfWeek.setDate(d.getDate() - d.getDay());
-      const endOfWeek = new Date(startOfWeek);
-      endOfWeek.setDate(startOfWeek.getDate() + 6);
-      return `${startOfWeek.toLocaleDateString(undefined, { month: "short", day: "numeric" })} - ${endOfWeek.toLocaleDateString(undefined, { month: "short", day: "numeric" })}`;
-    }
+      return formatSpan(getPeriodBounds("weekly", day, calendar));
     case "monthly":
-      return d.toLocaleDateString(undefined, { month: "long", year: "numeric" });
+      return formatCalendarDate(day, { month: "long", year: "numeric" });
     case "yearly":
-      return d.getFullYear().toString();
+      return day.slice(0, 4);
     default:
-      return d.toLocaleDateString();
+      return formatCalendarDate(day);
   }
 }
 
+function listTimeZones(current) {
+  const zones = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+  return [...new Set([current, ...zones].filter(Boolean))].sort();
+}
+
 /**
  * Navigate the date by the iteration's time increment
  */
-function navigateDate(date, timeFilter, direction) {
-  const d = new Date(date);
+function navigateDate(date, timeFilter, direction, calendar = {}) {
   const increment = direction === "next" ? 1 : -1;
+  if (isCustomTimeFilter(timeFilter)) {
+    const start = shiftPeriod(timeFilter, date, increment, calendar);
+    return start ? startOfCalendarDate(start, calendar.timeZone) : new Date(date);
+  }
+
+  const d = new Date(date);
 
   switch (timeFilter) {
     case "daily":
@@ -80,12 +111,22 @@ function navigateDate(date, timeFilter, direction) {
 /**
  * QuickDatePicker - Simple date selection options
  */
-function QuickDatePicker({ currentDate, timeFilter, onSelect }) {
+function QuickDatePicker({ timeFilter, calendar, onSelect }) {
   const quickOptions = useMemo(() => {
     const now = new Date();
     const options = [];
 
-    if (timeFilter === "daily") {
+    if (isCustomTimeFilter(timeFilter)) {
+      for (let i = 0; i < 5; i++) {
+        const start = shiftPeriod(timeFilter, now, -i, calendar);
+        if (!start) break;
+        const bounds = getPeriodBounds(timeFilter, start, calendar);
+        options.push({
+          date: startOfCalendarDate(start, calendar.timeZone),
+          label: i === 0 ? "Current Period" : bounds.label || formatSpan(bounds),
+        });
+      }
+    } else if (timeFilter === "daily") {
       for (let i = 0; i < 7; i++) {
         const d = new Date(now);
         d.setDate(now.getDate() - i);
@@ -98,11 +139,10 @@ function QuickDatePicker({ currentDate, timeFilter, onSelect }) {
       for (let i = 0; i < 5; i++) {
         const d = new Date(now);
         d.setDate(now.getDate() - (i * 7));
-        const weekStart = new Date(d);
-        weekStart.setDate(d.getDate() - d.getDay());
+        const { start } = getPeriodBounds("weekly", d, calendar);
         options.push({
           date: d,
-          label: i === 0 ? "This Week" : i === 1 ? "Last Week" : `Week of ${weekStart.toLocaleDateString(undefined, { month: "short", day: "numeric" })}`,
+          label: i === 0 ? "This Week" : i === 1 ? "Last Week" : `Week of ${formatCalendarDate(start, { month: "short", day: "numeric" })}`,
         });
       }
     } else if (timeFilter === "monthly") {
@@ -126,7 +166,7 @@ function QuickDatePicker({ currentDate, timeFilter, onSelect }) {
     }
 
     return options;
-  }, [timeFilter]);
+  }, [timeFilter, calendar]);
 
   return (
     <div className="flex flex-col gap-1">
@@ -145,6 +185,49 @@ function QuickDatePicker({ currentDate, timeFilter, onSelect }) {
   );
 }
 
+/**
+ * CalendarSettings - Week start (the grid's) and time zone (the user's)
+ */
+function CalendarSettings({ calendar, onWeekStartChange, onTimeZoneChange }) {
+  const timeZone = calendar.timeZone || getDefaultTimeZone();
+  const timeZones = useMemo(() => listTimeZones(timeZone), [timeZone]);
+
+  return (
+    <div className="flex flex-col gap-1.5 text-xs">
+      <label className="flex items-center justify-between gap-2">
+        <span className="text-muted-foreground">Week starts</span>
+        <Select
+          value={String(calendar.weekStart || 0)}
+          onValueChange={(value) => onWeekStartChange?.(Number(value))}
+          disabled={!onWeekStartChange}
+        >
+          <SelectTrigger className="h-7 w-28 text-xs">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {WEEKDAY_NAMES.map((name, day) => (
+              <SelectItem key={day} value={String(day)}>{name}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </label>
+      <label className="flex items-center justify-between gap-2">
+        <span className="text-muted-foreground">Time zone</span>
+        <Select value={timeZone} onValueChange={onTimeZoneChange} disabled={!onTimeZoneChange}>
+          <SelectTrigger className="h-7 w-40 text-xs">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent className="max-h-64">
+            {timeZones.map((zone) => (
+              <SelectItem key={zone} value={zone}>{zone.replace(/_/g, " ")}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </label>
+    </div>
+  );
+}
+
 /**
  * IterationNav - Navigation for iteration-based time filtering
  *
@@ -154,6 +237,9 @@ function QuickDatePicker({ currentDate, timeFilter, onSelect }) {
  * - onSelectIteration: (id) => void
  * - currentValue: Current date/period value
  * - onValueChange: (date) => void
+ * - calendar: { timeZone, weekStart } periods are cut with
+ * - onWeekStartChange: (weekStart) => void - omitted when the grid can't be edited
+ * - onTimeZoneChange: (timeZone) => void
  */
 export default function IterationNav({
   iterations = [],
@@ -161,6 +247,9 @@ export default function IterationNav({
   onSelectIteration,
   currentValue,
   onValueChange,
+  calendar = {},
+  onWeekStartChange,
+  onTimeZoneChange,
 }) {
   // Get the selected iteration
   const selectedIteration = useMemo(() => {
@@ -172,14 +261,14 @@ export default function IterationNav({
 
   // Navigation handlers
   const handlePrev = useCallback(() => {
-    const newDate = navigateDate(currentDate, timeFilter, "prev");
+    const newDate = navigateDate(currentDate, timeFilter, "prev", calendar);
     onValueChange?.(newDate);
-  }, [currentDate, timeFilter, onValueChange]);
+  }, [currentDate, timeFilter, calendar, onValueChange]);
 
   const handleNext = useCallback(() => {
-    const newDate = navigateDate(currentDate, timeFilter, "next");
+    const newDate = navigateDate(currentDate, timeFilter, "next", calendar);
     onValueChange?.(newDate);
-  }, [currentDate, timeFilter, onValueChange]);
+  }, [currentDate, timeFilter, calendar, onValueChange]);
 
   const handleDateSelect = useCallback((date) => {
     if (date) {
@@ -193,34 +282,14 @@ export default function IterationNav({
   }, [onValueChange]);
 
   // Format display text
-  const displayText = formatPeriodDisplay(currentDate, timeFilter);
+  const displayText = formatPeriodDisplay(currentDate, timeFilter, calendar);
 
   // Check if we're on today/current period
   const isCurrentPeriod = useMemo(() => {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const current = new Date(currentDate);
-    current.setHours(0, 0, 0, 0);
-
-    switch (timeFilter) {
-      case "daily":
-        return today.getTime() === current.getTime();
-      case "weekly": {
-        const todayWeekStart = new Date(today);
-        todayWeekStart.setDate(today.getDate() - today.getDay());
-        const currentWeekStart = new Date(current);
-        currentWeekStart.setDate(current.getDate() - current.getDay());
-        return todayWeekStart.getTime() === currentWeekStart.getTime();
-      }
-      case "monthly":
-        return today.getFullYear() === current.getFullYear() &&
-               today.getMonth() === current.getMonth();
-      case "yearly":
-        return today.getFullYear() === current.getFullYear();
-      default:
-        return false;
-    }
-  }, [currentDate, timeFilter]);
+    const today = getPeriodBounds(timeFilter, new Date(), calendar);
+    const current = getPeriodBounds(timeFilter, currentDate, calendar);
+    return Boolean(today && current) && today.start === current.start;
+  }, [currentDate, timeFilter, calendar]);
 
   return (
     <div className="iteration-nav flex items-center gap-0.5">
@@ -269,8 +338,8 @@ export default function IterationNav({
           </PopoverTrigger>
           <PopoverContent className="w-auto p-2" align="center">
             <QuickDatePicker
-              currentDate={currentDate}
               timeFilter={timeFilter}
+              calendar={calendar}
               onSelect={handleDateSelect}
             />
             {!isCurrentPeriod && (
@@ -284,6 +353,13 @@ export default function IterationNav({
                 </Button>
               </div>
             )}
+            <div className="pt-2 border-t border-border mt-2">
+              <CalendarSettings
+                calendar={calendar}
+                onWeekStartChange={onWeekStartChange}
+                onTimeZoneChange={onTimeZoneChange}
+              />
+            </div>
           </PopoverContent>
         </Popover>
 
@@ -13,7 +13,9 @@ import {
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select";
-import { PERSISTENCE_MODES } from "../helpers/CalculationHelpers";
+import { PERSISTENCE_MODES, withTimeSlot } from "../helpers/CalculationHelpers";
+import RecurrenceSettings, { defaultRecurrence } from "./RecurrenceSettings";
+import TimeSlotSettings from "./TimeSlotSettings";
 
 // Convert PERSISTENCE_MODES to options array
 const PERSISTENCE_MODE_OPTIONS = Object.entries(PERSISTENCE_MODES).map(([value, config]) => ({
@@ -40,15 +42,32 @@ export default function IterationSettings({
 }) {
   const mode = occurrence?.iteration?.mode || "specific";
 
+  // Only items repeat; panels and containers use their own iteration instead
+  const modeOptions = entityType === "instance"
+    ? PERSISTENCE_MODE_OPTIONS
+    : PERSISTENCE_MODE_OPTIONS.filter((opt) => opt.value !== "recurring");
+
   const handleModeChange = (newMode) => {
+    const iteration = { ...(occurrence?.iteration || {}), mode: newMode };
+    if (newMode === "recurring" && !iteration.recurrence) {
+      iteration.recurrence = defaultRecurrence(occurrence);
+    }
+    onUpdate?.({ iteration });
+  };
+
+  const handleRecurrenceChange = (recurrence) => {
     onUpdate?.({
       iteration: {
         ...(occurrence?.iteration || {}),
-        mode: newMode,
+        recurrence,
       },
     });
   };
 
+  const handleTimeSlotChange = (slot) => {
+    onUpdate?.({ iteration: withTimeSlot(occurrence?.iteration || {}, slot) });
+  };
+
   // Contextual descriptions based on entity type
   const getDescription = (modeValue) => {
     const config = PERSISTENCE_MODES[modeValue];
@@ -88,6 +107,8 @@ export default function IterationSettings({
         return "Only exists on this specific date";
       case "untilDone":
         return "Shows daily until checked off, then stays on completion date";
+      case "recurring":
+        return "Repeats on a schedule; each date is checked off on its own";
       default:
         return config.description;
     }
@@ -109,7 +130,7 @@ export default function IterationSettings({
           <SelectValue />
         </SelectTrigger>
         <SelectContent>
-          {PERSISTENCE_MODE_OPTIONS.map((opt) => (
+          {modeOptions.map((opt) => (
             <SelectItem key={opt.value} value={opt.value}>
               <span className="flex items-center gap-2">
                 <span>{opt.icon}</span>
@@ -123,6 +144,22 @@ export default function IterationSettings({
       <p className={`${compact ? "text-[9px]" : "text-[10px]"} text-muted-foreground/80`}>
         {getDescription(mode)}
       </p>
+
+      {mode === "recurring" && (
+        <RecurrenceSettings
+          occurrence={occurrence}
+          onChange={handleRecurrenceChange}
+          compact={compact}
+        />
+      )}
+
+      {entityType === "instance" && (
+        <TimeSlotSettings
+          occurrence={occurrence}
+          onChange={handleTimeSlotChange}
+          compact={compact}
+        />
+      )}
     </div>
   );
 }
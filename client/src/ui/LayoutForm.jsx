@@ -6,6 +6,7 @@ import { Button } from "@/components/ui/button";
 import { cn } from "@/lib/utils";
 import IterationSettings from "./IterationSettings";
 import StyleEditor from "./StyleEditor";
+import { useTimeFilterOptions } from "../hooks/useTimeFilterOptions";
 
 import { TooltipProvider, TooltipHelp } from "@/components/ui/tooltip";
 
@@ -309,6 +310,7 @@ const DRAG_MODE_OPTIONS = [
 export default function LayoutForm({ value, onChange, onCommit, onDeletePanel, panelId, panel, onPanelStyleUpdate, iteration, onIterationChange, defaultDragMode, onDragModeChange, occurrence, onOccurrenceUpdate, currentViewType, onViewTypeChange }) {
   const v = ensureLockDefaults(value);
   const iter = iteration || { mode: "inherit", timeFilter: "daily" };
+  const timeFilterOptions = useTimeFilterOptions(TIME_FILTER_OPTIONS);
 
   const display = v?.display ?? "grid";
   const flow = v?.flow ?? "row";
@@ -382,6 +384,8 @@ export default function LayoutForm({ value, onChange, onCommit, onDeletePanel, p
             <option value="artifact-viewer">Artifact Viewer</option>
             <option value="doc-viewer">Doc Viewer</option>
             <option value="file-manager">File Manager</option>
+            <option value="timeline">Timeline</option>
+            <option value="calendar">Calendar</option>
           </select>
         </div>
       )}
@@ -561,7 +565,7 @@ export default function LayoutForm({ value, onChange, onCommit, onDeletePanel, p
                 type: "select",
                 key: "__iterTimeFilter",
                 label: "Time Filter",
-                options: TIME_FILTER_OPTIONS,
+                options: timeFilterOptions,
                 description: "How occurrences are grouped for this panel.",
               }}
               value={{ __iterTimeFilter: iter.timeFilter || "daily" }}
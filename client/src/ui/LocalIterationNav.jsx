@@ -21,37 +21,49 @@ import {
 } from "@/components/ui/popover";
 import { ChevronLeft, ChevronRight, Link2, Unlink } from "lucide-react";
 import { GridActionsContext } from "../GridActionsContext";
+import { getPeriodBounds, getStateCalendar, isCustomTimeFilter, shiftPeriod, startOfCalendarDate, toCalendarDate } from "../helpers/CalculationHelpers";
+
+// A calendar date ("YYYY-MM-DD") formatted the same in every zone
+const formatDay = (key, options) =>
+  new Date(`${key}T12:00:00Z`).toLocaleDateString(undefined, { ...options, timeZone: "UTC" });
 
 /**
  * Format a date based on time filter type (compact version)
  */
-function formatPeriodCompact(date, timeFilter) {
-  if (!date) return "—";
-  const d = new Date(date);
+function formatPeriodCompact(date, timeFilter, calendar = {}) {
+  const day = date ? toCalendarDate(date, calendar.timeZone) : null;
+  if (!day) return "—";
+
+  if (isCustomTimeFilter(timeFilter)) {
+    const { start, label } = getPeriodBounds(timeFilter, day, calendar);
+    return label || formatDay(start, { month: "short", day: "numeric" });
+  }
 
   switch (timeFilter) {
     case "daily":
-      return d.toLocaleDateString(undefined, { month: "short", day: "numeric" });
-    case "weekly": {
-      const startOfWeek = new Date(d);
-      startOfWeek.setDate(d.getDate() - d.getDay());
-      return `Wk ${startOfWeek.toLocaleDateString(undefined, { month: "short", day: "numeric" })}`;
-    }
+      return formatDay(day, { month: "short", day: "numeric" });
+    case "weekly":
+      return `Wk ${formatDay(getPeriodBounds("weekly", day, calendar).start, { month: "short", day: "numeric" })}`;
     case "monthly":
-      return d.toLocaleDateString(undefined, { month: "short", year: "2-digit" });
+      return formatDay(day, { month: "short", year: "2-digit" });
     case "yearly":
-      return d.getFullYear().toString();
+      return day.slice(0, 4);
     default:
-      return d.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+      return formatDay(day, { month: "short", day: "numeric" });
   }
 }
 
 /**
  * Navigate the date by the iteration's time increment
  */
-function navigateDate(date, timeFilter, direction) {
-  const d = new Date(date);
+function navigateDate(date, timeFilter, direction, calendar = {}) {
   const increment = direction === "next" ? 1 : -1;
+  if (isCustomTimeFilter(timeFilter)) {
+    const start = shiftPeriod(timeFilter, date, increment, calendar);
+    return start ? startOfCalendarDate(start, calendar.timeZone) : new Date(date);
+  }
+
+  const d = new Date(date);
 
   switch (timeFilter) {
     case "daily":
@@ -171,28 +183,30 @@ export default function LocalIterationNav({
     });
   }, [isOwn, occurrence, onUpdate, effectiveTimeValue, effectiveTimeFilter, effectiveCategoryKey, effectiveCategoryValue]);
 
+  const calendar = useMemo(() => getStateCalendar(context.state), [context.state]);
+
   // Time navigation
   const handleTimePrev = useCallback(() => {
     if (!isOwn) return;
-    const newDate = navigateDate(effectiveTimeValue, effectiveTimeFilter, "prev");
+    const newDate = navigateDate(effectiveTimeValue, effectiveTimeFilter, "prev", calendar);
     onUpdate?.({
       iteration: {
         ...(occurrence?.iteration || {}),
         timeValue: newDate,
       },
     });
-  }, [isOwn, occurrence, onUpdate, effectiveTimeValue, effectiveTimeFilter]);
+  }, [isOwn, occurrence, onUpdate, effectiveTimeValue, effectiveTimeFilter, calendar]);
 
   const handleTimeNext = useCallback(() => {
     if (!isOwn) return;
-    const newDate = navigateDate(effectiveTimeValue, effectiveTimeFilter, "next");
+    const newDate = navigateDate(effectiveTimeValue, effectiveTimeFilter, "next", calendar);
     onUpdate?.({
       iteration: {
         ...(occurrence?.iteration || {}),
         timeValue: newDate,
       },
     });
-  }, [isOwn, occurrence, onUpdate, effectiveTimeValue, effectiveTimeFilter]);
+  }, [isOwn, occurrence, onUpdate, effectiveTimeValue, effectiveTimeFilter, calendar]);
 
   // Category navigation
   const handleCategoryPrev = useCallback(() => {
@@ -218,7 +232,7 @@ export default function LocalIterationNav({
   }, [isOwn, occurrence, onUpdate, effectiveCategoryValue, selectedCategoryDimension]);
 
   // Format display text
-  const timeDisplay = formatPeriodCompact(effectiveTimeValue, effectiveTimeFilter);
+  const timeDisplay = formatPeriodCompact(effectiveTimeValue, effectiveTimeFilter, calendar);
   const categoryDisplay = effectiveCategoryValue || "All";
 
   const buttonSize = compact ? "h-5 w-5" : "h-6 w-6";
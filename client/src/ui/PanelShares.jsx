@@ -0,0 +1,208 @@
+// ui/PanelShares.jsx
+// ============================================================
+// Public Links Dialog
+// Read-only links to single panels (/share/panel/:token) for people
+// without an account: a dashboard on a TV, a status page for a client,
+// or an iframe widget (/embed/panel/:token) in another tool.
+// Viewers see live updates; revoking disconnects them at once.
+// ============================================================
+
+import React, { useState, useEffect, useMemo, useContext } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { Globe, Plus, Copy, Code, Ban } from "lucide-react";
+import { GridActionsContext } from "../GridActionsContext";
+import { toast } from "../components/ui/sonner";
+import { uid } from "../uid";
+
+const shareUrl = (token) => `${window.location.origin}/share/panel/${token}`;
+const embedUrl = (token) => `${window.location.origin}/embed/panel/${token}`;
+const embedSnippet = (token) =>
+  `<iframe src="${embedUrl(token)}?header=0&theme=dark" width="400" height="300" style="border:0"></iframe>`;
+
+export default function PanelShares({ open, onOpenChange, gridId }) {
+  const { socket, panelsById } = useContext(GridActionsContext);
+
+  const [shares, setShares] = useState([]);
+  const [draft, setDraft] = useState({ name: "", panelId: "", allowToggles: false });
+
+  const panels = useMemo(
+    () => Object.values(panelsById || {}).filter(p => !p.gridId || p.gridId === gridId),
+    [panelsById, gridId]
+  );
+  const panelName = (id) => panelsById?.[id]?.layout?.name?.trim() || "Untitled panel";
+
+  useEffect(() => {
+    if (!open || !gridId || !socket) return;
+
+    socket.emit("list_panel_shares", { gridId });
+
+    const handleList = (payload) => {
+      if (payload.gridId === gridId) setShares(payload.shares || []);
+    };
+    const handleUpsert = ({ share }) => {
+      if (share?.gridId !== gridId) return;
+      setShares(prev => {
+        const exists = prev.some(s => s.id === share.id);
+        return exists ? prev.map(s => (s.id === share.id ? share : s)) : [...prev, share];
+      });
+    };
+
+    socket.on("panel_shares", handleList);
+    socket.on("panel_share_created", handleUpsert);
+    socket.on("panel_share_updated", handleUpsert);
+    socket.on("panel_share_revoked", handleUpsert);
+
+    return () => {
+      socket.off("panel_shares", handleList);
+      socket.off("panel_share_created", handleUpsert);
+      socket.off("panel_share_updated", handleUpsert);
+      socket.off("panel_share_revoked", handleUpsert);
+    };
+  }, [open, gridId, socket]);
+
+  const handleCreate = () => {
+    if (!socket || !gridId || !draft.panelId) return;
+    socket.emit("create_panel_share", {
+      share: { id: uid(), gridId, panelId: draft.panelId, name: draft.name.trim(), allowToggles: draft.allowToggles },
+    });
+    setDraft({ name: "", panelId: "", allowToggles: false });
+  };
+
+  const handleRevoke = (share) => {
+    const ok = window.confirm(`Revoke the link to "${share.name || panelName(share.panelId)}"? Anyone viewing it is disconnected.`);
+    if (!ok) return;
+    socket.emit("revoke_panel_share", { shareId: share.id });
+  };
+
+  const handleCopy = async (text, what = "Link") => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success(`${what} copied`);
+    } catch {
+      toast.error("Couldn't copy link");
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-xl max-h-[85vh] flex flex-col">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Globe className="w-5 h-5" />
+            Public Links
+          </DialogTitle>
+        </DialogHeader>
+
+        {/* Create form */}
+        <div className="flex items-center gap-2 border-b pb-3 text-xs">
+          <select
+            value={draft.panelId}
+            onChange={(e) => setDraft(d => ({ ...d, panelId: e.target.value }))}
+            className="h-7 text-xs bg-background border border-border rounded px-1 text-foreground"
+          >
+            <option value="">Panel…</option>
+            {panels.map(p => (
+              <option key={p.id} value={p.id}>{panelName(p.id)}</option>
+            ))}
+          </select>
+          <Input
+            value={draft.name}
+            onChange={(e) => setDraft(d => ({ ...d, name: e.target.value }))}
+            placeholder="Label (optional)"
+            className="h-7 text-xs flex-1"
+          />
+          <label className="flex items-center gap-1 cursor-pointer whitespace-nowrap" title="Viewers may tick boolean fields">
+            <Switch
+              checked={draft.allowToggles}
+              onCheckedChange={(allowToggles) => setDraft(d => ({ ...d, allowToggles }))}
+            />
+            Checkboxes
+          </label>
+          <Button size="sm" className="h-7" onClick={handleCreate} disabled={!draft.panelId}>
+            <Plus className="h-3 w-3 mr-1" />
+            Create
+          </Button>
+        </div>
+
+        <ScrollArea className="flex-1 min-h-[120px]">
+          {shares.length === 0 ? (
+            <div className="text-xs text-muted-foreground p-3">No public links for this grid.</div>
+          ) : (
+            shares.map(share => (
+              <div
+                key={share.id}
+                className={`border-b border-border/50 py-2 px-2 text-xs ${share.revokedAt ? "opacity-50" : ""}`}
+              >
+                <div className="flex items-center gap-2">
+                  <span className="font-semibold truncate flex-1">
+                    {share.name || panelName(share.panelId)}
+                    {share.name && <span className="text-muted-foreground font-normal"> · {panelName(share.panelId)}</span>}
+                  </span>
+                  {!share.revokedAt && (
+                    <>
+                      <Switch
+                        checked={!!share.allowToggles}
+                        title="Viewers may tick boolean fields"
+                        onCheckedChange={(allowToggles) =>
+                          socket.emit("update_panel_share", { share: { id: share.id, allowToggles } })
+                        }
+                      />
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-5 w-5"
+                        title="Copy link"
+                        onClick={() => handleCopy(shareUrl(share.token))}
+                      >
+                        <Copy className="w-3 h-3" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-5 w-5"
+                        title="Copy iframe embed code"
+                        onClick={() => handleCopy(embedSnippet(share.token), "Embed code")}
+                      >
+                        <Code className="w-3 h-3" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-5 w-5 hover:bg-red-500/20"
+                        title="Revoke link"
+                        onClick={() => handleRevoke(share)}
+                      >
+                        <Ban className="w-3 h-3 text-red-400" />
+                      </Button>
+                    </>
+                  )}
+                </div>
+                <div className="text-[10px] text-muted-foreground truncate">
+                  {share.revokedAt
+                    ? `Revoked ${new Date(share.revokedAt).toLocaleString()}`
+                    : shareUrl(share.token)}
+                  {" · "}
+                  {share.lastViewedAt ? `Last opened ${new Date(share.lastViewedAt).toLocaleString()}` : "Never opened"}
+                </div>
+              </div>
+            ))
+          )}
+        </ScrollArea>
+
+        <p className="text-[10px] text-muted-foreground">
+          Anyone with a link sees that panel, its items and field values. They can't change anything, except tick checkboxes where allowed.
+          Embeds accept <code>date</code>, <code>iteration</code>, <code>category</code> + <code>categoryValue</code>, <code>theme</code> and <code>header=0</code>.
+        </p>
+      </DialogContent>
+    </Dialog>
+  );
+}
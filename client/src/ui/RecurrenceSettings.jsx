@@ -0,0 +1,164 @@
+// ui/RecurrenceSettings.jsx
+// ============================================================
+// Schedule editor for recurring occurrences (iteration.recurrence)
+// Shown by IterationSettings when the mode is "recurring"
+// ============================================================
+
+import React from "react";
+import { Label } from "@/components/ui/label";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { RECURRENCE_FREQUENCIES, getCalendarWeekday, getRecurrenceStart, toCalendarDate } from "../helpers/CalculationHelpers";
+
+const WEEKDAYS = ["S", "M", "T", "W", "T", "F", "S"];
+
+/**
+ * Rule a series starts with when an occurrence is switched to "recurring":
+ * every week on the weekday of its own date
+ */
+export function defaultRecurrence(occurrence, timeZone) {
+  const start = getRecurrenceStart(occurrence, timeZone) || toCalendarDate(new Date(), timeZone);
+  return { freq: "weekly", interval: 1, byDay: [getCalendarWeekday(start)], exDates: [] };
+}
+
+/**
+ * RecurrenceSettings - Frequency, interval, days and end of a series
+ *
+ * Props:
+ * - occurrence: The series occurrence (iteration.mode "recurring")
+ * - onChange: (recurrence) => void
+ * - timeZone: Viewer's zone, for occurrences without iteration.date
+ * - compact: boolean - use smaller styling
+ */
+export default function RecurrenceSettings({ occurrence, onChange, timeZone, compact = false }) {
+  const rule = occurrence?.iteration?.recurrence || defaultRecurrence(occurrence, timeZone);
+  // "YYYY-MM-DD"
+  const start = getRecurrenceStart(occurrence, timeZone) || toCalendarDate(new Date(), timeZone);
+  const startWeekday = getCalendarWeekday(start);
+  const unit = RECURRENCE_FREQUENCIES[rule.freq]?.unit || "day";
+  const ends = rule.count ? "count" : rule.until ? "until" : "never";
+
+  const textSize = compact ? "text-[10px]" : "text-xs";
+  const controlSize = compact ? "h-7 text-xs" : "h-8 text-sm";
+
+  const update = (changes) => onChange?.({ ...rule, ...changes });
+
+  const toggleWeekday = (day) => {
+    const byDay = rule.byDay?.length ? rule.byDay : [startWeekday];
+    const next = byDay.includes(day) ? byDay.filter(d => d !== day) : [...byDay, day].sort((a, b) => a - b);
+    if (next.length > 0) update({ byDay: next });
+  };
+
+  const handleEndsChange = (value) => {
+    if (value === "never") update({ until: null, count: null });
+    if (value === "until") update({ until: rule.until || start, count: null });
+    if (value === "count") update({ until: null, count: rule.count || 10 });
+  };
+
+  return (
+    <div className={compact ? "space-y-1.5" : "space-y-2"}>
+      <div className="flex items-center gap-1.5">
+        <Label className={textSize}>Every</Label>
+        <Input
+          type="number"
+          min={1}
+          value={rule.interval || 1}
+          onChange={(e) => update({ interval: Math.max(1, Number(e.target.value) || 1) })}
+          className={`${controlSize} w-14`}
+        />
+        <Select value={rule.freq} onValueChange={(freq) => update({ freq })}>
+          <SelectTrigger className={`${controlSize} flex-1`}>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(RECURRENCE_FREQUENCIES).map(([value, config]) => (
+              <SelectItem key={value} value={value}>
+                {(rule.interval || 1) > 1 ? `${config.unit}s` : config.unit}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {unit === "week" && (
+        <div className="flex items-center gap-1">
+          {WEEKDAYS.map((letter, day) => {
+            const active = (rule.byDay?.length ? rule.byDay : [startWeekday]).includes(day);
+            return (
+              <button
+                key={day}
+                type="button"
+                onClick={() => toggleWeekday(day)}
+                className={`${compact ? "w-6 h-6 text-[10px]" : "w-7 h-7 text-xs"} rounded-full border ${
+                  active ? "bg-primary text-primary-foreground border-primary" : "border-border text-muted-foreground"
+                }`}
+              >
+                {letter}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {unit === "month" && (
+        <div className="flex items-center gap-1.5">
+          <Label className={textSize}>On day</Label>
+          <Input
+            type="number"
+            min={1}
+            max={31}
+            value={rule.byMonthDay || Number(start.slice(8))}
+            onChange={(e) => update({ byMonthDay: Math.min(31, Math.max(1, Number(e.target.value) || 1)) })}
+            className={`${controlSize} w-14`}
+          />
+        </div>
+      )}
+
+      <div className="flex items-center gap-1.5">
+        <Label className={textSize}>Ends</Label>
+        <Select value={ends} onValueChange={handleEndsChange}>
+          <SelectTrigger className={`${controlSize} w-24`}>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="never">Never</SelectItem>
+            <SelectItem value="until">On date</SelectItem>
+            <SelectItem value="count">After</SelectItem>
+          </SelectContent>
+        </Select>
+        {ends === "until" && (
+          <Input
+            type="date"
+            value={toCalendarDate(rule.until, timeZone) || ""}
+            onChange={(e) => e.target.value && update({ until: e.target.value })}
+            className={`${controlSize} flex-1`}
+          />
+        )}
+        {ends === "count" && (
+          <>
+            <Input
+              type="number"
+              min={1}
+              value={rule.count}
+              onChange={(e) => update({ count: Math.max(1, Number(e.target.value) || 1) })}
+              className={`${controlSize} w-16`}
+            />
+            <span className={`${textSize} text-muted-foreground`}>times</span>
+          </>
+        )}
+      </div>
+
+      {rule.exDates?.length > 0 && (
+        <p className={`${compact ? "text-[9px]" : "text-[10px]"} text-muted-foreground/80`}>
+          {rule.exDates.length} date{rule.exDates.length === 1 ? "" : "s"} skipped or edited separately
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+// ui/TimeSlotSettings.jsx
+// ============================================================
+// Time-of-day editor for an instance occurrence
+// (iteration.startTime / endTime, see TIME OF DAY in shared/calculations.js)
+// Shown by IterationSettings for instances
+// ============================================================
+
+import React from "react";
+import { Label } from "@/components/ui/label";
+import { Input } from "@/components/ui/input";
+import { X } from "lucide-react";
+import {
+  DEFAULT_SLOT_MINUTES,
+  formatTimeOfDay,
+  getOccurrenceTimeSlot,
+  parseTimeOfDay,
+} from "../helpers/CalculationHelpers";
+
+function formatLength(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return [h && `${h}h`, m && `${m}m`].filter(Boolean).join(" ");
+}
+
+/**
+ * TimeSlotSettings - Start and end time of an occurrence on its day
+ *
+ * Props:
+ * - occurrence: The occurrence
+ * - onChange: ({ start, end } | null) => void - minutes since midnight; null unschedules
+ * - compact: boolean - use smaller styling
+ */
+export default function TimeSlotSettings({ occurrence, onChange, compact = false }) {
+  const slot = getOccurrenceTimeSlot(occurrence);
+
+  const textSize = compact ? "text-[10px]" : "text-xs";
+  const controlSize = compact ? "h-7 text-xs" : "h-8 text-sm";
+
+  const handleStart = (value) => {
+    const start = parseTimeOfDay(value);
+    if (start == null) return;
+    const length = slot ? slot.end - slot.start : DEFAULT_SLOT_MINUTES;
+    onChange?.({ start, end: Math.min(24 * 60, start + length) });
+  };
+
+  const handleEnd = (value) => {
+    const end = parseTimeOfDay(value);
+    if (!slot || end == null || end <= slot.start) return;
+    onChange?.({ start: slot.start, end });
+  };
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center justify-between">
+        <Label className={textSize}>Time</Label>
+        {slot && (
+          <span className={`${compact ? "text-[9px]" : "text-[10px]"} opacity-70`}>
+            {formatLength(slot.end - slot.start)}
+          </span>
+        )}
+      </div>
+      <div className="flex items-center gap-1.5">
+        <Input
+          type="time"
+          step={300}
+          value={slot ? formatTimeOfDay(slot.start) : ""}
+          onChange={(e) => handleStart(e.target.value)}
+          className={`${controlSize} flex-1`}
+        />
+        <span className={`${textSize} text-muted-foreground`}>–</span>
+        <Input
+          type="time"
+          step={300}
+          value={slot ? formatTimeOfDay(slot.end % (24 * 60)) : ""}
+          onChange={(e) => handleEnd(e.target.value === "00:00" ? "24:00" : e.target.value)}
+          disabled={!slot}
+          className={`${controlSize} flex-1`}
+        />
+        {slot && (
+          <button
+            type="button"
+            title="All day"
+            onClick={() => onChange?.(null)}
+            className="text-muted-foreground hover:text-foreground"
+          >
+            <X className="h-3.5 w-3.5" />
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
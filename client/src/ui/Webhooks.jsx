@@ -0,0 +1,346 @@
+// ui/Webhooks.jsx
+// ============================================================
+// Webhooks Dialog
+// Per-grid outbound webhook subscriptions + delivery log.
+// Deliveries are signed (X-Moduli-Signature) and retried with backoff
+// by the server; the log updates live via "webhook_delivery".
+// ============================================================
+
+import React, { useState, useEffect, useMemo, useContext } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Switch } from "@/components/ui/switch";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { Webhook as WebhookIcon, Plus, Trash2, Send, RefreshCw, Copy } from "lucide-react";
+import { GridActionsContext } from "../GridActionsContext";
+import { toast } from "../components/ui/sonner";
+import { uid } from "../uid";
+
+const EVENT_OPTIONS = [
+  { value: "field.changed", label: "Field changed" },
+  { value: "occurrence.moved", label: "Occurrence moved" },
+  { value: "target.missed", label: "Target missed" },
+];
+
+const STATUS_COLORS = {
+  success: "bg-emerald-500/20 text-emerald-400 border-emerald-500/30",
+  pending: "bg-amber-500/20 text-amber-400 border-amber-500/30",
+  failed: "bg-red-500/20 text-red-400 border-red-500/30",
+};
+
+/**
+ * Delivery log for one webhook
+ */
+function DeliveryLog({ socket, webhookId }) {
+  const [deliveries, setDeliveries] = useState([]);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    if (!socket || !webhookId) return;
+
+    socket.emit("list_webhook_deliveries", { webhookId });
+
+    const handleList = (payload) => {
+      if (payload.webhookId === webhookId) setDeliveries(payload.deliveries || []);
+    };
+    const handleDelivery = ({ delivery }) => {
+      if (delivery?.webhookId !== webhookId) return;
+      setDeliveries(prev => [delivery, ...prev.filter(d => d.id !== delivery.id)]);
+    };
+
+    socket.on("webhook_deliveries", handleList);
+    socket.on("webhook_delivery", handleDelivery);
+
+    return () => {
+      socket.off("webhook_deliveries", handleList);
+      socket.off("webhook_delivery", handleDelivery);
+    };
+  }, [socket, webhookId]);
+
+  if (deliveries.length === 0) {
+    return <div className="text-xs text-muted-foreground p-3">No deliveries yet.</div>;
+  }
+
+  return deliveries.map(d => (
+    <div
+      key={d.id}
+      className="border-b border-border/50 py-1.5 px-2 text-xs cursor-pointer hover:bg-muted/30"
+      onClick={() => setExpandedId(expandedId === d.id ? null : d.id)}
+    >
+      <div className="flex items-center gap-2">
+        <span className={`text-[9px] px-1.5 py-0.5 rounded border ${STATUS_COLORS[d.status] || ""}`}>
+          {d.status}
+        </span>
+        <span className="font-semibold">{d.event}</span>
+        <span className="text-muted-foreground truncate flex-1">
+          {d.responseStatus ? `HTTP ${d.responseStatus}` : d.error || ""}
+          {d.attempts > 1 && ` · ${d.attempts} attempts`}
+        </span>
+        <span className="text-[10px] text-muted-foreground">
+          {new Date(d.lastAttemptAt || d.createdAt).toLocaleString()}
+        </span>
+        <Button
+          variant="ghost"
+          size="icon"
+          className="h-5 w-5"
+          title="Redeliver"
+          onClick={(e) => {
+            e.stopPropagation();
+            socket.emit("redeliver_webhook", { deliveryId: d.id });
+          }}
+        >
+          <RefreshCw className="w-3 h-3" />
+        </Button>
+      </div>
+      {expandedId === d.id && (
+        <div className="mt-1 space-y-1">
+          {d.status === "pending" && d.nextAttemptAt && (
+            <div className="text-[10px] text-amber-400">Next attempt {new Date(d.nextAttemptAt).toLocaleString()}</div>
+          )}
+          <pre className="text-[10px] bg-muted rounded p-1 overflow-x-auto">{JSON.stringify(d.payload, null, 2)}</pre>
+          {d.responseBody && (
+            <pre className="text-[10px] bg-muted/50 rounded p-1 overflow-x-auto">{d.responseBody}</pre>
+          )}
+        </div>
+      )}
+    </div>
+  ));
+}
+
+export default function Webhooks({ open, onOpenChange, gridId }) {
+  const { socket, fieldsById, containersById } = useContext(GridActionsContext);
+
+  const [webhooks, setWebhooks] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState({ name: "", url: "", events: ["field.changed"], fieldIds: [], containerIds: [] });
+
+  const gridFields = useMemo(
+    () => Object.values(fieldsById || {}).filter(f => f.gridId === gridId),
+    [fieldsById, gridId]
+  );
+  const containers = useMemo(() => Object.values(containersById || {}), [containersById]);
+
+  useEffect(() => {
+    if (!open || !gridId || !socket) return;
+
+    socket.emit("list_webhooks", { gridId });
+
+    const handleList = (payload) => {
+      if (payload.gridId === gridId) setWebhooks(payload.webhooks || []);
+    };
+    const handleUpsert = ({ webhook }) => {
+      if (webhook?.gridId !== gridId) return;
+      setWebhooks(prev => {
+        const exists = prev.some(w => w.id === webhook.id);
+        return exists ? prev.map(w => (w.id === webhook.id ? webhook : w)) : [...prev, webhook];
+      });
+    };
+    const handleDeleted = ({ webhookId }) => {
+      setWebhooks(prev => prev.filter(w => w.id !== webhookId));
+      setSelectedId(cur => (cur === webhookId ? null : cur));
+    };
+
+    socket.on("webhooks", handleList);
+    socket.on("webhook_created", handleUpsert);
+    socket.on("webhook_updated", handleUpsert);
+    socket.on("webhook_deleted", handleDeleted);
+
+    return () => {
+      socket.off("webhooks", handleList);
+      socket.off("webhook_created", handleUpsert);
+      socket.off("webhook_updated", handleUpsert);
+      socket.off("webhook_deleted", handleDeleted);
+    };
+  }, [open, gridId, socket]);
+
+  const toggleIn = (key, value) => {
+    setDraft(d => ({
+      ...d,
+      [key]: d[key].includes(value) ? d[key].filter(v => v !== value) : [...d[key], value],
+    }));
+  };
+
+  const handleCreate = () => {
+    if (!socket || !draft.url.trim() || draft.events.length === 0) return;
+    const id = uid();
+    socket.emit("create_webhook", {
+      webhook: { ...draft, id, gridId, url: draft.url.trim(), name: draft.name.trim() || "Untitled Webhook" },
+    });
+    setSelectedId(id);
+    setDraft(d => ({ ...d, name: "", url: "" }));
+  };
+
+  const handleDelete = (hook) => {
+    const ok = window.confirm(`Delete webhook "${hook.name}" and its delivery log?`);
+    if (!ok) return;
+    socket.emit("delete_webhook", { webhookId: hook.id });
+  };
+
+  const handleCopySecret = async (secret) => {
+    try {
+      await navigator.clipboard.writeText(secret);
+      toast.success("Signing secret copied");
+    } catch {
+      toast.error("Couldn't copy secret");
+    }
+  };
+
+  const fieldName = (id) => fieldsById?.[id]?.name || id;
+  const containerName = (id) => containersById?.[id]?.label || id;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[85vh] flex flex-col">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <WebhookIcon className="w-5 h-5" />
+            Webhooks
+          </DialogTitle>
+        </DialogHeader>
+
+        {/* Create form */}
+        <div className="space-y-2 border-b pb-3 text-xs">
+          <div className="flex items-center gap-2">
+            <Input
+              value={draft.name}
+              onChange={(e) => setDraft(d => ({ ...d, name: e.target.value }))}
+              placeholder="Name"
+              className="h-7 text-xs w-40"
+            />
+            <Input
+              value={draft.url}
+              onChange={(e) => setDraft(d => ({ ...d, url: e.target.value }))}
+              placeholder="https://example.com/hook"
+              className="h-7 text-xs flex-1"
+            />
+            <Button size="sm" className="h-7" onClick={handleCreate} disabled={!draft.url.trim() || draft.events.length === 0}>
+              <Plus className="h-3 w-3 mr-1" />
+              Add
+            </Button>
+          </div>
+
+          <div className="flex flex-wrap gap-3">
+            {EVENT_OPTIONS.map(opt => (
+              <label key={opt.value} className="flex items-center gap-1 cursor-pointer">
+                <Checkbox checked={draft.events.includes(opt.value)} onCheckedChange={() => toggleIn("events", opt.value)} />
+                {opt.label}
+              </label>
+            ))}
+          </div>
+
+          {(draft.events.includes("field.changed") || draft.events.includes("target.missed")) && gridFields.length > 0 && (
+            <div className="flex flex-wrap gap-2 items-center">
+              <span className="text-muted-foreground">Only fields (none = all):</span>
+              {gridFields.map(f => (
+                <label key={f.id} className="flex items-center gap-1 cursor-pointer">
+                  <Checkbox checked={draft.fieldIds.includes(f.id)} onCheckedChange={() => toggleIn("fieldIds", f.id)} />
+                  {f.name}
+                </label>
+              ))}
+            </div>
+          )}
+
+          {draft.events.includes("occurrence.moved") && containers.length > 0 && (
+            <div className="flex items-center gap-2">
+              <span className="text-muted-foreground">Only moves into:</span>
+              <select
+                multiple
+                value={draft.containerIds}
+                onChange={(e) => setDraft(d => ({ ...d, containerIds: [...e.target.selectedOptions].map(o => o.value) }))}
+                className="text-xs bg-background border border-border rounded px-1 text-foreground h-16 flex-1"
+              >
+                {containers.map(c => (
+                  <option key={c.id} value={c.id}>{c.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+
+        {/* Webhook list + delivery log */}
+        <div className="flex gap-3 flex-1 min-h-0">
+          <ScrollArea className="w-1/2 min-h-[160px]">
+            {webhooks.length === 0 ? (
+              <div className="text-xs text-muted-foreground p-3">No webhooks for this grid.</div>
+            ) : (
+              webhooks.map(hook => (
+                <div
+                  key={hook.id}
+                  className={`border-b border-border/50 py-2 px-2 text-xs cursor-pointer hover:bg-muted/30 ${selectedId === hook.id ? "bg-muted/30" : ""}`}
+                  onClick={() => setSelectedId(hook.id)}
+                >
+                  <div className="flex items-center gap-2">
+                    <Switch
+                      checked={hook.enabled}
+                      onCheckedChange={(enabled) => socket.emit("update_webhook", { webhook: { id: hook.id, enabled } })}
+                      onClick={(e) => e.stopPropagation()}
+                    />
+                    <span className={`font-semibold truncate flex-1 ${hook.enabled ? "" : "opacity-60"}`}>{hook.name}</span>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-5 w-5"
+                      title="Send test delivery"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        socket.emit("test_webhook", { webhookId: hook.id });
+                        setSelectedId(hook.id);
+                      }}
+                    >
+                      <Send className="w-3 h-3" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-5 w-5"
+                      title="Copy signing secret"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleCopySecret(hook.secret);
+                      }}
+                    >
+                      <Copy className="w-3 h-3" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-5 w-5 hover:bg-red-500/20"
+                      title="Delete webhook"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleDelete(hook);
+                      }}
+                    >
+                      <Trash2 className="w-3 h-3 text-red-400" />
+                    </Button>
+                  </div>
+                  <div className="text-[10px] text-muted-foreground truncate">{hook.url}</div>
+                  <div className="text-[10px] text-muted-foreground truncate">
+                    {hook.events.join(", ")}
+                    {hook.fieldIds?.length > 0 && ` · ${hook.fieldIds.map(fieldName).join(", ")}`}
+                    {hook.containerIds?.length > 0 && ` · into ${hook.containerIds.map(containerName).join(", ")}`}
+                  </div>
+                </div>
+              ))
+            )}
+          </ScrollArea>
+
+          <ScrollArea className="w-1/2 min-h-[160px] border-l pl-2">
+            {selectedId ? (
+              <DeliveryLog socket={socket} webhookId={selectedId} />
+            ) : (
+              <div className="text-xs text-muted-foreground p-3">Select a webhook to see its deliveries.</div>
+            )}
+          </ScrollArea>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -12,5 +12,9 @@ export default defineConfig({
   server: {
     port: 3000,
     strictPort: true,
+    // shared/ (calculations used by the server too) sits beside client/
+    fs: {
+      allow: [__dirname, path.resolve(__dirname, "../shared")],
+    },
   },
 });
@@ -1,28 +1,61 @@
-io.use(async (socket, next) => {
-    const token = socket.handshake.auth?.token;
+// middleware/auth.js
+// Express auth for the HTTP API. Accepts either the browser's JWT or a
+// personal access token (mod_pat_...), sent as "Authorization: Bearer <token>",
+// and sets req.userId + req.auth.
 
-    // No token → unauthenticated socket allowed (needed for login/register)
-    if (!token) {
-        socket.userId = null;
-        return next();
-    }
+import User from "../models/User.js";
+import { verifyToken } from "../utils/jwts.js";
+import { isAccessToken, resolveAccessToken, authHasScope } from "../utils/accessTokens.js";
 
-    const decoded = verifyToken(token);
-    if (!decoded) {
-        // Token invalid → treat as logged-out user
-        console.log("⚠️ Invalid token — connecting unauthenticated");
-        socket.userId = null;
-        return next();
-    }
+export function getBearerToken(req) {
+  const header = req.headers?.authorization || "";
+  const [scheme, token] = header.split(" ");
+  if (scheme?.toLowerCase() !== "bearer" || !token) return null;
+  return token.trim();
+}
 
-    const user = await User.findById(decoded.userId);
-    if (!user) {
-        console.log("⚠️ User not found — clearing token and allowing unauthenticated socket");
-        socket.userId = null;
-        return next();
-    }
+/**
+ * Resolves a raw token (JWT or personal access token) to an auth object
+ * @param {string} token - Raw token
+ * @returns {Object|null} { type, userId, scopes, gridIds, tokenId } or null
+ */
+export async function resolveAuth(token) {
+  if (!token) return null;
+
+  if (isAccessToken(token)) return resolveAccessToken(token);
+
+  const decoded = verifyToken(token);
+  if (!decoded) return null;
+
+  const user = await User.findById(decoded.userId);
+  if (!user) return null;
 
-    // Valid user
-    socket.userId = user._id.toString();
+  return { type: "jwt", userId: user._id.toString(), scopes: [], gridIds: [] };
+}
+
+export async function requireAuth(req, res, next) {
+  try {
+    const token = getBearerToken(req);
+    if (!token) return res.status(401).json({ error: "Missing bearer token" });
+
+    const auth = await resolveAuth(token);
+    if (!auth) return res.status(401).json({ error: "Invalid or revoked token" });
+
+    req.auth = auth;
+    req.userId = auth.userId;
+    next();
+  } catch (err) {
+    console.error("requireAuth error:", err);
+    res.status(500).json({ error: "Failed to authenticate" });
+  }
+}
+
+// Use after requireAuth. Browser sessions pass every scope check.
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (!authHasScope(req.auth, scope)) {
+      return res.status(403).json({ error: `Token is missing scope: ${scope}` });
+    }
     next();
-});
+  };
+}
@@ -0,0 +1,43 @@
+// models/AccessToken.js
+// Personal access tokens for machine clients (scripts, shortcuts, cron jobs).
+// Only a sha256 hash of the secret is stored; the plain token is shown once at creation.
+import mongoose from "mongoose";
+
+export const ACCESS_TOKEN_SCOPES = [
+  "fields:read",
+  "fields:write",
+  "occurrences:read",
+  "occurrences:write",
+  "artifacts:write",
+  "grids:export",
+  "grids:import",
+];
+
+const AccessTokenSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true, index: true, unique: true },
+    userId: { type: String, required: true, index: true },
+
+    name: { type: String, default: "Untitled Token" },
+
+    // sha256(secret) — lookups hash the presented token and match on this
+    tokenHash: { type: String, required: true, unique: true },
+    // First characters of the secret, for recognizing tokens in the UI
+    prefix: { type: String, required: true },
+
+    scopes: [{ type: String, enum: ACCESS_TOKEN_SCOPES }],
+
+    // Grids this token may touch (empty = all of the user's grids)
+    gridIds: [{ type: String }],
+
+    expiresAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+    lastUsedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+AccessTokenSchema.index({ userId: 1, createdAt: -1 });
+
+const AccessToken = mongoose.model("AccessToken", AccessTokenSchema);
+export default AccessToken;
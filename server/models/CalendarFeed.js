@@ -0,0 +1,34 @@
+// models/CalendarFeed.js
+// Subscribable iCalendar feeds of a grid's scheduled occurrences.
+// The token is the only credential (it's in the URL calendar apps poll),
+// so it only grants read access to this one feed. Rotate it to revoke.
+import mongoose from "mongoose";
+
+const CalendarFeedSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true, index: true, unique: true },
+    userId: { type: String, required: true, index: true },
+    gridId: { type: String, required: true, index: true },
+
+    name: { type: String, default: "Moduli Calendar" },
+    token: { type: String, required: true, unique: true },
+
+    // Optional narrowing (empty = any)
+    panelIds: { type: [String], default: [] },
+    containerIds: { type: [String], default: [] },
+    categoryKey: { type: String, default: null },
+    categoryValue: { type: String, default: null },
+
+    // Whether field values are listed in each event's description
+    includeFieldValues: { type: Boolean, default: true },
+
+    lastFetchedAt: { type: Date, default: null },
+    meta: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true, minimize: false }
+);
+
+CalendarFeedSchema.index({ userId: 1, gridId: 1 });
+
+const CalendarFeed = mongoose.model("CalendarFeed", CalendarFeedSchema);
+export default CalendarFeed;
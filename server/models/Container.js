@@ -21,7 +21,7 @@ const ContainerSchema = new mongoose.Schema(
     // Iteration settings (inherit from panel or own)
     iteration: {
       mode: { type: String, enum: ["inherit", "own"], default: "inherit" },
-      timeFilter: { type: String, enum: ["daily", "weekly", "monthly", "yearly", "all"], default: "daily" },
+      timeFilter: { type: String, match: /^(daily|weekly|monthly|yearly|all|custom:.+)$/, default: "daily" },
     },
 
     // Default drag mode for this container
@@ -87,7 +87,7 @@ const DocSchema = new mongoose.Schema(
     // Iteration context (for day pages and time-based filtering)
     iteration: {
       timeValue: { type: Date },
-      timeFilter: { type: String, enum: ["daily", "weekly", "monthly", "yearly", "all"] },
+      timeFilter: { type: String, match: /^(daily|weekly|monthly|yearly|all|custom:.+)$/ },
       categoryKey: { type: String },
       categoryValue: { type: String },
     },
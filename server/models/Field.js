@@ -45,9 +45,9 @@ const FieldSchema = new mongoose.Schema(
       target: {
         value: { type: mongoose.Schema.Types.Mixed },
         op: { type: String, enum: [">=", "<=", "==", "!=", ">", "<"] },
-        timeFilter: { type: String, enum: ["daily", "weekly", "monthly", "yearly", "inherit"] }
+        timeFilter: { type: String, match: /^(daily|weekly|monthly|yearly|inherit|custom:.+)$/ }
       },
-      timeFilter: { type: String, enum: ["daily", "weekly", "monthly", "yearly", "inherit", "all"] },
+      timeFilter: { type: String, match: /^(daily|weekly|monthly|yearly|inherit|all|custom:.+)$/ },
       allowedFields: [{
         fieldId: { type: String },
         flowFilter: { type: String, enum: ["any", "in", "out"], default: "any" },
@@ -71,6 +71,8 @@ const FieldSchema = new mongoose.Schema(
 
     // Triggers - automations that fire on events
     triggers: [{
+      // Stable id, recorded as trigger.triggerId on automation transactions
+      id: { type: String },
       event: { type: String, enum: ["onDrop", "onChange", "onComplete"] },
       // Block tree for the trigger action
       blockTree: { type: mongoose.Schema.Types.Mixed },
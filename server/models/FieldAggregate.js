@@ -0,0 +1,45 @@
+// models/FieldAggregate.js
+// Pre-aggregated measure values for one field over one period: a day, week
+// (starting Sunday) or month, for the whole grid, one panel or one
+// container, split by flow. Kept up to date from the Transaction log by
+// utils/fieldAggregates.js, so reading a year of history is a few hundred
+// small documents instead of every transaction.
+import mongoose from "mongoose";
+
+export const AGGREGATE_PERIODS = ["day", "week", "month"];
+export const AGGREGATE_SCOPES = ["grid", "panel", "container"];
+
+const FieldAggregateSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true, index: true },
+    gridId: { type: String, required: true },
+    fieldId: { type: String, required: true },
+
+    period: { type: String, enum: AGGREGATE_PERIODS, required: true },
+    // First day of the period, YYYY-MM-DD (server local time)
+    start: { type: String, required: true },
+
+    scope: { type: String, enum: AGGREGATE_SCOPES, required: true },
+    scopeId: { type: String, required: true },
+    flow: { type: String, enum: ["in", "out", "replace"], default: "in" },
+
+    // Every measure value, numeric ones (signed by flow) and true booleans
+    count: { type: Number, default: 0 },
+    numericCount: { type: Number, default: 0 },
+    sum: { type: Number, default: 0 },
+    trueCount: { type: Number, default: 0 },
+    min: { type: Number },
+    max: { type: Number },
+    // min / max can't shrink when an undo takes a value out; set until rebuilt
+    extremaStale: { type: Boolean, default: false },
+  },
+  { timestamps: true, minimize: false }
+);
+
+FieldAggregateSchema.index(
+  { userId: 1, gridId: 1, fieldId: 1, period: 1, scope: 1, scopeId: 1, flow: 1, start: 1 },
+  { unique: true }
+);
+
+const FieldAggregate = mongoose.model("FieldAggregate", FieldAggregateSchema);
+export default FieldAggregate;
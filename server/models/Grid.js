@@ -16,7 +16,7 @@ const GridSchema = new mongoose.Schema({
     type: [{
       id: { type: String, required: true },
       name: { type: String, default: "" },
-      timeFilter: { type: String, enum: ["daily", "weekly", "monthly", "yearly", "all"], default: "daily" },
+      timeFilter: { type: String, match: /^(daily|weekly|monthly|yearly|all|custom:.+)$/, default: "daily" },
     }],
     default: [{
       id: "default",
@@ -43,6 +43,28 @@ const GridSchema = new mongoose.Schema({
   // Current time value (the date/period being viewed)
   currentIterationValue: { type: Date, default: Date.now },
 
+  // First day of the week for weekly iterations (0 = Sunday ... 6 = Saturday)
+  weekStart: { type: Number, min: 0, max: 6, default: 0 },
+
+  // Custom periods (sprints, fiscal months, named date ranges), used as
+  // timeFilter "custom:<id>"; shapes in CUSTOM PERIODS, shared/calculations.js
+  periods: {
+    type: [{
+      _id: false,
+      id: { type: String, required: true },
+      name: { type: String, default: "" },
+      kind: { type: String, enum: ["repeating", "ranges"], required: true },
+      anchor: { type: String },
+      unit: { type: String, enum: ["day", "week"] },
+      lengths: { type: [Number], default: undefined },
+      ranges: {
+        type: [{ _id: false, name: { type: String, default: "" }, start: String, end: String }],
+        default: undefined,
+      },
+    }],
+    default: []
+  },
+
   // Currently selected category dimension (null = no category filtering)
   selectedCategoryId: { type: String, default: null },
 
@@ -67,6 +89,22 @@ const GridSchema = new mongoose.Schema({
 
   // Default template for auto-created day pages (matches a template.id in templates[])
   defaultDayPageTemplateId: { type: String, default: null },
+
+  // Other accounts this grid is shared with. Their edits are stored under
+  // the owner's userId; the role decides what they may do.
+  members: {
+    type: [{
+      _id: false,
+      userId: { type: String, required: true },
+      email: { type: String, default: "" },
+      role: { type: String, enum: ["viewer", "editor", "owner"], default: "viewer" },
+      addedBy: { type: String, default: null },
+      addedAt: { type: Date, default: Date.now },
+    }],
+    default: []
+  },
 }, { timestamps: true });
 
+GridSchema.index({ "members.userId": 1 });
+
 export default mongoose.model("Grid", GridSchema);
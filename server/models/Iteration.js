@@ -12,7 +12,7 @@ const IterationSchema = new mongoose.Schema(
     // Time axis
     timeFilter: {
       type: String,
-      enum: ["daily", "weekly", "monthly", "yearly", "all"],
+      match: /^(daily|weekly|monthly|yearly|all|custom:.+)$/,
       default: "daily",
     },
 
@@ -30,7 +30,18 @@ const OccurrenceSchema = new mongoose.Schema(
 
       // TIME-BASED iteration (when in time, e.g., daily/weekly/monthly)
       timeValue: { type: Date },  // The specific date
-      timeFilter: { type: String, enum: ["daily", "weekly", "monthly", "yearly", "all"] },
+      timeFilter: { type: String, match: /^(daily|weekly|monthly|yearly|all|custom:.+)$/ },
+      // The calendar date ("YYYY-MM-DD") timeValue stands for, in the zone it
+      // was picked in; periods match on this so the date doesn't move between zones
+      date: { type: String },
+      timeZone: { type: String },
+
+      // Optional slot within that date, wall-clock "HH:MM" in timeZone; a
+      // duration (minutes) stands in for a missing endTime. No startTime
+      // means unscheduled (see TIME OF DAY in shared/calculations.js)
+      startTime: { type: String, match: /^\d{2}:\d{2}$/ },
+      endTime: { type: String, match: /^\d{2}:\d{2}$/ },
+      duration: { type: Number, min: 1, max: 1440 },
 
       // CATEGORY-BASED iteration (what category, e.g., "work", "personal")
       categoryKey: { type: String },   // e.g., "project", "context", "tag"
@@ -45,7 +56,15 @@ const OccurrenceSchema = new mongoose.Schema(
       // "persistent" - Shows on ALL iterations (templates, habits in toolkit)
       // "specific" - Only shows on the specific iteration.value date
       // "untilDone" - Shows on all iterations until completed, then becomes specific
-      mode: { type: String, enum: ["persistent", "specific", "untilDone"], default: "specific" },
+      // "recurring" - Shows on the dates picked by recurrence (see below)
+      mode: { type: String, enum: ["persistent", "specific", "untilDone", "recurring"], default: "specific" },
+
+      // When mode="recurring": the schedule, starting on timeValue/value
+      // { freq: "daily" | "weekly" | "monthly", interval, byDay: [0-6],
+      //   byMonthDay, until, count, exDates: ["YYYY-MM-DD"] }
+      // Dates with their own values are separate "specific" occurrences with
+      // meta.recurrence { seriesId, date }; their dates are in exDates too
+      recurrence: { type: mongoose.Schema.Types.Mixed },
 
       // When mode="untilDone" and item is completed, this records when
       completedOn: { type: Date },
@@ -29,6 +29,12 @@ const OperationSchema = new mongoose.Schema(
     // Whether this operation is active
     enabled: { type: Boolean, default: true },
 
+    // Scheduler status (onInterval) — persisted so runs survive restarts
+    lastRunAt: { type: Date, default: null },
+    nextRunAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    lastResult: { type: mongoose.Schema.Types.Mixed, default: null },
+
     sortOrder: { type: Number, default: 0 },
     meta: { type: mongoose.Schema.Types.Mixed, default: {} },
   },
@@ -37,6 +43,7 @@ const OperationSchema = new mongoose.Schema(
 
 OperationSchema.index({ gridId: 1, targetFieldId: 1 });
 OperationSchema.index({ gridId: 1, sortOrder: 1 });
+OperationSchema.index({ triggerType: 1, enabled: 1 });
 
 const Operation = mongoose.model("Operation", OperationSchema);
 export default Operation;
@@ -19,7 +19,7 @@ const PanelSchema = new mongoose.Schema(
     // Iteration settings (inherit from grid or own)
     iteration: {
       mode: { type: String, enum: ["inherit", "own"], default: "inherit" },
-      timeFilter: { type: String, enum: ["daily", "weekly", "monthly", "yearly", "all"], default: "daily" },
+      timeFilter: { type: String, match: /^(daily|weekly|monthly|yearly|all|custom:.+)$/, default: "daily" },
     },
 
     // Default drag mode for this panel
@@ -0,0 +1,31 @@
+// models/PanelShare.js
+// Public read-only links to a single panel (dashboards on a TV, a client
+// status page, an iframe widget...). The token is the only credential: it
+// opens the /public socket namespace for this one panel. Revoking keeps the
+// record so the owner can still see which links existed.
+import mongoose from "mongoose";
+
+const PanelShareSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true, index: true, unique: true },
+    userId: { type: String, required: true, index: true },
+    gridId: { type: String, required: true, index: true },
+    panelId: { type: String, required: true, index: true },
+
+    name: { type: String, default: "" },
+    token: { type: String, required: true, unique: true },
+
+    // Viewers may tick boolean fields on the panel's items (nothing else)
+    allowToggles: { type: Boolean, default: false },
+
+    revokedAt: { type: Date, default: null },
+    lastViewedAt: { type: Date, default: null },
+    meta: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true, minimize: false }
+);
+
+PanelShareSchema.index({ userId: 1, panelId: 1 });
+
+const PanelShare = mongoose.model("PanelShare", PanelShareSchema);
+export default PanelShare;
@@ -6,6 +6,9 @@ const UserSchema = new mongoose.Schema(
   {
     email: { type: String, unique: true, required: true },
     password: { type: String, required: true },
+    // IANA zone iteration dates are read in (e.g. "Europe/Berlin");
+    // null until the client reports the browser's
+    timeZone: { type: String, default: null },
   },
   { timestamps: true }
 );
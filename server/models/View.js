@@ -26,10 +26,12 @@ const ViewSchema = new mongoose.Schema(
     // doc-viewer = Tiptap rich text editor
     // file-manager = artifact-viewer + manifest (tree sidebar)
     // notebook = doc-viewer + manifest (tree sidebar)
+    // timeline = hour-by-hour day column of the panel's scheduled items
+    // calendar = month/week grid of the panel's dated items
     // canvas = freeform canvas (future)
     viewType: {
       type: String,
-      enum: ["list", "artifact-viewer", "doc-viewer", "file-manager", "notebook", "canvas"],
+      enum: ["list", "artifact-viewer", "doc-viewer", "file-manager", "notebook", "timeline", "calendar", "canvas"],
       default: "list",
     },
 
@@ -63,6 +65,13 @@ const ViewSchema = new mongoose.Schema(
       default: "list",
     },
 
+    // Calendar view: days shown around the grid's current date
+    calendarRange: {
+      type: String,
+      enum: ["month", "week"],
+      default: "month",
+    },
+
     meta: { type: mongoose.Schema.Types.Mixed, default: {} },
   },
   {
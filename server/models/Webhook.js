@@ -0,0 +1,39 @@
+// models/Webhook.js
+// Per-grid outbound webhook subscriptions. Deliveries are signed with
+// HMAC-SHA256 over "<timestamp>.<body>" using `secret`.
+import mongoose from "mongoose";
+
+export const WEBHOOK_EVENTS = ["field.changed", "occurrence.moved", "target.missed"];
+
+const WebhookSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true, index: true, unique: true },
+    userId: { type: String, required: true, index: true },
+    gridId: { type: String, required: true, index: true },
+
+    name: { type: String, default: "Untitled Webhook" },
+    url: { type: String, required: true },
+    secret: { type: String, required: true },
+
+    events: [{ type: String, enum: WEBHOOK_EVENTS }],
+
+    // Optional narrowing (empty = any)
+    // field.changed / target.missed: only these fields
+    fieldIds: { type: [String], default: [] },
+    // occurrence.moved: only moves INTO these containers
+    containerIds: { type: [String], default: [] },
+
+    enabled: { type: Boolean, default: true },
+
+    // Bookkeeping for target.missed (last period end already checked, per field)
+    targetCheckedUntil: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    meta: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true, minimize: false }
+);
+
+WebhookSchema.index({ userId: 1, gridId: 1 });
+
+const Webhook = mongoose.model("Webhook", WebhookSchema);
+export default Webhook;
@@ -0,0 +1,41 @@
+// models/WebhookDelivery.js
+// One row per webhook delivery (the delivery log). Retries update the same row.
+import mongoose from "mongoose";
+
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true, index: true, unique: true },
+    userId: { type: String, required: true, index: true },
+    gridId: { type: String, required: true, index: true },
+    webhookId: { type: String, required: true, index: true },
+
+    event: { type: String, required: true },
+    transactionId: { type: String, default: null },
+
+    // Exact JSON body that was (or will be) sent
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+
+    status: {
+      type: String,
+      enum: ["pending", "success", "failed"],
+      default: "pending",
+      index: true,
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now, index: true },
+
+    // Last attempt result
+    responseStatus: { type: Number, default: null },
+    responseBody: { type: String, default: null },
+    error: { type: String, default: null },
+    lastAttemptAt: { type: Date, default: null },
+    deliveredAt: { type: Date, default: null },
+  },
+  { timestamps: true, minimize: false }
+);
+
+WebhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+const WebhookDelivery = mongoose.model("WebhookDelivery", WebhookDeliverySchema);
+export default WebhookDelivery;
@@ -0,0 +1,580 @@
+// routes/apiV1.js
+// =========================================
+// Versioned HTTP API — /api/v1/grids/:gridId/...
+// Lets scripts and shortcuts capture instances, occurrences and field values
+// without a socket client. Reuses the per-user cache, writes the same
+// Transaction records as the socket handlers, and broadcasts to the grid's
+// audience (owner + members viewing it) so open windows update live (io.to,
+// since there is no sender socket to skip).
+// =========================================
+
+import express from "express";
+import multer from "multer";
+import { nanoid } from "nanoid";
+import Grid from "../models/Grid.js";
+import Field from "../models/Field.js";
+import { requireAuth, requireScope } from "../middleware/auth.js";
+import { authAllowsGrid, authHasScope } from "../utils/accessTokens.js";
+import { ensureUserCache, getAllGridsForUser, loadUserIntoCache, userCacheReady } from "../utils/userCache.js";
+import { getOccurrencesForGrid } from "../utils/occurrenceHelpers.js";
+import { applyOccurrenceUpdate, createInstanceOccurrenceInContainer } from "../utils/occurrenceWrites.js";
+import { gridAudience } from "../utils/rooms.js";
+import { broadcastTo } from "../utils/broadcast.js";
+import { scheduleOperation, toOperationStatus } from "../utils/operationScheduler.js";
+import { exportGridBundle, importGridBundle, validateBundle } from "../utils/gridBundle.js";
+import { importIcsIntoContainer } from "../utils/icsImport.js";
+import { exportFieldTransactionsCsv } from "../utils/fieldExport.js";
+import { importCsvIntoContainer, previewCsvImport } from "../utils/csvImport.js";
+import { readZip } from "../utils/zip.js";
+import { importMarkdownFiles } from "../utils/markdownImport.js";
+import { getDerivedValue, parseIterationDate } from "../utils/derivedValues.js";
+import { getFieldAggregates } from "../utils/fieldAggregates.js";
+import { AGGREGATE_PERIODS } from "../models/FieldAggregate.js";
+import { parseOccurrenceWindow, windowOccurrences } from "../utils/occurrenceWindows.js";
+
+// Bundles can carry artifact files, so they're accepted well past express.json()'s limit
+const bundleUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 200 * 1024 * 1024 } });
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20 * 1024 * 1024 } });
+const icsUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20 * 1024 * 1024 } });
+const markdownUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 100 * 1024 * 1024 } });
+
+export default function createApiV1Router(io) {
+  const router = express.Router();
+
+  router.use(requireAuth);
+
+  // Load the user's cache on every request
+  router.use(async (req, res, next) => {
+    try {
+      if (!userCacheReady(req.userId)) await loadUserIntoCache(req.userId);
+      req.uc = ensureUserCache(req.userId);
+      next();
+    } catch (err) {
+      console.error("api v1 cache error:", err);
+      res.status(500).json({ error: "Failed to load user data" });
+    }
+  });
+
+  // Every /grids/:gridId route requires the grid to belong to the user
+  // (and, for access tokens, to be one of the token's grids)
+  router.param("gridId", async (req, res, next, gridId) => {
+    try {
+      if (!authAllowsGrid(req.auth, gridId)) return res.status(403).json({ error: "Token not allowed for this grid" });
+      if (!req.uc.gridsById[gridId]) {
+        const g = await Grid.findOne({ _id: gridId, userId: req.userId }).lean().catch(() => null);
+        if (!g) return res.status(404).json({ error: "Grid not found" });
+        req.uc.gridsById[gridId] = g;
+      }
+      req.gridId = gridId;
+      next();
+    } catch (err) {
+      console.error("api v1 grid lookup error:", err);
+      res.status(500).json({ error: "Failed to load grid" });
+    }
+  });
+
+  function broadcast(req, event, payload) {
+    broadcastTo(io, gridAudience(req.userId, req.gridId), event, payload);
+  }
+
+  function findGridOccurrence(req, occurrenceId) {
+    const occ = req.uc.occurrencesById[occurrenceId];
+    return occ && occ.gridId === req.gridId ? occ : null;
+  }
+
+  // A container placed in the request's grid (containers are user-scoped)
+  function findGridContainer(req, containerId) {
+    const placed = getOccurrencesForGrid(req.gridId, req.uc)
+      .some(o => o.targetType === "container" && o.targetId === containerId);
+    return placed ? req.uc.containersById[containerId] || null : null;
+  }
+
+  // ======================================================
+  // GRIDS
+  // ======================================================
+  router.get("/grids", async (req, res) => {
+    try {
+      const grids = (await getAllGridsForUser(req.userId)).filter(g =>
+        authAllowsGrid(req.auth, g.id)
+      );
+      res.json({ grids });
+    } catch (err) {
+      console.error("GET /grids error:", err);
+      res.status(500).json({ error: "Failed to list grids" });
+    }
+  });
+
+  // ======================================================
+  // BUNDLES (portable grid export/import)
+  // ======================================================
+  router.get("/grids/:gridId/bundle", requireScope("grids:export"), (req, res) => {
+    try {
+      const bundle = exportGridBundle({
+        uc: req.uc,
+        gridId: req.gridId,
+        includeFiles: req.query.files !== "0",
+      });
+      const slug = (req.uc.gridsById[req.gridId]?.name || "grid").replace(/[^\w-]+/g, "-").toLowerCase();
+      res.setHeader("Content-Disposition", `attachment; filename="${slug}.moduli.json"`);
+      res.json(bundle);
+    } catch (err) {
+      console.error("GET /grids/:gridId/bundle error:", err);
+      res.status(500).json({ error: "Failed to export grid" });
+    }
+  });
+
+  // Accepts the bundle as a multipart "file" (large bundles) or as the JSON body
+  router.post("/bundles", requireScope("grids:import"), bundleUpload.single("file"), async (req, res) => {
+    try {
+      // A token limited to some grids can't create new ones
+      if (req.auth.type === "pat" && req.auth.gridIds.length > 0) {
+        return res.status(403).json({ error: "Token is limited to specific grids" });
+      }
+
+      let bundle = req.body;
+      if (req.file) {
+        try {
+          bundle = JSON.parse(req.file.buffer.toString("utf8"));
+        } catch {
+          return res.status(400).json({ error: "Bundle file is not valid JSON" });
+        }
+      }
+      try {
+        validateBundle(bundle);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      const { grid, counts } = await importGridBundle({
+        userId: req.userId,
+        bundle,
+        name: req.query.name || req.body?.name,
+      });
+
+      await loadUserIntoCache(req.userId);
+      Object.values(req.uc.operationsById || {})
+        .filter(op => op.gridId === grid._id.toString())
+        .forEach(scheduleOperation);
+
+      const gridId = grid._id.toString();
+      broadcast(req, "grid_created", { grid: { id: gridId, ...grid, _id: gridId } });
+      res.status(201).json({ gridId, counts });
+    } catch (err) {
+      console.error("POST /bundles error:", err);
+      res.status(500).json({ error: "Failed to import bundle" });
+    }
+  });
+
+  // ======================================================
+  // OPERATIONS (scheduler status)
+  // ======================================================
+  router.get("/grids/:gridId/operations", requireScope("fields:read"), (req, res) => {
+    const operations = Object.values(req.uc.operationsById || {})
+      .filter(op => op.gridId === req.gridId)
+      .map(toOperationStatus);
+    res.json({ operations });
+  });
+
+  // ======================================================
+  // FIELDS
+  // ======================================================
+  router.get("/grids/:gridId/fields", requireScope("fields:read"), (req, res) => {
+    const fields = Object.values(req.uc.fieldsById).filter(f => f.gridId === req.gridId);
+    res.json({ fields });
+  });
+
+  router.post("/grids/:gridId/fields", requireScope("fields:write"), async (req, res) => {
+    try {
+      const { userId, gridId, uc } = req;
+      const field = req.body?.field || req.body || {};
+      if (!field.name) return res.status(400).json({ error: "Missing field name" });
+
+      const id = field.id || nanoid();
+      if (uc.fieldsById[id]) return res.status(409).json({ error: "Field already exists" });
+
+      const fieldData = {
+        id,
+        userId,
+        gridId,
+        name: field.name,
+        type: field.type || "text",
+        mode: field.mode || "input",
+        unit: field.unit,
+        metric: field.metric,
+        conditions: field.conditions,
+        triggers: field.triggers || [],
+        display: field.display || { role: "input", showLabel: true, order: 0 },
+        meta: field.meta || {},
+      };
+
+      uc.fieldsById[id] = fieldData;
+      await Field.findOneAndUpdate({ id, userId }, fieldData, { upsert: true });
+
+      broadcast(req, "field_created", { field: fieldData });
+      res.status(201).json({ field: fieldData });
+    } catch (err) {
+      console.error("POST /fields error:", err);
+      res.status(500).json({ error: "Failed to create field" });
+    }
+  });
+
+  // Field history as CSV (?start=&end= bound the transaction timestamps)
+  router.get("/grids/:gridId/fields/:fieldId/transactions.csv", requireScope("occurrences:read"), async (req, res) => {
+    try {
+      const { userId, gridId, uc } = req;
+      const field = uc.fieldsById[req.params.fieldId];
+      if (!field || field.gridId !== gridId) return res.status(404).json({ error: "Field not found" });
+      for (const key of ["start", "end"]) {
+        if (req.query[key] && isNaN(new Date(req.query[key]).getTime())) {
+          return res.status(400).json({ error: `Invalid ${key}` });
+        }
+      }
+
+      const csv = await exportFieldTransactionsCsv({
+        userId,
+        uc,
+        gridId,
+        fieldId: field.id,
+        start: req.query.start,
+        end: req.query.end,
+      });
+      const slug = (field.name || "field").replace(/[^\w-]+/g, "-").toLowerCase();
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${slug}-transactions.csv"`);
+      res.send(csv);
+    } catch (err) {
+      console.error("GET /fields/:fieldId/transactions.csv error:", err);
+      res.status(500).json({ error: "Failed to export field history" });
+    }
+  });
+
+  // Derived field value, as get_derived_value
+  // (?date=YYYY-MM-DD&iteration=&category=&categoryValue=&panelId=&containerId=&instanceId=)
+  router.get("/grids/:gridId/fields/:fieldId/value", requireScope("occurrences:read"), async (req, res) => {
+    try {
+      const { userId, gridId, uc } = req;
+      const field = uc.fieldsById[req.params.fieldId];
+      if (!field || field.gridId !== gridId) return res.status(404).json({ error: "Field not found" });
+      if (field.mode !== "derived") return res.status(400).json({ error: "Not a derived field" });
+
+      const { date, iteration, category, categoryValue, panelId, containerId, instanceId } = req.query;
+      const iterationDate = parseIterationDate(date);
+      if (date && !iterationDate) return res.status(400).json({ error: "Invalid date" });
+
+      res.json(await getDerivedValue({
+        userId,
+        uc,
+        gridId,
+        field,
+        date: iterationDate,
+        iterationId: iteration,
+        categoryKey: category,
+        categoryValue,
+        context: { panelId, containerId, instanceId },
+      }));
+    } catch (err) {
+      console.error("GET /fields/:fieldId/value error:", err);
+      res.status(500).json({ error: "Failed to calculate field value" });
+    }
+  });
+
+  // Pre-aggregated buckets of a field's measure values
+  // (?period=day|week|month&start=&end=YYYY-MM-DD&panelId=|containerId=&flow=)
+  router.get("/grids/:gridId/fields/:fieldId/aggregates", requireScope("occurrences:read"), async (req, res) => {
+    try {
+      const { userId, gridId } = req;
+      const { period = "day", start, end, panelId, containerId, flow } = req.query;
+      if (!AGGREGATE_PERIODS.includes(period)) return res.status(400).json({ error: "Unknown period" });
+
+      const scope = containerId ? "container" : panelId ? "panel" : "grid";
+      const scopeId = containerId || panelId || gridId;
+      const buckets = await getFieldAggregates({
+        userId,
+        gridId,
+        fieldId: req.params.fieldId,
+        period,
+        start,
+        end,
+        scope,
+        scopeId,
+        flow: flow ? String(flow).split(",") : undefined,
+      });
+      res.json({ fieldId: req.params.fieldId, period, scope, scopeId, buckets });
+    } catch (err) {
+      console.error("GET /fields/:fieldId/aggregates error:", err);
+      res.status(500).json({ error: "Failed to load field aggregates" });
+    }
+  });
+
+  // ======================================================
+  // CONTAINERS (those placed in this grid)
+  // ======================================================
+  router.get("/grids/:gridId/containers", requireScope("occurrences:read"), (req, res) => {
+    const containerIds = new Set(
+      getOccurrencesForGrid(req.gridId, req.uc)
+        .filter(o => o.targetType === "container")
+        .map(o => o.targetId)
+    );
+    const containers = [...containerIds].map(id => req.uc.containersById[id]).filter(Boolean);
+    res.json({ containers });
+  });
+
+  // ======================================================
+  // INSTANCES
+  // ======================================================
+  router.get("/grids/:gridId/instances", requireScope("occurrences:read"), (req, res) => {
+    const { containerId } = req.query;
+    const instanceIds = new Set(
+      getOccurrencesForGrid(req.gridId, req.uc)
+        .filter(o => o.targetType === "instance")
+        .filter(o => !containerId || o.meta?.containerId === containerId)
+        .map(o => o.targetId)
+    );
+    const instances = [...instanceIds].map(id => req.uc.instancesById[id]).filter(Boolean);
+    res.json({ instances });
+  });
+
+  // Creates an instance (or reuses instance.id) and places a new occurrence in the container
+  router.post("/grids/:gridId/containers/:containerId/instances", requireScope("occurrences:write"), async (req, res) => {
+    try {
+      const { userId, gridId, uc } = req;
+      const { containerId } = req.params;
+      const { instance = {}, fields = {}, iteration, index } = req.body || {};
+
+      if (!findGridContainer(req, containerId)) return res.status(404).json({ error: "Container not found" });
+      const unknownField = Object.keys(fields).find(fid => uc.fieldsById[fid]?.gridId !== gridId);
+      if (unknownField) return res.status(400).json({ error: `Unknown field: ${unknownField}` });
+
+      const result = await createInstanceOccurrenceInContainer({
+        userId,
+        uc,
+        gridId,
+        containerId,
+        instance,
+        fields,
+        iteration,
+        index,
+      });
+
+      broadcast(req, "instance_created_in_container", { containerId, instance: result.instance });
+      broadcast(req, "occurrence_created", { occurrence: result.occurrence });
+      broadcast(req, "container_updated", { container: result.container });
+
+      res.status(201).json({
+        instance: result.instance,
+        occurrence: result.occurrence,
+        transactionId: result.transaction?.id ?? null,
+      });
+    } catch (err) {
+      console.error("POST /instances error:", err);
+      res.status(500).json({ error: "Failed to create instance" });
+    }
+  });
+
+  // Calendar import: multipart "file" (.ics) or JSON { ics }
+  router.post("/grids/:gridId/containers/:containerId/ics", requireScope("occurrences:write"), icsUpload.single("file"), async (req, res) => {
+    try {
+      const { userId, gridId, uc } = req;
+      const { containerId } = req.params;
+      if (!findGridContainer(req, containerId)) return res.status(404).json({ error: "Container not found" });
+
+      const ics = req.file ? req.file.buffer.toString("utf8") : req.body?.ics;
+      if (typeof ics !== "string" || !ics.includes("BEGIN:VCALENDAR")) {
+        return res.status(400).json({ error: "Expected an iCalendar (.ics) file" });
+      }
+
+      const durationFieldId = req.query.durationFieldId || req.body?.durationFieldId || null;
+      if (!durationFieldId && !authHasScope(req.auth, "fields:write")) {
+        // May need to create the default Duration field
+        const hasDefault = Object.values(uc.fieldsById).some(f => f.gridId === gridId && f.type === "duration" && f.name === "Duration");
+        if (!hasDefault) return res.status(403).json({ error: "Token is missing scope: fields:write" });
+      }
+
+      const result = await importIcsIntoContainer({
+        userId,
+        uc,
+        gridId,
+        containerId,
+        ics,
+        durationFieldId,
+        emit: (event, payload) => broadcast(req, event, payload),
+      });
+      res.json(result);
+    } catch (err) {
+      console.error("POST /ics error:", err);
+      if (err.message?.startsWith("Unknown field")) return res.status(400).json({ error: err.message });
+      res.status(500).json({ error: "Failed to import calendar" });
+    }
+  });
+
+  // CSV backfill: multipart "file" + "mapping" (JSON string), or JSON { csv, mapping }.
+  // ?dryRun=1 resolves every row and returns a preview without writing.
+  router.post("/grids/:gridId/containers/:containerId/csv", requireScope("occurrences:write"), csvUpload.single("file"), async (req, res) => {
+    try {
+      const { userId, gridId, uc } = req;
+      const { containerId } = req.params;
+      if (!findGridContainer(req, containerId)) return res.status(404).json({ error: "Container not found" });
+
+      const csv = req.file ? req.file.buffer.toString("utf8") : req.body?.csv;
+      if (typeof csv !== "string" || !csv.trim()) return res.status(400).json({ error: "Expected a CSV file" });
+
+      let mapping = req.body?.mapping;
+      if (typeof mapping === "string") {
+        try {
+          mapping = JSON.parse(mapping);
+        } catch {
+          return res.status(400).json({ error: "mapping is not valid JSON" });
+        }
+      }
+      if (!mapping || typeof mapping !== "object") return res.status(400).json({ error: "mapping is required" });
+
+      const dryRun = ["1", "true"].includes(String(req.query.dryRun ?? req.body?.dryRun));
+      if (dryRun) return res.json({ dryRun: true, ...previewCsvImport({ uc, gridId, csv, mapping }) });
+
+      const result = await importCsvIntoContainer({
+        userId,
+        uc,
+        gridId,
+        containerId,
+        csv,
+        mapping,
+        emit: (event, payload) => broadcast(req, event, payload),
+      });
+      if (result.errors.length > 0) return res.status(400).json({ error: result.errors[0], errors: result.errors });
+      res.json(result);
+    } catch (err) {
+      console.error("POST /csv error:", err);
+      res.status(500).json({ error: "Failed to import CSV" });
+    }
+  });
+
+  // ======================================================
+  // FILES
+  // ======================================================
+
+  // Markdown import: multipart "file", either a .zip of notes (folders kept) or one .md file.
+  // Lands under "folderId" (default: the manifest's root folder).
+  router.post("/grids/:gridId/manifests/:manifestId/markdown", requireScope("artifacts:write"), markdownUpload.single("file"), async (req, res) => {
+    try {
+      const { userId, gridId, uc } = req;
+      const manifest = uc.manifestsById[req.params.manifestId];
+      if (!manifest || manifest.gridId !== gridId) return res.status(404).json({ error: "Manifest not found" });
+
+      const folderId = req.body?.folderId || manifest.rootFolderId;
+      const folder = uc.foldersById[folderId];
+      if (!folder || folder.gridId !== gridId) return res.status(400).json({ error: "Target folder not found" });
+      if (!req.file) return res.status(400).json({ error: "Expected a .zip or .md file" });
+
+      let files;
+      const name = req.file.originalname || "";
+      if (/\.(md|markdown)$/i.test(name)) {
+        files = [{ path: name, data: req.file.buffer }];
+      } else {
+        try {
+          files = readZip(req.file.buffer);
+        } catch (err) {
+          return res.status(400).json({ error: err.message });
+        }
+      }
+
+      const result = await importMarkdownFiles({
+        userId,
+        uc,
+        gridId,
+        folderId,
+        files,
+        emit: (event, payload) => broadcast(req, event, payload),
+      });
+      res.json(result);
+    } catch (err) {
+      console.error("POST /markdown error:", err);
+      if (err.message === "No Markdown files found") return res.status(400).json({ error: err.message });
+      res.status(500).json({ error: "Failed to import Markdown" });
+    }
+  });
+
+  // ======================================================
+  // OCCURRENCES
+  // ======================================================
+  // ?start=&end= (ISO dates) limits dated occurrences to that window, as full_state does
+  router.get("/grids/:gridId/occurrences", requireScope("occurrences:read"), (req, res) => {
+    const { containerId, targetType, targetId, start, end } = req.query;
+    const window = start || end ? parseOccurrenceWindow({ start, end }) : null;
+    if ((start || end) && !window) return res.status(400).json({ error: "Invalid start/end" });
+
+    const occurrences = windowOccurrences(getOccurrencesForGrid(req.gridId, req.uc), window).filter(o =>
+      (!containerId || o.meta?.containerId === containerId) &&
+      (!targetType || o.targetType === targetType) &&
+      (!targetId || o.targetId === targetId)
+    );
+    res.json({ occurrences });
+  });
+
+  router.get("/grids/:gridId/occurrences/:occurrenceId", requireScope("occurrences:read"), (req, res) => {
+    const occurrence = findGridOccurrence(req, req.params.occurrenceId);
+    if (!occurrence) return res.status(404).json({ error: "Occurrence not found" });
+    res.json({ occurrence });
+  });
+
+  // Partial update: { fields?, iteration?, meta? }
+  router.patch("/grids/:gridId/occurrences/:occurrenceId", requireScope("occurrences:write"), async (req, res) => {
+    try {
+      const { userId, uc } = req;
+      const { occurrenceId } = req.params;
+      if (!findGridOccurrence(req, occurrenceId)) return res.status(404).json({ error: "Occurrence not found" });
+
+      const { fields, iteration, meta } = req.body || {};
+      const patch = { id: occurrenceId };
+      if (fields) patch.fields = { ...(uc.occurrencesById[occurrenceId].fields || {}), ...fields };
+      if (iteration) patch.iteration = { ...(uc.occurrencesById[occurrenceId].iteration || {}), ...iteration };
+      if (meta) patch.meta = { ...(uc.occurrencesById[occurrenceId].meta || {}), ...meta };
+
+      const { occurrence, linked, transaction } = await applyOccurrenceUpdate({
+        userId,
+        uc,
+        occurrence: patch,
+        ...(fields && { changedFields: fields }),
+      });
+
+      broadcast(req, "occurrence_updated", { occurrence });
+      for (const l of linked) broadcast(req, "occurrence_updated", { occurrence: l });
+
+      res.json({ occurrence, transactionId: transaction?.id ?? null });
+    } catch (err) {
+      console.error("PATCH /occurrences error:", err);
+      res.status(500).json({ error: "Failed to update occurrence" });
+    }
+  });
+
+  // Set one field value: { value, flow? } — e.g. log "ran 25 minutes"
+  router.post("/grids/:gridId/occurrences/:occurrenceId/fields/:fieldId", requireScope("occurrences:write"), async (req, res) => {
+    try {
+      const { userId, gridId, uc } = req;
+      const { occurrenceId, fieldId } = req.params;
+      const { value, flow = "in" } = req.body || {};
+
+      const prev = findGridOccurrence(req, occurrenceId);
+      if (!prev) return res.status(404).json({ error: "Occurrence not found" });
+      if (uc.fieldsById[fieldId]?.gridId !== gridId) return res.status(404).json({ error: "Field not found" });
+      if (value === undefined) return res.status(400).json({ error: "Missing value" });
+      if (!["in", "out", "replace"].includes(flow)) return res.status(400).json({ error: "Invalid flow" });
+
+      const { occurrence, linked, transaction } = await applyOccurrenceUpdate({
+        userId,
+        uc,
+        occurrence: { id: occurrenceId, fields: { ...(prev.fields || {}), [fieldId]: { value, flow } } },
+        changedFields: { [fieldId]: { value, flow } },
+      });
+
+      broadcast(req, "occurrence_updated", { occurrence });
+      for (const l of linked) broadcast(req, "occurrence_updated", { occurrence: l });
+
+      res.json({ occurrence, transactionId: transaction?.id ?? null });
+    } catch (err) {
+      console.error("POST /occurrences/:id/fields error:", err);
+      res.status(500).json({ error: "Failed to set field value" });
+    }
+  });
+
+  return router;
+}
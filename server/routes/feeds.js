@@ -0,0 +1,47 @@
+// routes/feeds.js
+// =========================================
+// Public iCalendar feeds — /api/feeds/:token.ics
+// No login: the feed token in the URL is the credential, and it only
+// reads the one grid (and filters) the feed was created for.
+// Optional narrowing: ?panelId=a,b&containerId=c&category=key:value
+// =========================================
+
+import express from "express";
+import CalendarFeed from "../models/CalendarFeed.js";
+import { ensureUserCache, loadUserIntoCache, userCacheReady } from "../utils/userCache.js";
+import { renderCalendarFeed } from "../utils/calendarFeed.js";
+
+// Don't write lastFetchedAt on every poll
+const FETCH_STAMP_INTERVAL_MS = 60 * 60e3;
+
+export default function createFeedsRouter() {
+  const router = express.Router();
+
+  router.get("/:token.ics", async (req, res) => {
+    try {
+      const feed = await CalendarFeed.findOne({ token: req.params.token }).lean();
+      if (!feed) return res.status(404).json({ error: "Feed not found" });
+
+      if (!userCacheReady(feed.userId)) await loadUserIntoCache(feed.userId);
+      const uc = ensureUserCache(feed.userId);
+      if (!uc.gridsById[feed.gridId]) return res.status(404).json({ error: "Feed not found" });
+
+      const ics = renderCalendarFeed({ feed, uc, query: req.query });
+
+      if (!feed.lastFetchedAt || Date.now() - new Date(feed.lastFetchedAt).getTime() > FETCH_STAMP_INTERVAL_MS) {
+        CalendarFeed.updateOne({ id: feed.id }, { $set: { lastFetchedAt: new Date() } })
+          .catch(err => console.error("feed stamp error:", err));
+      }
+
+      res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+      res.setHeader("Cache-Control", "private, max-age=300");
+      res.setHeader("Content-Disposition", `inline; filename="${feed.id}.ics"`);
+      res.send(ics);
+    } catch (err) {
+      console.error("GET /api/feeds error:", err);
+      res.status(500).json({ error: "Failed to render feed" });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,52 @@
+// scripts/rebuildAggregates.js
+// ============================================================
+// Recomputes materialized field aggregates (models/FieldAggregate.js)
+// from the Transaction log. Run after changing how buckets are built,
+// or when min / max went stale after undos.
+//
+//   node scripts/rebuildAggregates.js               → every user
+//   node scripts/rebuildAggregates.js --user <id>   → one user
+//   node scripts/rebuildAggregates.js --user <id> --grid <id>
+//
+// Transactions recorded by a running server while this runs may be
+// counted twice; rebuild when nobody is writing.
+// ============================================================
+
+import mongoose from "mongoose";
+import "dotenv/config";
+
+import Transaction from "../models/Transaction.js";
+import { rebuildFieldAggregates } from "../utils/fieldAggregates.js";
+
+const MONGO_URI = process.env.MONGO_URI || "mongodb://127.0.0.1:27017/dnd_containers";
+
+function readArg(name) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 ? process.argv[i + 1] : null;
+}
+
+async function rebuildAggregates() {
+  const userArg = readArg("--user");
+  const gridId = readArg("--grid");
+
+  try {
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected to MongoDB\n");
+
+    const userIds = userArg ? [userArg] : await Transaction.distinct("userId");
+    console.log(`🔄 Rebuilding field aggregates for ${userIds.length} user(s)${gridId ? ` (grid ${gridId})` : ""}...`);
+
+    for (const userId of userIds) {
+      const { transactions, buckets } = await rebuildFieldAggregates({ userId, gridId });
+      console.log(`   - ${userId}: ${transactions} transactions → ${buckets} buckets`);
+    }
+  } catch (error) {
+    console.error("❌ Rebuild failed:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log("\n✅ Disconnected from MongoDB");
+  }
+}
+
+rebuildAggregates();
@@ -0,0 +1,62 @@
+// scripts/webhookReceiver.js
+// ============================================================
+// Local webhook receiver for testing outbound webhooks.
+// Logs each delivery and checks its signature.
+//
+//   WEBHOOK_SECRET=whsec_... node scripts/webhookReceiver.js
+//   → point a webhook at http://localhost:4000/hook
+//
+// Set FAIL_RATE=0.5 to answer 500 half the time and watch retries.
+// ============================================================
+
+import http from "http";
+import crypto from "crypto";
+import "dotenv/config";
+
+const PORT = process.env.WEBHOOK_RECEIVER_PORT || 4000;
+const SECRET = process.env.WEBHOOK_SECRET || "";
+const FAIL_RATE = Number(process.env.FAIL_RATE || 0);
+const MAX_SKEW_SECONDS = 5 * 60;
+
+function verify(headers, body) {
+  if (!SECRET) return "skipped (no WEBHOOK_SECRET)";
+  const timestamp = headers["x-moduli-timestamp"];
+  const signature = headers["x-moduli-signature"] || "";
+  if (!timestamp) return "missing timestamp";
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_SKEW_SECONDS) return "stale timestamp";
+
+  const expected = "sha256=" + crypto.createHmac("sha256", SECRET).update(`${timestamp}.${body}`).digest("hex");
+  const a = Buffer.from(signature);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b) ? "valid" : "INVALID";
+}
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    const check = verify(req.headers, body);
+
+    console.log("\n📨", new Date().toISOString(), req.method, req.url);
+    console.log("   event:", req.headers["x-moduli-event"], "delivery:", req.headers["x-moduli-delivery"]);
+    console.log("   signature:", check);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch {
+      console.log(body);
+    }
+
+    if (check === "INVALID") {
+      res.writeHead(401).end("invalid signature");
+      return;
+    }
+    if (Math.random() < FAIL_RATE) {
+      console.log("   ↩️  simulated failure (500)");
+      res.writeHead(500).end("simulated failure");
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify({ ok: true }));
+  });
+});
+
+server.listen(PORT, () => console.log(`🪝 Webhook receiver listening on http://localhost:${PORT}`));
@@ -6,9 +6,20 @@
 //
 // ✅ ROOMS MERGED (cross-window/grid safe):
 // - Join per-user room on connect: user:{userId}
-// - (Optional) Join per-grid room on request_full_state: user:{userId}:grid:{gridId}
-// - Replace ALL io.emit(...) with socket.to(userRoom(userId)).emit(...)
-//   (no echo back to sender; sender already optimistically dispatches)
+// - Join per-grid room on request_full_state: grid:{gridId}
+// - Replace ALL io.emit(...) with broadcastTo(socket, rooms, ...)
+//   (no echo back to sender; sender already optimistically dispatches).
+//   broadcastTo (utils/broadcast.js) also logs the event for delta sync
+//   and refreshes the owner's public panel links
+//
+// ✅ SHARING:
+// - Grids can be shared with other accounts (viewer / editor / owner)
+// - Data stays under the grid creator's userId; actingScope() maps the
+//   socket to that owner, and writes broadcast to gridAudience(owner, grid)
+// - Role-checked events get the scope they were checked for as their last
+//   handler argument, and act on that grid only
+// - Single panels can also get public read-only links, served over the
+//   "/public" namespace (utils/panelShares.js)
 //
 // ✅ MULTI-WINDOW FIX:
 // - Stop using uc.activeGridId as global truth
@@ -59,6 +70,94 @@ import jwt from "jsonwebtoken";
 // OCCURRENCE HELPERS
 // ========================================================
 import { autofillOccurrences, autofillGrid, autofillPanel, autofillContainer, getOccurrencesForGrid, createOccurrenceData } from "./utils/occurrenceHelpers.js";
+import { applyOccurrenceUpdate } from "./utils/occurrenceWrites.js";
+import { getArtifactType } from "./utils/artifacts.js";
+import { trackContainerOccurrenceChanges, moveOccurrenceBetweenContainers } from "./utils/occurrenceMoves.js";
+
+// ========================================================
+// CACHE (PER USER) + ROOMS
+// ========================================================
+import { cacheByUser, ensureUserCache, getAllGridsForUser, loadUserIntoCache, userCacheReady, startUserCacheEviction, getUserCacheStats, getCachedTimeZone } from "./utils/userCache.js";
+import { userRoom, gridRoom, gridAudience } from "./utils/rooms.js";
+import { broadcastTo } from "./utils/broadcast.js";
+import { resolveGridAccess, getSharedGridsForUser, toSharedGrid, roleAtLeast, GRID_ROLES, forgetGridOwner } from "./utils/gridAccess.js";
+import { collectGridEntities } from "./utils/gridBundle.js";
+
+// ========================================================
+// HTTP API (v1)
+// ========================================================
+import createApiV1Router from "./routes/apiV1.js";
+
+// ========================================================
+// ACCESS TOKENS
+// ========================================================
+import AccessToken from "./models/AccessToken.js";
+import { isAccessToken, resolveAccessToken, createAccessToken, toPublicToken, authHasScope, authAllowsGrid } from "./utils/accessTokens.js";
+import { getBearerToken, requireAuth, resolveAuth } from "./middleware/auth.js";
+
+// ========================================================
+// WEBHOOKS
+// ========================================================
+import Webhook, { WEBHOOK_EVENTS } from "./models/Webhook.js";
+import WebhookDelivery from "./models/WebhookDelivery.js";
+import { startWebhookDispatcher, enqueueDelivery, redeliver, generateWebhookSecret } from "./utils/webhooks.js";
+
+// ========================================================
+// OPERATION SCHEDULER
+// ========================================================
+import { startOperationScheduler, scheduleOperation, unscheduleOperation, runOperation, toOperationStatus } from "./utils/operationScheduler.js";
+
+// ========================================================
+// FIELD TRIGGERS (automations)
+// ========================================================
+import { startFieldTriggers } from "./utils/fieldTriggers.js";
+
+// ========================================================
+// CALENDAR FEEDS
+// ========================================================
+import CalendarFeed from "./models/CalendarFeed.js";
+import { generateFeedToken } from "./utils/calendarFeed.js";
+import createFeedsRouter from "./routes/feeds.js";
+
+// ========================================================
+// PUBLIC PANEL LINKS
+// ========================================================
+import PanelShare from "./models/PanelShare.js";
+import { generatePanelShareToken, startPanelShares, closePanelShare, refreshPanelShare } from "./utils/panelShares.js";
+
+// ========================================================
+// DERIVED VALUES (shared calculations)
+// ========================================================
+import { getDerivedValue, parseIterationDate } from "./utils/derivedValues.js";
+
+// ========================================================
+// FIELD AGGREGATES (materialized from the Transaction log)
+// ========================================================
+import { transactionEvents } from "./utils/transactions.js";
+import { startFieldAggregates, getFieldAggregates, rebuildFieldAggregates } from "./utils/fieldAggregates.js";
+import { AGGREGATE_PERIODS, AGGREGATE_SCOPES } from "./models/FieldAggregate.js";
+
+// ========================================================
+// DELTA SYNC (change cursor)
+// ========================================================
+import { startSyncLog, changesSince, currentCursor } from "./utils/syncLog.js";
+
+// ========================================================
+// OCCURRENCE WINDOWS (lazy loading by iteration period)
+// ========================================================
+import { getGridOccurrenceWindow, parseOccurrenceWindow, windowOccurrences, getOccurrencesInWindow } from "./utils/occurrenceWindows.js";
+
+// ========================================================
+// CALENDAR (time zones, week start, custom periods)
+// ========================================================
+import {
+  getDefaultTimeZone,
+  isValidTimeZone,
+  normalizeWeekStart,
+  normalizePeriodDefinition,
+  toCalendarDate,
+  startOfCalendarDate,
+} from "../shared/calculations.js";
 
 // ========================================================
 // MODEL LOOKUP HELPER (for undo/redo entity operations)
@@ -110,16 +209,6 @@ const io = new Server(server, {
   cors: { origin: "*", methods: ["GET", "POST"] },
 });
 
-// ========================================================
-// ROOMS
-// ========================================================
-function userRoom(userId) {
-  return `user:${userId}`;
-}
-function gridRoom(userId, gridId) {
-  return `user:${userId}:grid:${gridId}`;
-}
-
 // ========================================================
 // AUTH (same as old)
 // ========================================================
@@ -137,6 +226,20 @@ io.use(async (socket, next) => {
 
   console.log("🔐 Token received:", token.substring(0, 12) + "...");
 
+  // Personal access tokens (machine clients) carry their own scopes + grid limits
+  if (isAccessToken(token)) {
+    const auth = await resolveAccessToken(token);
+    if (!auth) {
+      console.log("❌ Invalid, expired or revoked access token");
+      return next(new Error("INVALID_TOKEN"));
+    }
+    console.log("✅ Authenticated access token:", auth.tokenId, "user:", auth.userId);
+    socket.userId = auth.userId;
+    socket.data.userId = auth.userId;
+    socket.data.auth = auth;
+    return next();
+  }
+
   const decoded = verifyToken(token);
   if (!decoded) {
     console.log("❌ Invalid token");
@@ -152,6 +255,7 @@ io.use(async (socket, next) => {
   console.log("✅ Authenticated user:", user._id.toString());
   socket.userId = user._id.toString();
   socket.data.userId = socket.userId;
+  socket.data.auth = { type: "jwt", userId: socket.userId, scopes: [], gridIds: [] };
   next();
 });
 
@@ -163,218 +267,178 @@ const MONGO_URI =
 
 mongoose
   .connect(MONGO_URI)
-  .then(() => console.log("🟢 MongoDB connected"))
+  .then(() => {
+    console.log("🟢 MongoDB connected");
+    startWebhookDispatcher(io);
+    startOperationScheduler(io);
+    startFieldTriggers(io);
+    startPanelShares(io);
+    startFieldAggregates();
+    startSyncLog();
+    startUserCacheEviction();
+  })
   .catch((err) => console.error("🔴 MongoDB connect error:", err));
 console.log("🧪 Using MONGO_URI:", MONGO_URI);
 
 // ========================================================
-// CACHE (PER USER)
+// ACCESS TOKEN SCOPES (socket)
+// Sockets authenticated with a personal access token may only emit the
+// events listed here, and only for grids the token is limited to.
+// Browser (JWT) sockets are not restricted.
 // ========================================================
-// cacheByUser[userId] = {
-//   gridsById: { [gridId]: gridObj },
-//   panelsById: { [panelId]: panelObj },             // userId-only
-//   containersById: { [containerId]: containerObj }, // userId-only
-//   instancesById: { [instanceId]: instanceObj },    // userId-only
-//   occurrencesById: { [occurrenceId]: occurrenceObj }, // userId-only
-//   fieldsById: { [fieldId]: fieldObj },            // userId-only
-// };
-const cacheByUser = Object.create(null);
-
-function ensureUserCache(userId) {
-  if (!cacheByUser[userId]) {
-    cacheByUser[userId] = {
-      gridsById: {},
-      panelsById: {},
-      containersById: {},
-      instancesById: {},
-      occurrencesById: {},
-      fieldsById: {},
-      manifestsById: {},
-      viewsById: {},
-      docsById: {},
-      foldersById: {},
-      artifactsById: {},
-    };
-  }
-  return cacheByUser[userId];
-}
-
-async function getAllGridsForUser(userId) {
-  const all = await Grid.find({ userId }).sort({ createdAt: 1 }).lean();
-  return all.map((g) => ({
-    id: g._id.toString(),
-    name: g.name,
-    createdAt: g.createdAt,
-  }));
-}
+const SOCKET_EVENT_SCOPES = {
+  request_full_state: "occurrences:read",
+  load_occurrences: "occurrences:read",
+  get_transactions: "occurrences:read",
+  get_field_history: "occurrences:read",
+  get_derived_value: "occurrences:read",
+  get_field_aggregates: "occurrences:read",
+  create_occurrence: "occurrences:write",
+  update_occurrence: "occurrences:write",
+  delete_occurrence: "occurrences:write",
+  create_instance_in_container: "occurrences:write",
+  update_instance: "occurrences:write",
+  update_container: "occurrences:write",
+  update_container_items: "occurrences:write",
+  create_field: "fields:write",
+  update_field: "fields:write",
+  delete_field: "fields:write",
+};
 
 // ========================================================
-// LOAD USER DATA INTO CACHE
-// - grids are per user
-// - panels/containers/instances are userId ONLY (gridId ignored)
+// GRID ROLES (socket)
+// Events that read or write grid data need a role on the grid they touch
+// (see utils/gridAccess.js). Unlisted events act on the sender's own
+// account: auth, user settings, create_grid, calendar feeds, webhooks,
+// access tokens.
 // ========================================================
-async function loadUserIntoCache(userId) {
-  console.log("\n===============================");
-  console.log("📥 loadUserIntoCache START", { userId });
-  console.log("===============================\n");
-
-  const uc = ensureUserCache(userId);
-
-  const [grids, panels, containers, instances, occurrences, fields, manifests, views, docs, folders, artifacts, operations, iterations] = await Promise.all([
-    Grid.find({ userId }).sort({ createdAt: 1 }),
-    Panel.find({ userId }).sort({ createdAt: 1 }),
-    Container.find({ userId }).sort({ createdAt: 1 }),
-    Instance.find({ userId }).sort({ createdAt: 1 }),
-    Occurrence.find({ userId }).sort({ timestamp: -1 }),
-    Field.find({ userId }).sort({ createdAt: 1 }),
-    Manifest.find({ userId }).sort({ createdAt: 1 }),
-    View.find({ userId }).sort({ createdAt: 1 }),
-    Doc.find({ userId }).sort({ createdAt: 1 }),
-    Folder.find({ userId }).sort({ createdAt: 1 }),
-    Artifact.find({ userId }).sort({ createdAt: 1 }),
-    Operation.find({ userId }).sort({ createdAt: 1 }),
-    Iteration.find({ userId }).sort({ createdAt: 1 }),
-  ]);
-
-  // ---- gridsById
-  uc.gridsById = {};
-  grids.forEach((g) => {
-    const obj = g.toObject();
-    const gid = obj._id.toString();
-    uc.gridsById[gid] = obj; // plain object
-  });
-
-  // ---- panelsById (user only)
-  uc.panelsById = {};
-  panels.forEach((p) => {
-    const obj = p.toObject();
-    obj.id = obj.id || obj._id.toString();
-    uc.panelsById[obj.id] = obj;
-  });
-
-  // ---- containersById (user only, reducer shape)
-  uc.containersById = {};
-  containers.forEach((c) => {
-    const obj = c.toObject();
-    const id = obj.id || obj.containerId || obj._id.toString();
-    uc.containersById[id] = {
-      ...obj,
-      id,
-      label: obj.label ?? "Untitled",
-      occurrences: Array.isArray(obj.occurrences) ? obj.occurrences : [],
-    };
-  });
+const SOCKET_EVENT_ROLES = {
+  load_occurrences: "viewer",
+  get_transactions: "viewer",
+  get_undo_state: "viewer",
+  get_field_history: "viewer",
+  get_derived_value: "viewer",
+  get_field_aggregates: "viewer",
+  list_operations: "viewer",
+  list_grid_members: "viewer",
+  remove_grid_member: "viewer", // members may leave; removing others is checked in the handler
+  create_container: "editor",
+  create_instance_in_container: "editor",
+  update_container_items: "editor",
+  update_container: "editor",
+  update_instance: "editor",
+  delete_instance: "editor",
+  create_panel: "editor",
+  update_panel: "editor",
+  delete_panel: "editor",
+  delete_container: "editor",
+  create_occurrence: "editor",
+  update_occurrence: "editor",
+  update_doc_content: "editor",
+  break_link: "editor",
+  delete_occurrence: "editor",
+  undo_transaction: "editor",
+  redo_transaction: "editor",
+  create_field: "editor",
+  update_field: "editor",
+  delete_field: "editor",
+  update_grid: "editor",
+  save_template: "editor",
+  fill_from_template: "editor",
+  run_operation: "editor",
+  add_grid_member: "owner",
+  update_grid_member: "owner",
+  delete_grid: "owner",
+};
+for (const name of ["manifest", "view", "doc", "folder", "artifact", "operation", "iteration"]) {
+  for (const action of ["create", "update", "delete"]) SOCKET_EVENT_ROLES[`${action}_${name}`] = "editor";
+}
 
-  // ---- instancesById (user only, reducer shape)
-  uc.instancesById = {};
-  instances.forEach((i) => {
-    const obj = i.toObject();
-    const id = obj.id || obj.instanceId || obj._id.toString();
-    uc.instancesById[id] = {
-      ...obj,
-      id, // normalize
-      label: obj.label ?? "Untitled",
-    };
-  });
+// payload key -> user cache map, for finding the grid an event touches
+const EVENT_ENTITY_CACHES = {
+  occurrence: "occurrencesById",
+  instance: "instancesById",
+  field: "fieldsById",
+  panel: "panelsById",
+  container: "containersById",
+  manifest: "manifestsById",
+  view: "viewsById",
+  doc: "docsById",
+  folder: "foldersById",
+  artifact: "artifactsById",
+  operation: "operationsById",
+  iteration: "iterationsById",
+};
 
-  // ---- occurrencesById (user only)
-  uc.occurrencesById = {};
-  occurrences.forEach((o) => {
-    const obj = o.toObject();
-    const id = obj.id || obj._id.toString();
-    uc.occurrencesById[id] = {
-      ...obj,
-      id,
-    };
-  });
+// Whose cache getEventGridId looks entities up in
+function getEventOwnerId(socket, payload = {}) {
+  const claimed = payload.gridId || socket.data.activeGridId || null;
+  return (claimed && socket.data.gridAccess?.[claimed]?.ownerId) || socket.userId;
+}
 
-  // ---- fieldsById (user only)
-  uc.fieldsById = {};
-  fields.forEach((f) => {
-    const obj = f.toObject();
-    const id = obj.id || obj._id.toString();
-    uc.fieldsById[id] = {
-      ...obj,
-      id,
-    };
-  });
+// Grid an event payload touches: the grid of an existing entity wins over
+// what the payload claims, then the explicit gridId, then the socket's grid.
+// Reads the owner's cache as is; the access middlewares reload it first
+// (loadEventOwnerCache) in case it was evicted.
+function getEventGridId(socket, payload = {}) {
+  const claimed = payload.gridId || socket.data.activeGridId || null;
+  const uc = cacheByUser[getEventOwnerId(socket, payload)];
+  for (const [key, cacheKey] of Object.entries(EVENT_ENTITY_CACHES)) {
+    const id = payload[key]?.id || payload[`${key}Id`];
+    const gridId = (id && uc?.[cacheKey]?.[id]?.gridId) || payload[key]?.gridId;
+    if (gridId) return gridId;
+  }
+  return claimed;
+}
+
+// Grids an existing entity is in: its gridId, or for instances and
+// containers (which may have none) the grids of the occurrences placing them
+function getEntityGridIds(uc, key, entity) {
+  if (entity.gridId) return [entity.gridId];
+  if (key !== "instance" && key !== "container") return [];
+  const gridIds = new Set();
+  for (const occ of Object.values(uc.occurrencesById || {})) {
+    if (occ.targetType === key && occ.targetId === entity.id) gridIds.add(occ.gridId);
+  }
+  return [...gridIds];
+}
+
+// Why an event can't act on gridId, if it can't: every existing entity it
+// names must be in that grid (ones no grid places yet are free), and no
+// entity may claim another grid
+function getEventEntityRefusal(uc, gridId, payload = {}) {
+  if (payload.gridId && payload.gridId !== gridId) return "That isn't in this grid";
+  for (const [key, cacheKey] of Object.entries(EVENT_ENTITY_CACHES)) {
+    if (payload[key]?.gridId && payload[key].gridId !== gridId) return `That ${key} isn't in this grid`;
+    const id = payload[key]?.id || payload[`${key}Id`];
+    const entity = id && uc?.[cacheKey]?.[id];
+    if (!entity) continue;
+    const gridIds = getEntityGridIds(uc, key, entity);
+    if (gridIds.length > 0 && !gridIds.includes(gridId)) return `That ${key} isn't in this grid`;
+  }
+  return null;
+}
 
-  // ---- manifestsById
-  uc.manifestsById = {};
-  manifests.forEach((m) => {
-    const obj = m.toObject();
-    const id = obj.id || obj._id.toString();
-    uc.manifestsById[id] = { ...obj, id };
-  });
-
-  // ---- viewsById
-  uc.viewsById = {};
-  views.forEach((v) => {
-    const obj = v.toObject();
-    const id = obj.id || obj._id.toString();
-    uc.viewsById[id] = { ...obj, id };
-  });
-
-  // ---- docsById
-  uc.docsById = {};
-  docs.forEach((d) => {
-    const obj = d.toObject();
-    const id = obj.id || obj._id.toString();
-    uc.docsById[id] = { ...obj, id };
-  });
-
-  // ---- foldersById
-  uc.foldersById = {};
-  folders.forEach((f) => {
-    const obj = f.toObject();
-    const id = obj.id || obj._id.toString();
-    uc.foldersById[id] = { ...obj, id };
-  });
-
-  // ---- artifactsById
-  uc.artifactsById = {};
-  artifacts.forEach((a) => {
-    const obj = a.toObject();
-    const id = obj.id || obj._id.toString();
-    uc.artifactsById[id] = { ...obj, id };
-  });
-
-  // ---- operationsById
-  uc.operationsById = {};
-  operations.forEach((o) => {
-    const obj = o.toObject();
-    const id = obj.id || obj._id.toString();
-    uc.operationsById[id] = { ...obj, id };
-  });
-
-  // ---- iterationsById
-  uc.iterationsById = {};
-  iterations.forEach((i) => {
-    const obj = i.toObject();
-    const id = obj.id || obj._id.toString();
-    uc.iterationsById[id] = { ...obj, id };
-  });
-
-  console.log("✅ CACHE READY FOR USER:", userId);
-  console.log("   Grids:", Object.keys(uc.gridsById).length);
-  console.log("   Panels:", Object.keys(uc.panelsById).length);
-  console.log("   Containers:", Object.keys(uc.containersById).length);
-  console.log("   Instances:", Object.keys(uc.instancesById).length);
-  console.log("   Occurrences:", Object.keys(uc.occurrencesById).length);
-  console.log("   Fields:", Object.keys(uc.fieldsById).length);
-  console.log("   Manifests:", Object.keys(uc.manifestsById).length);
-  console.log("   Views:", Object.keys(uc.viewsById).length);
-  console.log("   Docs:", Object.keys(uc.docsById).length);
-  console.log("   Folders:", Object.keys(uc.foldersById).length);
-  console.log("   Artifacts:", Object.keys(uc.artifactsById).length);
-  console.log("===============================\n");
-
-  return uc;
+async function loadEventOwnerCache(socket, payload = {}) {
+  const ownerId = getEventOwnerId(socket, payload);
+  if (ownerId && !userCacheReady(ownerId)) await loadUserIntoCache(ownerId);
 }
 
-function userCacheReady(userId) {
-  const uc = cacheByUser[userId];
-  return !!(uc && uc.gridsById && uc.panelsById && uc.containersById && uc.instancesById && uc.occurrencesById && uc.fieldsById && uc.manifestsById && uc.viewsById && uc.docsById && uc.foldersById && uc.artifactsById);
+/**
+ * Whose data a socket acts on for a grid, and who should hear about it.
+ * Falls back to the socket's own account for grids it wasn't checked for.
+ * @returns {Object} { userId (data owner), actorId, gridId, role, rooms }
+ */
+function actingScope(socket, gridId = socket.data.activeGridId) {
+  const access = gridId ? socket.data.gridAccess?.[gridId] : null;
+  const userId = access?.ownerId || socket.userId;
+  return {
+    userId,
+    actorId: socket.userId,
+    gridId: gridId || null,
+    role: access?.role || "owner",
+    rooms: gridAudience(userId, gridId),
+  };
 }
 
 // ========================================================
@@ -393,8 +457,76 @@ io.on("connection", (socket) => {
     console.log("🏠 joined", userRoom(userId));
   }
 
+  // Gate events for access-token sockets
+  socket.use(async ([event, payload], next) => {
+    const auth = socket.data.auth;
+    if (auth?.type !== "pat") return next();
+
+    const scope = SOCKET_EVENT_SCOPES[event];
+    if (!scope || !authHasScope(auth, scope)) {
+      console.log("⛔ access token blocked event:", event);
+      return next(new Error(`FORBIDDEN: ${event}`));
+    }
+    try {
+      await loadEventOwnerCache(socket, payload || {});
+    } catch (err) {
+      console.error("access token check error:", err);
+      return next(new Error(`FORBIDDEN_GRID: ${event}`));
+    }
+    if (!authAllowsGrid(auth, getEventGridId(socket, payload || {}))) {
+      console.log("⛔ access token blocked grid for event:", event);
+      return next(new Error(`FORBIDDEN_GRID: ${event}`));
+    }
+    next();
+  });
+
+  // Check the sender's role on the grid an event touches. The handler acts
+  // on that grid only: its actingScope is passed as the last argument
+  // (anything else the client sent after the payload is dropped).
+  socket.use(async (packet, next) => {
+    const [event, payload] = packet;
+    const required = SOCKET_EVENT_ROLES[event];
+    if (!required) return next();
+    if (!socket.userId) return;
+
+    try {
+      await loadEventOwnerCache(socket, payload || {});
+      const gridId = getEventGridId(socket, payload || {});
+      const access = await resolveGridAccess(socket.userId, gridId);
+      if (!access || !roleAtLeast(access.role, required)) {
+        if (gridId) delete socket.data.gridAccess[gridId];
+        console.log("⛔ grid role blocked event:", event, access?.role || "none");
+        socket.emit("server_error", access ? `You need ${required} access to do that` : "You don't have access to this grid");
+        return;
+      }
+      const refusal = getEventEntityRefusal(cacheByUser[access.ownerId], gridId, payload || {});
+      if (refusal) {
+        console.log("⛔ grid role blocked event:", event, refusal);
+        socket.emit("server_error", refusal);
+        return;
+      }
+      socket.data.gridAccess[gridId] = { ownerId: access.ownerId, role: access.role };
+      packet.length = 2;
+      packet.push(actingScope(socket, gridId));
+      next();
+    } catch (err) {
+      console.error("grid role check error:", err);
+      socket.emit("server_error", "Failed to check grid access");
+    }
+  });
+
   // Track active grid PER SOCKET (multi-window safe)
   socket.data.activeGridId = socket.data.activeGridId || null;
+  socket.data.gridAccess = socket.data.gridAccess || {};
+
+  // Makes gid this socket's active grid and joins its room
+  const joinGrid = (gid, access) => {
+    const prev = socket.data.activeGridId;
+    if (prev && prev !== gid) socket.leave(gridRoom(prev));
+    socket.join(gridRoom(gid));
+    socket.data.activeGridId = gid;
+    socket.data.gridAccess[gid] = { ownerId: access.ownerId, role: access.role };
+  };
 
   // ======================================================
   // AUTH EVENTS: REGISTER
@@ -450,11 +582,47 @@ io.on("connection", (socket) => {
     socket.emit("auth_success", { token, userId: user._id.toString() });
   });
 
+  // ======================================================
+  // USER SETTINGS
+  // { timeZone }: the IANA zone this user's iteration dates are read in.
+  // Day/week/month aggregate buckets follow the owner's zone (the server's
+  // until one is set), so changing the zone they use rebuilds them.
+  // ======================================================
+  socket.on("update_user_settings", async ({ timeZone } = {}) => {
+    try {
+      const userId = socket.userId;
+      if (!userId) return;
+      if (!isValidTimeZone(timeZone)) return socket.emit("server_error", "Unknown time zone");
+
+      if (!userCacheReady(userId)) await loadUserIntoCache(userId);
+      const uc = ensureUserCache(userId);
+      if (uc.settings?.timeZone === timeZone) return;
+
+      const bucketZone = uc.settings?.timeZone || getDefaultTimeZone();
+      uc.settings = { ...(uc.settings || {}), timeZone };
+      await User.updateOne({ _id: userId }, { $set: { timeZone } });
+
+      socket.emit("user_settings_updated", { settings: uc.settings });
+      broadcastTo(socket, userRoom(userId), "user_settings_updated", { settings: uc.settings });
+
+      if (bucketZone !== timeZone) {
+        rebuildFieldAggregates({ userId }).catch(err => console.error("aggregate rebuild error:", err));
+      }
+    } catch (err) {
+      console.error("update_user_settings error:", err);
+      socket.emit("server_error", "Failed to update settings");
+    }
+  });
+
   // ======================================================
   // FULL STATE REQUEST (merged)
   // ======================================================
+  // With { since: syncCursor, lastSocketId } from a client that already
+  // holds this grid, replies sync_delta (the events it missed) when the
+  // sync log still covers the cursor, and full_state otherwise
   socket.on("request_full_state", async (payload = {}) => {
     let { gridId } = payload || {};
+    const { since, lastSocketId } = payload || {};
 
     const userId = socket.userId;
     if (!userId) {
@@ -465,13 +633,38 @@ io.on("connection", (socket) => {
       if (!userCacheReady(userId)) await loadUserIntoCache(userId);
       const uc = ensureUserCache(userId);
 
+      const ownAccess = { ownerId: userId, role: "owner" };
+
+      // Access tokens limited to some grids get only those grids' data
+      const auth = socket.data.auth;
+      const gridLimited = auth?.type === "pat" && auth.gridIds.length > 0;
+      if (gridLimited && !authAllowsGrid(auth, gridId)) {
+        return socket.emit("server_error", "Token not allowed for this grid");
+      }
+
+      const replayDelta = (gid) => {
+        if (!since) return false;
+        const changes = changesSince(since, [userRoom(userId), gridRoom(gid)], { skipSocketId: lastSocketId });
+        if (!changes) return false;
+        console.log(`📤 Sending sync_delta: ${gid} (${changes.length} changes)`);
+        socket.emit("sync_delta", { gridId: gid, changes, syncCursor: currentCursor() });
+        return true;
+      };
+
+      const listGrids = async () => [
+        ...(await getAllGridsForUser(userId)),
+        ...(await getSharedGridsForUser(userId)),
+      ].filter(g => authAllowsGrid(auth, g.id));
+
       const emitFullState = async (gid) => {
-        const grids = await getAllGridsForUser(userId);
+        const grids = await listGrids();
         const gridObj = uc.gridsById[gid];
         const safeGrid = gridObj?.toObject ? gridObj.toObject() : gridObj;
 
-        // Get occurrences for this grid and autofill them
-        const gridOccurrences = getOccurrencesForGrid(gid, uc);
+        // Occurrences of the period the grid is viewing (others load on demand)
+        const timeZone = uc.settings?.timeZone;
+        const occurrenceWindow = getGridOccurrenceWindow(gridObj, timeZone);
+        const gridOccurrences = windowOccurrences(getOccurrencesForGrid(gid, uc), occurrenceWindow, timeZone);
 
         // Log occurrence counts by type
         const occCounts = { panel: 0, container: 0, instance: 0 };
@@ -480,23 +673,76 @@ io.on("connection", (socket) => {
         });
         console.log(`[emitFullState] Sending ${gridOccurrences.length} occurrences:`, occCounts);
 
-        socket.emit("full_state", {
-          gridId: gid,
-          grid: safeGrid,
+        // Browser sessions get all of the user's entities; grid-limited tokens only this grid's
+        const entities = gridLimited ? collectGridEntities(uc, gid) : {
           panels: Object.values(uc.panelsById),
           containers: Object.values(uc.containersById),
           instances: Object.values(uc.instancesById),
-          occurrences: gridOccurrences,
           fields: Object.values(uc.fieldsById),
           manifests: Object.values(uc.manifestsById),
           views: Object.values(uc.viewsById),
           docs: Object.values(uc.docsById),
           folders: Object.values(uc.foldersById),
           artifacts: Object.values(uc.artifactsById),
+        };
+
+        socket.emit("full_state", {
+          gridId: gid,
+          grid: safeGrid,
+          panels: entities.panels,
+          containers: entities.containers,
+          instances: entities.instances,
+          occurrences: gridOccurrences,
+          occurrenceWindow,
+          fields: entities.fields,
+          manifests: entities.manifests,
+          views: entities.views,
+          docs: entities.docs,
+          folders: entities.folders,
+          artifacts: entities.artifacts,
           grids,
+          access: { role: "owner", ownerId: userId },
+          userSettings: uc.settings,
+          syncCursor: currentCursor(),
         });
       };
 
+      // ---------- SHARED GRID (someone else's data, only what's in the grid) ----------
+      if (gridId && !uc.gridsById[gridId]) {
+        const access = await resolveGridAccess(userId, gridId);
+        if (access && access.ownerId !== userId) {
+          joinGrid(gridId, access);
+          if (replayDelta(gridId)) return;
+          const syncCursor = currentCursor();
+          const entities = collectGridEntities(ensureUserCache(access.ownerId), gridId);
+          // Periods are the viewer's, not the owner's
+          const timeZone = uc.settings?.timeZone;
+          const occurrenceWindow = getGridOccurrenceWindow(access.grid, timeZone);
+
+          console.log("📤 Sending shared full_state:", gridId, "role:", access.role);
+          socket.emit("full_state", {
+            gridId,
+            grid: access.grid,
+            panels: entities.panels,
+            containers: entities.containers,
+            instances: entities.instances,
+            occurrences: windowOccurrences(entities.occurrences, occurrenceWindow, timeZone),
+            occurrenceWindow,
+            fields: entities.fields,
+            manifests: entities.manifests,
+            views: entities.views,
+            docs: entities.docs,
+            folders: entities.folders,
+            artifacts: entities.artifacts,
+            grids: await listGrids(),
+            access: { role: access.role, ownerId: access.ownerId },
+            userSettings: uc.settings,
+            syncCursor,
+          });
+          return;
+        }
+      }
+
       // ---------- CREATE NEW GRID IF NONE SPECIFIED ----------
       if (!gridId) {
         console.log("🟨 Creating new grid for user:", userId);
@@ -515,10 +761,7 @@ io.on("connection", (socket) => {
         console.log("✅ New grid created:", gridId);
 
         // ✅ per-socket active grid
-        const prev = socket.data.activeGridId;
-        if (prev && prev !== gridId) socket.leave(gridRoom(userId, prev));
-        socket.join(gridRoom(userId, gridId));
-        socket.data.activeGridId = gridId;
+        joinGrid(gridId, ownAccess);
 
         emitFullState(gridId);
         return;
@@ -529,16 +772,12 @@ io.on("connection", (socket) => {
         const g = await Grid.findOne({ _id: gridId, userId }).lean();
         if (!g) {
           console.log("❌ Grid not found or unauthorized:", gridId);
+          if (gridLimited) return socket.emit("server_error", "Grid not found");
 
           const userGrids = Object.keys(uc.gridsById);
           if (userGrids.length) {
             const fallbackId = userGrids[0];
-
-            const prev = socket.data.activeGridId;
-            if (prev && prev !== fallbackId) socket.leave(gridRoom(userId, prev));
-            socket.join(gridRoom(userId, fallbackId));
-            socket.data.activeGridId = fallbackId;
-
+            joinGrid(fallbackId, ownAccess);
             return emitFullState(fallbackId);
           }
 
@@ -553,24 +792,16 @@ io.on("connection", (socket) => {
 
           const newId = newGrid._id.toString();
           uc.gridsById[newId] = newGrid.toObject();
-
-          const prev = socket.data.activeGridId;
-          if (prev && prev !== newId) socket.leave(gridRoom(userId, prev));
-          socket.join(gridRoom(userId, newId));
-          socket.data.activeGridId = newId;
+          joinGrid(newId, ownAccess);
 
           return emitFullState(newId);
         }
         uc.gridsById[gridId] = g;
       }
 
-      // ✅ per-socket active grid + optional grid room
-      {
-        const prev = socket.data.activeGridId;
-        if (prev && prev !== gridId) socket.leave(gridRoom(userId, prev));
-        socket.join(gridRoom(userId, gridId));
-        socket.data.activeGridId = gridId;
-      }
+      // ✅ per-socket active grid + grid room
+      joinGrid(gridId, ownAccess);
+      if (replayDelta(gridId)) return;
 
       console.log("📤 Sending full_state response:", gridId);
       emitFullState(gridId);
@@ -579,6 +810,36 @@ io.on("connection", (socket) => {
       socket.emit("server_error", "Failed to load state");
     }
   });
+
+  // ======================================================
+  // OCCURRENCE WINDOWS
+  // full_state only carries the viewed period's dated occurrences; the
+  // client loads other periods here as its iteration navigation moves
+  // ======================================================
+  socket.on("load_occurrences", async (payload = {}, scope) => {
+    try {
+      const { requestId } = payload;
+      const { userId, gridId } = scope;
+      if (!userId || !gridId) return;
+
+      if (!userCacheReady(userId)) await loadUserIntoCache(userId);
+      const uc = ensureUserCache(userId);
+
+      // { all: true } once a view switched to "all"
+      const window = payload.all ? null : parseOccurrenceWindow(payload);
+      if (!payload.all && !window) return socket.emit("server_error", "Invalid occurrence window");
+
+      socket.emit("occurrences_loaded", {
+        gridId,
+        window: window && { start: window.start.toISOString(), end: window.end.toISOString() },
+        occurrences: getOccurrencesInWindow(gridId, uc, window, getCachedTimeZone(socket.userId)),
+        requestId,
+      });
+    } catch (err) {
+      console.error("load_occurrences error:", err);
+      socket.emit("server_error", "Failed to load occurrences");
+    }
+  });
   // ======================================================
   // GRID CREATE (grid is gridId + userId)
   // emits: grid_created  (no echo)
@@ -618,7 +879,7 @@ io.on("connection", (socket) => {
 
       uc.gridsById[gridId] = saved;
 
-      socket.to(userRoom(userId)).emit("grid_created", {
+      broadcastTo(socket, userRoom(userId), "grid_created", {
         grid: {
           id: gridId,
           _id: gridId,
@@ -634,9 +895,9 @@ io.on("connection", (socket) => {
   // ======================================================
   // CONTAINERS (userId ONLY - gridId ignored)
   // ======================================================
-  socket.on("create_container", async ({ container }) => {
+  socket.on("create_container", async ({ container }, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, rooms } = scope;
       if (!userId) return;
 
       if (!userCacheReady(userId)) await loadUserIntoCache(userId);
@@ -666,7 +927,7 @@ io.on("connection", (socket) => {
         { upsert: true }
       );
 
-      socket.to(userRoom(userId)).emit("container_created", {
+      broadcastTo(socket, rooms, "container_created", {
         container: {
           id,
           label: uc.containersById[id].label,
@@ -682,9 +943,9 @@ io.on("connection", (socket) => {
   // ======================================================
   // INSTANCES IN CONTAINERS (userId ONLY - gridId ignored)
   // ======================================================
-  socket.on("create_instance_in_container", async ({ containerId, instance }) => {
+  socket.on("create_instance_in_container", async ({ containerId, instance }, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, rooms } = scope;
       if (!userId) return;
 
       if (!userCacheReady(userId)) await loadUserIntoCache(userId);
@@ -707,7 +968,7 @@ io.on("connection", (socket) => {
 
       await Instance.findOneAndUpdate({ id: instanceId, userId }, nextInst, { upsert: true });
 
-      socket.to(userRoom(userId)).emit("instance_created_in_container", {
+      broadcastTo(socket, rooms, "instance_created_in_container", {
         containerId,
         instance: { id: nextInst.id, label: nextInst.label },
       });
@@ -720,9 +981,9 @@ io.on("connection", (socket) => {
   // ======================================================
   // CONTAINER OCCURRENCES UPDATE (UPSERTS container if missing)
   // ======================================================
-  socket.on("update_container_items", async ({ containerId, items }) => {
+  socket.on("update_container_items", async ({ containerId, items }, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, rooms } = scope;
       if (!userId) return;
 
       if (!userCacheReady(userId)) await loadUserIntoCache(userId);
@@ -737,6 +998,7 @@ io.on("connection", (socket) => {
       }
 
       const c = uc.containersById[containerId];
+      const prevOccurrences = c.occurrences || [];
       c.occurrences = [...occurrences];
 
       await Container.findOneAndUpdate(
@@ -745,7 +1007,15 @@ io.on("connection", (socket) => {
         { upsert: true }
       );
 
-      socket.to(userRoom(userId)).emit("container_items_updated", { containerId, items: c.occurrences });
+      broadcastTo(socket, rooms, "container_items_updated", { containerId, items: c.occurrences });
+
+      await trackContainerOccurrenceChanges({
+        userId,
+        uc,
+        containerId,
+        prevOccurrences,
+        nextOccurrences: c.occurrences,
+      });
     } catch (err) {
       console.error("update_container_items error:", err);
       socket.emit("server_error", "Failed to update container");
@@ -756,9 +1026,9 @@ io.on("connection", (socket) => {
   // CONTAINER UPDATE — UPSERT
   // emits: container_updated
   // ======================================================
-  socket.on("update_container", async ({ container } = {}) => {
+  socket.on("update_container", async ({ container } = {}, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, rooms } = scope;
       if (!userId) return;
 
       if (!userCacheReady(userId)) await loadUserIntoCache(userId);
@@ -781,7 +1051,16 @@ io.on("connection", (socket) => {
 
       await Container.findOneAndUpdate({ id, userId }, { ...next, userId }, { upsert: true });
 
-      socket.to(userRoom(userId)).emit("container_updated", { container: next });
+      broadcastTo(socket, rooms, "container_updated", { container: next });
+
+      // TRANSACTION: record moves between containers (from/to context)
+      await trackContainerOccurrenceChanges({
+        userId,
+        uc,
+        containerId: id,
+        prevOccurrences: prev.occurrences || [],
+        nextOccurrences: next.occurrences,
+      });
     } catch (err) {
       console.error("update_container error:", err);
       socket.emit("server_error", "Failed to update container");
@@ -791,9 +1070,9 @@ io.on("connection", (socket) => {
   // ======================================================
   // INSTANCE UPDATE — UPSERT
   // ======================================================
-  socket.on("update_instance", async ({ instance }) => {
+  socket.on("update_instance", async ({ instance }, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, rooms } = scope;
       if (!userId) return;
 
       if (!userCacheReady(userId)) await loadUserIntoCache(userId);
@@ -816,7 +1095,7 @@ io.on("connection", (socket) => {
 
       await Instance.findOneAndUpdate({ id, userId }, next, { upsert: true });
 
-      socket.to(userRoom(userId)).emit("instance_updated", { instance: next });
+      broadcastTo(socket, rooms, "instance_updated", { instance: next });
     } catch (err) {
       console.error("update_instance error:", err);
       socket.emit("server_error", "Failed to update instance");
@@ -829,9 +1108,9 @@ io.on("connection", (socket) => {
   // - delete all occurrences of this instance
   // - remove occurrence IDs from container.occurrences arrays
   // ======================================================
-  socket.on("delete_instance", async ({ instanceId } = {}) => {
+  socket.on("delete_instance", async ({ instanceId } = {}, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, rooms } = scope;
       if (!userId) return;
       if (!instanceId) return;
 
@@ -850,7 +1129,7 @@ io.on("connection", (socket) => {
       for (const occ of instanceOccurrences) {
         delete uc.occurrencesById[occ.id];
         await Occurrence.findOneAndDelete({ id: occ.id, userId });
-        socket.to(userRoom(userId)).emit("occurrence_deleted", { occurrenceId: occ.id });
+        broadcastTo(socket, rooms, "occurrence_deleted", { occurrenceId: occ.id });
       }
 
       // Remove occurrence IDs from containers
@@ -870,10 +1149,10 @@ io.on("connection", (socket) => {
       await Container.updateMany({ userId }, { $pull: { occurrences: { $in: occurrenceIds } } });
 
       for (const container of affectedContainers) {
-        socket.to(userRoom(userId)).emit("container_updated", { container });
+        broadcastTo(socket, rooms, "container_updated", { container });
       }
 
-      socket.to(userRoom(userId)).emit("instance_deleted", { instanceId });
+      broadcastTo(socket, rooms, "instance_deleted", { instanceId });
     } catch (err) {
       console.error("delete_instance error:", err);
       socket.emit("server_error", "Failed to delete instance");
@@ -883,9 +1162,9 @@ io.on("connection", (socket) => {
   // ======================================================
   // PANELS (userId ONLY - gridId ignored)
   // ======================================================
-  socket.on("update_panel", async ({ panel }) => {
+  socket.on("update_panel", async ({ panel }, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, rooms } = scope;
       if (!userId) return;
 
       if (!userCacheReady(userId)) await loadUserIntoCache(userId);
@@ -908,16 +1187,16 @@ io.on("connection", (socket) => {
 
       await Panel.findOneAndUpdate({ id: panelId, userId }, next, { upsert: true });
 
-      socket.to(userRoom(userId)).emit("panel_updated", next);
+      broadcastTo(socket, rooms, "panel_updated", next);
     } catch (err) {
       console.error("update_panel error:", err);
       socket.emit("server_error", "Failed to update panel");
     }
   });
 
-  socket.on("create_panel", async ({ panel }) => {
+  socket.on("create_panel", async ({ panel }, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, rooms } = scope;
       if (!userId) return;
 
       if (!userCacheReady(userId)) await loadUserIntoCache(userId);
@@ -941,7 +1220,7 @@ io.on("connection", (socket) => {
 
       await Panel.findOneAndUpdate({ id: panelId, userId }, next, { upsert: true });
 
-      socket.to(userRoom(userId)).emit("panel_created", next);
+      broadcastTo(socket, rooms, "panel_created", next);
     } catch (err) {
       console.error("add_panel error:", err);
       socket.emit("server_error", "Failed to add panel");
@@ -951,9 +1230,9 @@ io.on("connection", (socket) => {
   // ======================================================
   // PANEL DELETE (userId ONLY - gridId ignored)
   // ======================================================
-  socket.on("delete_panel", async ({ panelId } = {}) => {
+  socket.on("delete_panel", async ({ panelId } = {}, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, rooms } = scope;
       if (!userId) return;
       if (!panelId) return;
 
@@ -963,7 +1242,7 @@ io.on("connection", (socket) => {
       if (uc.panelsById?.[panelId]) delete uc.panelsById[panelId];
       await Panel.findOneAndDelete({ id: panelId, userId });
 
-      socket.to(userRoom(userId)).emit("panel_deleted", { panelId });
+      broadcastTo(socket, rooms, "panel_deleted", { panelId });
     } catch (err) {
       console.error("delete_panel error:", err);
       socket.emit("server_error", "Failed to delete panel");
@@ -976,9 +1255,9 @@ io.on("connection", (socket) => {
   // - delete all occurrences of this container
   // - remove occurrence IDs from panel.occurrences arrays
   // ======================================================
-  socket.on("delete_container", async ({ containerId } = {}) => {
+  socket.on("delete_container", async ({ containerId } = {}, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, rooms } = scope;
       if (!userId) return;
       if (!containerId) return;
 
@@ -997,7 +1276,7 @@ io.on("connection", (socket) => {
       for (const occ of containerOccurrences) {
         delete uc.occurrencesById[occ.id];
         await Occurrence.findOneAndDelete({ id: occ.id, userId });
-        socket.to(userRoom(userId)).emit("occurrence_deleted", { occurrenceId: occ.id });
+        broadcastTo(socket, rooms, "occurrence_deleted", { occurrenceId: occ.id });
       }
 
       // Remove occurrence IDs from panels
@@ -1018,10 +1297,10 @@ io.on("connection", (socket) => {
       await Panel.updateMany({ userId }, { $pull: { occurrences: { $in: occurrenceIds } } });
 
       for (const panel of affectedPanels) {
-        socket.to(userRoom(userId)).emit("panel_updated", panel);
+        broadcastTo(socket, rooms, "panel_updated", panel);
       }
 
-      socket.to(userRoom(userId)).emit("container_deleted", { containerId });
+      broadcastTo(socket, rooms, "container_deleted", { containerId });
     } catch (err) {
       console.error("delete_container error:", err);
       socket.emit("server_error", "Failed to delete container");
@@ -1031,9 +1310,9 @@ io.on("connection", (socket) => {
   // ======================================================
   // OCCURRENCES — CREATE/UPDATE/DELETE
   // ======================================================
-  socket.on("create_occurrence", async ({ occurrence } = {}) => {
+  socket.on("create_occurrence", async ({ occurrence } = {}, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, rooms } = scope;
       if (!userId) return;
 
       if (!userCacheReady(userId)) await loadUserIntoCache(userId);
@@ -1053,6 +1332,7 @@ io.on("connection", (socket) => {
         fields: occurrence.fields,
         meta: occurrence.meta,
         linkedGroupId: occurrence.linkedGroupId || null,
+        timeZone: getCachedTimeZone(socket.userId),
       });
 
       uc.occurrencesById[id] = occurrenceData;
@@ -1063,7 +1343,7 @@ io.on("connection", (socket) => {
         { upsert: true }
       );
 
-      socket.to(userRoom(userId)).emit("occurrence_created", {
+      broadcastTo(socket, rooms, "occurrence_created", {
         occurrence: occurrenceData,
       });
     } catch (err) {
@@ -1072,9 +1352,9 @@ io.on("connection", (socket) => {
     }
   });
 
-  socket.on("update_occurrence", async ({ occurrence } = {}) => {
+  socket.on("update_occurrence", async ({ occurrence } = {}, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, rooms } = scope;
       if (!userId) return;
 
       if (!userCacheReady(userId)) await loadUserIntoCache(userId);
@@ -1083,66 +1363,19 @@ io.on("connection", (socket) => {
       const id = occurrence?.id;
       if (!id) return;
 
-      const prev = uc.occurrencesById[id] || {};
-      const next = { ...prev, ...occurrence, id, userId };
-
-      uc.occurrencesById[id] = next;
-
-      // ============================================================
-      // TRANSACTION: Create MeasureOp when fields change
-      // ============================================================
-      if (occurrence.fields && Object.keys(occurrence.fields).length > 0) {
-        const ops = [];
-        for (const [fieldId, fieldValue] of Object.entries(occurrence.fields)) {
-          const prevFieldVal = prev.fields?.[fieldId];
-          // Extract raw values (handle both { value, flow } format and raw values)
-          const newVal = fieldValue?.value ?? fieldValue;
-          const oldVal = prevFieldVal?.value ?? prevFieldVal;
-          const flow = fieldValue?.flow || "in";
-
-          ops.push({
-            type: "measure",
-            measure: {
-              occurrenceId: id,
-              fieldId,
-              value: newVal,
-              previousValue: oldVal,
-              flow,
-            },
-          });
-        }
+      const { occurrence: next, linked } = await applyOccurrenceUpdate({
+        userId,
+        uc,
+        occurrence,
+        timeZone: getCachedTimeZone(socket.userId),
+      });
 
-        if (ops.length > 0) {
-          const tx = new Transaction({
-            id: nanoid(12),
-            userId,
-            gridId: next.gridId,
-            timestamp: new Date(),
-            operations: ops,
-            state: "applied",
-          });
-          await tx.save();
-        }
-      }
+      broadcastTo(socket, rooms, "occurrence_updated", { occurrence: next });
 
-      await Occurrence.findOneAndUpdate({ id, userId }, next, { upsert: true });
-
-      socket.to(userRoom(userId)).emit("occurrence_updated", { occurrence: next });
-
-      // COPYLINK: propagate field changes to all linked occurrences
-      if (next.linkedGroupId && occurrence.fields && Object.keys(occurrence.fields).length > 0) {
-        const linkedOccs = Object.values(uc.occurrencesById || {}).filter(
-          o => o.linkedGroupId === next.linkedGroupId && o.id !== id
-        );
-        for (const linked of linkedOccs) {
-          const updatedFields = { ...(linked.fields || {}), ...occurrence.fields };
-          const updatedLinked = { ...linked, fields: updatedFields };
-          uc.occurrencesById[linked.id] = updatedLinked;
-          await Occurrence.findOneAndUpdate({ id: linked.id, userId }, updatedLinked, { upsert: true });
-          // Emit to all windows (including sender for linked updates)
-          socket.to(userRoom(userId)).emit("occurrence_updated", { occurrence: updatedLinked });
-          socket.emit("occurrence_updated", { occurrence: updatedLinked });
-        }
+      // COPYLINK: emit to all windows (including sender for linked updates)
+      for (const updatedLinked of linked) {
+        broadcastTo(socket, rooms, "occurrence_updated", { occurrence: updatedLinked });
+        socket.emit("occurrence_updated", { occurrence: updatedLinked });
       }
     } catch (err) {
       console.error("update_occurrence error:", err);
@@ -1153,12 +1386,12 @@ io.on("connection", (socket) => {
   // ======================================================
   // UPDATE DOC CONTENT — Save TipTap JSON to Doc model
   // ======================================================
-  socket.on("update_doc_content", async ({ docId, content } = {}) => {
+  socket.on("update_doc_content", async ({ docId, content } = {}, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, rooms } = scope;
       if (!userId || !docId) return;
       await Doc.findOneAndUpdate({ id: docId, userId }, { content }, { upsert: false });
-      socket.to(userRoom(userId)).emit("doc_content_updated", { docId, content });
+      broadcastTo(socket, rooms, "doc_content_updated", { docId, content });
     } catch (err) {
       console.error("update_doc_content error:", err);
     }
@@ -1167,9 +1400,9 @@ io.on("connection", (socket) => {
   // ======================================================
   // BREAK LINK — Remove linkedGroupId from an occurrence
   // ======================================================
-  socket.on("break_link", async ({ occurrenceId } = {}) => {
+  socket.on("break_link", async ({ occurrenceId } = {}, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, rooms } = scope;
       if (!userId) return;
       if (!occurrenceId) return;
 
@@ -1185,16 +1418,16 @@ io.on("connection", (socket) => {
       const occObj = occ.toObject();
       uc.occurrencesById[occurrenceId] = { ...uc.occurrencesById[occurrenceId], ...occObj, id: occurrenceId };
 
-      io.to(userRoom(userId)).emit("occurrence_updated", { occurrence: occObj });
+      broadcastTo(io, rooms, "occurrence_updated", { occurrence: occObj });
     } catch (err) {
       console.error("break_link error:", err);
       socket.emit("server_error", "Failed to break link");
     }
   });
 
-  socket.on("delete_occurrence", async ({ occurrenceId } = {}) => {
+  socket.on("delete_occurrence", async ({ occurrenceId } = {}, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, rooms } = scope;
       if (!userId) return;
       if (!occurrenceId) return;
 
@@ -1204,7 +1437,7 @@ io.on("connection", (socket) => {
       if (uc.occurrencesById?.[occurrenceId]) delete uc.occurrencesById[occurrenceId];
       await Occurrence.findOneAndDelete({ id: occurrenceId, userId });
 
-      socket.to(userRoom(userId)).emit("occurrence_deleted", { occurrenceId });
+      broadcastTo(socket, rooms, "occurrence_deleted", { occurrenceId });
     } catch (err) {
       console.error("delete_occurrence error:", err);
       socket.emit("server_error", "Failed to delete occurrence");
@@ -1214,9 +1447,9 @@ io.on("connection", (socket) => {
   // ======================================================
   // TRANSACTIONS — QUERY
   // ======================================================
-  socket.on("get_transactions", async ({ gridId, fieldId, timeRange, limit = 100, includeUndone = true } = {}) => {
+  socket.on("get_transactions", async ({ fieldId, timeRange, limit = 100, includeUndone = true } = {}, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, gridId } = scope;
       if (!userId) return;
 
       const query = { userId };
@@ -1248,16 +1481,16 @@ io.on("connection", (socket) => {
   // Undo reverses operations: moves go back, creates get soft-deleted, etc.
   // Calculations are derived from current state, so they auto-update.
   // ======================================================
-  socket.on("undo_transaction", async ({ transactionId, gridId } = {}) => {
+  socket.on("undo_transaction", async ({ transactionId } = {}, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, gridId, rooms } = scope;
       if (!userId || !transactionId) return;
 
       if (!userCacheReady(userId)) await loadUserIntoCache(userId);
       const uc = ensureUserCache(userId);
 
       // Find the transaction
-      const tx = await Transaction.findOne({ id: transactionId, userId });
+      const tx = await Transaction.findOne({ id: transactionId, userId, gridId });
       if (!tx || tx.state === "undone") {
         socket.emit("undo_result", { success: false, error: "Transaction not found or already undone" });
         return;
@@ -1297,6 +1530,13 @@ io.on("connection", (socket) => {
               // Was moved from A to B → move back from B to A
               const occ = await Occurrence.findOne({ id: ol.occurrenceId });
               if (occ && ol.from) {
+                await moveOccurrenceBetweenContainers({
+                  userId,
+                  occurrenceId: ol.occurrenceId,
+                  fromContainerId: ol.to?.containerId,
+                  toContainerId: ol.from.containerId,
+                  index: ol.from.index,
+                });
                 await Occurrence.findOneAndUpdate(
                   { id: ol.occurrenceId },
                   {
@@ -1394,10 +1634,20 @@ io.on("connection", (socket) => {
         { id: transactionId },
         { $set: { state: "undone", undoneAt: new Date(), undoneBy: userId } }
       );
+      transactionEvents.emit("undone", { ...tx.toObject(), state: "undone" });
 
       // Reload cache to reflect changes
       await loadUserIntoCache(userId);
 
+      // Moved occurrences: push the restored container lists to every window
+      const movedContainerIds = new Set(
+        reversedOps.filter(op => op.type === "move_back").flatMap(op => [op.from?.containerId, op.to?.containerId]).filter(Boolean)
+      );
+      for (const cid of movedContainerIds) {
+        const container = ensureUserCache(userId).containersById[cid];
+        if (container) broadcastTo(io, rooms, "container_updated", { container });
+      }
+
       // Emit success with reversed operations for animation
       socket.emit("undo_result", {
         success: true,
@@ -1422,16 +1672,16 @@ io.on("connection", (socket) => {
     }
   });
 
-  socket.on("redo_transaction", async ({ transactionId, gridId } = {}) => {
+  socket.on("redo_transaction", async ({ transactionId } = {}, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, gridId, rooms } = scope;
       if (!userId || !transactionId) return;
 
       if (!userCacheReady(userId)) await loadUserIntoCache(userId);
       const uc = ensureUserCache(userId);
 
       // Find the undone transaction
-      const tx = await Transaction.findOne({ id: transactionId, userId, state: "undone" });
+      const tx = await Transaction.findOne({ id: transactionId, userId, gridId, state: "undone" });
       if (!tx) {
         socket.emit("redo_result", { success: false, error: "Transaction not found or not undone" });
         return;
@@ -1462,6 +1712,13 @@ io.on("connection", (socket) => {
             case "move": {
               // Re-move: move back to the 'to' position
               if (ol.to) {
+                await moveOccurrenceBetweenContainers({
+                  userId,
+                  occurrenceId: ol.occurrenceId,
+                  fromContainerId: ol.from?.containerId,
+                  toContainerId: ol.to.containerId,
+                  index: ol.to.index,
+                });
                 await Occurrence.findOneAndUpdate(
                   { id: ol.occurrenceId },
                   { $set: { containerId: ol.to.containerId, panelId: ol.to.panelId } }
@@ -1530,10 +1787,23 @@ io.on("connection", (socket) => {
         { id: transactionId },
         { $set: { state: "redone", redoneAt: new Date(), redoneBy: userId } }
       );
+      transactionEvents.emit("redone", { ...tx.toObject(), state: "redone" });
 
       // Reload cache
       await loadUserIntoCache(userId);
 
+      // Moved occurrences: push the re-applied container lists to every window
+      const movedContainerIds = new Set(
+        tx.operations
+          .filter(op => op.type === "occurrence_list" && op.occurrenceList?.action === "move")
+          .flatMap(op => [op.occurrenceList.from?.containerId, op.occurrenceList.to?.containerId])
+          .filter(Boolean)
+      );
+      for (const cid of movedContainerIds) {
+        const container = ensureUserCache(userId).containersById[cid];
+        if (container) broadcastTo(io, rooms, "container_updated", { container });
+      }
+
       socket.emit("redo_result", { success: true, transactionId });
 
       // Broadcast full state update
@@ -1552,9 +1822,9 @@ io.on("connection", (socket) => {
   });
 
   // Get the last undoable transaction for a grid
-  socket.on("get_undo_state", async ({ gridId } = {}) => {
+  socket.on("get_undo_state", async (payload, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, gridId } = scope;
       if (!userId) return;
 
       // Find last applied/redone transaction (can be undone)
@@ -1584,9 +1854,9 @@ io.on("connection", (socket) => {
     }
   });
 
-  socket.on("get_field_history", async ({ fieldId, occurrenceId, limit = 50 } = {}) => {
+  socket.on("get_field_history", async ({ fieldId, occurrenceId, limit = 50 } = {}, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId } = scope;
       if (!userId || !fieldId) return;
 
       const query = {
@@ -1618,13 +1888,76 @@ io.on("connection", (socket) => {
     }
   });
 
+  // ======================================================
+  // DERIVED VALUES
+  // A derived field's value as the grid shows it, computed with the shared
+  // calculations. Defaults to now and the grid's selected iteration and
+  // category; requestId is echoed so callers can match replies.
+  // ======================================================
+  socket.on("get_derived_value", async (payload = {}, scope) => {
+    try {
+      const { fieldId, date, iterationId, categoryKey, categoryValue, panelId, containerId, instanceId, requestId } = payload;
+      const { userId, gridId } = scope;
+      if (!userId || !fieldId) return;
+
+      if (!userCacheReady(userId)) await loadUserIntoCache(userId);
+      const uc = ensureUserCache(userId);
+
+      const field = uc.fieldsById[fieldId];
+      if (!field || field.gridId !== gridId) return socket.emit("server_error", "Field not found");
+      if (field.mode !== "derived") return socket.emit("server_error", "Not a derived field");
+
+      const iterationDate = parseIterationDate(date);
+      if (date && !iterationDate) return socket.emit("server_error", "Invalid date");
+
+      const result = await getDerivedValue({
+        userId,
+        uc,
+        gridId,
+        field,
+        date: iterationDate,
+        iterationId,
+        categoryKey,
+        categoryValue,
+        context: { panelId, containerId, instanceId },
+        timeZone: getCachedTimeZone(socket.userId),
+      });
+      socket.emit("derived_value", { ...result, requestId });
+    } catch (err) {
+      console.error("get_derived_value error:", err);
+      socket.emit("server_error", "Failed to calculate field value");
+    }
+  });
+
+  // ======================================================
+  // FIELD AGGREGATES
+  // Pre-aggregated day / week / month buckets of a field's measure values
+  // (utils/fieldAggregates.js), instead of its raw transaction history
+  // ======================================================
+  socket.on("get_field_aggregates", async (payload = {}, acting) => {
+    try {
+      const { fieldId, period = "day", start, end, scope = "grid", scopeId, flow, requestId } = payload;
+      const { userId, gridId } = acting;
+      if (!userId || !fieldId) return;
+
+      if (!AGGREGATE_PERIODS.includes(period)) return socket.emit("server_error", "Unknown period");
+      if (!AGGREGATE_SCOPES.includes(scope)) return socket.emit("server_error", "Unknown scope");
+
+      const buckets = await getFieldAggregates({ userId, gridId, fieldId, period, start, end, scope, scopeId, flow });
+      socket.emit("field_aggregates", { fieldId, gridId, period, scope, scopeId: scope === "grid" ? gridId : scopeId, buckets, requestId });
+    } catch (err) {
+      console.error("get_field_aggregates error:", err);
+      socket.emit("server_error", "Failed to load field aggregates");
+    }
+  });
+
   // ======================================================
   // FIELDS — CREATE/UPDATE/DELETE (Grid-level field management)
   // Fields are associated with a grid and contain all calculation config
   // ======================================================
-  socket.on("create_field", async ({ field } = {}) => {
+  socket.on("create_field", async ({ field } = {}, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, rooms } = scope;
       if (!userId) return;
 
       if (!userCacheReady(userId)) await loadUserIntoCache(userId);
@@ -1653,16 +1986,16 @@ io.on("connection", (socket) => {
 
       await Field.findOneAndUpdate({ id, userId }, fieldData, { upsert: true });
 
-      socket.to(userRoom(userId)).emit("field_created", { field: fieldData });
+      broadcastTo(socket, rooms, "field_created", { field: fieldData });
     } catch (err) {
       console.error("create_field error:", err);
       socket.emit("server_error", "Failed to create field");
     }
   });
 
-  socket.on("update_field", async ({ field } = {}) => {
+  socket.on("update_field", async ({ field } = {}, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, rooms } = scope;
       if (!userId) return;
 
       if (!userCacheReady(userId)) await loadUserIntoCache(userId);
@@ -1678,16 +2011,16 @@ io.on("connection", (socket) => {
 
       await Field.findOneAndUpdate({ id, userId }, next, { upsert: true });
 
-      socket.to(userRoom(userId)).emit("field_updated", { field: next });
+      broadcastTo(socket, rooms, "field_updated", { field: next });
     } catch (err) {
       console.error("update_field error:", err);
       socket.emit("server_error", "Failed to update field");
     }
   });
 
-  socket.on("delete_field", async ({ fieldId } = {}) => {
+  socket.on("delete_field", async ({ fieldId } = {}, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, rooms } = scope;
       if (!userId) return;
       if (!fieldId) return;
 
@@ -1697,7 +2030,7 @@ io.on("connection", (socket) => {
       if (uc.fieldsById?.[fieldId]) delete uc.fieldsById[fieldId];
       await Field.findOneAndDelete({ id: fieldId, userId });
 
-      socket.to(userRoom(userId)).emit("field_deleted", { fieldId });
+      broadcastTo(socket, rooms, "field_deleted", { fieldId });
     } catch (err) {
       console.error("delete_field error:", err);
       socket.emit("server_error", "Failed to delete field");
@@ -1707,23 +2040,30 @@ io.on("connection", (socket) => {
   // ======================================================
   // GRID UPDATE (grid is gridId + userId) — UPSERT
   // ======================================================
-  socket.on("update_grid", async (payload) => {
+  socket.on("update_grid", async (payload, scope) => {
     try {
-      const userId = socket.userId;
-      if (!userId) return;
-
       const { gridId } = payload || {};
       if (!gridId) {
         console.log("❌ update_grid missing gridId");
         return;
       }
 
+      const { userId, rooms } = scope;
+      if (!userId) return;
+
       if (!userCacheReady(userId)) await loadUserIntoCache(userId);
       const uc = ensureUserCache(userId);
 
       const { grid: gridPatchFromNested, ...rest } = payload || {};
       const { gridId: _ignored, ...restWithoutId } = rest || {};
-      const updatePatch = gridPatchFromNested || restWithoutId || {};
+      // Ownership and membership only change through the member events
+      const { userId: _owner, members: _members, ...updatePatch } = gridPatchFromNested || restWithoutId || {};
+      if ("weekStart" in updatePatch) updatePatch.weekStart = normalizeWeekStart(updatePatch.weekStart);
+      if ("periods" in updatePatch) {
+        updatePatch.periods = (Array.isArray(updatePatch.periods) ? updatePatch.periods : [])
+          .map(normalizePeriodDefinition)
+          .filter(Boolean);
+      }
 
       console.log("🟦 EVENT update_grid:", { gridId, updatePatch });
 
@@ -1745,11 +2085,19 @@ io.on("connection", (socket) => {
         }
       }
 
+      // Week buckets are cut on the grid's week start
+      const weekStartChanged = "weekStart" in updatePatch &&
+        normalizeWeekStart(uc.gridsById[gridId].weekStart) !== updatePatch.weekStart;
+
       uc.gridsById[gridId] = { ...uc.gridsById[gridId], ...updatePatch };
 
       await Grid.findOneAndUpdate({ _id: gridId, userId }, updatePatch, { upsert: true });
 
-      socket.to(userRoom(userId)).emit("grid_updated", { gridId, grid: updatePatch });
+      broadcastTo(socket, rooms, "grid_updated", { gridId, grid: updatePatch });
+
+      if (weekStartChanged) {
+        rebuildFieldAggregates({ userId, gridId }).catch(err => console.error("aggregate rebuild error:", err));
+      }
     } catch (err) {
       console.error("update_grid error:", err);
       socket.emit("server_error", "Failed to update grid");
@@ -1759,9 +2107,9 @@ io.on("connection", (socket) => {
   // ======================================================
   // TEMPLATES — SAVE/FILL
   // ======================================================
-  socket.on("save_template", async ({ gridId, template } = {}) => {
+  socket.on("save_template", async ({ template } = {}, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, gridId, rooms } = scope;
       if (!userId || !gridId || !template?.id) return;
 
       if (!userCacheReady(userId)) await loadUserIntoCache(userId);
@@ -1782,15 +2130,15 @@ io.on("connection", (socket) => {
       uc.gridsById[gridId] = grid;
 
       await Grid.findOneAndUpdate({ _id: gridId, userId }, { templates }, { upsert: true });
-      socket.to(userRoom(userId)).emit("grid_updated", { gridId, grid: { templates } });
+      broadcastTo(socket, rooms, "grid_updated", { gridId, grid: { templates } });
     } catch (err) {
       console.error("save_template error:", err);
     }
   });
 
-  socket.on("fill_from_template", async ({ gridId, templateId, containerId, iterationValue } = {}) => {
+  socket.on("fill_from_template", async ({ templateId, containerId, iterationValue } = {}, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, gridId, rooms } = scope;
       if (!userId || !gridId || !templateId || !containerId) return;
 
       if (!userCacheReady(userId)) await loadUserIntoCache(userId);
@@ -1805,7 +2153,10 @@ io.on("connection", (socket) => {
       const container = uc.containersById[containerId];
       if (!container) return;
 
-      const dateValue = iterationValue || new Date();
+      // The viewed date ("YYYY-MM-DD" or an instant) as a calendar date in the filler's zone
+      const timeZone = getCachedTimeZone(socket.userId);
+      const day = toCalendarDate(iterationValue || new Date(), timeZone || undefined) || toCalendarDate(new Date(), timeZone || undefined);
+      const dateValue = startOfCalendarDate(day, timeZone || undefined);
       const createdOccurrences = [];
 
       for (const item of template.items) {
@@ -1818,9 +2169,10 @@ io.on("connection", (socket) => {
           targetType: "instance",
           targetId: item.instanceId,
           gridId,
-          iteration: { key: "time", value: dateValue, mode: "specific" },
+          iteration: { key: "time", value: dateValue, timeValue: dateValue, date: day, mode: "specific" },
           fields: item.fieldDefaults || {},
           meta: { containerId },
+          timeZone,
           // Preserve linkedGroupId from template items — copylinked items
           // share the same group so field values sync across day pages
           ...(item.linkedGroupId ? { linkedGroupId: item.linkedGroupId } : {}),
@@ -1845,10 +2197,10 @@ io.on("connection", (socket) => {
       // Emit all at once
       for (const occ of createdOccurrences) {
         socket.emit("occurrence_created", { occurrence: occ });
-        socket.to(userRoom(userId)).emit("occurrence_created", { occurrence: occ });
+        broadcastTo(socket, rooms, "occurrence_created", { occurrence: occ });
       }
       socket.emit("container_updated", { container });
-      socket.to(userRoom(userId)).emit("container_updated", { container });
+      broadcastTo(socket, rooms, "container_updated", { container });
     } catch (err) {
       console.error("fill_from_template error:", err);
     }
@@ -1857,17 +2209,22 @@ io.on("connection", (socket) => {
   // ======================================================
   // GRID DELETE (grid is gridId + userId)
   // ======================================================
-  socket.on("delete_grid", async ({ gridId } = {}) => {
+  socket.on("delete_grid", async (payload, scope) => {
     try {
-      const userId = socket.userId;
+      const { userId, gridId, rooms } = scope;
       if (!userId) return;
       if (!gridId) return;
+      if (userId !== socket.userId) {
+        return socket.emit("server_error", "Only the grid's creator can delete it");
+      }
 
       if (!userCacheReady(userId)) await loadUserIntoCache(userId);
       const uc = ensureUserCache(userId);
 
+      const members = uc.gridsById[gridId]?.members || [];
       await Grid.findOneAndDelete({ _id: gridId, userId });
       if (uc.gridsById?.[gridId]) delete uc.gridsById[gridId];
+      forgetGridOwner(gridId);
 
       if (socket.data.activeGridId === gridId) {
         const remaining = Object.keys(uc.gridsById);
@@ -1889,13 +2246,12 @@ io.on("connection", (socket) => {
           uc.gridsById[nextId] = newGrid.toObject();
         }
 
-        socket.leave(gridRoom(userId, gridId));
-        socket.join(gridRoom(userId, nextId));
-        socket.data.activeGridId = nextId;
+        joinGrid(nextId, { ownerId: userId, role: "owner" });
 
-        const grids = await getAllGridsForUser(userId);
+        const grids = [...(await getAllGridsForUser(userId)), ...(await getSharedGridsForUser(userId))];
         const safeGrid = uc.gridsById[nextId];
-        const gridOccurrences = getOccurrencesForGrid(nextId, uc);
+        const occurrenceWindow = getGridOccurrenceWindow(safeGrid, uc.settings?.timeZone);
+        const gridOccurrences = windowOccurrences(getOccurrencesForGrid(nextId, uc), occurrenceWindow, uc.settings?.timeZone);
 
         socket.emit("full_state", {
           gridId: nextId,
@@ -1904,26 +2260,146 @@ io.on("connection", (socket) => {
           containers: Object.values(uc.containersById),
           instances: Object.values(uc.instancesById),
           occurrences: gridOccurrences,
+          occurrenceWindow,
           fields: Object.values(uc.fieldsById),
           grids,
+          access: { role: "owner", ownerId: userId },
+          userSettings: uc.settings,
+          syncCursor: currentCursor(),
         });
       }
 
-      socket.to(userRoom(userId)).emit("grid_deleted", { gridId });
+      broadcastTo(socket, rooms, "grid_deleted", { gridId });
+      for (const member of members) {
+        broadcastTo(io, userRoom(member.userId), "grid_access_revoked", { gridId });
+      }
+      io.in(gridRoom(gridId)).socketsLeave(gridRoom(gridId));
     } catch (err) {
       console.error("delete_grid error:", err);
       socket.emit("server_error", "Failed to delete grid");
     }
   });
 
+  // ======================================================
+  // GRID SHARING — MEMBERS
+  // emits: grid_members (everyone viewing the grid, sender included),
+  //        grid_shared / grid_access_revoked (the affected member's windows)
+  // ======================================================
+  const gridMembersPayload = async (grid) => {
+    const owner = await User.findById(grid.userId).select("email").lean();
+    return {
+      gridId: grid._id.toString(),
+      ownerId: String(grid.userId),
+      ownerEmail: owner?.email || "",
+      members: grid.members || [],
+    };
+  };
+
+  const saveGridMembers = async (ownerId, gridId, members) => {
+    const uc = ensureUserCache(ownerId);
+    await Grid.updateOne({ _id: gridId, userId: ownerId }, { $set: { members } });
+    uc.gridsById[gridId] = { ...uc.gridsById[gridId], members };
+    broadcastTo(io, gridAudience(ownerId, gridId), "grid_members", await gridMembersPayload(uc.gridsById[gridId]));
+    return uc.gridsById[gridId];
+  };
+
+  socket.on("list_grid_members", async (payload, scope) => {
+    try {
+      const { userId, gridId: gid } = scope;
+      if (!userCacheReady(userId)) await loadUserIntoCache(userId);
+      const grid = ensureUserCache(userId).gridsById[gid];
+      if (!grid) return;
+      socket.emit("grid_members", await gridMembersPayload(grid));
+    } catch (err) {
+      console.error("list_grid_members error:", err);
+      socket.emit("server_error", "Failed to list grid members");
+    }
+  });
+
+  socket.on("add_grid_member", async ({ email, role = "viewer" } = {}, scope) => {
+    try {
+      const { userId, gridId: gid } = scope;
+      if (!userCacheReady(userId)) await loadUserIntoCache(userId);
+      const grid = ensureUserCache(userId).gridsById[gid];
+      if (!grid || typeof email !== "string" || !email.trim()) return;
+      if (!GRID_ROLES.includes(role)) {
+        return socket.emit("server_error", `Unknown role: ${role}`);
+      }
+
+      const user = await User.findOne({ email: email.trim() }).select("email").lean();
+      if (!user) return socket.emit("server_error", "No account uses that email");
+      const memberId = user._id.toString();
+      if (memberId === userId) return socket.emit("server_error", "That account already owns this grid");
+
+      const existing = (grid.members || []).find(m => m.userId === memberId);
+      const member = existing
+        ? { ...existing, role }
+        : { userId: memberId, email: user.email, role, addedBy: socket.userId, addedAt: new Date() };
+      const members = [...(grid.members || []).filter(m => m.userId !== memberId), member];
+
+      const saved = await saveGridMembers(userId, gid, members);
+      broadcastTo(io, userRoom(memberId), "grid_shared", { grid: toSharedGrid(saved, memberId) });
+    } catch (err) {
+      console.error("add_grid_member error:", err);
+      socket.emit("server_error", "Failed to share grid");
+    }
+  });
+
+  socket.on("update_grid_member", async ({ userId: memberId, role } = {}, scope) => {
+    try {
+      const { userId, gridId: gid } = scope;
+      if (!userCacheReady(userId)) await loadUserIntoCache(userId);
+      const grid = ensureUserCache(userId).gridsById[gid];
+      if (!grid || !memberId) return;
+      if (!GRID_ROLES.includes(role)) {
+        return socket.emit("server_error", `Unknown role: ${role}`);
+      }
+      if (!(grid.members || []).some(m => m.userId === memberId)) return;
+
+      const members = grid.members.map(m => (m.userId === memberId ? { ...m, role } : m));
+      const saved = await saveGridMembers(userId, gid, members);
+      broadcastTo(io, userRoom(memberId), "grid_shared", { grid: toSharedGrid(saved, memberId) });
+    } catch (err) {
+      console.error("update_grid_member error:", err);
+      socket.emit("server_error", "Failed to update grid member");
+    }
+  });
+
+  // Owners remove anyone; other members may only remove themselves (leave)
+  socket.on("remove_grid_member", async ({ userId: memberId } = {}, scope) => {
+    try {
+      const { userId, gridId: gid, role } = scope;
+      if (!userCacheReady(userId)) await loadUserIntoCache(userId);
+      const grid = ensureUserCache(userId).gridsById[gid];
+      if (!grid || !memberId) return;
+      if (memberId !== socket.userId && !roleAtLeast(role, "owner")) {
+        return socket.emit("server_error", "You need owner access to do that");
+      }
+      if (!(grid.members || []).some(m => m.userId === memberId)) return;
+
+      await saveGridMembers(userId, gid, grid.members.filter(m => m.userId !== memberId));
+
+      const sockets = await io.in(userRoom(memberId)).fetchSockets();
+      for (const s of sockets) {
+        if (s.data.gridAccess) delete s.data.gridAccess[gid];
+      }
+      io.in(userRoom(memberId)).socketsLeave(gridRoom(gid));
+      broadcastTo(io, userRoom(memberId), "grid_access_revoked", { gridId: gid });
+    } catch (err) {
+      console.error("remove_grid_member error:", err);
+      socket.emit("server_error", "Failed to remove grid member");
+    }
+  });
+
   // ======================================================
   // GENERIC CRUD HELPER for new models
   // Used by: Manifest, View, Doc, Folder, Artifact
+  // onChange(action, entity) runs after each successful write
   // ======================================================
-  function setupGenericCRUD(modelName, Model, cacheKey) {
-    socket.on(`create_${modelName}`, async ({ [modelName]: entity } = {}) => {
+  function setupGenericCRUD(modelName, Model, cacheKey, onChange = null) {
+    socket.on(`create_${modelName}`, async ({ [modelName]: entity } = {}, scope) => {
       try {
-        const userId = socket.userId;
+        const { userId, rooms } = scope;
         if (!userId) return;
         if (!userCacheReady(userId)) await loadUserIntoCache(userId);
         const uc = ensureUserCache(userId);
@@ -1932,16 +2408,17 @@ io.on("connection", (socket) => {
         const next = { ...entity, id, userId };
         uc[cacheKey][id] = next;
         await Model.findOneAndUpdate({ id, userId }, next, { upsert: true });
-        socket.to(userRoom(userId)).emit(`${modelName}_created`, { [modelName]: next });
+        broadcastTo(socket, rooms, `${modelName}_created`, { [modelName]: next });
+        onChange?.("create", next);
       } catch (err) {
         console.error(`create_${modelName} error:`, err);
         socket.emit("server_error", `Failed to create ${modelName}`);
       }
     });
 
-    socket.on(`update_${modelName}`, async ({ [modelName]: entity } = {}) => {
+    socket.on(`update_${modelName}`, async ({ [modelName]: entity } = {}, scope) => {
       try {
-        const userId = socket.userId;
+        const { userId, rooms } = scope;
         if (!userId) return;
         if (!userCacheReady(userId)) await loadUserIntoCache(userId);
         const uc = ensureUserCache(userId);
@@ -1951,23 +2428,25 @@ io.on("connection", (socket) => {
         const next = { ...prev, ...entity, id, userId };
         uc[cacheKey][id] = next;
         await Model.findOneAndUpdate({ id, userId }, next, { upsert: true });
-        socket.to(userRoom(userId)).emit(`${modelName}_updated`, { [modelName]: next });
+        broadcastTo(socket, rooms, `${modelName}_updated`, { [modelName]: next });
+        onChange?.("update", next);
       } catch (err) {
         console.error(`update_${modelName} error:`, err);
         socket.emit("server_error", `Failed to update ${modelName}`);
       }
     });
 
-    socket.on(`delete_${modelName}`, async ({ [`${modelName}Id`]: entityId } = {}) => {
+    socket.on(`delete_${modelName}`, async ({ [`${modelName}Id`]: entityId } = {}, scope) => {
       try {
-        const userId = socket.userId;
+        const { userId, rooms } = scope;
         if (!userId) return;
         if (!userCacheReady(userId)) await loadUserIntoCache(userId);
         const uc = ensureUserCache(userId);
         if (!entityId) return;
         if (uc[cacheKey]?.[entityId]) delete uc[cacheKey][entityId];
         await Model.findOneAndDelete({ id: entityId, userId });
-        socket.to(userRoom(userId)).emit(`${modelName}_deleted`, { [`${modelName}Id`]: entityId });
+        broadcastTo(socket, rooms, `${modelName}_deleted`, { [`${modelName}Id`]: entityId });
+        onChange?.("delete", { id: entityId, userId });
       } catch (err) {
         console.error(`delete_${modelName} error:`, err);
         socket.emit("server_error", `Failed to delete ${modelName}`);
@@ -1981,9 +2460,436 @@ io.on("connection", (socket) => {
   setupGenericCRUD("doc", Doc, "docsById");
   setupGenericCRUD("folder", Folder, "foldersById");
   setupGenericCRUD("artifact", Artifact, "artifactsById");
-  setupGenericCRUD("operation", Operation, "operationsById");
+  setupGenericCRUD("operation", Operation, "operationsById", (action, operation) => {
+    if (action === "delete") unscheduleOperation(operation.id);
+    else scheduleOperation(operation);
+  });
   setupGenericCRUD("iteration", Iteration, "iterationsById");
 
+  // ======================================================
+  // OPERATIONS — SCHEDULER STATUS + MANUAL RUN
+  // ======================================================
+  socket.on("list_operations", async (payload, scope) => {
+    try {
+      const { userId, gridId } = scope;
+      if (!userId || !gridId) return;
+      if (!userCacheReady(userId)) await loadUserIntoCache(userId);
+      const uc = ensureUserCache(userId);
+
+      const operations = Object.values(uc.operationsById || {})
+        .filter(op => op.gridId === gridId)
+        .map(toOperationStatus);
+      socket.emit("operations", { gridId, operations });
+    } catch (err) {
+      console.error("list_operations error:", err);
+      socket.emit("server_error", "Failed to list operations");
+    }
+  });
+
+  socket.on("run_operation", async ({ operationId } = {}, scope) => {
+    try {
+      const { userId } = scope;
+      if (!userId || !operationId) return;
+      if (!userCacheReady(userId)) await loadUserIntoCache(userId);
+      const uc = ensureUserCache(userId);
+
+      const op = uc.operationsById?.[operationId];
+      if (!op) return;
+
+      const result = await runOperation(op);
+      socket.emit("operation_run", { operationId, ...result });
+      // A manual run resets the interval clock
+      scheduleOperation(uc.operationsById[operationId] || op);
+    } catch (err) {
+      console.error("run_operation error:", err);
+      socket.emit("server_error", "Failed to run operation");
+    }
+  });
+
+  // ======================================================
+  // CALENDAR FEEDS — CRUD
+  // ======================================================
+  const FEED_PATCH_KEYS = ["name", "panelIds", "containerIds", "categoryKey", "categoryValue", "includeFieldValues"];
+
+  socket.on("list_calendar_feeds", async ({ gridId } = {}) => {
+    try {
+      const userId = socket.userId;
+      if (!userId || !gridId) return;
+
+      const feeds = await CalendarFeed.find({ userId, gridId }).sort({ createdAt: 1 }).lean();
+      socket.emit("calendar_feeds", { gridId, feeds });
+    } catch (err) {
+      console.error("list_calendar_feeds error:", err);
+      socket.emit("server_error", "Failed to list calendar feeds");
+    }
+  });
+
+  socket.on("create_calendar_feed", async ({ feed } = {}) => {
+    try {
+      const userId = socket.userId;
+      if (!userId || !feed?.gridId) return;
+
+      if (!userCacheReady(userId)) await loadUserIntoCache(userId);
+      const uc = ensureUserCache(userId);
+      if (!uc.gridsById[feed.gridId]) return;
+
+      const patch = Object.fromEntries(FEED_PATCH_KEYS.filter(k => k in feed).map(k => [k, feed[k]]));
+      const created = await CalendarFeed.create({
+        ...patch,
+        id: feed.id || nanoid(),
+        userId,
+        gridId: feed.gridId,
+        token: generateFeedToken(),
+      });
+
+      broadcastTo(io, userRoom(userId), "calendar_feed_created", { feed: created.toObject() });
+    } catch (err) {
+      console.error("create_calendar_feed error:", err);
+      socket.emit("server_error", "Failed to create calendar feed");
+    }
+  });
+
+  socket.on("update_calendar_feed", async ({ feed } = {}) => {
+    try {
+      const userId = socket.userId;
+      if (!userId || !feed?.id) return;
+
+      const patch = Object.fromEntries(FEED_PATCH_KEYS.filter(k => k in feed).map(k => [k, feed[k]]));
+      const updated = await CalendarFeed.findOneAndUpdate({ id: feed.id, userId }, { $set: patch }, { new: true }).lean();
+      if (!updated) return;
+
+      broadcastTo(io, userRoom(userId), "calendar_feed_updated", { feed: updated });
+    } catch (err) {
+      console.error("update_calendar_feed error:", err);
+      socket.emit("server_error", "Failed to update calendar feed");
+    }
+  });
+
+  // New URL; subscriptions using the old one stop working
+  socket.on("rotate_calendar_feed_token", async ({ feedId } = {}) => {
+    try {
+      const userId = socket.userId;
+      if (!userId || !feedId) return;
+
+      const updated = await CalendarFeed.findOneAndUpdate(
+        { id: feedId, userId },
+        { $set: { token: generateFeedToken(), lastFetchedAt: null } },
+        { new: true }
+      ).lean();
+      if (!updated) return;
+
+      broadcastTo(io, userRoom(userId), "calendar_feed_updated", { feed: updated });
+    } catch (err) {
+      console.error("rotate_calendar_feed_token error:", err);
+      socket.emit("server_error", "Failed to rotate feed URL");
+    }
+  });
+
+  socket.on("delete_calendar_feed", async ({ feedId } = {}) => {
+    try {
+      const userId = socket.userId;
+      if (!userId || !feedId) return;
+
+      await CalendarFeed.findOneAndDelete({ id: feedId, userId });
+      broadcastTo(io, userRoom(userId), "calendar_feed_deleted", { feedId });
+    } catch (err) {
+      console.error("delete_calendar_feed error:", err);
+      socket.emit("server_error", "Failed to delete calendar feed");
+    }
+  });
+
+  // ======================================================
+  // PUBLIC PANEL LINKS — CRUD
+  // Own grids only, like calendar feeds; viewers connect to /public
+  // ======================================================
+  socket.on("list_panel_shares", async ({ gridId } = {}) => {
+    try {
+      const userId = socket.userId;
+      if (!userId || !gridId) return;
+
+      const shares = await PanelShare.find({ userId, gridId }).sort({ createdAt: 1 }).lean();
+      socket.emit("panel_shares", { gridId, shares });
+    } catch (err) {
+      console.error("list_panel_shares error:", err);
+      socket.emit("server_error", "Failed to list panel links");
+    }
+  });
+
+  socket.on("create_panel_share", async ({ share } = {}) => {
+    try {
+      const userId = socket.userId;
+      if (!userId || !share?.panelId) return;
+
+      if (!userCacheReady(userId)) await loadUserIntoCache(userId);
+      const uc = ensureUserCache(userId);
+      const gridId = share.gridId || socket.data.activeGridId;
+      if (!uc.gridsById[gridId] || !uc.panelsById[share.panelId]) {
+        return socket.emit("server_error", "Only panels in your own grids can be shared publicly");
+      }
+
+      const created = await PanelShare.create({
+        id: share.id || nanoid(),
+        userId,
+        gridId,
+        panelId: share.panelId,
+        name: typeof share.name === "string" ? share.name.trim() : "",
+        allowToggles: share.allowToggles === true,
+        token: generatePanelShareToken(),
+      });
+
+      broadcastTo(io, userRoom(userId), "panel_share_created", { share: created.toObject() });
+    } catch (err) {
+      console.error("create_panel_share error:", err);
+      socket.emit("server_error", "Failed to create panel link");
+    }
+  });
+
+  socket.on("update_panel_share", async ({ share } = {}) => {
+    try {
+      const userId = socket.userId;
+      if (!userId || !share?.id) return;
+
+      const patch = {};
+      if (typeof share.name === "string") patch.name = share.name.trim();
+      if (typeof share.allowToggles === "boolean") patch.allowToggles = share.allowToggles;
+
+      const updated = await PanelShare.findOneAndUpdate(
+        { id: share.id, userId, revokedAt: null },
+        { $set: patch },
+        { new: true }
+      ).lean();
+      if (!updated) return;
+
+      refreshPanelShare(updated);
+      broadcastTo(io, userRoom(userId), "panel_share_updated", { share: updated });
+    } catch (err) {
+      console.error("update_panel_share error:", err);
+      socket.emit("server_error", "Failed to update panel link");
+    }
+  });
+
+  // The link stops working at once and open viewers are disconnected
+  socket.on("revoke_panel_share", async ({ shareId } = {}) => {
+    try {
+      const userId = socket.userId;
+      if (!userId || !shareId) return;
+
+      const updated = await PanelShare.findOneAndUpdate(
+        { id: shareId, userId, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+      ).lean();
+      if (!updated) return;
+
+      closePanelShare(shareId);
+      broadcastTo(io, userRoom(userId), "panel_share_revoked", { share: updated });
+    } catch (err) {
+      console.error("revoke_panel_share error:", err);
+      socket.emit("server_error", "Failed to revoke panel link");
+    }
+  });
+
+  // ======================================================
+  // WEBHOOKS — CRUD + DELIVERY LOG
+  // ======================================================
+  socket.on("list_webhooks", async ({ gridId } = {}) => {
+    try {
+      const userId = socket.userId;
+      if (!userId || !gridId) return;
+
+      const webhooks = await Webhook.find({ userId, gridId }).sort({ createdAt: 1 }).lean();
+      socket.emit("webhooks", { gridId, webhooks });
+    } catch (err) {
+      console.error("list_webhooks error:", err);
+      socket.emit("server_error", "Failed to list webhooks");
+    }
+  });
+
+  socket.on("create_webhook", async ({ webhook } = {}) => {
+    try {
+      const userId = socket.userId;
+      if (!userId || !webhook?.gridId || !webhook?.url) return;
+
+      if (!userCacheReady(userId)) await loadUserIntoCache(userId);
+      const uc = ensureUserCache(userId);
+      if (!uc.gridsById[webhook.gridId]) return;
+
+      if (!/^https?:\/\//i.test(webhook.url)) {
+        return socket.emit("server_error", "Webhook URL must start with http:// or https://");
+      }
+
+      const created = await Webhook.create({
+        id: webhook.id || nanoid(),
+        userId,
+        gridId: webhook.gridId,
+        name: webhook.name || "Untitled Webhook",
+        url: webhook.url,
+        secret: webhook.secret || generateWebhookSecret(),
+        events: (webhook.events || []).filter(e => WEBHOOK_EVENTS.includes(e)),
+        fieldIds: webhook.fieldIds || [],
+        containerIds: webhook.containerIds || [],
+        enabled: webhook.enabled !== false,
+      });
+
+      broadcastTo(io, userRoom(userId), "webhook_created", { webhook: created.toObject() });
+    } catch (err) {
+      console.error("create_webhook error:", err);
+      socket.emit("server_error", "Failed to create webhook");
+    }
+  });
+
+  socket.on("update_webhook", async ({ webhook } = {}) => {
+    try {
+      const userId = socket.userId;
+      if (!userId || !webhook?.id) return;
+
+      if (webhook.url && !/^https?:\/\//i.test(webhook.url)) {
+        return socket.emit("server_error", "Webhook URL must start with http:// or https://");
+      }
+
+      const { id, userId: _u, gridId: _g, targetCheckedUntil: _t, ...patch } = webhook;
+      if (patch.events) patch.events = patch.events.filter(e => WEBHOOK_EVENTS.includes(e));
+
+      const updated = await Webhook.findOneAndUpdate({ id, userId }, { $set: patch }, { new: true }).lean();
+      if (!updated) return;
+
+      broadcastTo(io, userRoom(userId), "webhook_updated", { webhook: updated });
+    } catch (err) {
+      console.error("update_webhook error:", err);
+      socket.emit("server_error", "Failed to update webhook");
+    }
+  });
+
+  socket.on("delete_webhook", async ({ webhookId } = {}) => {
+    try {
+      const userId = socket.userId;
+      if (!userId || !webhookId) return;
+
+      await Webhook.findOneAndDelete({ id: webhookId, userId });
+      await WebhookDelivery.deleteMany({ webhookId, userId });
+
+      broadcastTo(io, userRoom(userId), "webhook_deleted", { webhookId });
+    } catch (err) {
+      console.error("delete_webhook error:", err);
+      socket.emit("server_error", "Failed to delete webhook");
+    }
+  });
+
+  socket.on("list_webhook_deliveries", async ({ webhookId, limit = 50 } = {}) => {
+    try {
+      const userId = socket.userId;
+      if (!userId || !webhookId) return;
+
+      const deliveries = await WebhookDelivery.find({ userId, webhookId })
+        .sort({ createdAt: -1 })
+        .limit(Math.min(limit, 200))
+        .lean();
+      socket.emit("webhook_deliveries", { webhookId, deliveries });
+    } catch (err) {
+      console.error("list_webhook_deliveries error:", err);
+      socket.emit("server_error", "Failed to load webhook deliveries");
+    }
+  });
+
+  // Sends a "ping" delivery so the receiver can be checked without a real change
+  socket.on("test_webhook", async ({ webhookId } = {}) => {
+    try {
+      const userId = socket.userId;
+      if (!userId || !webhookId) return;
+
+      const hook = await Webhook.findOne({ id: webhookId, userId }).lean();
+      if (!hook) return;
+
+      await enqueueDelivery(hook, "ping", { message: "Test delivery from Moduli" });
+    } catch (err) {
+      console.error("test_webhook error:", err);
+      socket.emit("server_error", "Failed to send test delivery");
+    }
+  });
+
+  socket.on("redeliver_webhook", async ({ deliveryId } = {}) => {
+    try {
+      const userId = socket.userId;
+      if (!userId || !deliveryId) return;
+      await redeliver(deliveryId, userId);
+    } catch (err) {
+      console.error("redeliver_webhook error:", err);
+      socket.emit("server_error", "Failed to redeliver webhook");
+    }
+  });
+
+  // ======================================================
+  // ACCESS TOKENS — LIST/CREATE/REVOKE
+  // (not in SOCKET_EVENT_SCOPES, so tokens can't mint tokens)
+  // ======================================================
+  socket.on("list_access_tokens", async () => {
+    try {
+      const userId = socket.userId;
+      if (!userId) return;
+
+      const tokens = await AccessToken.find({ userId }).sort({ createdAt: -1 }).lean();
+      socket.emit("access_tokens", { tokens: tokens.map(toPublicToken) });
+    } catch (err) {
+      console.error("list_access_tokens error:", err);
+      socket.emit("server_error", "Failed to list access tokens");
+    }
+  });
+
+  socket.on("create_access_token", async ({ name, scopes, gridIds, expiresInDays } = {}) => {
+    try {
+      const userId = socket.userId;
+      if (!userId) return;
+
+      if (!userCacheReady(userId)) await loadUserIntoCache(userId);
+      const uc = ensureUserCache(userId);
+
+      // Only the user's own grids
+      const ownGridIds = (gridIds || []).filter(gid => uc.gridsById[gid]);
+      const days = Number(expiresInDays);
+      const expiresAt = days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null;
+
+      const { token, secret } = await createAccessToken({
+        userId,
+        name,
+        scopes: scopes || [],
+        gridIds: ownGridIds,
+        expiresAt,
+      });
+
+      // The secret goes only to the window that asked for it
+      socket.emit("access_token_created", { token, secret });
+      broadcastTo(socket, userRoom(userId), "access_token_created", { token });
+    } catch (err) {
+      console.error("create_access_token error:", err);
+      socket.emit("server_error", err.message || "Failed to create access token");
+    }
+  });
+
+  socket.on("revoke_access_token", async ({ tokenId } = {}) => {
+    try {
+      const userId = socket.userId;
+      if (!userId || !tokenId) return;
+
+      const doc = await AccessToken.findOneAndUpdate(
+        { id: tokenId, userId, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+      ).lean();
+      if (!doc) return;
+
+      // Drop any live sockets still using this token
+      const sockets = await io.in(userRoom(userId)).fetchSockets();
+      for (const s of sockets) {
+        if (s.data.auth?.tokenId === tokenId) s.disconnect(true);
+      }
+
+      broadcastTo(io, userRoom(userId), "access_token_revoked", { token: toPublicToken(doc) });
+    } catch (err) {
+      console.error("revoke_access_token error:", err);
+      socket.emit("server_error", "Failed to revoke access token");
+    }
+  });
+
   // ======================================================
   // DISCONNECT
   // ======================================================
@@ -2009,22 +2915,38 @@ const upload = multer({ storage, limits: { fileSize: 50 * 1024 * 1024 } });
 
 app.use("/uploads", express.static(uploadsDir));
 
-function getArtifactType(mime) {
-  if (mime?.startsWith("image/")) return "image";
-  if (mime?.startsWith("video/")) return "video";
-  if (mime?.startsWith("audio/")) return "audio";
-  if (mime === "application/pdf") return "pdf";
-  return "file";
-}
+// Versioned REST API (Bearer JWT auth)
+app.use("/api/v1", createApiV1Router(io));
+
+// Public calendar feeds (feed token auth)
+app.use("/api/feeds", createFeedsRouter());
 
 app.post("/api/upload", upload.single("file"), async (req, res) => {
   try {
-    const { userId, gridId, folderId, manifestId } = req.body;
-    if (!userId || !req.file) return res.status(400).json({ error: "Missing userId or file" });
+    const { gridId, folderId, manifestId } = req.body;
+
+    // Authorization header (session JWT or access token) is the only identity
+    const bearer = getBearerToken(req);
+    if (!bearer) return res.status(401).json({ error: "Missing Authorization header" });
+    const auth = await resolveAuth(bearer);
+    if (!auth) return res.status(401).json({ error: "Invalid or revoked token" });
+    if (!authHasScope(auth, "artifacts:write")) return res.status(403).json({ error: "Token is missing scope: artifacts:write" });
+    if (!authAllowsGrid(auth, gridId)) return res.status(403).json({ error: "Token not allowed for this grid" });
+    const userId = auth.userId;
+
+    if (!req.file) return res.status(400).json({ error: "Missing file" });
+
+    // Files uploaded into a shared grid are stored with the grid owner's data
+    let ownerId = userId;
+    if (gridId) {
+      const access = await resolveGridAccess(userId, gridId);
+      if (!access || !roleAtLeast(access.role, "editor")) return res.status(403).json({ error: "No edit access to this grid" });
+      ownerId = access.ownerId;
+    }
 
     const artifact = new Artifact({
       id: nanoid(),
-      userId,
+      userId: ownerId,
       gridId: gridId || null,
       folderId: folderId || null,
       name: req.file.originalname,
@@ -2039,9 +2961,9 @@ app.post("/api/upload", upload.single("file"), async (req, res) => {
     await artifact.save();
 
     const obj = artifact.toObject();
-    const cache = cacheByUser[userId];
+    const cache = cacheByUser[ownerId];
     if (cache) cache.artifactsById[obj.id] = obj;
-    io.to(userRoom(userId)).emit("artifact_created", obj);
+    broadcastTo(io, gridAudience(ownerId, gridId), "artifact_created", obj);
 
     res.json({ artifact: obj });
   } catch (err) {
@@ -2064,13 +2986,24 @@ app.post("/api/storage-settings", async (req, res) => {
     const obj = manifest.toObject();
     const cache = cacheByUser[userId];
     if (cache) cache.manifestsById[obj.id] = obj;
-    io.to(userRoom(userId)).emit("manifest_updated", obj);
+    broadcastTo(io, userRoom(userId), "manifest_updated", obj);
     res.json({ manifest: obj });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// Per-user cache size and eviction counters (no user data). Operators
+// only: signed-in accounts listed in ADMIN_USER_IDS (comma-separated)
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || "").split(",").map(id => id.trim()).filter(Boolean);
+
+app.get("/api/cache-stats", requireAuth, (req, res) => {
+  if (req.auth.type !== "jwt" || !ADMIN_USER_IDS.includes(req.userId)) {
+    return res.status(403).json({ error: "Not allowed" });
+  }
+  res.json(getUserCacheStats());
+});
+
 // ========================================================
 // SERVER LISTEN
 // ========================================================
@@ -0,0 +1,106 @@
+// utils/accessTokens.js
+// Personal access token helpers: minting, hashing, lookup and scope checks.
+// An "auth" object ({ type, userId, scopes, gridIds, tokenId }) is what the
+// socket handshake, the REST API and /api/upload all check permissions against.
+// Browser sessions (JWT) get type "jwt" and are allowed everything.
+
+import crypto from "crypto";
+import { nanoid } from "nanoid";
+import AccessToken, { ACCESS_TOKEN_SCOPES } from "../models/AccessToken.js";
+
+export const TOKEN_PREFIX = "mod_pat_";
+
+export function isAccessToken(raw) {
+  return typeof raw === "string" && raw.startsWith(TOKEN_PREFIX);
+}
+
+export function hashToken(raw) {
+  return crypto.createHash("sha256").update(raw).digest("hex");
+}
+
+/**
+ * Strips the hash before sending a token to the client
+ * @param {Object} doc - AccessToken document or plain object
+ * @returns {Object} Token metadata safe to list in the UI
+ */
+export function toPublicToken(doc) {
+  const t = doc?.toObject ? doc.toObject() : doc;
+  if (!t) return null;
+  return {
+    id: t.id,
+    name: t.name,
+    prefix: t.prefix,
+    scopes: t.scopes || [],
+    gridIds: t.gridIds || [],
+    expiresAt: t.expiresAt,
+    revokedAt: t.revokedAt,
+    lastUsedAt: t.lastUsedAt,
+    createdAt: t.createdAt,
+  };
+}
+
+/**
+ * Mints a new token. The returned secret is never stored and cannot be recovered.
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - Owner
+ * @param {string} params.name - Display name
+ * @param {Array} params.scopes - Subset of ACCESS_TOKEN_SCOPES
+ * @param {Array} [params.gridIds] - Grids the token is limited to (empty = all)
+ * @param {Date|null} [params.expiresAt] - Optional expiry
+ * @returns {Object} { token, secret }
+ */
+export async function createAccessToken({ userId, name, scopes = [], gridIds = [], expiresAt = null }) {
+  const validScopes = scopes.filter(s => ACCESS_TOKEN_SCOPES.includes(s));
+  if (validScopes.length === 0) throw new Error("At least one valid scope is required");
+
+  const secret = TOKEN_PREFIX + crypto.randomBytes(24).toString("base64url");
+
+  const doc = await AccessToken.create({
+    id: nanoid(),
+    userId,
+    name: name || "Untitled Token",
+    tokenHash: hashToken(secret),
+    prefix: secret.slice(0, TOKEN_PREFIX.length + 6),
+    scopes: validScopes,
+    gridIds: Array.isArray(gridIds) ? gridIds.filter(Boolean) : [],
+    expiresAt,
+  });
+
+  return { token: toPublicToken(doc), secret };
+}
+
+/**
+ * Looks up a presented token. Revoked and expired tokens resolve to null.
+ * @param {string} raw - The token as sent by the client
+ * @returns {Object|null} Auth object for the token's owner
+ */
+export async function resolveAccessToken(raw) {
+  if (!isAccessToken(raw)) return null;
+
+  const doc = await AccessToken.findOne({ tokenHash: hashToken(raw) }).lean();
+  if (!doc || doc.revokedAt) return null;
+  if (doc.expiresAt && new Date(doc.expiresAt) < new Date()) return null;
+
+  // Fire-and-forget; a failed timestamp write shouldn't fail the request
+  AccessToken.updateOne({ id: doc.id }, { $set: { lastUsedAt: new Date() } }).catch(() => {});
+
+  return {
+    type: "pat",
+    userId: doc.userId,
+    tokenId: doc.id,
+    scopes: doc.scopes || [],
+    gridIds: doc.gridIds || [],
+  };
+}
+
+export function authHasScope(auth, scope) {
+  if (!auth) return false;
+  if (auth.type !== "pat") return true;
+  return auth.scopes.includes(scope);
+}
+
+export function authAllowsGrid(auth, gridId) {
+  if (!auth) return false;
+  if (auth.type !== "pat" || auth.gridIds.length === 0) return true;
+  return !!gridId && auth.gridIds.includes(gridId);
+}
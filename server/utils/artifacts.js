@@ -0,0 +1,44 @@
+// utils/artifacts.js
+// Helpers shared by the upload route and importers that create Artifacts.
+
+import path from "path";
+
+const MIME_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  svg: "image/svg+xml",
+  bmp: "image/bmp",
+  avif: "image/avif",
+  pdf: "application/pdf",
+  mp3: "audio/mpeg",
+  wav: "audio/wav",
+  m4a: "audio/mp4",
+  ogg: "audio/ogg",
+  flac: "audio/flac",
+  mp4: "video/mp4",
+  webm: "video/webm",
+  mov: "video/quicktime",
+  txt: "text/plain",
+  csv: "text/csv",
+  json: "application/json",
+  zip: "application/zip",
+};
+
+export function getArtifactType(mime) {
+  if (mime?.startsWith("image/")) return "image";
+  if (mime?.startsWith("video/")) return "video";
+  if (mime?.startsWith("audio/")) return "audio";
+  if (mime === "application/pdf") return "pdf";
+  return "file";
+}
+
+/**
+ * Guesses a MIME type from a file name's extension
+ */
+export function mimeTypeFromName(name) {
+  const ext = path.extname(name || "").slice(1).toLowerCase();
+  return MIME_TYPES[ext] || "application/octet-stream";
+}
@@ -0,0 +1,35 @@
+// utils/broadcast.js
+// The one way writes reach the main namespace's user and grid rooms
+// (userRoom / gridAudience, see utils/rooms.js). broadcastTo numbers and
+// logs the event for delta sync (utils/syncLog.js), sends it with
+// { syncCursor } as an extra last argument, and schedules a refresh of the
+// owner's public panel links (utils/panelShares.js). Emitting to these rooms
+// with io.to / socket.to directly skips all three.
+
+import { recordBroadcast } from "./syncLog.js";
+import { schedulePanelShareRefresh } from "./panelShares.js";
+import { userIdOfRoom } from "./rooms.js";
+
+/**
+ * Sends an event to rooms
+ * @param {Object} from - io, or the writing socket (left out: it already
+ *   applied the change); nothing is sent while it is unset
+ * @param {string|Array<string>} rooms - Rooms to send to
+ * @param {string} event - Event name
+ * @param {...*} args - Event arguments
+ */
+export function broadcastTo(from, rooms, event, ...args) {
+  if (!from) return;
+  const list = [].concat(rooms);
+
+  // Only sockets have a namespace; socket.to() leaves the socket itself out
+  const except = from.nsp ? [from.id] : [];
+  const syncCursor = recordBroadcast(list, event, args, except);
+
+  for (const room of list) {
+    const ownerId = userIdOfRoom(room);
+    if (ownerId) schedulePanelShareRefresh(ownerId);
+  }
+
+  from.to(list).emit(event, ...args, { syncCursor });
+}
@@ -0,0 +1,237 @@
+// utils/calendarFeed.js
+// Renders a grid's scheduled occurrences (iteration.mode "specific") as an
+// iCalendar feed for phone/desktop calendar subscriptions.
+//
+// Recurring series (iteration.mode "recurring") become one event with an
+// RRULE; dates with their own occurrence (meta.recurrence) are written as
+// overrides of it (RECURRENCE-ID), skipped dates as EXDATEs.
+//
+// Occurrences scheduled into a slot (iteration.startTime) are timed events
+// in their own zone. Occurrences imported from .ics (meta.ics) keep their
+// time of day; other timed occurrences use a duration field for their
+// length; everything else is an all-day event on the occurrence's calendar
+// date, read in the owner's time zone.
+
+import crypto from "crypto";
+import { getOccurrencesForGrid } from "./occurrenceHelpers.js";
+import { buildIcsCalendar } from "./ics.js";
+import {
+  recurrenceToRRule,
+  getOccurrenceCalendarDate,
+  toCalendarDate,
+  startOfCalendarDate,
+  getOccurrenceTimeSlot,
+  atTimeOfDay,
+} from "../../shared/calculations.js";
+
+// All-day DATE values are written from local date parts (see ics.js)
+function localDay(dayKey) {
+  const [y, m, d] = dayKey.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+export function generateFeedToken() {
+  return "cal_" + crypto.randomBytes(24).toString("base64url");
+}
+
+function rawValue(fieldValue) {
+  return fieldValue !== null && typeof fieldValue === "object" ? fieldValue.value : fieldValue;
+}
+
+function formatFieldValue(field, value) {
+  if (value === null || value === undefined || value === "") return null;
+  switch (field?.type) {
+    case "boolean":
+      return value ? "Yes" : "No";
+    case "duration": {
+      const minutes = Number(value);
+      if (!Number.isFinite(minutes)) return String(value);
+      const h = Math.floor(minutes / 60);
+      const m = minutes % 60;
+      if (h === 0) return `${m}m`;
+      return m === 0 ? `${h}h` : `${h}h ${m}m`;
+    }
+    case "date":
+      return new Date(value).toDateString();
+    case "number":
+      return `${field.meta?.prefix || ""}${value}${field.meta?.postfix || ""}`;
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Completion state for an occurrence: its completionFieldId if set,
+ * otherwise the first boolean field it has a value for
+ * @returns {boolean|null} null when the occurrence has no completion field
+ */
+export function getCompletionState(occ, fieldsById) {
+  if (occ.iteration?.completedOn) return true;
+
+  const fieldId =
+    occ.iteration?.completionFieldId ||
+    Object.keys(occ.fields || {}).find(fid => fieldsById[fid]?.type === "boolean");
+  if (!fieldId) return null;
+  return Boolean(rawValue(occ.fields?.[fieldId]));
+}
+
+// occurrenceId -> containerId and containerId -> panelId, from the placement lists
+function buildPlacementMaps(uc) {
+  const containerOf = new Map();
+  for (const container of Object.values(uc.containersById || {})) {
+    (container.occurrences || []).forEach(occId => containerOf.set(occId, container.id));
+  }
+
+  const panelOf = new Map();
+  for (const panel of Object.values(uc.panelsById || {})) {
+    (panel.occurrences || []).forEach(occId => {
+      const occ = uc.occurrencesById[occId];
+      if (occ?.targetType === "container") panelOf.set(occ.targetId, panel.id);
+    });
+  }
+
+  return { containerOf, panelOf };
+}
+
+function eventTiming(occ, fieldsById, timeZone) {
+  const slot = getOccurrenceTimeSlot(occ);
+  if (slot) {
+    const day = getOccurrenceCalendarDate(occ, timeZone);
+    const zone = occ.iteration.timeZone || timeZone;
+    return { start: atTimeOfDay(day, slot.start, zone), end: atTimeOfDay(day, slot.end, zone), allDay: false };
+  }
+
+  const start = new Date(occ.iteration.timeValue);
+  const ics = occ.meta?.ics;
+
+  let durationMinutes = null;
+  if (ics?.start && ics?.end) {
+    durationMinutes = Math.round((new Date(ics.end) - new Date(ics.start)) / 60e3);
+  } else {
+    const durationFieldId = Object.keys(occ.fields || {}).find(fid => fieldsById[fid]?.type === "duration");
+    if (durationFieldId) durationMinutes = Number(rawValue(occ.fields[durationFieldId])) || null;
+  }
+
+  const atMidnight = startOfCalendarDate(toCalendarDate(start, timeZone), timeZone).getTime() === start.getTime();
+  const timed = ics ? ics.allDay === false : !atMidnight && durationMinutes > 0;
+
+  if (!timed) {
+    const day = localDay(getOccurrenceCalendarDate(occ, timeZone));
+    const days = Math.max(1, Math.round((durationMinutes || 0) / (24 * 60)));
+    return { start: day, end: new Date(day.getTime() + days * 24 * 60 * 60e3), allDay: true };
+  }
+  return {
+    start,
+    end: durationMinutes > 0 ? new Date(start.getTime() + durationMinutes * 60e3) : null,
+    allDay: false,
+  };
+}
+
+// A series date ("YYYY-MM-DD") at the series' time of day in the owner's zone
+function atSeriesTime(dayKey, timing, timeZone) {
+  if (timing.allDay) return localDay(dayKey);
+  const timeOfDay = timing.start - startOfCalendarDate(toCalendarDate(timing.start, timeZone), timeZone);
+  return new Date(startOfCalendarDate(dayKey, timeZone).getTime() + timeOfDay);
+}
+
+/**
+ * Renders a feed to .ics text
+ * @param {Object} params - Parameters
+ * @param {Object} params.feed - CalendarFeed
+ * @param {Object} params.uc - User cache of the feed's owner
+ * @param {Object} [params.query] - Extra narrowing from the URL ({ panelId, containerId, category: "key:value" });
+ *   it only narrows what the feed saved, never widens it
+ * @returns {string} .ics text
+ */
+export function renderCalendarFeed({ feed, uc, query = {} }) {
+  const { fieldsById, instancesById, containersById } = uc;
+  const { containerOf, panelOf } = buildPlacementMaps(uc);
+  const timeZone = uc.settings?.timeZone || undefined;
+  const weekStart = uc.gridsById?.[feed.gridId]?.weekStart;
+
+  // null = no filter; URL ids are kept only when the feed saved them too
+  const narrowIds = (saved = [], value) => {
+    const asked = String(value || "").split(",").map(s => s.trim()).filter(Boolean);
+    if (asked.length === 0) return saved.length > 0 ? saved : null;
+    return saved.length > 0 ? asked.filter(id => saved.includes(id)) : asked;
+  };
+  const panelIds = narrowIds(feed.panelIds, query.panelId);
+  const containerIds = narrowIds(feed.containerIds, query.containerId);
+  // A saved category can't be swapped for another
+  const [queryCategoryKey, queryCategoryValue] = String(query.category || "").split(":");
+  const categoryKey = feed.categoryKey || queryCategoryKey;
+  const categoryValue = feed.categoryKey ? feed.categoryValue : queryCategoryValue;
+
+  const occurrences = getOccurrencesForGrid(feed.gridId, uc);
+
+  // seriesId -> dates that have their own occurrence
+  const overriddenDates = new Map();
+  for (const occ of occurrences) {
+    const { seriesId, date } = occ.meta?.recurrence || {};
+    if (!seriesId || !date) continue;
+    if (!overriddenDates.has(seriesId)) overriddenDates.set(seriesId, new Set());
+    overriddenDates.get(seriesId).add(date);
+  }
+
+  const events = [];
+  for (const occ of occurrences) {
+    if (occ.targetType !== "instance") continue;
+    const mode = occ.iteration?.mode || "specific";
+    if ((mode !== "specific" && mode !== "recurring") || !occ.iteration?.timeValue) continue;
+    const rrule = mode === "recurring" ? recurrenceToRRule(occ.iteration.recurrence, weekStart) : null;
+    if (mode === "recurring" && !rrule) continue;
+
+    const containerId = containerOf.get(occ.id) || occ.meta?.containerId || null;
+    const panelId = containerId ? panelOf.get(containerId) : null;
+    if (containerIds && !containerIds.includes(containerId)) continue;
+    if (panelIds && !panelIds.includes(panelId)) continue;
+    if (categoryKey) {
+      if (occ.iteration?.categoryKey !== categoryKey) continue;
+      if (categoryValue && occ.iteration?.categoryValue !== categoryValue) continue;
+    }
+
+    const label = instancesById[occ.targetId]?.label || "Untitled";
+    // A series has no completion of its own; its dates do
+    const completed = rrule ? null : getCompletionState(occ, fieldsById);
+
+    const description = [];
+    if (completed !== null) description.push(`Status: ${completed ? "Done" : "Open"}`);
+    if (feed.includeFieldValues !== false) {
+      for (const [fieldId, fieldValue] of Object.entries(occ.fields || {})) {
+        const field = fieldsById[fieldId];
+        const formatted = formatFieldValue(field, rawValue(fieldValue));
+        if (field && formatted !== null) description.push(`${field.name}: ${formatted}`);
+      }
+    }
+    if (occ.meta?.ics?.description) description.push("", occ.meta.ics.description);
+
+    const timing = eventTiming(occ, fieldsById, timeZone);
+    const recurrence = {};
+    if (rrule) {
+      const overridden = overriddenDates.get(occ.id) || new Set();
+      recurrence.rrule = rrule;
+      recurrence.exDates = (occ.iteration.recurrence.exDates || [])
+        .filter(date => !overridden.has(date))
+        .map(date => atSeriesTime(date, timing, timeZone));
+    }
+    const series = uc.occurrencesById[occ.meta?.recurrence?.seriesId];
+    if (series?.iteration?.mode === "recurring") {
+      recurrence.uid = `${series.id}@moduli`;
+      recurrence.recurrenceId = atSeriesTime(occ.meta.recurrence.date, eventTiming(series, fieldsById, timeZone), timeZone);
+    }
+
+    events.push({
+      uid: `${occ.id}@moduli`,
+      summary: completed ? `✓ ${label}` : label,
+      description: description.join("\n"),
+      location: occ.meta?.ics?.location || "",
+      categories: containerId && containersById[containerId]?.label ? [containersById[containerId].label] : [],
+      stamp: occ.updatedAt || occ.timestamp || new Date(),
+      ...timing,
+      ...recurrence,
+    });
+  }
+
+  events.sort((a, b) => a.start - b.start);
+  return buildIcsCalendar({ name: feed.name, events });
+}
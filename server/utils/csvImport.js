@@ -0,0 +1,339 @@
+// utils/csvImport.js
+// Backfills history from a CSV into a container.
+//
+// A mapping picks the columns:
+//   { label: "Exercise", date: "Date", fields: { "Reps": fieldId, ... },
+//     dateFormat: "auto" | "dmy" | "mdy", timeFilter: "daily" }
+// Each row becomes an occurrence of an instance matched by label (one already
+// in this grid, or one created by an earlier row) or a new instance. Its
+// iteration is the row's date, read in the owner's zone. Field cells are recorded as measure ops with
+// flow "in" in a transaction dated to the row, so aggregations over
+// occurrences and over transactions both pick the history up. Those
+// transactions carry meta.import, which webhooks and field triggers skip.
+// The import is written in batches (recordTransactions) and announced once
+// with occurrences_imported; clients reload the grid rather than apply rows.
+//
+// previewCsvImport is the dry run: it resolves every row without writing.
+
+import { nanoid } from "nanoid";
+import Instance from "../models/Instance.js";
+import Occurrence from "../models/Occurrence.js";
+import Container from "../models/Container.js";
+import { createOccurrenceData, getOccurrencesForGrid } from "./occurrenceHelpers.js";
+import { buildMeasureOps, recordTransactions } from "./transactions.js";
+import { parseCsvRecords } from "../../shared/csv.js";
+import { atTimeOfDay, startOfCalendarDate, toCalendarDate } from "../../shared/calculations.js";
+
+export const MAX_IMPORT_ROWS = 10000;
+const PREVIEW_ROWS = 50;
+
+const TRUE_WORDS = ["true", "yes", "y", "1", "x", "✓", "done"];
+const FALSE_WORDS = ["false", "no", "n", "0", ""];
+
+// A wall-clock date and time in a zone; null for dates that don't exist
+function wallClockDate(year, month, day, minutes, timeZone) {
+  const utc = new Date(Date.UTC(year, month - 1, day));
+  if (utc.getUTCMonth() !== month - 1 || utc.getUTCDate() !== day) return null;
+  const date = utc.toISOString().slice(0, 10);
+  return { date, instant: minutes ? atTimeOfDay(date, minutes, timeZone) : startOfCalendarDate(date, timeZone) };
+}
+
+/**
+ * Parses a date cell as a calendar date in the owner's zone (time of day is
+ * kept when given; cells with a UTC offset are that instant)
+ * @param {string} value - Cell text
+ * @param {string} [dateFormat] - "auto" | "dmy" | "mdy"
+ * @param {string} [timeZone] - Owner's zone (default: the server's)
+ * @returns {Object|null} { date: "YYYY-MM-DD", instant: Date }
+ */
+export function parseDateCell(value, dateFormat = "auto", timeZone) {
+  const s = String(value || "").trim();
+  if (!s) return null;
+
+  const iso = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?)?$/);
+  if (iso) {
+    const [, y, m, d, h = 0, mi = 0] = iso.map(Number);
+    return wallClockDate(y, m, d, h * 60 + mi, timeZone);
+  }
+
+  const slashed = s.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{2,4})$/);
+  if (slashed) {
+    let [, a, b, y] = slashed.map(Number);
+    if (y < 100) y += 2000;
+    // auto: day-first only when the first part can't be a month
+    const dayFirst = dateFormat === "dmy" || (dateFormat === "auto" && a > 12);
+    const [month, day] = dayFirst ? [b, a] : [a, b];
+    return wallClockDate(y, month, day, 0, timeZone);
+  }
+
+  const parsed = new Date(s);
+  if (Number.isNaN(parsed.getTime())) return null;
+  // An explicit offset names an instant; anything else ("Jan 5 2026") was
+  // read as the server's wall clock and is moved to the owner's
+  if (/(?:Z|GMT|UTC|[+-]\d{2}:?\d{2})$/i.test(s)) return { date: toCalendarDate(parsed, timeZone), instant: parsed };
+  return wallClockDate(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate(), parsed.getHours() * 60 + parsed.getMinutes(), timeZone);
+}
+
+function parseNumberCell(s) {
+  // Drop currency symbols, thousands separators and units ("$1,200.50", "12 kg")
+  const cleaned = s.replace(/[^\d.,-]/g, "").replace(/,(?=\d{3}(\D|$))/g, "").replace(",", ".");
+  const num = Number(cleaned);
+  return cleaned !== "" && Number.isFinite(num) ? num : null;
+}
+
+function parseDurationCell(s) {
+  const clock = s.match(/^(\d+):(\d{1,2})(?::(\d{1,2}))?$/);
+  if (clock) return Number(clock[1]) * 60 + Number(clock[2]) + Math.round(Number(clock[3] || 0) / 60);
+
+  const units = s.match(/^(?:(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?)?\s*(?:(\d+(?:\.\d+)?)\s*m(?:in(?:utes?|s)?)?)?$/i);
+  if (units && (units[1] || units[2])) return Math.round(Number(units[1] || 0) * 60 + Number(units[2] || 0));
+
+  return parseNumberCell(s);
+}
+
+/**
+ * Converts a cell to a value for the field's type
+ * @param {string} [timeZone] - Owner's zone, for date cells
+ * @returns {Object} { value } or { error }
+ */
+export function coerceCellValue(cell, field, timeZone) {
+  const s = String(cell ?? "").trim();
+  switch (field.type) {
+    case "number":
+    case "rating": {
+      const num = parseNumberCell(s);
+      return num === null ? { error: `"${s}" is not a number` } : { value: num };
+    }
+    case "duration": {
+      const minutes = parseDurationCell(s);
+      return minutes === null ? { error: `"${s}" is not a duration` } : { value: minutes };
+    }
+    case "boolean": {
+      const lower = s.toLowerCase();
+      if (TRUE_WORDS.includes(lower)) return { value: true };
+      if (FALSE_WORDS.includes(lower)) return { value: false };
+      return { error: `"${s}" is not yes/no` };
+    }
+    case "date": {
+      const date = parseDateCell(s, "auto", timeZone);
+      return date ? { value: date.instant.toISOString() } : { error: `"${s}" is not a date` };
+    }
+    case "select": {
+      const options = field.meta?.options || [];
+      if (options.length === 0) return { value: s };
+      const match = options.find(o =>
+        String(o.value).toLowerCase() === s.toLowerCase() || String(o.label ?? "").toLowerCase() === s.toLowerCase()
+      );
+      return match ? { value: match.value } : { error: `"${s}" is not an option of ${field.name}` };
+    }
+    default:
+      return { value: s };
+  }
+}
+
+/**
+ * Checks a mapping against the CSV headers and the grid's fields
+ * @returns {Array<string>} Problems (empty when the mapping is usable)
+ */
+function validateMapping(mapping, headers, uc, gridId) {
+  const errors = [];
+  if (!mapping?.label) errors.push("Choose the column with item labels");
+  else if (!headers.includes(mapping.label)) errors.push(`No column named "${mapping.label}"`);
+  if (mapping?.date && !headers.includes(mapping.date)) errors.push(`No column named "${mapping.date}"`);
+
+  for (const [column, fieldId] of Object.entries(mapping?.fields || {})) {
+    if (!fieldId) continue;
+    if (!headers.includes(column)) errors.push(`No column named "${column}"`);
+    const field = uc.fieldsById[fieldId];
+    if (!field || field.gridId !== gridId) errors.push(`Unknown field for "${column}"`);
+    else if (field.mode === "derived") errors.push(`${field.name} is derived and can't be imported into`);
+  }
+  return errors;
+}
+
+// Instances already placed in this grid, by normalized label
+function instancesByLabel(uc, gridId) {
+  const byLabel = new Map();
+  for (const occ of getOccurrencesForGrid(gridId, uc)) {
+    if (occ.targetType !== "instance") continue;
+    const inst = uc.instancesById[occ.targetId];
+    const key = inst?.label?.trim().toLowerCase();
+    if (key && !byLabel.has(key)) byLabel.set(key, inst);
+  }
+  return byLabel;
+}
+
+/**
+ * Resolves every CSV row against the mapping without writing anything
+ * @param {Object} params - Parameters
+ * @param {Object} params.uc - User cache
+ * @param {string} params.gridId - Grid ID
+ * @param {string} params.csv - CSV text with a header row
+ * @param {Object} params.mapping - Column mapping (see top of file)
+ * @returns {Object} { headers, errors, rows: [{ row, label, instanceId, isNew, date, day, fields, errors }] }
+ *   (date is the instant, day the calendar date in the owner's zone)
+ */
+export function resolveCsvRows({ uc, gridId, csv, mapping }) {
+  const timeZone = uc.settings?.timeZone || undefined;
+  const { headers, records } = parseCsvRecords(csv);
+  const errors = validateMapping(mapping, headers, uc, gridId);
+  if (records.length > MAX_IMPORT_ROWS) errors.push(`At most ${MAX_IMPORT_ROWS} rows per import (this file has ${records.length})`);
+  if (errors.length > 0) return { headers, errors, rows: [] };
+
+  const existing = instancesByLabel(uc, gridId);
+  // Labels that will be created by earlier rows of this import
+  const pending = new Map();
+  const fieldColumns = Object.entries(mapping.fields || {}).filter(([, fieldId]) => fieldId);
+
+  const rows = records.map((record, i) => {
+    const rowErrors = [];
+    const label = record[mapping.label];
+    const key = label.toLowerCase();
+
+    let instanceId = null;
+    let isNew = false;
+    if (!label) rowErrors.push("Empty label");
+    else if (existing.has(key)) instanceId = existing.get(key).id;
+    else {
+      if (!pending.has(key)) pending.set(key, nanoid());
+      instanceId = pending.get(key);
+      isNew = true;
+    }
+
+    let date = null;
+    let day = null;
+    if (mapping.date) {
+      const parsed = parseDateCell(record[mapping.date], mapping.dateFormat, timeZone);
+      if (parsed) ({ instant: date, date: day } = parsed);
+      else rowErrors.push(`"${record[mapping.date]}" is not a date`);
+    }
+
+    const fields = {};
+    for (const [column, fieldId] of fieldColumns) {
+      if (record[column] === "") continue;
+      const result = coerceCellValue(record[column], uc.fieldsById[fieldId], timeZone);
+      if (result.error) rowErrors.push(result.error);
+      else fields[fieldId] = result.value;
+    }
+
+    // Header is line 1
+    return { row: i + 2, label, instanceId, isNew, date, day, fields, errors: rowErrors };
+  });
+
+  return { headers, errors, rows };
+}
+
+function summarize(rows) {
+  const valid = rows.filter(r => r.errors.length === 0);
+  return {
+    rows: rows.length,
+    valid: valid.length,
+    invalid: rows.length - valid.length,
+    newInstances: new Set(valid.filter(r => r.isNew).map(r => r.instanceId)).size,
+    matchedInstances: new Set(valid.filter(r => !r.isNew).map(r => r.instanceId)).size,
+  };
+}
+
+/**
+ * Dry run: what an import would do
+ * @returns {Object} { headers, errors, summary, preview } (preview is the first rows plus every invalid one, capped)
+ */
+export function previewCsvImport({ uc, gridId, csv, mapping }) {
+  const { headers, errors, rows } = resolveCsvRows({ uc, gridId, csv, mapping });
+  const preview = [
+    ...rows.slice(0, PREVIEW_ROWS),
+    ...rows.slice(PREVIEW_ROWS).filter(r => r.errors.length > 0),
+  ].slice(0, PREVIEW_ROWS * 2);
+  return { headers, errors, summary: summarize(rows), preview };
+}
+
+/**
+ * Imports the valid rows of a CSV into a container. Rows are built in memory
+ * and written in one batch per collection; the grid's clients are told once
+ * (occurrences_imported) and reload.
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - User ID
+ * @param {Object} params.uc - User cache
+ * @param {string} params.gridId - Grid ID
+ * @param {string} params.containerId - Container the occurrences are placed in
+ * @param {string} params.csv - CSV text with a header row
+ * @param {Object} params.mapping - Column mapping (see top of file)
+ * @param {Function} [params.emit] - (event, payload) broadcast callback
+ * @returns {Object} { errors, summary, batchId }; invalid rows are skipped
+ */
+export async function importCsvIntoContainer({ userId, uc, gridId, containerId, csv, mapping, emit = () => {} }) {
+  const { errors, rows } = resolveCsvRows({ uc, gridId, csv, mapping });
+  if (errors.length > 0) return { errors, summary: summarize(rows), batchId: null };
+
+  const batchId = nanoid(12);
+  const timeFilter = mapping.timeFilter || "daily";
+  const timeZone = uc.settings?.timeZone || undefined;
+  const mappedFieldIds = [...new Set(Object.values(mapping.fields || {}).filter(Boolean))];
+
+  const instances = new Map();
+  const occurrences = [];
+  const transactions = [];
+
+  for (const row of rows) {
+    if (row.errors.length > 0) continue;
+
+    // Make sure the instance shows every mapped field
+    const prevInst = instances.get(row.instanceId) || uc.instancesById[row.instanceId];
+    const bindings = [...(prevInst?.fieldBindings || [])];
+    for (const fieldId of mappedFieldIds) {
+      if (!bindings.some(b => b.fieldId === fieldId)) bindings.push({ fieldId, order: bindings.length, hidden: false });
+    }
+    instances.set(row.instanceId, {
+      ...(prevInst || {}),
+      id: row.instanceId,
+      label: prevInst?.label ?? row.label ?? "Untitled",
+      fieldBindings: bindings,
+      userId,
+    });
+
+    const date = row.date || new Date();
+    // The row's calendar date as written, whatever the server's zone
+    const dateStamp = row.day ? { date: row.day, timeZone } : {};
+    const fields = Object.fromEntries(Object.entries(row.fields).map(([fieldId, value]) => [fieldId, { value, flow: "in" }]));
+    const occurrence = createOccurrenceData({
+      id: nanoid(),
+      userId,
+      targetType: "instance",
+      targetId: row.instanceId,
+      gridId,
+      iteration: { key: "time", value: date, timeValue: date, ...dateStamp, timeFilter, mode: "specific" },
+      fields,
+      meta: { import: { source: "csv", batchId, row: row.row }, containerId },
+      timeZone,
+    });
+    occurrences.push(occurrence);
+    transactions.push({
+      userId,
+      gridId,
+      operations: buildMeasureOps(occurrence, {}, fields),
+      timestamp: date,
+      iteration: { key: "time", value: date },
+      meta: { import: { source: "csv", batchId } },
+    });
+  }
+
+  if (occurrences.length > 0) {
+    await Instance.bulkWrite([...instances.values()].map(inst => ({
+      updateOne: { filter: { id: inst.id, userId }, update: { $set: inst }, upsert: true },
+    })));
+    await Occurrence.insertMany(occurrences);
+
+    const prevContainer = uc.containersById[containerId] || { id: containerId, label: "Untitled", occurrences: [] };
+    const container = { ...prevContainer, occurrences: [...(prevContainer.occurrences || []), ...occurrences.map(o => o.id)] };
+    await Container.findOneAndUpdate({ id: containerId, userId }, { ...container, userId }, { upsert: true });
+
+    for (const inst of instances.values()) uc.instancesById[inst.id] = inst;
+    for (const occ of occurrences) uc.occurrencesById[occ.id] = occ;
+    uc.containersById[containerId] = container;
+
+    await recordTransactions(transactions);
+    emit("occurrences_imported", { gridId, containerId, batchId, count: occurrences.length });
+  }
+
+  return { errors: [], summary: summarize(rows), batchId };
+}
@@ -0,0 +1,184 @@
+// utils/derivedValues.js
+// Derived field values computed on the server with the same code the
+// client renders them with (shared/calculations.js), for the
+// get_derived_value socket event and GET /api/v1/.../fields/:fieldId/value.
+//
+// The client computes over the grid's occurrences with the grid's selected
+// iteration and category; this builds that same state from the user cache,
+// with the date, iteration and category overridable per request. Periods
+// are read in the viewer's time zone (the owner's when not given) with the
+// grid's weekStart, like the browser's.
+//
+// Metrics with source "transactions" (which the client can't compute) are
+// read from the materialized buckets in utils/fieldAggregates.js for the
+// iteration's period.
+
+import {
+  calculateDerivedField,
+  checkTarget,
+  getScaledTargetValue,
+  calculateProgress,
+  getStateCalendar,
+  getPeriodBounds,
+  isCustomTimeFilter,
+  addCalendarDays,
+  toCalendarDate,
+} from "../../shared/calculations.js";
+import { getOccurrencesForGrid } from "./occurrenceHelpers.js";
+import { getFieldAggregates, aggregateBuckets, periodStartKey, ownerCalendar } from "./fieldAggregates.js";
+
+// Iteration time filter -> bucket period read for it
+const FILTER_PERIODS = { daily: "day", weekly: "week", monthly: "month", yearly: "month" };
+
+// Stand-in iteration for a fixed time filter (options.timeFilter)
+const PERIOD_ITERATION_ID = "__period";
+
+/**
+ * Parses an iteration date: YYYY-MM-DD (a calendar date, kept as is) or any Date string
+ * @returns {string|Date|null} null when missing or invalid
+ */
+export function parseIterationDate(value) {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return toCalendarDate(value) && value;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Calculation state for a grid, shaped like the client's GridDataContext state
+ * @param {Object} uc - Data owner's user cache
+ * @param {string} gridId - Grid ID
+ * @param {Object} [options] - { date, iterationId, categoryKey, categoryValue, timeZone,
+ *   timeFilter } (timeFilter: iterate by this period over every category
+ *   instead of the grid's iteration)
+ * @returns {Object} State for calculateDerivedField
+ */
+export function buildCalculationState(uc, gridId, options = {}) {
+  const { date, iterationId, categoryKey, categoryValue, timeZone, timeFilter } = options;
+  let grid = uc.gridsById[gridId];
+  if (timeFilter) {
+    grid = {
+      ...grid,
+      iterations: [{ id: PERIOD_ITERATION_ID, timeFilter }],
+      selectedIterationId: PERIOD_ITERATION_ID,
+      selectedCategoryId: null,
+      currentCategoryValue: null,
+    };
+  }
+  const iterations = grid?.iterations || [];
+
+  const selectedIterationId =
+    (iterationId && iterations.some(i => i.id === iterationId) && iterationId) ||
+    grid?.selectedIterationId ||
+    "default";
+
+  return {
+    gridId,
+    grid,
+    timeZone: timeZone || uc.settings?.timeZone || null,
+    occurrences: getOccurrencesForGrid(gridId, uc),
+    containersById: uc.containersById,
+    fields: Object.values(uc.fieldsById).filter(f => f.gridId === gridId),
+    selectedIterationId,
+    currentIterationValue: date || new Date(),
+    selectedCategoryId: categoryKey || grid?.selectedCategoryId || null,
+    currentCategoryValue: categoryKey ? categoryValue || null : grid?.currentCategoryValue || null,
+  };
+}
+
+/**
+ * A "transactions" metric over the period containing date, from the buckets
+ * of its allowed fields (null for aggregations buckets can't answer)
+ */
+async function transactionMetricValue({ userId, uc, gridId, field, date, timeFilter, calendar }) {
+  const { allowedFields = [], aggregation = "sum" } = field.metric;
+  if (allowedFields.length === 0) return null;
+
+  // Buckets are cut on the owner's calendar; the viewed date is read in the viewer's zone
+  const day = toCalendarDate(date, calendar.timeZone);
+  const period = FILTER_PERIODS[timeFilter];
+  let start;
+  let end;
+  if (isCustomTimeFilter(timeFilter)) {
+    // Custom periods are summed from their day buckets
+    const bounds = getPeriodBounds(timeFilter, day, { ...ownerCalendar(uc, gridId), periods: calendar.periods });
+    if (!bounds) return null;
+    start = bounds.start;
+    end = addCalendarDays(bounds.end, -1);
+  } else if (timeFilter === "yearly") {
+    start = `${day.slice(0, 4)}-01-01`;
+    end = `${day.slice(0, 4)}-12-01`;
+  } else if (period) {
+    start = end = periodStartKey(day, period, ownerCalendar(uc, gridId));
+  }
+
+  const buckets = [];
+  for (const { fieldId, flowFilter = "any" } of allowedFields) {
+    const rows = await getFieldAggregates({
+      userId,
+      gridId,
+      fieldId,
+      period: isCustomTimeFilter(timeFilter) ? "day" : period || "month",
+      start,
+      end,
+      flow: flowFilter === "any" ? undefined : flowFilter,
+    });
+    buckets.push(...rows);
+  }
+  return aggregateBuckets(buckets, aggregation);
+}
+
+/**
+ * A derived field's value and target progress, as the grid shows them
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - Data owner
+ * @param {Object} params.uc - Data owner's user cache
+ * @param {string} params.gridId - Grid ID
+ * @param {Object} params.field - Derived field
+ * @param {Date} [params.date] - Iteration date (default: now)
+ * @param {string} [params.iterationId] - Iteration (default: the grid's selected one)
+ * @param {string} [params.categoryKey] - Category dimension, with categoryValue
+ * @param {string} [params.categoryValue] - Category value
+ * @param {Object} [params.context] - { panelId, containerId, instanceId } for container-scoped metrics
+ * @param {string} [params.timeZone] - Viewer's zone (default: the owner's)
+ * @param {string} [params.timeFilter] - Fixed period instead of the grid's iteration (see buildCalculationState)
+ * @returns {Promise<Object>} { fieldId, gridId, value, iteration, target }
+ */
+export async function getDerivedValue({ userId, uc, gridId, field, date, iterationId, categoryKey, categoryValue, context = {}, timeZone, timeFilter: fixedTimeFilter }) {
+  const state = buildCalculationState(uc, gridId, { date, iterationId, categoryKey, categoryValue, timeZone, timeFilter: fixedTimeFilter });
+
+  // Targets scale to the viewed period, as in FieldDisplay
+  const iteration = (state.grid?.iterations || []).find(i => i.id === state.selectedIterationId);
+  const timeFilter = iteration?.timeFilter || "daily";
+  const calendar = getStateCalendar(state);
+
+  const value = field.metric?.source === "transactions"
+    ? await transactionMetricValue({ userId, uc, gridId, field, date: state.currentIterationValue, timeFilter, calendar })
+    : calculateDerivedField(state, field, { ...context, gridId });
+
+  let target = null;
+  const metricTarget = field.metric?.target;
+  const current = Number(value);
+  if (typeof metricTarget?.value === "number" && value !== null && !Number.isNaN(current)) {
+    target = {
+      value: getScaledTargetValue(metricTarget, timeFilter, calendar),
+      op: metricTarget.op || ">=",
+      met: checkTarget(current, metricTarget, timeFilter, calendar) ?? false,
+      progress: calculateProgress(current, metricTarget, timeFilter, calendar) ?? 0,
+    };
+  }
+
+  return {
+    fieldId: field.id,
+    gridId,
+    value,
+    iteration: {
+      id: state.selectedIterationId,
+      timeFilter,
+      date: state.currentIterationValue instanceof Date ? state.currentIterationValue.toISOString() : state.currentIterationValue,
+      categoryKey: state.selectedCategoryId,
+      categoryValue: state.currentCategoryValue,
+    },
+    target,
+  };
+}
@@ -0,0 +1,287 @@
+// utils/fieldAggregates.js
+// Materialized per-field aggregates (see models/FieldAggregate.js).
+//
+// Every recorded transaction's measure ops are folded into day / week /
+// month buckets for the grid, the op's panel and its container, keyed by
+// the transaction's timestamp (what calculateFromTransactions filters on).
+// Periods are the owner's calendar: days in their time zone, weeks from the
+// grid's weekStart. Changing either rebuilds the affected buckets.
+// Undo takes an op's values back out, redo puts them in again. Writes for
+// one user run one at a time so bucket upserts don't race.
+//
+// rebuildFieldAggregates() recomputes a user's (or one grid's) buckets from
+// the Transaction log; scripts/rebuildAggregates.js runs it from the shell.
+
+import Transaction from "../models/Transaction.js";
+import FieldAggregate, { AGGREGATE_PERIODS } from "../models/FieldAggregate.js";
+import { transactionEvents } from "./transactions.js";
+import { ensureUserCache, loadUserIntoCache, userCacheReady } from "./userCache.js";
+import { findPanelIdForContainer } from "./occurrenceMoves.js";
+import { getPeriodBounds } from "../../shared/calculations.js";
+
+const INSERT_BATCH_SIZE = 1000;
+
+// Aggregations a bucket's stats can answer without the raw values
+export const BUCKET_AGGREGATIONS = {
+  sum: (b) => b.sum,
+  count: (b) => b.count,
+  countTrue: (b) => b.trueCount,
+  avg: (b) => (b.numericCount > 0 ? b.sum / b.numericCount : 0),
+  min: (b) => b.min ?? 0,
+  max: (b) => b.max ?? 0,
+};
+
+// userId -> promise tail
+const queues = new Map();
+
+function enqueue(userId, task) {
+  const tail = queues.get(userId) || Promise.resolve();
+  const run = tail.then(task);
+  const next = run
+    .catch(err => console.error("field aggregate error:", err))
+    .finally(() => {
+      if (queues.get(userId) === next) queues.delete(userId);
+    });
+  queues.set(userId, next);
+  // Callers that wait (rebuilds) see the task's own result or error
+  return run;
+}
+
+// Bucket period -> iteration time filter with the same bounds
+const PERIOD_FILTERS = { day: "daily", week: "weekly", month: "monthly" };
+
+/**
+ * First day of the day / week / month containing date, as YYYY-MM-DD
+ * @param {Date|string} date - Instant, or a calendar date
+ * @param {string} period - "day" | "week" | "month"
+ * @param {Object} [calendar] - { timeZone, weekStart } (default: server zone, Sunday)
+ */
+export function periodStartKey(date, period, calendar = {}) {
+  return getPeriodBounds(PERIOD_FILTERS[period] || "daily", date, calendar)?.start ?? null;
+}
+
+/**
+ * The owner's calendar for a grid's buckets
+ * @param {Object} uc - Owner's user cache
+ * @param {string} gridId - Grid ID
+ * @returns {Object} { timeZone, weekStart }
+ */
+export function ownerCalendar(uc, gridId) {
+  return {
+    timeZone: uc?.settings?.timeZone || undefined,
+    weekStart: uc?.gridsById?.[gridId]?.weekStart,
+  };
+}
+
+/**
+ * One entry per measure value in a transaction, with the scopes it counts toward
+ * @param {Object} tx - Transaction (plain object)
+ * @param {Object} uc - Owner's user cache (to place ops without a panelId)
+ * @returns {Array} [{ fieldId, flow, value, scopes: [{ scope, scopeId }] }]
+ */
+function measureEntries(tx, uc) {
+  const entries = [];
+  for (const op of tx.operations || []) {
+    if (op.type !== "measure" || !op.measure?.fieldId) continue;
+    const m = op.measure;
+    if (m.value === null || m.value === undefined) continue;
+
+    const containerId = m.containerId || uc?.occurrencesById[m.occurrenceId]?.meta?.containerId || null;
+    const panelId = m.panelId || (containerId && uc ? findPanelIdForContainer(uc, containerId, tx.gridId) : null);
+
+    const scopes = [{ scope: "grid", scopeId: tx.gridId }];
+    if (panelId) scopes.push({ scope: "panel", scopeId: panelId });
+    if (containerId) scopes.push({ scope: "container", scopeId: containerId });
+
+    const flow = m.flow || "in";
+    const value = typeof m.value === "number" && flow === "out" ? -m.value : m.value;
+    entries.push({ fieldId: m.fieldId, flow, value, scopes });
+  }
+  return entries;
+}
+
+/**
+ * Every bucket one transaction touches, with what it adds to each
+ * @returns {Array} [{ key, stats }] where key identifies a FieldAggregate
+ */
+function bucketDeltas(tx, uc) {
+  const deltas = [];
+  const calendar = ownerCalendar(uc, tx.gridId);
+  for (const { fieldId, flow, value, scopes } of measureEntries(tx, uc)) {
+    const isNumber = typeof value === "number" && Number.isFinite(value);
+    const stats = {
+      count: 1,
+      numericCount: isNumber ? 1 : 0,
+      sum: isNumber ? value : 0,
+      trueCount: value === true ? 1 : 0,
+      value: isNumber ? value : null,
+    };
+    for (const period of AGGREGATE_PERIODS) {
+      const start = periodStartKey(tx.timestamp, period, calendar);
+      for (const { scope, scopeId } of scopes) {
+        deltas.push({
+          key: { userId: tx.userId, gridId: tx.gridId, fieldId, period, start, scope, scopeId, flow },
+          stats,
+        });
+      }
+    }
+  }
+  return deltas;
+}
+
+async function ownerCache(userId) {
+  if (!userCacheReady(userId)) await loadUserIntoCache(userId);
+  return ensureUserCache(userId);
+}
+
+/**
+ * Adds (sign 1) or removes (sign -1) a transaction's measure values
+ */
+async function applyTransaction(tx, sign) {
+  const uc = await ownerCache(tx.userId);
+  const ops = bucketDeltas(tx, uc).map(({ key, stats }) => {
+    const update = {
+      $inc: {
+        count: sign * stats.count,
+        numericCount: sign * stats.numericCount,
+        sum: sign * stats.sum,
+        trueCount: sign * stats.trueCount,
+      },
+    };
+    if (stats.value !== null) {
+      if (sign > 0) {
+        update.$min = { min: stats.value };
+        update.$max = { max: stats.value };
+      } else {
+        update.$set = { extremaStale: true };
+      }
+    }
+    return { updateOne: { filter: key, update, upsert: sign > 0 } };
+  });
+  if (ops.length > 0) await FieldAggregate.bulkWrite(ops, { ordered: false });
+}
+
+/**
+ * Recomputes buckets from the Transaction log (applied and redone only)
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - Data owner
+ * @param {string} [params.gridId] - Limit to one grid
+ * @returns {Promise<Object>} { transactions, buckets }
+ */
+export function rebuildFieldAggregates({ userId, gridId }) {
+  return enqueue(userId, async () => {
+    const uc = await ownerCache(userId);
+    const scope = { userId, ...(gridId && { gridId }) };
+
+    const buckets = new Map();
+    let transactions = 0;
+    const cursor = Transaction.find({ ...scope, state: { $in: ["applied", "redone"] }, "operations.type": "measure" })
+      .sort({ timestamp: 1 })
+      .lean()
+      .cursor();
+
+    for await (const tx of cursor) {
+      transactions += 1;
+      for (const { key, stats } of bucketDeltas(tx, uc)) {
+        const id = JSON.stringify(key);
+        const b = buckets.get(id) || { ...key, count: 0, numericCount: 0, sum: 0, trueCount: 0 };
+        b.count += stats.count;
+        b.numericCount += stats.numericCount;
+        b.sum += stats.sum;
+        b.trueCount += stats.trueCount;
+        if (stats.value !== null) {
+          b.min = b.min === undefined ? stats.value : Math.min(b.min, stats.value);
+          b.max = b.max === undefined ? stats.value : Math.max(b.max, stats.value);
+        }
+        buckets.set(id, b);
+      }
+    }
+
+    await FieldAggregate.deleteMany(scope);
+    const docs = [...buckets.values()];
+    for (let i = 0; i < docs.length; i += INSERT_BATCH_SIZE) {
+      await FieldAggregate.insertMany(docs.slice(i, i + INSERT_BATCH_SIZE), { ordered: false });
+    }
+    return { transactions, buckets: docs.length };
+  });
+}
+
+/**
+ * Reads a field's buckets, flows combined unless one is asked for
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - Data owner
+ * @param {string} params.gridId - Grid ID
+ * @param {string} params.fieldId - Field ID
+ * @param {string} [params.period] - "day" | "week" | "month" (default "day")
+ * @param {string} [params.start] - First period start, YYYY-MM-DD (inclusive)
+ * @param {string} [params.end] - Last period start, YYYY-MM-DD (inclusive)
+ * @param {string} [params.scope] - "grid" | "panel" | "container" (default "grid")
+ * @param {string} [params.scopeId] - Panel / container ID (the grid for "grid")
+ * @param {string|Array} [params.flow] - Only these flows
+ * @returns {Promise<Array>} [{ start, count, numericCount, sum, avg, min, max, trueCount, extremaStale }]
+ */
+export async function getFieldAggregates({ userId, gridId, fieldId, period = "day", start, end, scope = "grid", scopeId, flow }) {
+  const query = {
+    userId,
+    gridId,
+    fieldId,
+    period,
+    scope,
+    scopeId: scope === "grid" ? gridId : scopeId,
+  };
+  if (start || end) query.start = { ...(start && { $gte: start }), ...(end && { $lte: end }) };
+  if (flow) query.flow = Array.isArray(flow) ? { $in: flow } : flow;
+
+  const rows = await FieldAggregate.find(query).sort({ start: 1 }).lean();
+
+  const byStart = new Map();
+  for (const row of rows) {
+    const b = byStart.get(row.start) || { start: row.start, count: 0, numericCount: 0, sum: 0, trueCount: 0, min: null, max: null, extremaStale: false };
+    b.count += row.count;
+    b.numericCount += row.numericCount;
+    b.sum += row.sum;
+    b.trueCount += row.trueCount;
+    if (row.min !== undefined && row.min !== null) b.min = b.min === null ? row.min : Math.min(b.min, row.min);
+    if (row.max !== undefined && row.max !== null) b.max = b.max === null ? row.max : Math.max(b.max, row.max);
+    b.extremaStale = b.extremaStale || Boolean(row.extremaStale);
+    byStart.set(row.start, b);
+  }
+
+  return [...byStart.values()].map(b => ({
+    ...b,
+    avg: b.numericCount > 0 ? b.sum / b.numericCount : null,
+  }));
+}
+
+/**
+ * Folds buckets into one value for an aggregation (null when the
+ * aggregation needs the raw values, e.g. median)
+ */
+export function aggregateBuckets(buckets, aggregation = "sum") {
+  if (!BUCKET_AGGREGATIONS[aggregation]) return null;
+  const total = { count: 0, numericCount: 0, sum: 0, trueCount: 0, min: null, max: null };
+  for (const b of buckets) {
+    total.count += b.count;
+    total.numericCount += b.numericCount;
+    total.sum += b.sum;
+    total.trueCount += b.trueCount;
+    if (b.min !== null) total.min = total.min === null ? b.min : Math.min(total.min, b.min);
+    if (b.max !== null) total.max = total.max === null ? b.max : Math.max(total.max, b.max);
+  }
+  return BUCKET_AGGREGATIONS[aggregation](total);
+}
+
+/**
+ * Keeps buckets current as transactions are recorded, undone and redone
+ */
+export function startFieldAggregates() {
+  transactionEvents.on("recorded", (tx) => {
+    enqueue(tx.userId, () => applyTransaction(tx, 1));
+  });
+  transactionEvents.on("undone", (tx) => {
+    enqueue(tx.userId, () => applyTransaction(tx, -1));
+  });
+  transactionEvents.on("redone", (tx) => {
+    enqueue(tx.userId, () => applyTransaction(tx, 1));
+  });
+}
@@ -0,0 +1,94 @@
+// utils/fieldExport.js
+// CSV export of one field's measure history, read from the Transaction log
+// (the same query as get_transactions / get_field_history). Undone
+// transactions are left out, so the rows add up to what the grid shows.
+
+import Transaction from "../models/Transaction.js";
+import { toCsv } from "../../shared/csv.js";
+
+export const FIELD_TRANSACTION_COLUMNS = [
+  { key: "timestamp", header: "timestamp" },
+  { key: "occurrenceId", header: "occurrence_id" },
+  { key: "instanceId", header: "instance_id" },
+  { key: "instanceLabel", header: "instance" },
+  { key: "containerId", header: "container_id" },
+  { key: "containerLabel", header: "container" },
+  { key: "panelId", header: "panel_id" },
+  { key: "panelName", header: "panel" },
+  { key: "iterationKey", header: "iteration_key" },
+  { key: "iterationValue", header: "iteration_value" },
+  { key: "value", header: "value" },
+  { key: "previousValue", header: "previous_value" },
+  { key: "flow", header: "flow" },
+  { key: "trigger", header: "trigger" },
+  { key: "transactionId", header: "transaction_id" },
+];
+
+/**
+ * One row per measure operation on the field, oldest first
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - User ID
+ * @param {Object} params.uc - User cache (for labels)
+ * @param {string} params.gridId - Grid ID
+ * @param {string} params.fieldId - Field ID
+ * @param {Date|string} [params.start] - Earliest transaction timestamp
+ * @param {Date|string} [params.end] - Latest transaction timestamp
+ * @returns {Promise<Array>} Row objects keyed like FIELD_TRANSACTION_COLUMNS
+ */
+export async function getFieldTransactionRows({ userId, uc, gridId, fieldId, start, end }) {
+  const query = {
+    userId,
+    gridId,
+    state: { $in: ["applied", "redone"] },
+    "operations.measure.fieldId": fieldId,
+  };
+  if (start || end) {
+    query.timestamp = {};
+    if (start) query.timestamp.$gte = new Date(start);
+    if (end) query.timestamp.$lte = new Date(end);
+  }
+
+  const transactions = await Transaction.find(query).sort({ timestamp: 1 }).lean();
+
+  const rows = [];
+  for (const tx of transactions) {
+    for (const op of tx.operations || []) {
+      if (op.type !== "measure" || op.measure?.fieldId !== fieldId) continue;
+      const m = op.measure;
+      const occ = uc.occurrencesById[m.occurrenceId];
+
+      // Older measure ops may lack location; fall back to where the occurrence is now
+      const instanceId = m.instanceId || (occ?.targetType === "instance" ? occ.targetId : null);
+      const containerId = m.containerId || occ?.meta?.containerId || null;
+      const panelId = m.panelId || occ?.meta?.panelId || uc.containersById[containerId]?.panelId || null;
+      const iterationValue = m.iteration?.value ?? occ?.iteration?.timeValue ?? tx.iteration?.value ?? null;
+
+      rows.push({
+        timestamp: tx.timestamp,
+        occurrenceId: m.occurrenceId,
+        instanceId,
+        instanceLabel: uc.instancesById[instanceId]?.label || "",
+        containerId,
+        containerLabel: uc.containersById[containerId]?.label || "",
+        panelId,
+        panelName: uc.panelsById[panelId]?.name || "",
+        iterationKey: m.iteration?.key || tx.iteration?.key || "time",
+        iterationValue,
+        value: m.value,
+        previousValue: m.previousValue,
+        flow: m.flow || "in",
+        trigger: m.trigger?.type || "manual",
+        transactionId: tx.id,
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Field history as CSV text
+ * @returns {Promise<string>} CSV with a header row
+ */
+export async function exportFieldTransactionsCsv(params) {
+  return toCsv(FIELD_TRANSACTION_COLUMNS, await getFieldTransactionRows(params));
+}
@@ -0,0 +1,204 @@
+// utils/fieldTriggers.js
+// Executes Field.triggers as server-side automations.
+//
+// Every recorded transaction is inspected for the events triggers listen to:
+// - onDrop:     an occurrence_list "move" (the occurrence landed in a new container)
+// - onChange:   a measure op whose value differs from its previous value
+// - onComplete: a measure op on a boolean field that flipped to true
+//
+// A matching trigger whose blockTree condition passes applies its action
+// (set / increment / decrement / toggle) to targetFieldId on the same
+// occurrence. Each effect is its own transaction with
+// trigger: { type: "automation", triggerId }, and carries the chain of
+// triggers that led to it in meta.automation so cycles and runaway chains stop.
+
+import { transactionEvents } from "./transactions.js";
+import { ensureUserCache, loadUserIntoCache, userCacheReady } from "./userCache.js";
+import { gridAudience } from "./rooms.js";
+import { broadcastTo } from "./broadcast.js";
+import { applyOccurrenceUpdate } from "./occurrenceWrites.js";
+import { evaluateBlockTree } from "../../shared/blockEvaluator.js";
+
+// Longest chain of triggers set off by one user action
+const MAX_AUTOMATION_DEPTH = 8;
+
+const HAT_BLOCK_TYPES = ["on_drop", "on_change"];
+
+let ioRef = null;
+
+// userId -> promise tail; automations for one user run one at a time
+const queues = new Map();
+
+/**
+ * Stable id for a trigger (older triggers were saved without one)
+ */
+export function getTriggerId(field, trigger, index) {
+  return trigger.id || `${field.id}:${index}`;
+}
+
+function rawValue(fieldValue) {
+  return fieldValue !== null && typeof fieldValue === "object" ? fieldValue.value : fieldValue;
+}
+
+/**
+ * Whether a trigger's blockTree condition passes for an occurrence.
+ * No tree (or a bare hat block) always passes.
+ */
+function conditionPasses(trigger, occurrence, uc) {
+  const tree = trigger.blockTree;
+  if (!tree || HAT_BLOCK_TYPES.includes(String(tree.type).toLowerCase())) return true;
+
+  const result = evaluateBlockTree(tree, { occurrences: [occurrence], fieldsById: uc.fieldsById });
+  if (result.errors.length > 0) {
+    console.warn("trigger condition error:", result.errors[0].message);
+    return false;
+  }
+  return Boolean(result.value);
+}
+
+/**
+ * Computes the next value for a trigger action
+ * @returns {any} The new value, or undefined when the action doesn't apply
+ */
+export function applyTriggerAction(action, current, value, targetField) {
+  switch (action) {
+    case "set":
+      if (targetField?.type === "number" || targetField?.type === "rating" || targetField?.type === "duration") {
+        const num = Number(value);
+        return Number.isFinite(num) ? num : undefined;
+      }
+      if (targetField?.type === "boolean") return value === true || value === "true";
+      return value;
+    case "increment":
+    case "decrement": {
+      const step = Number(value) || 1;
+      const base = Number(current) || 0;
+      return action === "increment" ? base + step : base - step;
+    }
+    case "toggle":
+      return !current;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Collects the (field, trigger) pairs a transaction sets off
+ */
+function collectFiredTriggers(tx, uc) {
+  const fired = [];
+
+  const pushTriggers = (field, event, occurrenceId) => {
+    (field?.triggers || []).forEach((trigger, index) => {
+      if (trigger.event !== event) return;
+      fired.push({ field, trigger, triggerId: getTriggerId(field, trigger, index), occurrenceId });
+    });
+  };
+
+  for (const op of tx.operations || []) {
+    if (op.type === "measure" && op.measure?.occurrenceId) {
+      const { fieldId, occurrenceId, value, previousValue } = op.measure;
+      const field = uc.fieldsById[fieldId];
+      if (!field || value === previousValue) continue;
+
+      pushTriggers(field, "onChange", occurrenceId);
+      if (field.type === "boolean" && Boolean(value) && !previousValue) {
+        pushTriggers(field, "onComplete", occurrenceId);
+      }
+    }
+
+    if (op.type === "occurrence_list" && op.occurrenceList?.action === "move") {
+      const { occurrenceId } = op.occurrenceList;
+      const occ = uc.occurrencesById[occurrenceId];
+      if (!occ) continue;
+
+      // Fields shown on the instance, plus any the occurrence already holds values for
+      const inst = occ.targetType === "instance" ? uc.instancesById[occ.targetId] : null;
+      const fieldIds = new Set([
+        ...(inst?.fieldBindings || []).map(b => b.fieldId),
+        ...Object.keys(occ.fields || {}),
+      ]);
+      fieldIds.forEach(fid => pushTriggers(uc.fieldsById[fid], "onDrop", occurrenceId));
+    }
+  }
+
+  return fired;
+}
+
+async function handleTransaction(tx) {
+  const { userId } = tx;
+  if (!userId) return;
+
+  const chain = tx.meta?.automation?.chain || [];
+  const depth = chain.length;
+
+  if (!userCacheReady(userId)) await loadUserIntoCache(userId);
+  const uc = ensureUserCache(userId);
+
+  const fired = collectFiredTriggers(tx, uc);
+  if (fired.length === 0) return;
+
+  if (depth >= MAX_AUTOMATION_DEPTH) {
+    console.warn(`⚠️ automation chain stopped at depth ${depth}:`, chain.join(" → "));
+    return;
+  }
+
+  for (const { trigger, triggerId, occurrenceId } of fired) {
+    // A trigger never re-fires inside its own chain
+    if (chain.includes(triggerId)) continue;
+    if (!trigger.targetFieldId || !trigger.action) continue;
+
+    const occ = uc.occurrencesById[occurrenceId];
+    const targetField = uc.fieldsById[trigger.targetFieldId];
+    if (!occ || !targetField) continue;
+    if (!conditionPasses(trigger, occ, uc)) continue;
+
+    const current = occ.fields?.[trigger.targetFieldId];
+    const nextValue = applyTriggerAction(trigger.action, rawValue(current), trigger.value, targetField);
+    if (nextValue === undefined || nextValue === rawValue(current)) continue;
+
+    const changedFields = {
+      [trigger.targetFieldId]: { value: nextValue, flow: current?.flow || "in" },
+    };
+    const { occurrence, linked } = await applyOccurrenceUpdate({
+      userId,
+      uc,
+      occurrence: { id: occ.id, fields: { ...(occ.fields || {}), ...changedFields } },
+      changedFields,
+      trigger: { type: "automation", triggerId },
+      meta: { automation: { chain: [...chain, triggerId] } },
+    });
+
+    // The client that caused the original change doesn't know about this one
+    const rooms = gridAudience(userId, occurrence.gridId);
+    broadcastTo(ioRef, rooms, "occurrence_updated", { occurrence });
+    for (const l of linked) {
+      broadcastTo(ioRef, rooms, "occurrence_updated", { occurrence: l });
+    }
+  }
+}
+
+function enqueue(tx) {
+  const tail = queues.get(tx.userId) || Promise.resolve();
+  const next = tail
+    .then(() => handleTransaction(tx))
+    .catch(err => console.error("field trigger error:", err))
+    .finally(() => {
+      if (queues.get(tx.userId) === next) queues.delete(tx.userId);
+    });
+  queues.set(tx.userId, next);
+}
+
+/**
+ * Subscribes to recorded transactions and runs matching field triggers
+ * @param {Object} io - Socket.io server (for broadcasts)
+ */
+export function startFieldTriggers(io) {
+  ioRef = io;
+  transactionEvents.on("recorded", (tx) => {
+    // No automations over backfilled history (CSV import)
+    if (tx.meta?.import) return;
+    // Let the write that recorded tx finish before reacting to it
+    setImmediate(() => enqueue(tx));
+  });
+}
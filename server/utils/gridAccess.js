@@ -0,0 +1,81 @@
+// utils/gridAccess.js
+// Grid sharing: who may read or write a grid, and as whom.
+//
+// A grid's data always stays under its creator's userId (the "data owner").
+// Members listed in grid.members act on that data with a role:
+//   viewer - read only
+//   editor - read + write grid data
+//   owner  - editor + manage members
+// The data owner always has the owner role.
+
+import Grid from "../models/Grid.js";
+import { cacheByUser, ensureUserCache, loadUserIntoCache, userCacheReady } from "./userCache.js";
+
+export const GRID_ROLES = ["viewer", "editor", "owner"];
+
+export function roleAtLeast(role, required) {
+  return GRID_ROLES.includes(role) && GRID_ROLES.indexOf(role) >= GRID_ROLES.indexOf(required);
+}
+
+/**
+ * Role a user holds on a grid document (null when it isn't shared with them)
+ */
+export function getGridRole(grid, userId) {
+  if (!grid || !userId) return null;
+  if (String(grid.userId) === String(userId)) return "owner";
+  const member = (grid.members || []).find(m => m.userId === String(userId));
+  return member?.role || null;
+}
+
+// gridId -> data owner, so shared grids don't need a lookup per event
+const gridOwners = new Map();
+
+/**
+ * Resolves a user's access to a grid, loading the data owner's cache
+ * @param {string} userId - Acting user
+ * @param {string} gridId - Grid ID
+ * @returns {Object|null} { gridId, ownerId, role, grid } or null without access
+ */
+export async function resolveGridAccess(userId, gridId) {
+  if (!userId || !gridId) return null;
+
+  let ownerId = cacheByUser[userId]?.gridsById[gridId] ? userId : gridOwners.get(gridId);
+  if (!ownerId) {
+    const g = await Grid.findOne({ _id: gridId }).select("userId").lean().catch(() => null);
+    if (!g) return null;
+    ownerId = String(g.userId);
+  }
+  gridOwners.set(gridId, ownerId);
+
+  if (!userCacheReady(ownerId)) await loadUserIntoCache(ownerId);
+  const grid = ensureUserCache(ownerId).gridsById[gridId];
+  const role = getGridRole(grid, userId);
+  if (!role) return null;
+  return { gridId, ownerId, role, grid };
+}
+
+export function forgetGridOwner(gridId) {
+  gridOwners.delete(gridId);
+}
+
+/**
+ * A shared grid as it appears in a member's grid list
+ */
+export function toSharedGrid(grid, userId) {
+  return {
+    id: grid._id.toString(),
+    name: grid.name,
+    createdAt: grid.createdAt,
+    shared: true,
+    ownerId: String(grid.userId),
+    role: getGridRole(grid, userId),
+  };
+}
+
+/**
+ * Grids other accounts have shared with a user, in grid-list shape
+ */
+export async function getSharedGridsForUser(userId) {
+  const grids = await Grid.find({ "members.userId": String(userId) }).sort({ createdAt: 1 }).lean();
+  return grids.map((g) => toSharedGrid(g, userId));
+}
@@ -0,0 +1,279 @@
+// utils/gridBundle.js
+// Portable grid bundles: one JSON document holding a grid and everything in it,
+// including uploaded artifact files (base64). Used for backups and for moving
+// grids between accounts or servers.
+//
+// Import gives every entity a fresh ID and rewrites every reference to it
+// (occurrence targets, field keys in occurrence.fields, block trees, doc pills,
+// view/manifest links...). Bundles can therefore be imported next to the
+// original, or into the same account twice, without collisions.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import mongoose from "mongoose";
+import { nanoid } from "nanoid";
+import Grid from "../models/Grid.js";
+import Panel from "../models/Panel.js";
+import Container from "../models/Container.js";
+import Instance from "../models/Instance.js";
+import Occurrence from "../models/Occurrence.js";
+import Field from "../models/Field.js";
+import View from "../models/View.js";
+import Manifest from "../models/Manifest.js";
+import Folder from "../models/Folder.js";
+import Doc from "../models/Doc.js";
+import Operation from "../models/Operation.js";
+import Iteration from "../models/Iteration.js";
+import Artifact from "../models/Artifact.js";
+import { getOccurrencesForGrid } from "./occurrenceHelpers.js";
+
+export const BUNDLE_FORMAT = "moduli.grid-bundle";
+export const BUNDLE_VERSION = 1;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const uploadsDir = path.join(__dirname, "..", "uploads");
+
+// Bundle key -> model + user cache map
+const COLLECTIONS = {
+  panels: { Model: Panel, cacheKey: "panelsById" },
+  containers: { Model: Container, cacheKey: "containersById" },
+  instances: { Model: Instance, cacheKey: "instancesById" },
+  occurrences: { Model: Occurrence, cacheKey: "occurrencesById" },
+  fields: { Model: Field, cacheKey: "fieldsById" },
+  views: { Model: View, cacheKey: "viewsById" },
+  manifests: { Model: Manifest, cacheKey: "manifestsById" },
+  folders: { Model: Folder, cacheKey: "foldersById" },
+  docs: { Model: Doc, cacheKey: "docsById" },
+  operations: { Model: Operation, cacheKey: "operationsById" },
+  iterations: { Model: Iteration, cacheKey: "iterationsById" },
+  artifacts: { Model: Artifact, cacheKey: "artifactsById" },
+};
+
+// Server-owned keys that never travel in a bundle
+const INTERNAL_KEYS = ["_id", "__v", "userId"];
+
+function stripInternal(entity) {
+  const rest = { ...(entity || {}) };
+  for (const key of INTERNAL_KEYS) delete rest[key];
+  return rest;
+}
+
+// Grid keys that are about the account, not the grid's content: sharing
+// would leak other accounts' ids and emails, and an import would stay
+// shared with them
+const GRID_ACCOUNT_KEYS = ["members"];
+
+function stripGrid(grid) {
+  const rest = stripInternal(grid);
+  for (const key of GRID_ACCOUNT_KEYS) delete rest[key];
+  return rest;
+}
+
+function ofGrid(uc, cacheKey, gridId) {
+  return Object.values(uc[cacheKey] || {}).filter(e => e.gridId === gridId);
+}
+
+function localUploadPath(artifact) {
+  if (artifact.storageType !== "local" || !artifact.storagePath?.startsWith("/uploads/")) return null;
+  const file = path.join(uploadsDir, path.basename(artifact.storagePath));
+  return fs.existsSync(file) ? file : null;
+}
+
+/**
+ * Selects the cached entities that belong to a grid, keyed like a bundle
+ * (panels, containers, occurrences, fields, docs...)
+ * @param {Object} uc - User cache
+ * @param {string} gridId - Grid ID
+ * @returns {Object} { [bundleKey]: entity[] }
+ */
+export function collectGridEntities(uc, gridId) {
+  const grid = uc.gridsById[gridId];
+  const occurrences = getOccurrencesForGrid(gridId, uc);
+  const targetsOf = (type) => new Set(occurrences.filter(o => o.targetType === type).map(o => o.targetId));
+
+  // Panels/containers/instances are user-scoped; they belong to the grid through its occurrences
+  const panelIds = targetsOf("panel");
+  const containerIds = targetsOf("container");
+  const instanceIds = targetsOf("instance");
+  ofGrid(uc, "panelsById", gridId).forEach(p => panelIds.add(p.id));
+  ofGrid(uc, "containersById", gridId).forEach(c => containerIds.add(c.id));
+  (grid?.templates || []).forEach(t => (t.items || []).forEach(item => {
+    if (item.instanceId) instanceIds.add(item.instanceId);
+  }));
+
+  const pick = (cacheKey, ids) => [...ids].map(id => uc[cacheKey][id]).filter(Boolean);
+
+  const entities = {
+    panels: pick("panelsById", panelIds),
+    containers: pick("containersById", containerIds),
+    instances: pick("instancesById", instanceIds),
+    occurrences,
+  };
+  // Everything else is grid-scoped
+  for (const [key, { cacheKey }] of Object.entries(COLLECTIONS)) {
+    if (!entities[key]) entities[key] = ofGrid(uc, cacheKey, gridId);
+  }
+  return entities;
+}
+
+/**
+ * Collects a grid and everything that belongs to it into a bundle
+ * @param {Object} params - Parameters
+ * @param {Object} params.uc - User cache
+ * @param {string} params.gridId - Grid ID
+ * @param {boolean} [params.includeFiles=true] - Embed uploaded artifact files
+ * @returns {Object} Bundle
+ */
+export function exportGridBundle({ uc, gridId, includeFiles = true }) {
+  const grid = uc.gridsById[gridId];
+  if (!grid) throw new Error("Grid not found");
+
+  const entities = collectGridEntities(uc, gridId);
+  const files = [];
+  if (includeFiles) {
+    for (const artifact of entities.artifacts) {
+      const file = localUploadPath(artifact);
+      if (!file) continue;
+      files.push({
+        artifactId: artifact.id,
+        name: path.basename(file),
+        mimeType: artifact.mimeType,
+        data: fs.readFileSync(file).toString("base64"),
+      });
+    }
+  }
+
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    grid: { ...stripGrid(grid), id: gridId },
+  };
+  for (const key of Object.keys(COLLECTIONS)) {
+    bundle[key] = entities[key].map(stripInternal);
+  }
+  bundle.files = files;
+  return bundle;
+}
+
+/**
+ * Deep-copies a value, replacing every string equal to an old ID (and every
+ * object key equal to one) with its new ID
+ */
+function remapIds(value, idMap) {
+  if (typeof value === "string") return idMap.get(value) ?? value;
+  if (Array.isArray(value)) return value.map(v => remapIds(v, idMap));
+  if (value instanceof Date || value?._bsontype) return value;
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      out[idMap.get(key) ?? key] = remapIds(v, idMap);
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Throws if the bundle isn't one we can read
+ */
+export function validateBundle(bundle) {
+  if (!bundle || typeof bundle !== "object") throw new Error("Bundle must be a JSON object");
+  if (bundle.format !== BUNDLE_FORMAT) throw new Error(`Not a grid bundle (format: ${bundle.format ?? "missing"})`);
+  if (bundle.version > BUNDLE_VERSION) throw new Error(`Bundle version ${bundle.version} is newer than this server supports`);
+  if (!bundle.grid?.id) throw new Error("Bundle has no grid");
+}
+
+/**
+ * Creates a new grid for the user from a bundle. All IDs are regenerated.
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - User ID
+ * @param {Object} params.bundle - Bundle (see exportGridBundle)
+ * @param {string} [params.name] - Name for the new grid (defaults to the bundled name)
+ * @returns {Object} { grid, counts }
+ */
+export async function importGridBundle({ userId, bundle, name }) {
+  validateBundle(bundle);
+
+  // ---- build the old -> new ID map
+  const idMap = new Map();
+  const newGridId = new mongoose.Types.ObjectId().toString();
+  idMap.set(bundle.grid.id, newGridId);
+
+  for (const key of Object.keys(COLLECTIONS)) {
+    for (const entity of bundle[key] || []) {
+      if (entity?.id && !idMap.has(entity.id)) idMap.set(entity.id, nanoid(12));
+    }
+  }
+  // Copylink groups are shared by several occurrences; give the copy its own groups
+  for (const occ of bundle.occurrences || []) {
+    if (occ.linkedGroupId && !idMap.has(occ.linkedGroupId)) idMap.set(occ.linkedGroupId, nanoid(12));
+  }
+
+  // ---- restore artifact files under new names
+  const storagePaths = new Map();
+  const writtenFiles = [];
+  for (const file of bundle.files || []) {
+    if (!file?.artifactId || typeof file.data !== "string") continue;
+    const ext = path.extname(file.name || "");
+    const filename = `${Date.now()}-${Math.random().toString(36).slice(2)}${ext}`;
+    const target = path.join(uploadsDir, filename);
+    fs.mkdirSync(uploadsDir, { recursive: true });
+    fs.writeFileSync(target, Buffer.from(file.data, "base64"));
+    writtenFiles.push(target);
+    storagePaths.set(file.artifactId, `/uploads/${filename}`);
+  }
+
+  const inserted = [];
+  try {
+    const gridData = remapIds(stripGrid(bundle.grid), idMap);
+    delete gridData.id;
+    delete gridData.createdAt;
+    delete gridData.updatedAt;
+    const grid = await Grid.create({
+      ...gridData,
+      _id: newGridId,
+      userId,
+      name: name || gridData.name || "Imported grid",
+      // A copy starts unshared, whatever an older bundle carried
+      members: [],
+    });
+    inserted.push({ Model: Grid, ids: [newGridId], byMongoId: true });
+
+    const counts = {};
+    for (const [key, { Model }] of Object.entries(COLLECTIONS)) {
+      const docs = (bundle[key] || [])
+        .filter(entity => entity?.id)
+        .map(entity => {
+          const doc = { ...remapIds(stripInternal(entity), idMap), userId };
+          delete doc.createdAt;
+          delete doc.updatedAt;
+          if (key === "artifacts") {
+            const restored = storagePaths.get(entity.id);
+            if (restored) doc.storagePath = restored;
+          }
+          if (key === "operations") {
+            // Scheduler status belongs to the original
+            Object.assign(doc, { lastRunAt: null, nextRunAt: null, lastError: null, lastResult: null });
+          }
+          return doc;
+        });
+      if (docs.length > 0) {
+        await Model.insertMany(docs);
+        inserted.push({ Model, ids: docs.map(d => d.id) });
+      }
+      counts[key] = docs.length;
+    }
+    counts.files = storagePaths.size;
+
+    return { grid: grid.toObject(), counts };
+  } catch (err) {
+    // Best-effort rollback so a failed import leaves nothing half-created
+    for (const { Model, ids, byMongoId } of inserted) {
+      await Model.deleteMany(byMongoId ? { _id: { $in: ids } } : { id: { $in: ids }, userId }).catch(() => {});
+    }
+    writtenFiles.forEach(file => fs.promises.unlink(file).catch(() => {}));
+    throw err;
+  }
+}
@@ -0,0 +1,260 @@
+// utils/ics.js
+// Minimal iCalendar (RFC 5545) reading and writing for VEVENTs.
+// Reading handles line unfolding, property parameters, escaped text, DATE
+// values (calendar dates, starting at midnight in the importing user's zone),
+// DATE-TIME values (UTC "Z", wall time in their TZID, or floating wall time
+// in the importing user's zone) and DURATION. Recurrence rules are kept as raw strings.
+// Writing produces folded CRLF lines with UTC DATE-TIMEs and all-day DATEs.
+
+import { addCalendarDays, atTimeOfDay, isValidTimeZone, startOfCalendarDate } from "../../shared/calculations.js";
+
+/**
+ * Unfolds continuation lines and splits into content lines
+ */
+function unfold(text) {
+  return String(text || "")
+    .replace(/\r\n/g, "\n")
+    .replace(/\n[ \t]/g, "")
+    .split("\n")
+    .filter(Boolean);
+}
+
+/**
+ * Parses "NAME;PARAM=x;PARAM2=y:value" into { name, params, value }
+ */
+function parseLine(line) {
+  // The value starts at the first ":" that isn't inside a quoted parameter
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (ch === ":" && !inQuotes) { colon = i; break; }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(";");
+  const params = {};
+  for (const p of rawParams) {
+    const eq = p.indexOf("=");
+    if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+export function unescapeText(value) {
+  return String(value || "")
+    .replace(/\\n/gi, "\n")
+    .replace(/\\([,;\\])/g, "$1");
+}
+
+/**
+ * Parses a DATE or DATE-TIME value
+ * @param {string} value - Property value
+ * @param {Object} [params] - Property parameters (TZID: the wall time's zone)
+ * @param {string} [timeZone] - Importing user's zone, for DATEs and floating
+ *   or unknown-zone times (default: the server's)
+ * @returns {Object|null} { date, allDay, day } (day: "YYYY-MM-DD" of a DATE)
+ */
+export function parseIcsDate(value, params = {}, timeZone) {
+  const m = String(value || "").match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s, z] = m;
+
+  if (h === undefined || params.VALUE === "DATE") {
+    const day = `${y}-${mo}-${d}`;
+    return { date: startOfCalendarDate(day, timeZone), allDay: true, day };
+  }
+  if (z) {
+    return { date: new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s || 0))), allDay: false };
+  }
+  // TZIDs this runtime doesn't know (e.g. Windows zone names) read as floating
+  const zone = isValidTimeZone(params.TZID) ? params.TZID : timeZone;
+  const wall = atTimeOfDay(`${y}-${mo}-${d}`, Number(h) * 60 + Number(mi), zone);
+  return { date: new Date(wall.getTime() + Number(s || 0) * 1000), allDay: false };
+}
+
+/**
+ * Parses an ISO 8601 duration (P1DT2H30M, PT45M, P1W...) into minutes
+ */
+export function parseIcsDuration(value) {
+  const m = String(value || "").match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return null;
+  const [, sign, w, d, h, mi, s] = m;
+  const minutes = (Number(w || 0) * 7 * 24 * 60) + (Number(d || 0) * 24 * 60) + (Number(h || 0) * 60) + Number(mi || 0) + Math.round(Number(s || 0) / 60);
+  return sign === "-" ? -minutes : minutes;
+}
+
+/**
+ * Reads every VEVENT from an iCalendar document
+ * @param {string} text - .ics file contents
+ * @param {string} [timeZone] - Importing user's zone (default: the server's)
+ * @returns {Array} [{ uid, summary, description, location, start, end, allDay, day, durationMinutes, status, rrule, recurrenceId }]
+ *   (day: an all-day event's first date, "YYYY-MM-DD")
+ */
+export function parseIcsEvents(text, timeZone) {
+  const events = [];
+  let current = null;
+  let depth = 0; // nested components inside a VEVENT (VALARM) are skipped
+
+  for (const line of unfold(text)) {
+    const prop = parseLine(line);
+    if (!prop) continue;
+
+    if (prop.name === "BEGIN") {
+      if (prop.value.toUpperCase() === "VEVENT" && !current) current = { raw: {} };
+      else if (current) depth++;
+      continue;
+    }
+    if (prop.name === "END") {
+      if (current && depth > 0) depth--;
+      else if (current && prop.value.toUpperCase() === "VEVENT") {
+        events.push(current);
+        current = null;
+      }
+      continue;
+    }
+    if (!current || depth > 0) continue;
+
+    switch (prop.name) {
+      case "UID": current.uid = prop.value.trim(); break;
+      case "SUMMARY": current.summary = unescapeText(prop.value); break;
+      case "DESCRIPTION": current.description = unescapeText(prop.value); break;
+      case "LOCATION": current.location = unescapeText(prop.value); break;
+      case "STATUS": current.status = prop.value.toUpperCase(); break;
+      case "RRULE": current.rrule = prop.value; break;
+      case "DTSTART": current.dtstart = parseIcsDate(prop.value, prop.params, timeZone); break;
+      case "DTEND": current.dtend = parseIcsDate(prop.value, prop.params, timeZone); break;
+      case "DURATION": current.duration = parseIcsDuration(prop.value); break;
+      case "RECURRENCE-ID": current.recurrenceId = parseIcsDate(prop.value, prop.params, timeZone)?.date || null; break;
+      default: current.raw[prop.name] = prop.value;
+    }
+  }
+
+  return events
+    .filter(e => e.dtstart)
+    .map(e => {
+      const start = e.dtstart.date;
+      let end = e.dtend?.date || null;
+      if (!end && e.duration != null) end = new Date(start.getTime() + e.duration * 60e3);
+      // All-day events without an end last one day
+      if (!end && e.dtstart.allDay) end = startOfCalendarDate(addCalendarDays(e.dtstart.day, 1), timeZone);
+
+      return {
+        uid: e.uid || null,
+        summary: e.summary || "Untitled event",
+        description: e.description || "",
+        location: e.location || "",
+        start,
+        end,
+        allDay: e.dtstart.allDay,
+        day: e.dtstart.day || null,
+        durationMinutes: end ? Math.max(0, Math.round((end.getTime() - start.getTime()) / 60e3)) : 0,
+        status: e.status || null,
+        rrule: e.rrule || null,
+        recurrenceId: e.recurrenceId || null,
+      };
+    });
+}
+
+// ============================================================
+// WRITING
+// ============================================================
+
+export function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * DATE-TIME in UTC (20260105T150000Z)
+ */
+export function formatIcsDateTime(date) {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+}
+
+/**
+ * DATE in server-local time (20260105), matching how DATE values are read
+ */
+export function formatIcsDate(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+}
+
+/**
+ * Folds a content line at 75 octets (continuation lines start with a space)
+ */
+export function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const ch of line) {
+    const len = Buffer.byteLength(ch, "utf8");
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + len > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += ch;
+    currentBytes += len;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * Builds a VCALENDAR document
+ * @param {Object} params - Parameters
+ * @param {string} params.name - Calendar name (X-WR-CALNAME)
+ * @param {Array} params.events - [{ uid, summary, description, start, end, allDay, status, stamp,
+ *   rrule, exDates, recurrenceId }]; exDates and recurrenceId are Dates, written
+ *   as DATE for all-day events and DATE-TIME otherwise
+ * @returns {string} .ics text
+ */
+export function buildIcsCalendar({ name, events = [] }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Moduli//Calendar Feed//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name || "Moduli")}`,
+  ];
+
+  for (const e of events) {
+    const formatWhen = (date) => (e.allDay ? `;VALUE=DATE:${formatIcsDate(date)}` : `:${formatIcsDateTime(date)}`);
+
+    lines.push("BEGIN:VEVENT");
+    lines.push(`UID:${e.uid}`);
+    lines.push(`DTSTAMP:${formatIcsDateTime(e.stamp || new Date())}`);
+    if (e.recurrenceId) lines.push(`RECURRENCE-ID${formatWhen(e.recurrenceId)}`);
+    if (e.allDay) {
+      lines.push(`DTSTART;VALUE=DATE:${formatIcsDate(e.start)}`);
+      if (e.end) lines.push(`DTEND;VALUE=DATE:${formatIcsDate(e.end)}`);
+    } else {
+      lines.push(`DTSTART:${formatIcsDateTime(e.start)}`);
+      if (e.end) lines.push(`DTEND:${formatIcsDateTime(e.end)}`);
+    }
+    if (e.rrule) lines.push(`RRULE:${e.rrule}`);
+    for (const exDate of e.exDates || []) lines.push(`EXDATE${formatWhen(exDate)}`);
+    lines.push(`SUMMARY:${escapeText(e.summary)}`);
+    if (e.description) lines.push(`DESCRIPTION:${escapeText(e.description)}`);
+    if (e.location) lines.push(`LOCATION:${escapeText(e.location)}`);
+    if (e.status) lines.push(`STATUS:${e.status}`);
+    if (e.categories?.length) lines.push(`CATEGORIES:${e.categories.map(escapeText).join(",")}`);
+    lines.push("END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
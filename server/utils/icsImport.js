@@ -0,0 +1,192 @@
+// utils/icsImport.js
+// Imports iCalendar VEVENTs into a container as time-iterated occurrences.
+//
+// Each event becomes an instance (label = SUMMARY) with one occurrence on the
+// event's day (iteration.timeValue, timeFilter "daily", mode "specific").
+// DTSTART/DTEND become minutes in a duration field, and timed events get
+// their slot (iteration.startTime/endTime) in the owner's zone. The event's UID is kept
+// in occurrence.meta.ics, so importing the same calendar again updates the
+// existing occurrences instead of duplicating them.
+
+import { nanoid } from "nanoid";
+import Field from "../models/Field.js";
+import Instance from "../models/Instance.js";
+import { getOccurrencesForGrid } from "./occurrenceHelpers.js";
+import { applyOccurrenceUpdate, createInstanceOccurrenceInContainer } from "./occurrenceWrites.js";
+import { parseIcsEvents } from "./ics.js";
+import { getTimeOfDay, toCalendarDate } from "../../shared/calculations.js";
+
+const DEFAULT_DURATION_FIELD_NAME = "Duration";
+
+// Overridden instances of a recurring event share the master's UID
+function eventKey(event) {
+  return event.recurrenceId ? `${event.uid}::${event.recurrenceId.toISOString()}` : event.uid;
+}
+
+function icsMeta(event) {
+  return {
+    uid: event.uid,
+    key: eventKey(event),
+    start: event.start,
+    end: event.end,
+    allDay: event.allDay,
+    description: event.description,
+    location: event.location,
+    status: event.status,
+    rrule: event.rrule,
+  };
+}
+
+function eventIteration(event, timeZone) {
+  const iteration = { key: "time", value: event.start, timeValue: event.start, timeFilter: "daily", mode: "specific" };
+  // An all-day event keeps the date it was written for
+  if (event.allDay) return { ...iteration, date: event.day, timeZone, startTime: null, endTime: null, duration: null };
+  if (!timeZone) return { ...iteration, startTime: null, endTime: null, duration: null };
+
+  // Events running past midnight end the slot at 24:00
+  const day = toCalendarDate(event.start, timeZone);
+  const endsSameDay = event.end && toCalendarDate(event.end, timeZone) === day;
+  return {
+    ...iteration,
+    date: day,
+    timeZone,
+    startTime: getTimeOfDay(event.start, timeZone),
+    endTime: !event.end ? null : endsSameDay ? getTimeOfDay(event.end, timeZone) : "24:00",
+    duration: null,
+  };
+}
+
+/**
+ * Finds the duration field to write into, creating a "Duration" field on the
+ * grid when none is given or found
+ * @returns {Object} { field, created }
+ */
+async function resolveDurationField({ userId, uc, gridId, durationFieldId }) {
+  if (durationFieldId) {
+    const field = uc.fieldsById[durationFieldId];
+    if (!field || field.gridId !== gridId) throw new Error(`Unknown field: ${durationFieldId}`);
+    return { field, created: false };
+  }
+
+  const existing = Object.values(uc.fieldsById).find(
+    f => f.gridId === gridId && f.type === "duration" && f.name === DEFAULT_DURATION_FIELD_NAME
+  );
+  if (existing) return { field: existing, created: false };
+
+  const field = {
+    id: nanoid(),
+    userId,
+    gridId,
+    name: DEFAULT_DURATION_FIELD_NAME,
+    type: "duration",
+    mode: "input",
+    triggers: [],
+    display: { role: "input", showLabel: true, order: 0 },
+    meta: {},
+  };
+  uc.fieldsById[field.id] = field;
+  await Field.findOneAndUpdate({ id: field.id, userId }, field, { upsert: true });
+  return { field, created: true };
+}
+
+/**
+ * Imports (or re-imports) the VEVENTs of an .ics file into a container
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - User ID
+ * @param {Object} params.uc - User cache
+ * @param {string} params.gridId - Grid ID
+ * @param {string} params.containerId - Container new events are placed in
+ * @param {string} params.ics - .ics file contents
+ * @param {string} [params.durationFieldId] - Duration field (defaults to a "Duration" field)
+ * @param {Function} [params.emit] - (event, payload) broadcast callback
+ * @returns {Object} { created, updated, unchanged, skipped, durationFieldId }
+ */
+export async function importIcsIntoContainer({ userId, uc, gridId, containerId, ics, durationFieldId, emit = () => {} }) {
+  const events = parseIcsEvents(ics, uc.settings?.timeZone);
+  const summary = { created: 0, updated: 0, unchanged: 0, skipped: 0, durationFieldId: null };
+
+  const { field, created: fieldCreated } = await resolveDurationField({ userId, uc, gridId, durationFieldId });
+  summary.durationFieldId = field.id;
+  if (fieldCreated) emit("field_created", { field });
+
+  // Previously imported occurrences in this grid, by event key
+  const byKey = new Map();
+  for (const occ of getOccurrencesForGrid(gridId, uc)) {
+    if (occ.meta?.ics?.key) byKey.set(occ.meta.ics.key, occ);
+  }
+
+  for (const event of events) {
+    // Without a UID there is nothing to match a re-import against
+    if (!event.uid) event.uid = `${event.summary}@${event.start.toISOString()}`;
+    const key = eventKey(event);
+    const fields = { [field.id]: { value: event.durationMinutes, flow: "in" } };
+    const existing = byKey.get(key);
+
+    if (!existing) {
+      const result = await createInstanceOccurrenceInContainer({
+        userId,
+        uc,
+        gridId,
+        containerId,
+        instance: {
+          label: event.summary,
+          fieldBindings: [{ fieldId: field.id, order: 0, hidden: false }],
+        },
+        fields,
+        iteration: eventIteration(event, uc.settings?.timeZone),
+        meta: { ics: icsMeta(event) },
+      });
+      byKey.set(key, result.occurrence);
+      summary.created++;
+
+      emit("instance_created_in_container", { containerId, instance: result.instance });
+      emit("occurrence_created", { occurrence: result.occurrence });
+      emit("container_updated", { container: result.container });
+      continue;
+    }
+
+    if (existing.targetType !== "instance") {
+      summary.skipped++;
+      continue;
+    }
+
+    let changed = false;
+
+    // Instance label follows SUMMARY
+    const inst = uc.instancesById[existing.targetId];
+    if (inst && inst.label !== event.summary) {
+      const nextInst = { ...inst, label: event.summary };
+      uc.instancesById[inst.id] = nextInst;
+      await Instance.findOneAndUpdate({ id: inst.id, userId }, { $set: { label: event.summary } });
+      emit("instance_updated", { instance: nextInst });
+      changed = true;
+    }
+
+    const prevStart = existing.iteration?.timeValue ? new Date(existing.iteration.timeValue).getTime() : null;
+    const moved = prevStart !== event.start.getTime();
+    const prevDuration = existing.fields?.[field.id]?.value ?? existing.fields?.[field.id];
+    const changedFields = prevDuration === event.durationMinutes ? {} : fields;
+
+    if (moved || Object.keys(changedFields).length > 0 || JSON.stringify(existing.meta?.ics) !== JSON.stringify(icsMeta(event))) {
+      const { occurrence, linked } = await applyOccurrenceUpdate({
+        userId,
+        uc,
+        occurrence: {
+          id: existing.id,
+          fields: { ...(existing.fields || {}), ...changedFields },
+          iteration: { ...(existing.iteration || {}), ...eventIteration(event, uc.settings?.timeZone) },
+          meta: { ...(existing.meta || {}), ics: icsMeta(event) },
+        },
+        changedFields,
+      });
+      emit("occurrence_updated", { occurrence });
+      linked.forEach(l => emit("occurrence_updated", { occurrence: l }));
+      changed = true;
+    }
+
+    if (changed) summary.updated++;
+    else summary.unchanged++;
+  }
+
+  return summary;
+}
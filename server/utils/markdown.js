@@ -0,0 +1,423 @@
+// utils/markdown.js
+// Markdown (CommonMark + Obsidian flavour) → Tiptap JSON for the doc editor.
+//
+// Blocks: headings (levels past 3 clamp to 3), paragraphs, bullet/ordered
+// lists, task lists, blockquotes, fenced and indented code, horizontal rules.
+// YAML front matter is dropped. Single newlines inside a paragraph become hard
+// breaks, the way Obsidian displays them.
+//
+// Inline: bold, italic, strike, code, links, images, [[wiki links]] and
+// ![[embeds]]. The caller resolves links and images, so this module never
+// touches the database:
+//   resolveLink(target)  → { targetId, label } or null (left as literal text)
+//   resolveImage(src)    → { src, artifactId } or null
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+const HEADING = /^ {0,3}(#{1,6})(?:\s+|$)(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}>/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(?: +|$)(.*)$/;
+const TASK = /^\[([ xX])\](?:\s+|$)(.*)$/;
+
+function indentOf(line) {
+  return line.match(/^ */)[0].length;
+}
+
+function isBlank(line) {
+  return line.trim() === "";
+}
+
+// A line that starts a block of its own and therefore ends a paragraph
+function startsBlock(line) {
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+}
+
+function paragraph(content) {
+  return content.length > 0 ? { type: "paragraph", content } : { type: "paragraph" };
+}
+
+// ============================================================
+// INLINE
+// ============================================================
+
+function textNode(text, marks) {
+  return marks.length > 0 ? { type: "text", text, marks } : { type: "text", text };
+}
+
+function addMark(marks, mark) {
+  return marks.some(m => m.type === mark.type) ? marks : [...marks, mark];
+}
+
+/**
+ * Finds the closing delimiter, skipping escapes and code spans. Single-char
+ * delimiters don't match inside a doubled run ("*" won't close on "**").
+ */
+function findClosing(text, delim, from) {
+  for (let i = from; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "\\") {
+      i++;
+      continue;
+    }
+    if (ch === "`" && delim !== "`") {
+      const end = text.indexOf("`", i + 1);
+      if (end > 0) i = end;
+      continue;
+    }
+    if (!text.startsWith(delim, i)) continue;
+    if (delim.length === 1 && (text[i + 1] === delim || text[i - 1] === delim)) {
+      i++;
+      continue;
+    }
+    if (i > from && !/\s/.test(text[i - 1])) return i;
+  }
+  return -1;
+}
+
+// [label](href "title") starting at the "[" — returns { label, href, end } or null
+function parseLinkAt(text, start) {
+  let depth = 0;
+  let close = -1;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === "\\") i++;
+    else if (text[i] === "[") depth++;
+    else if (text[i] === "]" && --depth === 0) {
+      close = i;
+      break;
+    }
+  }
+  if (close < 0 || text[close + 1] !== "(") return null;
+  const rest = text.slice(close + 2);
+  const m = rest.match(/^\s*(<[^>]*>|[^\s)]*)(?:\s+["'(][^)]*["')])?\s*\)/);
+  if (!m) return null;
+  return {
+    label: text.slice(start + 1, close),
+    href: m[1].replace(/^<|>$/g, ""),
+    end: close + 2 + m[0].length,
+  };
+}
+
+const EMPHASIS = [
+  { delim: "**", mark: { type: "bold" } },
+  { delim: "__", mark: { type: "bold" }, wordBound: true },
+  { delim: "~~", mark: { type: "strike" } },
+  // Obsidian highlight; there's no highlight mark in the editor, so keep the text
+  { delim: "==", mark: null },
+  { delim: "*", mark: { type: "italic" } },
+  { delim: "_", mark: { type: "italic" }, wordBound: true },
+];
+
+/**
+ * Parses inline Markdown into Tiptap inline nodes
+ */
+export function parseInline(text, ctx, marks = []) {
+  const nodes = [];
+  let buffer = "";
+  const flush = () => {
+    if (buffer) nodes.push(textNode(buffer, marks));
+    buffer = "";
+  };
+
+  for (let i = 0; i < text.length; ) {
+    const ch = text[i];
+
+    if (ch === "\\" && /[!-/:-@[-`{-~]/.test(text[i + 1] || "")) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (ch === "`") {
+      const run = text.slice(i).match(/^`+/)[0];
+      const end = text.indexOf(run, i + run.length);
+      if (end > 0) {
+        flush();
+        nodes.push(textNode(text.slice(i + run.length, end).trim() || " ", addMark(marks, { type: "code" })));
+        i = end + run.length;
+        continue;
+      }
+    }
+
+    // ![[embed]] and [[wiki link]]
+    const wiki = text.slice(i).match(/^(!?)\[\[([^\]\n]+)\]\]/);
+    if (wiki) {
+      const [whole, bang, inner] = wiki;
+      const [target, alias] = inner.split("|");
+      if (bang) {
+        const image = ctx.resolveImage?.(target.trim());
+        if (image) {
+          flush();
+          nodes.push({ type: "image", attrs: { src: image.src, alt: alias && !/^\d+(x\d+)?$/.test(alias) ? alias : "", artifactId: image.artifactId || null } });
+          i += whole.length;
+          continue;
+        }
+      }
+      const link = ctx.resolveLink?.(target.trim());
+      if (link) {
+        flush();
+        nodes.push({ type: "docLink", attrs: { targetId: link.targetId, label: (alias || link.label).trim(), linkType: "doc" } });
+        i += whole.length;
+        continue;
+      }
+      buffer += whole;
+      i += whole.length;
+      continue;
+    }
+
+    if (ch === "!" && text[i + 1] === "[") {
+      const link = parseLinkAt(text, i + 1);
+      if (link) {
+        const image = ctx.resolveImage?.(link.href) || (/^https?:\/\//.test(link.href) ? { src: link.href } : null);
+        flush();
+        if (image) nodes.push({ type: "image", attrs: { src: image.src, alt: link.label, artifactId: image.artifactId || null } });
+        else buffer += link.label;
+        i = link.end;
+        continue;
+      }
+    }
+
+    if (ch === "[") {
+      const link = parseLinkAt(text, i);
+      if (link) {
+        flush();
+        const isExternal = /^[a-z][a-z0-9+.-]*:/i.test(link.href) || link.href.startsWith("#");
+        const docLink = isExternal ? null : ctx.resolveLink?.(link.href);
+        if (docLink) {
+          nodes.push({ type: "docLink", attrs: { targetId: docLink.targetId, label: link.label || docLink.label, linkType: "doc" } });
+        } else {
+          nodes.push(...parseInline(link.label, ctx, addMark(marks, { type: "link", attrs: { href: link.href } })));
+        }
+        i = link.end;
+        continue;
+      }
+    }
+
+    if (ch === "<") {
+      const auto = text.slice(i).match(/^<(https?:\/\/[^\s>]+)>/);
+      if (auto) {
+        flush();
+        nodes.push(textNode(auto[1], addMark(marks, { type: "link", attrs: { href: auto[1] } })));
+        i += auto[0].length;
+        continue;
+      }
+    }
+
+    const emphasis = EMPHASIS.find(e => text.startsWith(e.delim, i));
+    if (emphasis && !/\s/.test(text[i + emphasis.delim.length] || " ") && !(emphasis.wordBound && /\w/.test(text[i - 1] || ""))) {
+      const start = i + emphasis.delim.length;
+      const end = findClosing(text, emphasis.delim, start);
+      if (end > 0 && !(emphasis.wordBound && /\w/.test(text[end + emphasis.delim.length] || ""))) {
+        flush();
+        const inner = text.slice(start, end);
+        nodes.push(...parseInline(inner, ctx, emphasis.mark ? addMark(marks, emphasis.mark) : marks));
+        i = end + emphasis.delim.length;
+        continue;
+      }
+    }
+
+    buffer += ch;
+    i++;
+  }
+
+  flush();
+  return nodes;
+}
+
+// Paragraph lines → inline nodes with hard breaks between lines
+function parseParagraph(lines, ctx) {
+  const content = [];
+  lines.forEach((line, i) => {
+    if (i > 0) content.push({ type: "hardBreak" });
+    content.push(...parseInline(line.trim(), ctx));
+  });
+  return paragraph(content);
+}
+
+// ============================================================
+// BLOCKS
+// ============================================================
+
+/**
+ * Collects one list (consecutive items of the same kind at the same indent)
+ * @returns {Object} { node, next }
+ */
+function parseList(lines, start, ctx) {
+  const first = lines[start].match(LIST_ITEM);
+  const baseIndent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const isTask = !ordered && TASK.test(first[3]);
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const m = lines[i].match(LIST_ITEM);
+    if (!m || m[1].length > baseIndent + 1 || m[1].length < baseIndent) break;
+    if (/\d/.test(m[2]) !== ordered || (!ordered && TASK.test(m[3]) !== isTask)) break;
+
+    // Continuation lines are dedented by the marker width, so nested lists parse as blocks
+    const contentIndent = m[1].length + m[2].length + 1;
+    const task = isTask ? m[3].match(TASK) : null;
+    const body = [task ? task[2] : m[3]];
+    i++;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      if (isBlank(line)) {
+        let ahead = i + 1;
+        while (ahead < lines.length && isBlank(lines[ahead])) ahead++;
+        if (ahead < lines.length && indentOf(lines[ahead]) >= contentIndent) {
+          body.push("");
+          i++;
+          continue;
+        }
+        break;
+      }
+      const indent = indentOf(line);
+      if (indent >= baseIndent + 2) body.push(line.slice(Math.min(indent, contentIndent)));
+      else if (!startsBlock(line) && !isBlank(body[body.length - 1])) body.push(line.trim());
+      else break;
+      i++;
+    }
+
+    const content = parseBlocks(body, ctx);
+    if (content[0]?.type !== "paragraph") content.unshift(paragraph([]));
+    items.push(
+      isTask
+        ? { type: "taskItem", attrs: { checked: task[1] !== " " }, content }
+        : { type: "listItem", content }
+    );
+
+    // Blank lines between items keep the list going
+    let ahead = i;
+    while (ahead < lines.length && isBlank(lines[ahead])) ahead++;
+    const sibling = lines[ahead]?.match(LIST_ITEM);
+    if (ahead > i && !(sibling && sibling[1].length >= baseIndent && sibling[1].length <= baseIndent + 1)) break;
+    i = ahead;
+  }
+
+  let node;
+  if (isTask) node = { type: "taskList", content: items };
+  else if (ordered) node = { type: "orderedList", attrs: { start: parseInt(first[2], 10) }, content: items };
+  else node = { type: "bulletList", content: items };
+  return { node, next: i };
+}
+
+/**
+ * Parses lines into Tiptap block nodes
+ */
+export function parseBlocks(lines, ctx) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code = [];
+      const indent = indentOf(line);
+      i++;
+      while (i < lines.length && !new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`).test(lines[i])) {
+        code.push(lines[i].slice(Math.min(indent, indentOf(lines[i]))));
+        i++;
+      }
+      i++;
+      const text = code.join("\n");
+      blocks.push({
+        type: "codeBlock",
+        attrs: { language: fence[2] || null },
+        ...(text && { content: [{ type: "text", text }] }),
+      });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      const content = parseInline(heading[2], ctx);
+      blocks.push({ type: "heading", attrs: { level: Math.min(heading[1].length, 3) }, ...(content.length && { content }) });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: "horizontalRule" });
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && !isBlank(lines[i]) && (QUOTE.test(lines[i]) || !startsBlock(lines[i]))) {
+        quoted.push(lines[i].replace(/^ {0,3}> ?/, ""));
+        i++;
+      }
+      const content = parseBlocks(quoted, ctx);
+      blocks.push({ type: "blockquote", content: content.length ? content : [paragraph([])] });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const { node, next } = parseList(lines, i, ctx);
+      blocks.push(node);
+      i = next;
+      continue;
+    }
+
+    // Indented code (4+ spaces) outside of lists
+    if (indentOf(line) >= 4) {
+      const code = [];
+      while (i < lines.length && (indentOf(lines[i]) >= 4 || isBlank(lines[i]))) {
+        code.push(lines[i].slice(4));
+        i++;
+      }
+      while (code.length && isBlank(code[code.length - 1])) code.pop();
+      blocks.push({ type: "codeBlock", attrs: { language: null }, content: [{ type: "text", text: code.join("\n") }] });
+      continue;
+    }
+
+    const para = [line];
+    i++;
+    while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i])) {
+      para.push(lines[i]);
+      i++;
+    }
+    // Setext headings: a paragraph underlined with === or ---
+    const underline = para.length > 1 && para[para.length - 1].match(/^ {0,3}(=+|-+)\s*$/);
+    if (underline) {
+      para.pop();
+      blocks.push({ type: "heading", attrs: { level: underline[1][0] === "=" ? 1 : 2 }, content: parseInline(para.join(" ").trim(), ctx) });
+    } else {
+      blocks.push(parseParagraph(para, ctx));
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Strips a leading YAML front matter block
+ * @returns {Object} { body, frontMatter } (frontMatter is the raw YAML text or null)
+ */
+export function splitFrontMatter(markdown) {
+  const m = markdown.match(/^---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)\s*(?:\r?\n|$)/);
+  return m ? { body: markdown.slice(m[0].length), frontMatter: m[1] } : { body: markdown, frontMatter: null };
+}
+
+/**
+ * Converts Markdown text to a Tiptap document
+ * @param {string} markdown - Markdown source
+ * @param {Object} [ctx] - { resolveLink(target), resolveImage(src) }
+ * @returns {Object} Tiptap JSON ({ type: "doc", content })
+ */
+export function markdownToTiptap(markdown, ctx = {}) {
+  const { body } = splitFrontMatter(String(markdown || "").replace(/^\uFEFF/, ""));
+  // Tabs count as four columns for indentation
+  const lines = body.replace(/\r\n?/g, "\n").split("\n").map(line => line.replace(/^\t+/, tabs => "    ".repeat(tabs.length)));
+  const content = parseBlocks(lines, ctx);
+  return { type: "doc", content: content.length ? content : [paragraph([])] };
+}
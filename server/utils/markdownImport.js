@@ -0,0 +1,241 @@
+// utils/markdownImport.js
+// Imports a folder of Markdown notes (a zip, e.g. an Obsidian vault, or a
+// single .md file) into a Manifest's folder tree.
+//
+// - Every directory becomes a Folder under the target folder.
+// - Every .md file becomes a Doc plus its doc occurrence (content lives on
+//   the occurrence, like docs created in the editor).
+// - Every other file becomes an Artifact stored in /uploads, so embedded
+//   images and attachments keep working.
+// - [[wiki links]] and relative links to .md files become docLink nodes.
+//   They resolve against the imported notes first (by path, then by name,
+//   as Obsidian does), then against docs already in the grid.
+//
+// Hidden files and folders (.obsidian, .trash, .DS_Store) and __MACOSX are skipped.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { nanoid } from "nanoid";
+import Folder from "../models/Folder.js";
+import Doc from "../models/Doc.js";
+import Artifact from "../models/Artifact.js";
+import Occurrence from "../models/Occurrence.js";
+import { createOccurrenceData } from "./occurrenceHelpers.js";
+import { getArtifactType, mimeTypeFromName } from "./artifacts.js";
+import { markdownToTiptap } from "./markdown.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const uploadsDir = path.join(__dirname, "..", "uploads");
+
+const MARKDOWN_EXTENSIONS = [".md", ".markdown"];
+
+function isMarkdown(filePath) {
+  return MARKDOWN_EXTENSIONS.includes(path.posix.extname(filePath).toLowerCase());
+}
+
+function isSkipped(filePath) {
+  return filePath.split("/").some(part => part.startsWith(".") || part === "__MACOSX" || part === "");
+}
+
+function stripMarkdownExtension(filePath) {
+  return isMarkdown(filePath) ? filePath.slice(0, -path.posix.extname(filePath).length) : filePath;
+}
+
+function safeDecode(s) {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return s;
+  }
+}
+
+// Resolves a link target relative to the linking note's directory (vault-relative result)
+function relativeTo(dir, target) {
+  const joined = target.startsWith("/") ? target.slice(1) : path.posix.join(dir, target);
+  return path.posix.normalize(joined).replace(/^(\.\.\/)+/, "");
+}
+
+/**
+ * Imports Markdown files into a folder
+ *
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - User ID
+ * @param {Object} params.uc - User cache
+ * @param {string} params.gridId - Grid ID
+ * @param {string} params.folderId - Folder the tree is created under
+ * @param {Array} params.files - [{ path, data: Buffer }] with "/"-separated paths
+ * @param {Function} [params.emit] - (event, payload) broadcast callback
+ * @returns {Object} { counts: { folders, docs, artifacts }, unresolvedLinks }
+ */
+export async function importMarkdownFiles({ userId, uc, gridId, folderId, files, emit = () => {} }) {
+  const entries = files.filter(f => !isSkipped(f.path));
+  const notes = entries.filter(f => isMarkdown(f.path));
+  const attachments = entries.filter(f => !isMarkdown(f.path));
+  if (notes.length === 0) throw new Error("No Markdown files found");
+
+  // ---- folders, one per directory (parents before children)
+  const folderIds = new Map([["", folderId]]);
+  const folders = [];
+  const dirs = [...new Set(entries.flatMap(f => {
+    const parts = f.path.split("/").slice(0, -1);
+    return parts.map((_, i) => parts.slice(0, i + 1).join("/"));
+  }))].sort();
+  for (const dir of dirs) {
+    const id = nanoid();
+    folderIds.set(dir, id);
+    folders.push({
+      id,
+      userId,
+      gridId,
+      parentId: folderIds.get(path.posix.dirname(dir) === "." ? "" : path.posix.dirname(dir)),
+      name: path.posix.basename(dir),
+      sortOrder: folders.length,
+      folderType: "normal",
+    });
+  }
+  const folderOf = (filePath) => folderIds.get(path.posix.dirname(filePath) === "." ? "" : path.posix.dirname(filePath));
+
+  // ---- attachments → artifacts (files written under new names)
+  const writtenFiles = [];
+  const artifacts = [];
+  const artifactsByPath = new Map();
+  const artifactsByName = new Map();
+  fs.mkdirSync(uploadsDir, { recursive: true });
+  for (const file of attachments) {
+    const name = path.posix.basename(file.path);
+    const filename = `${Date.now()}-${Math.random().toString(36).slice(2)}${path.extname(name)}`;
+    const target = path.join(uploadsDir, filename);
+    fs.writeFileSync(target, file.data);
+    writtenFiles.push(target);
+
+    const mimeType = mimeTypeFromName(name);
+    const artifact = {
+      id: nanoid(),
+      userId,
+      gridId,
+      folderId: folderOf(file.path),
+      name,
+      artifactType: getArtifactType(mimeType),
+      mimeType,
+      extension: path.extname(name).replace(".", "").toLowerCase(),
+      size: file.data.length,
+      storageType: "local",
+      storagePath: `/uploads/${filename}`,
+      sortOrder: artifacts.length,
+      meta: { import: { source: "markdown", path: file.path } },
+    };
+    artifacts.push(artifact);
+    artifactsByPath.set(file.path.toLowerCase(), artifact);
+    if (!artifactsByName.has(name.toLowerCase())) artifactsByName.set(name.toLowerCase(), artifact);
+  }
+
+  // ---- notes → docs; ids are assigned up front so links can point forward
+  const docsByPath = new Map();
+  const docsByName = new Map();
+  const planned = notes.map((file, i) => {
+    const notePath = stripMarkdownExtension(file.path);
+    const doc = {
+      id: nanoid(),
+      userId,
+      gridId,
+      folderId: folderOf(file.path),
+      title: path.posix.basename(notePath),
+      docType: "normal",
+      sortOrder: i,
+      meta: { import: { source: "markdown", path: file.path } },
+    };
+    docsByPath.set(notePath.toLowerCase(), doc);
+    if (!docsByName.has(doc.title.toLowerCase())) docsByName.set(doc.title.toLowerCase(), doc);
+    return { file, doc };
+  });
+
+  const existingByTitle = new Map();
+  for (const doc of Object.values(uc.docsById || {})) {
+    if (doc.gridId === gridId && !doc.isDeleted && doc.title) existingByTitle.set(doc.title.toLowerCase(), doc);
+  }
+
+  const unresolvedLinks = new Set();
+  const docs = [];
+  const occurrences = [];
+  for (const { file, doc } of planned) {
+    const dir = path.posix.dirname(file.path) === "." ? "" : path.posix.dirname(file.path);
+    const content = markdownToTiptap(file.data.toString("utf8"), {
+      resolveLink: (raw) => {
+        const target = stripMarkdownExtension(safeDecode(raw.split("#")[0]).trim());
+        if (!target) return null;
+        const key = target.toLowerCase();
+        const match =
+          (target.includes("/") && (docsByPath.get(relativeTo(dir, target).toLowerCase()) || docsByPath.get(key))) ||
+          docsByName.get(path.posix.basename(key)) ||
+          existingByTitle.get(path.posix.basename(key));
+        if (!match) {
+          unresolvedLinks.add(target);
+          return null;
+        }
+        return { targetId: match.id, label: match.title };
+      },
+      resolveImage: (raw) => {
+        const target = safeDecode(raw.split("|")[0]).trim();
+        const key = target.toLowerCase();
+        const artifact =
+          artifactsByPath.get(relativeTo(dir, target).toLowerCase()) ||
+          artifactsByPath.get(key) ||
+          artifactsByName.get(path.posix.basename(key));
+        return artifact ? { src: artifact.storagePath, artifactId: artifact.id } : null;
+      },
+    });
+
+    docs.push({ ...doc, content });
+    occurrences.push({
+      ...createOccurrenceData({
+        id: nanoid(),
+        userId,
+        targetType: "doc",
+        targetId: doc.id,
+        gridId,
+        iteration: { key: "time", mode: "persistent", timeFilter: "daily" },
+        meta: { folderId: doc.folderId },
+      }),
+      docContent: content,
+    });
+  }
+
+  // ---- write everything, or nothing
+  const inserted = [];
+  try {
+    for (const [Model, rows] of [[Folder, folders], [Artifact, artifacts], [Doc, docs], [Occurrence, occurrences]]) {
+      if (rows.length === 0) continue;
+      await Model.insertMany(rows);
+      inserted.push({ Model, ids: rows.map(r => r.id) });
+    }
+  } catch (err) {
+    for (const { Model, ids } of inserted) {
+      await Model.deleteMany({ id: { $in: ids }, userId }).catch(() => {});
+    }
+    writtenFiles.forEach(file => fs.promises.unlink(file).catch(() => {}));
+    throw err;
+  }
+
+  for (const folder of folders) {
+    uc.foldersById[folder.id] = folder;
+    emit("folder_created", { folder });
+  }
+  for (const artifact of artifacts) {
+    uc.artifactsById[artifact.id] = artifact;
+    emit("artifact_created", { artifact });
+  }
+  for (const doc of docs) {
+    uc.docsById[doc.id] = doc;
+    emit("doc_created", { doc });
+  }
+  for (const occurrence of occurrences) {
+    uc.occurrencesById[occurrence.id] = occurrence;
+    emit("occurrence_created", { occurrence });
+  }
+
+  return {
+    counts: { folders: folders.length, docs: docs.length, artifacts: artifacts.length },
+    unresolvedLinks: [...unresolvedLinks].sort(),
+  };
+}
@@ -1,5 +1,7 @@
 // utils/occurrenceHelpers.js
 
+import { stampIterationDate } from "../../shared/calculations.js";
+
 /**
  * Autofills an occurrence with its target entity data
  * @param {Object} occurrence - The occurrence to autofill
@@ -120,6 +122,8 @@ export function autofillContainer(container, uc) {
  * @param {Object} params.placement - Optional placement (for panels)
  * @param {Object} params.fields - Optional fields snapshot
  * @param {Object} params.meta - Optional metadata
+ * @param {string} params.timeZone - Zone of whoever picked the date; when set,
+ *   the iteration gets its calendar date (iteration.date + iteration.timeZone)
  * @returns {Object} Occurrence object
  */
 export function createOccurrenceData(params) {
@@ -134,6 +138,7 @@ export function createOccurrenceData(params) {
     fields = {},
     meta = {},
     linkedGroupId = null,
+    timeZone = null,
   } = params;
 
   return {
@@ -142,7 +147,7 @@ export function createOccurrenceData(params) {
     targetType,
     targetId,
     gridId,
-    iteration,
+    iteration: timeZone ? stampIterationDate(iteration, timeZone) : iteration,
     timestamp: new Date(),
     ...(placement && { placement }),
     fields,
@@ -0,0 +1,171 @@
+// utils/occurrenceMoves.js
+// Turns container list edits into "move" transactions.
+//
+// The client moves an instance with two container updates (the source list
+// without the occurrence, then the destination list with it). Neither update
+// knows about the other, so each side is parked here briefly; when the
+// matching side arrives we record one occurrence_list "move" with full
+// from/to context.
+
+import Container from "../models/Container.js";
+import Occurrence from "../models/Occurrence.js";
+import { recordTransaction } from "./transactions.js";
+
+// How long one side of a move waits for the other
+const PAIR_WINDOW_MS = 5000;
+
+// `${userId}:${occurrenceId}` -> { side: "from" | "to", containerId, index, at }
+const pendingSides = new Map();
+
+/**
+ * Finds the panel a container is placed in (via the panel's container occurrences)
+ * @param {Object} uc - User cache
+ * @param {string} containerId - Container ID
+ * @param {string} gridId - Grid ID
+ * @returns {string|null} Panel ID
+ */
+export function findPanelIdForContainer(uc, containerId, gridId) {
+  for (const panel of Object.values(uc.panelsById || {})) {
+    const hit = (panel.occurrences || []).some(occId => {
+      const occ = uc.occurrencesById[occId];
+      return occ?.targetType === "container" && occ.targetId === containerId && (!gridId || occ.gridId === gridId);
+    });
+    if (hit) return panel.id;
+  }
+  return null;
+}
+
+function takeMatchingSide(key, side) {
+  const pending = pendingSides.get(key);
+  if (!pending) return null;
+  if (Date.now() - pending.at > PAIR_WINDOW_MS) {
+    pendingSides.delete(key);
+    return null;
+  }
+  if (pending.side === side) return null;
+  pendingSides.delete(key);
+  return pending;
+}
+
+async function recordMove({ userId, uc, occurrenceId, from, to }) {
+  const occ = uc.occurrencesById[occurrenceId];
+  if (!occ || from.containerId === to.containerId) return null;
+
+  const gridId = occ.gridId;
+  const fromCtx = {
+    containerId: from.containerId,
+    panelId: findPanelIdForContainer(uc, from.containerId, gridId),
+    gridId,
+    index: from.index,
+    fields: occ.fields || {},
+  };
+  const toCtx = {
+    containerId: to.containerId,
+    panelId: findPanelIdForContainer(uc, to.containerId, gridId),
+    gridId,
+    index: to.index,
+  };
+
+  // Keep meta.containerId pointing at the occurrence's current list
+  const nextOcc = { ...occ, meta: { ...(occ.meta || {}), containerId: to.containerId } };
+  uc.occurrencesById[occurrenceId] = nextOcc;
+  await Occurrence.findOneAndUpdate({ id: occurrenceId, userId }, { $set: { "meta.containerId": to.containerId } });
+
+  return recordTransaction({
+    userId,
+    gridId,
+    operations: [{
+      type: "occurrence_list",
+      occurrenceList: {
+        action: "move",
+        occurrenceId,
+        ...(occ.targetType === "instance" && { instanceId: occ.targetId }),
+        iteration: { key: occ.iteration?.key || "time", value: occ.iteration?.timeValue ?? occ.iteration?.value },
+        from: fromCtx,
+        to: toCtx,
+      },
+    }],
+  });
+}
+
+/**
+ * Diffs a container's occurrence list and records a move for each occurrence
+ * that left one container and landed in another within PAIR_WINDOW_MS.
+ * Reorders inside one container and plain adds/removes are not recorded.
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - User ID
+ * @param {Object} params.uc - User cache
+ * @param {string} params.containerId - Container that changed
+ * @param {Array} params.prevOccurrences - Occurrence IDs before
+ * @param {Array} params.nextOccurrences - Occurrence IDs after
+ * @returns {Array} Recorded transactions
+ */
+export async function trackContainerOccurrenceChanges({ userId, uc, containerId, prevOccurrences = [], nextOccurrences = [] }) {
+  const prevSet = new Set(prevOccurrences);
+  const nextSet = new Set(nextOccurrences);
+  const recorded = [];
+
+  for (const [index, occId] of prevOccurrences.entries()) {
+    if (nextSet.has(occId)) continue;
+    const key = `${userId}:${occId}`;
+    const to = takeMatchingSide(key, "from");
+    if (to) {
+      const tx = await recordMove({ userId, uc, occurrenceId: occId, from: { containerId, index }, to });
+      if (tx) recorded.push(tx);
+    } else {
+      pendingSides.set(key, { side: "from", containerId, index, at: Date.now() });
+    }
+  }
+
+  for (const [index, occId] of nextOccurrences.entries()) {
+    if (prevSet.has(occId)) continue;
+    const key = `${userId}:${occId}`;
+    const from = takeMatchingSide(key, "to");
+    if (from) {
+      const tx = await recordMove({ userId, uc, occurrenceId: occId, from, to: { containerId, index } });
+      if (tx) recorded.push(tx);
+    } else {
+      pendingSides.set(key, { side: "to", containerId, index, at: Date.now() });
+    }
+  }
+
+  // Drop stale halves (e.g. plain deletes) so the map doesn't grow
+  const now = Date.now();
+  for (const [key, pending] of pendingSides) {
+    if (now - pending.at > PAIR_WINDOW_MS) pendingSides.delete(key);
+  }
+
+  return recorded;
+}
+
+/**
+ * Moves an occurrence ID from one container list to another (DB + cache).
+ * Used by undo/redo of "move" operations.
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - User ID
+ * @param {Object} [params.uc] - User cache (optional; undo reloads it afterwards)
+ * @param {string} params.occurrenceId - Occurrence to move
+ * @param {string} params.fromContainerId - Container to remove it from
+ * @param {string} params.toContainerId - Container to insert it into
+ * @param {number} [params.index] - Position in the destination (defaults to end)
+ */
+export async function moveOccurrenceBetweenContainers({ userId, uc, occurrenceId, fromContainerId, toContainerId, index }) {
+  if (fromContainerId) {
+    await Container.updateOne({ id: fromContainerId, userId }, { $pull: { occurrences: occurrenceId } });
+    const cached = uc?.containersById[fromContainerId];
+    if (cached) cached.occurrences = (cached.occurrences || []).filter(id => id !== occurrenceId);
+  }
+
+  if (toContainerId) {
+    const dest = await Container.findOne({ id: toContainerId, userId }).lean();
+    if (dest) {
+      const list = (dest.occurrences || []).filter(id => id !== occurrenceId);
+      const at = Number.isInteger(index) && index >= 0 && index <= list.length ? index : list.length;
+      list.splice(at, 0, occurrenceId);
+      await Container.updateOne({ id: toContainerId, userId }, { $set: { occurrences: list } });
+      const cached = uc?.containersById[toContainerId];
+      if (cached) cached.occurrences = list;
+    }
+    await Occurrence.updateOne({ id: occurrenceId, userId }, { $set: { "meta.containerId": toContainerId } });
+  }
+}
@@ -0,0 +1,78 @@
+// utils/occurrenceWindows.js
+// Windowed loading of a grid's occurrences.
+//
+// Dated instance occurrences pile up one iteration period after another,
+// so full_state only carries the ones in the period the grid is viewing,
+// plus everything that shows in every period (panels, containers,
+// persistent and not-yet-done items; see getOccurrenceWindowDate in
+// shared/calculations.js). The client asks for other periods with
+// load_occurrences as its iteration navigation moves. Grids viewing "all"
+// get everything.
+//
+// Windows travel as { start, end } ISO strings, a half-open range. Periods
+// are the viewer's: they start at midnight in the viewer's time zone and
+// weeks on the grid's weekStart.
+
+import { getIterationWindow, getOccurrenceWindowDate, isOccurrenceInWindow } from "../../shared/calculations.js";
+import { getOccurrencesForGrid } from "./occurrenceHelpers.js";
+
+// Longest range a single load may ask for
+const MAX_WINDOW_MS = 400 * 24 * 60 * 60 * 1000;
+
+/**
+ * Window for the iteration period a grid is viewing
+ * @param {Object} grid - Grid
+ * @param {string} [timeZone] - Viewer's zone (default: the server's)
+ * @returns {Object|null} { start, end }, or null when the grid views "all"
+ */
+export function getGridOccurrenceWindow(grid, timeZone) {
+  const iterations = grid?.iterations || [];
+  const iteration = iterations.find(i => i.id === grid?.selectedIterationId) || iterations[0];
+  const window = getIterationWindow(
+    iteration?.timeFilter || "daily",
+    grid?.currentIterationValue || new Date(),
+    { timeZone: timeZone || undefined, weekStart: grid?.weekStart, periods: grid?.periods }
+  );
+  return window && { start: window.start.toISOString(), end: window.end.toISOString() };
+}
+
+/**
+ * Validates a requested window
+ * @param {Object} window - { start, end } as ISO strings
+ * @returns {Object|null} { start: Date, end: Date }, or null when invalid or too long
+ */
+export function parseOccurrenceWindow({ start, end } = {}) {
+  const from = new Date(start);
+  const to = new Date(end);
+  if (!start || !end || Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) return null;
+  if (to <= from || to - from > MAX_WINDOW_MS) return null;
+  return { start: from, end: to };
+}
+
+/**
+ * The occurrences full_state sends for a window
+ * @param {Array} occurrences - A grid's occurrences
+ * @param {Object|null} window - { start, end }; null keeps them all
+ * @param {string} [timeZone] - Viewer's zone
+ * @returns {Array}
+ */
+export function windowOccurrences(occurrences, window, timeZone) {
+  if (!window) return occurrences;
+  return occurrences.filter(occ => isOccurrenceInWindow(occ, window, timeZone || undefined));
+}
+
+/**
+ * A grid's dated occurrences that fall in a window (what load_occurrences
+ * returns; the always-loaded ones already came with full_state)
+ * @param {string} gridId - Grid ID
+ * @param {Object} uc - Data owner's user cache
+ * @param {Object|null} window - { start: Date, end: Date }; null for all of them
+ * @param {string} [timeZone] - Viewer's zone
+ * @returns {Array}
+ */
+export function getOccurrencesInWindow(gridId, uc, window, timeZone) {
+  return getOccurrencesForGrid(gridId, uc).filter(occ => {
+    const date = getOccurrenceWindowDate(occ, timeZone || undefined);
+    return date && (!window || (date >= window.start && date < window.end));
+  });
+}
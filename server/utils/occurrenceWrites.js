@@ -0,0 +1,144 @@
+// utils/occurrenceWrites.js
+// Occurrence writes shared by the socket handlers and the REST API.
+// These update the user cache + Mongo and record transactions, then return
+// what changed so the caller can broadcast in whatever way fits its transport.
+
+import Occurrence from "../models/Occurrence.js";
+import Instance from "../models/Instance.js";
+import Container from "../models/Container.js";
+import { nanoid } from "nanoid";
+import { createOccurrenceData } from "./occurrenceHelpers.js";
+import { buildMeasureOps, recordTransaction } from "./transactions.js";
+import { stampIterationDate } from "../../shared/calculations.js";
+
+/**
+ * Merges a partial occurrence update, records measure ops for changed fields
+ * and propagates field changes to copylinked occurrences
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - User ID
+ * @param {Object} params.uc - User cache
+ * @param {Object} params.occurrence - Partial occurrence (must include id)
+ * @param {Object} [params.changedFields] - Fields to record/propagate (defaults to occurrence.fields)
+ * @param {Object} [params.trigger] - Optional trigger context for measure ops
+ * @param {Object} [params.meta] - Optional transaction metadata
+ * @param {string} [params.timeZone] - Zone of whoever made the change (default: the owner's),
+ *   used to date a changed iteration
+ * @returns {Object} { occurrence, linked, transaction }
+ */
+export async function applyOccurrenceUpdate({ userId, uc, occurrence, changedFields = occurrence.fields, trigger = null, meta, timeZone }) {
+  const id = occurrence.id;
+  const prev = uc.occurrencesById[id] || {};
+  const next = { ...prev, ...occurrence, id, userId };
+
+  const zone = timeZone || uc.settings?.timeZone;
+  if (occurrence.iteration && zone) next.iteration = stampIterationDate(occurrence.iteration, zone);
+
+  uc.occurrencesById[id] = next;
+
+  // ============================================================
+  // TRANSACTION: Create MeasureOp when fields change
+  // ============================================================
+  const hasFieldChanges = changedFields && Object.keys(changedFields).length > 0;
+  let transaction = null;
+  if (hasFieldChanges) {
+    transaction = await recordTransaction({
+      userId,
+      gridId: next.gridId,
+      operations: buildMeasureOps(next, prev.fields, changedFields, trigger),
+      meta,
+    });
+  }
+
+  await Occurrence.findOneAndUpdate({ id, userId }, next, { upsert: true });
+
+  // COPYLINK: propagate field changes to all linked occurrences
+  const linked = [];
+  if (next.linkedGroupId && hasFieldChanges) {
+    const linkedOccs = Object.values(uc.occurrencesById || {}).filter(
+      o => o.linkedGroupId === next.linkedGroupId && o.id !== id
+    );
+    for (const l of linkedOccs) {
+      const updatedFields = { ...(l.fields || {}), ...changedFields };
+      const updatedLinked = { ...l, fields: updatedFields };
+      uc.occurrencesById[l.id] = updatedLinked;
+      await Occurrence.findOneAndUpdate({ id: l.id, userId }, updatedLinked, { upsert: true });
+      linked.push(updatedLinked);
+    }
+  }
+
+  return { occurrence: next, linked, transaction };
+}
+
+/**
+ * Creates (or reuses) an instance and places a new occurrence of it in a container
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - User ID
+ * @param {Object} params.uc - User cache
+ * @param {string} params.gridId - Grid ID
+ * @param {string} params.containerId - Container to place the occurrence in
+ * @param {Object} params.instance - Instance data ({ id?, label, ... }); existing ids are reused
+ * @param {Object} [params.fields] - Initial field values for the occurrence
+ * @param {Object} [params.iteration] - Iteration context (defaults to today, daily)
+ * @param {number} [params.index] - Position in the container (defaults to end)
+ * @param {Object} [params.meta] - Extra occurrence metadata (merged with { containerId })
+ * @param {Object} [params.transaction] - Extra recordTransaction params ({ timestamp, iteration, meta })
+ * @returns {Object} { instance, occurrence, container, transaction }
+ */
+export async function createInstanceOccurrenceInContainer({
+  userId,
+  uc,
+  gridId,
+  containerId,
+  instance = {},
+  fields = {},
+  iteration,
+  index = null,
+  meta = {},
+  transaction: transactionOptions = {},
+}) {
+  const instanceId = instance.id || nanoid();
+  const prevInst = uc.instancesById[instanceId];
+
+  const nextInst = {
+    ...(prevInst || {}),
+    ...instance,
+    id: instanceId,
+    label: instance.label ?? prevInst?.label ?? "Untitled",
+    userId,
+  };
+  uc.instancesById[instanceId] = nextInst;
+  await Instance.findOneAndUpdate({ id: instanceId, userId }, nextInst, { upsert: true });
+
+  const now = new Date();
+  const occurrence = createOccurrenceData({
+    id: nanoid(),
+    userId,
+    targetType: "instance",
+    targetId: instanceId,
+    gridId,
+    iteration: iteration || { key: "time", value: now, timeValue: now, timeFilter: "daily", mode: "specific" },
+    fields,
+    meta: { ...meta, containerId },
+    timeZone: uc.settings?.timeZone,
+  });
+  uc.occurrencesById[occurrence.id] = occurrence;
+  await Occurrence.findOneAndUpdate({ id: occurrence.id, userId }, occurrence, { upsert: true });
+
+  const prevContainer = uc.containersById[containerId] || { id: containerId, label: "Untitled", occurrences: [] };
+  const occurrences = [...(prevContainer.occurrences || [])];
+  if (index == null || index < 0 || index > occurrences.length) occurrences.push(occurrence.id);
+  else occurrences.splice(index, 0, occurrence.id);
+
+  const container = { ...prevContainer, occurrences };
+  uc.containersById[containerId] = container;
+  await Container.findOneAndUpdate({ id: containerId, userId }, { ...container, userId }, { upsert: true });
+
+  const transaction = await recordTransaction({
+    userId,
+    gridId,
+    operations: buildMeasureOps(occurrence, {}, fields),
+    ...transactionOptions,
+  });
+
+  return { instance: nextInst, occurrence, container, transaction };
+}
@@ -0,0 +1,192 @@
+// utils/operationScheduler.js
+// Runs Operation programs with triggerType "onInterval" on the server.
+//
+// Each enabled interval operation gets one timer. The next run is derived
+// from the persisted lastRunAt, so a restart picks up where it left off
+// (an overdue operation runs right away). A run evaluates the block tree over
+// the grid's occurrences and writes the result into targetFieldId on every
+// occurrence whose instance shows that field, as a "calculation" transaction.
+
+import Operation from "../models/Operation.js";
+import { ensureUserCache, loadUserIntoCache, userCacheReady } from "./userCache.js";
+import { gridAudience } from "./rooms.js";
+import { broadcastTo } from "./broadcast.js";
+import { getOccurrencesForGrid } from "./occurrenceHelpers.js";
+import { applyOccurrenceUpdate } from "./occurrenceWrites.js";
+import { evaluateBlockTree } from "../../shared/blockEvaluator.js";
+
+// Guard against runaway timers from tiny or missing intervals
+const MIN_INTERVAL_MS = 10e3;
+// setTimeout overflows past ~24.8 days; longer waits are chained
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+let ioRef = null;
+
+// operationId -> timeout handle
+const timers = new Map();
+
+// operationIds currently running (a slow run never overlaps itself)
+const running = new Set();
+
+function isSchedulable(op) {
+  return Boolean(op && op.enabled !== false && op.triggerType === "onInterval" && op.intervalMs > 0);
+}
+
+function intervalFor(op) {
+  return Math.max(MIN_INTERVAL_MS, Number(op.intervalMs) || 0);
+}
+
+function msUntilDue(op) {
+  const lastRun = op.lastRunAt ? new Date(op.lastRunAt).getTime() : 0;
+  return Math.max(0, lastRun + intervalFor(op) - Date.now());
+}
+
+/**
+ * Public status fields for an operation (what the UI and API show)
+ */
+export function toOperationStatus(op) {
+  return {
+    id: op.id,
+    name: op.name,
+    gridId: op.gridId,
+    targetFieldId: op.targetFieldId,
+    triggerType: op.triggerType,
+    intervalMs: op.intervalMs,
+    enabled: op.enabled !== false,
+    lastRunAt: op.lastRunAt || null,
+    nextRunAt: op.nextRunAt || null,
+    lastError: op.lastError || null,
+    lastResult: op.lastResult ?? null,
+  };
+}
+
+async function saveStatus(userId, operationId, status) {
+  await Operation.updateOne({ id: operationId, userId }, { $set: status });
+
+  if (!userCacheReady(userId)) return;
+  const uc = ensureUserCache(userId);
+  const cached = uc.operationsById?.[operationId];
+  if (!cached) return;
+  const next = { ...cached, ...status };
+  uc.operationsById[operationId] = next;
+  broadcastTo(ioRef, gridAudience(userId, next.gridId), "operation_updated", { operation: next });
+}
+
+/**
+ * Evaluates an operation and writes its result into the target field
+ * @param {Object} op - Operation (plain object)
+ * @returns {Object} { value, updated, error }
+ */
+export async function runOperation(op) {
+  const { userId, gridId } = op;
+  if (running.has(op.id)) return { value: null, updated: 0, error: "Already running" };
+  running.add(op.id);
+
+  let value = null;
+  let updated = 0;
+  let error = null;
+
+  try {
+    if (!userCacheReady(userId)) await loadUserIntoCache(userId);
+    const uc = ensureUserCache(userId);
+
+    if (!op.blockTree) throw new Error("Operation has no block tree");
+    if (!op.targetFieldId) throw new Error("Operation has no target field");
+    if (!uc.fieldsById[op.targetFieldId]) throw new Error(`Target field ${op.targetFieldId} not found`);
+
+    const occurrences = getOccurrencesForGrid(gridId, uc);
+    const result = evaluateBlockTree(op.blockTree, { occurrences, fieldsById: uc.fieldsById });
+    if (result.errors.length > 0) throw new Error(result.errors[0].message);
+    value = result.value;
+
+    const targets = occurrences.filter(occ => {
+      if (occ.targetType !== "instance") return false;
+      const inst = uc.instancesById[occ.targetId];
+      return (inst?.fieldBindings || []).some(b => b.fieldId === op.targetFieldId);
+    });
+
+    const trigger = { type: "calculation", triggerId: op.id };
+    for (const occ of targets) {
+      const current = occ.fields?.[op.targetFieldId];
+      if ((current?.value ?? current ?? null) === value) continue;
+
+      const changedFields = { [op.targetFieldId]: { value, flow: "replace" } };
+      const { occurrence, linked } = await applyOccurrenceUpdate({
+        userId,
+        uc,
+        occurrence: { id: occ.id, fields: { ...(occ.fields || {}), ...changedFields } },
+        changedFields,
+        trigger,
+      });
+      updated++;
+
+      const rooms = gridAudience(userId, occurrence.gridId);
+      broadcastTo(ioRef, rooms, "occurrence_updated", { occurrence });
+      for (const l of linked) {
+        broadcastTo(ioRef, rooms, "occurrence_updated", { occurrence: l });
+      }
+    }
+  } catch (err) {
+    console.error(`operation ${op.id} run error:`, err);
+    error = err.message || String(err);
+  } finally {
+    running.delete(op.id);
+  }
+
+  const lastRunAt = new Date();
+  await saveStatus(userId, op.id, {
+    lastRunAt,
+    lastError: error,
+    lastResult: value,
+    nextRunAt: isSchedulable(op) ? new Date(lastRunAt.getTime() + intervalFor(op)) : null,
+  }).catch(err => console.error(`operation ${op.id} status save error:`, err));
+
+  return { value, updated, error };
+}
+
+/**
+ * Stops the timer for an operation (if any)
+ */
+export function unscheduleOperation(operationId) {
+  const handle = timers.get(operationId);
+  if (handle) clearTimeout(handle);
+  timers.delete(operationId);
+}
+
+/**
+ * (Re)schedules an operation from its lastRunAt. Non-interval or disabled
+ * operations are unscheduled.
+ * @param {Object} op - Operation (plain object)
+ */
+export function scheduleOperation(op) {
+  if (!op?.id) return;
+  unscheduleOperation(op.id);
+  if (!isSchedulable(op)) return;
+
+  const handle = setTimeout(async () => {
+    timers.delete(op.id);
+    // Re-read so edits made through other paths (REST, manual runs) apply
+    const latest = await Operation.findOne({ id: op.id, userId: op.userId }).lean().catch(() => null);
+    if (!isSchedulable(latest)) return;
+    if (msUntilDue(latest) > 0) return scheduleOperation(latest);
+    await runOperation(latest);
+    const after = await Operation.findOne({ id: op.id, userId: op.userId }).lean().catch(() => null);
+    scheduleOperation(after || latest);
+  }, Math.min(msUntilDue(op), MAX_TIMEOUT_MS));
+  timers.set(op.id, handle);
+}
+
+/**
+ * Loads every enabled onInterval operation and schedules it
+ * @param {Object} io - Socket.io server (for broadcasts)
+ */
+export async function startOperationScheduler(io) {
+  ioRef = io;
+  try {
+    const ops = await Operation.find({ triggerType: "onInterval", enabled: true }).lean();
+    ops.forEach(scheduleOperation);
+    console.log(`⏱️  Operation scheduler started (${timers.size} scheduled)`);
+  } catch (err) {
+    console.error("operation scheduler start error:", err);
+  }
+}
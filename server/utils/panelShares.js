@@ -0,0 +1,392 @@
+// utils/panelShares.js
+// Public read-only links to one panel (see models/PanelShare.js).
+//
+// Viewers connect to the "/public" socket namespace with
+// auth: { shareToken }. They get a full_state holding only what the panel
+// renders (its containers, their items, the fields those items bind, and
+// the docs / files its view shows) and may only ask for it again. Derived
+// fields can aggregate beyond the panel, so their values are computed here
+// (get_derived_value, for fields and items on the panel) instead of
+// sending the occurrences they read. The one write a share can allow is
+// ticking boolean fields on the panel's items (allowToggles, sent as the
+// regular update_occurrence); every other event is refused.
+//
+// Live updates: any broadcast to the owner's user room (every grid write
+// reaches it through broadcastTo, see utils/broadcast.js) schedules a
+// refresh of that owner's watched shares. Snapshots are rebuilt after a
+// short debounce and only sent when they changed; otherwise viewers are
+// told to ask for their derived values again (derived_values_stale).
+
+import crypto from "crypto";
+import PanelShare from "../models/PanelShare.js";
+import { ensureUserCache, loadUserIntoCache, userCacheReady } from "./userCache.js";
+import { collectGridEntities } from "./gridBundle.js";
+import { applyOccurrenceUpdate } from "./occurrenceWrites.js";
+import { getDerivedValue, parseIterationDate } from "./derivedValues.js";
+import { gridAudience, shareRoom } from "./rooms.js";
+import { broadcastTo } from "./broadcast.js";
+
+export const PUBLIC_NAMESPACE = "/public";
+
+const REFRESH_DEBOUNCE_MS = 500;
+
+// The grid settings a viewer needs to render the panel: its name, iteration
+// and category selection, and the calendar (week start, custom periods).
+// Nothing about the account (userId, members) or other panels.
+const PUBLIC_GRID_KEYS = [
+  "_id",
+  "name",
+  "iterations",
+  "selectedIterationId",
+  "currentIterationValue",
+  "categoryDimensions",
+  "selectedCategoryId",
+  "currentCategoryValue",
+  "weekStart",
+  "periods",
+];
+
+// View types whose content lives in a manifest's folders instead of containers
+const MANIFEST_VIEW_TYPES = ["notebook", "artifact-viewer", "file-manager", "doc-viewer"];
+
+let ioRef = null;
+let publicNs = null;
+
+// shareId -> { share, lastJson } for shares with at least one viewer
+const watched = new Map();
+const pendingOwners = new Set();
+let refreshTimer = null;
+
+export function generatePanelShareToken() {
+  return "pnl_" + crypto.randomBytes(24).toString("base64url");
+}
+
+// Folder ids in the subtree under rootId (inclusive)
+function folderSubtree(folders, rootId) {
+  const ids = new Set([rootId]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const folder of folders) {
+      if (!ids.has(folder.id) && ids.has(folder.parentId)) {
+        ids.add(folder.id);
+        grew = true;
+      }
+    }
+  }
+  return ids;
+}
+
+/**
+ * Builds the full_state a share's viewers receive
+ * @param {Object} uc - Data owner's user cache
+ * @param {Object} share - PanelShare
+ * @returns {Object|null} full_state payload, or null when the panel is gone
+ */
+export function buildPanelSnapshot(uc, share) {
+  const grid = uc.gridsById[share.gridId];
+  const panel = uc.panelsById[share.panelId];
+  if (!grid || !panel || panel.isDeleted) return null;
+
+  const entities = collectGridEntities(uc, share.gridId);
+  const occurrencesById = new Map(entities.occurrences.map(o => [o.id, o]));
+  const occurrenceIds = new Set();
+  const addOccurrence = (occ) => occ && occurrenceIds.add(occ.id);
+
+  // The panel's own placement on the grid
+  entities.occurrences
+    .filter(o => o.targetType === "panel" && o.targetId === panel.id)
+    .forEach(addOccurrence);
+
+  // Containers, then the instances in them
+  const containers = [];
+  const instanceIds = new Set();
+  for (const occId of panel.occurrences || []) {
+    const occ = occurrencesById.get(occId);
+    const container = occ?.targetType === "container" ? uc.containersById[occ.targetId] : null;
+    if (!container) continue;
+    addOccurrence(occ);
+    containers.push(container);
+    for (const itemOccId of container.occurrences || []) {
+      const itemOcc = occurrencesById.get(itemOccId);
+      if (!itemOcc) continue;
+      addOccurrence(itemOcc);
+      instanceIds.add(itemOcc.targetId);
+    }
+  }
+
+  const instances = [...instanceIds].map(id => uc.instancesById[id]).filter(Boolean);
+  const boundFieldIds = new Set(instances.flatMap(inst => (inst.fieldBindings || []).map(b => b.fieldId)));
+
+  // Notebook / file views: the manifest's folders, docs and files
+  const view = panel.viewId ? uc.viewsById[panel.viewId] : null;
+  const showsFiles = MANIFEST_VIEW_TYPES.includes(view?.viewType) || (!view && ["notebook", "artifact"].includes(panel.kind));
+  let manifests = [];
+  let folders = [];
+  let docs = [];
+  let artifacts = [];
+  if (showsFiles) {
+    const manifest = view?.manifestId ? uc.manifestsById[view.manifestId] : null;
+    const folderIds = manifest?.rootFolderId ? folderSubtree(entities.folders, manifest.rootFolderId) : null;
+    const inTree = (e) => !folderIds || folderIds.has(e.folderId) || e.id === view?.activeDocId;
+
+    manifests = manifest ? [manifest] : [];
+    folders = folderIds ? entities.folders.filter(f => folderIds.has(f.id)) : entities.folders;
+    docs = entities.docs.filter(inTree);
+    artifacts = entities.artifacts.filter(inTree);
+
+    const docIds = new Set(docs.map(d => d.id));
+    entities.occurrences.filter(o => o.targetType === "doc" && docIds.has(o.targetId)).forEach(addOccurrence);
+  }
+
+  const publicGrid = Object.fromEntries(
+    PUBLIC_GRID_KEYS.filter(key => grid[key] !== undefined).map(key => [key, grid[key]])
+  );
+
+  return {
+    gridId: share.gridId,
+    grid: publicGrid,
+    panels: [panel],
+    containers,
+    instances,
+    occurrences: entities.occurrences.filter(o => occurrenceIds.has(o.id)),
+    fields: entities.fields.filter(f => boundFieldIds.has(f.id)),
+    manifests,
+    views: view ? [view] : [],
+    docs,
+    folders,
+    artifacts,
+    grids: [],
+    access: { role: "viewer", panelId: panel.id, shareName: share.name || "", allowToggles: Boolean(share.allowToggles) },
+  };
+}
+
+async function snapshotFor(share) {
+  if (!userCacheReady(share.userId)) await loadUserIntoCache(share.userId);
+  return buildPanelSnapshot(ensureUserCache(share.userId), share);
+}
+
+// Sends the snapshot to a share's viewers (or one socket) when it changed
+async function pushSnapshot(shareId, socket = null) {
+  const entry = watched.get(shareId);
+  if (!entry) return;
+
+  const snapshot = await snapshotFor(entry.share);
+  if (!snapshot) {
+    closePanelShare(shareId, "This panel is no longer available");
+    return;
+  }
+
+  const json = JSON.stringify(snapshot);
+  if (socket) {
+    socket.emit("full_state", snapshot);
+  } else if (json !== entry.lastJson) {
+    publicNs.to(shareRoom(shareId)).emit("full_state", snapshot);
+  } else {
+    // Something outside the panel changed, which derived fields may read
+    publicNs.to(shareRoom(shareId)).emit("derived_values_stale");
+  }
+  entry.lastJson = json;
+}
+
+function rawValue(fieldValue) {
+  return fieldValue !== null && typeof fieldValue === "object" ? fieldValue.value : fieldValue;
+}
+
+/**
+ * Applies a viewer's checkbox change to an item on the shared panel
+ * @param {Object} share - PanelShare (with allowToggles)
+ * @param {Object} occurrence - { id, fields } as sent by the client
+ * @returns {string|null} Why the change was refused, or null
+ */
+async function applyShareToggle(share, occurrence) {
+  if (!userCacheReady(share.userId)) await loadUserIntoCache(share.userId);
+  const uc = ensureUserCache(share.userId);
+  const snapshot = buildPanelSnapshot(uc, share);
+  if (!snapshot) return "This panel is no longer available";
+
+  // Only items placed in the panel's containers
+  const panelItems = new Set(snapshot.containers.flatMap(c => c.occurrences || []));
+  const prev = uc.occurrencesById[occurrence?.id];
+  if (!prev || prev.targetType !== "instance" || !panelItems.has(prev.id)) return "That item isn't on this panel";
+
+  const changedFields = {};
+  for (const [fieldId, value] of Object.entries(occurrence.fields || {})) {
+    if (JSON.stringify(value) === JSON.stringify(prev.fields?.[fieldId])) continue;
+    const field = uc.fieldsById[fieldId];
+    if (field?.type !== "boolean" || field.mode === "derived" || typeof rawValue(value) !== "boolean") {
+      return "Only checkboxes can be changed on this link";
+    }
+    changedFields[fieldId] = value;
+  }
+  if (Object.keys(changedFields).length === 0) return null;
+
+  const { occurrence: next, linked } = await applyOccurrenceUpdate({
+    userId: share.userId,
+    uc,
+    occurrence: { id: prev.id, fields: { ...(prev.fields || {}), ...changedFields } },
+    changedFields,
+    meta: { panelShareId: share.id },
+  });
+
+  const rooms = gridAudience(share.userId, share.gridId);
+  for (const updated of [next, ...linked]) {
+    broadcastTo(ioRef, rooms, "occurrence_updated", { occurrence: updated });
+  }
+  return null;
+}
+
+/**
+ * A derived field's value for a viewer, as the owner's grid shows it
+ * @param {Object} share - PanelShare
+ * @param {Object} payload - get_derived_value payload (fieldId, date,
+ *   iterationId, categoryKey, categoryValue, containerId, instanceId)
+ * @returns {Object} { result } or { refused } with the reason
+ */
+async function getShareDerivedValue(share, payload) {
+  const { fieldId, date, iterationId, categoryKey, categoryValue, containerId, instanceId } = payload;
+  if (!userCacheReady(share.userId)) await loadUserIntoCache(share.userId);
+  const uc = ensureUserCache(share.userId);
+  const snapshot = buildPanelSnapshot(uc, share);
+  if (!snapshot) return { refused: "This panel is no longer available" };
+
+  // Only fields and items the panel shows
+  const field = snapshot.fields.find(f => f.id === fieldId);
+  if (field?.mode !== "derived") return { refused: "That field isn't on this panel" };
+  if (containerId && !snapshot.containers.some(c => c.id === containerId)) return { refused: "That item isn't on this panel" };
+  if (instanceId && !snapshot.instances.some(i => i.id === instanceId)) return { refused: "That item isn't on this panel" };
+
+  const iterationDate = parseIterationDate(date);
+  if (date && !iterationDate) return { refused: "Invalid date" };
+
+  const result = await getDerivedValue({
+    userId: share.userId,
+    uc,
+    gridId: share.gridId,
+    field,
+    date: iterationDate,
+    iterationId,
+    categoryKey,
+    categoryValue,
+    context: { panelId: share.panelId, containerId, instanceId },
+  });
+  return { result };
+}
+
+/**
+ * Rebuilds the owner's watched shares after a short debounce (broadcastTo
+ * calls this for every write that reaches the owner's user room)
+ */
+export function schedulePanelShareRefresh(ownerId) {
+  if (watched.size === 0) return;
+  pendingOwners.add(ownerId);
+  if (refreshTimer) return;
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    const owners = new Set(pendingOwners);
+    pendingOwners.clear();
+    for (const [shareId, { share }] of watched) {
+      if (!owners.has(share.userId)) continue;
+      pushSnapshot(shareId).catch(err => console.error("panel share refresh error:", err));
+    }
+  }, REFRESH_DEBOUNCE_MS);
+}
+
+/**
+ * Picks up a changed share (name, allowToggles) for its open viewers
+ */
+export function refreshPanelShare(share) {
+  const entry = watched.get(share.id);
+  if (!entry) return;
+  entry.share = share;
+  entry.lastJson = null;
+  pushSnapshot(share.id).catch(err => console.error("panel share refresh error:", err));
+}
+
+/**
+ * Disconnects everyone viewing a share (after revoking it, or when its
+ * panel is gone)
+ */
+export function closePanelShare(shareId, reason = "This link has been revoked") {
+  watched.delete(shareId);
+  if (!publicNs) return;
+  publicNs.to(shareRoom(shareId)).emit("share_closed", { reason });
+  publicNs.in(shareRoom(shareId)).disconnectSockets(true);
+}
+
+/**
+ * Opens the /public namespace
+ * @param {Object} io - Socket.io server
+ */
+export function startPanelShares(io) {
+  ioRef = io;
+  publicNs = io.of(PUBLIC_NAMESPACE);
+
+  publicNs.use(async (socket, next) => {
+    try {
+      const token = socket.handshake.auth?.shareToken;
+      const share = token ? await PanelShare.findOne({ token, revokedAt: null }).lean() : null;
+      if (!share) return next(new Error("INVALID_SHARE"));
+      socket.data.share = share;
+      next();
+    } catch (err) {
+      console.error("panel share auth error:", err);
+      next(new Error("INVALID_SHARE"));
+    }
+  });
+
+  publicNs.on("connection", (socket) => {
+    const share = socket.data.share;
+    socket.join(shareRoom(share.id));
+    if (!watched.has(share.id)) watched.set(share.id, { share, lastJson: null });
+
+    // Read-only: the snapshot and derived values are the only things a
+    // viewer may ask for, plus checkbox changes when the share allows them
+    socket.use(([event], next) => {
+      if (event === "request_full_state" || event === "get_derived_value") return next();
+      if (event === "update_occurrence" && watched.get(share.id)?.share.allowToggles) return next();
+      socket.emit("server_error", "This link is read-only");
+    });
+
+    socket.on("request_full_state", () => {
+      pushSnapshot(share.id, socket).catch(err => {
+        console.error("panel share snapshot error:", err);
+        socket.emit("server_error", "Failed to load panel");
+      });
+    });
+
+    socket.on("get_derived_value", async (payload = {}) => {
+      try {
+        const { result, refused } = await getShareDerivedValue(watched.get(share.id)?.share || share, payload);
+        if (refused) return socket.emit("server_error", refused);
+        socket.emit("derived_value", { ...result, requestId: payload.requestId });
+      } catch (err) {
+        console.error("panel share derived value error:", err);
+        socket.emit("server_error", "Failed to calculate field value");
+      }
+    });
+
+    socket.on("update_occurrence", async ({ occurrence } = {}) => {
+      try {
+        const entry = watched.get(share.id);
+        if (!entry?.share.allowToggles) return socket.emit("server_error", "This link is read-only");
+        const refused = await applyShareToggle(entry.share, occurrence);
+        if (refused) socket.emit("server_error", refused);
+      } catch (err) {
+        console.error("panel share toggle error:", err);
+        socket.emit("server_error", "Failed to update item");
+      }
+    });
+
+    socket.on("disconnect", () => {
+      if (publicNs.adapter.rooms.get(shareRoom(share.id))?.size) return;
+      watched.delete(share.id);
+    });
+
+    PanelShare.updateOne({ id: share.id }, { $set: { lastViewedAt: new Date() } }).catch(() => {});
+    pushSnapshot(share.id, socket).catch(err => {
+      console.error("panel share snapshot error:", err);
+      socket.emit("server_error", "Failed to load panel");
+    });
+  });
+}
@@ -0,0 +1,30 @@
+// utils/rooms.js
+// Socket.io room names. Every write broadcasts to userRoom (through
+// utils/broadcast.js) so all of a user's windows stay in sync. gridRoom holds every socket viewing a grid,
+// including other accounts the grid is shared with.
+
+export function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+// The user a userRoom belongs to, or null for any other room
+export function userIdOfRoom(room) {
+  return String(room).startsWith("user:") ? String(room).slice("user:".length) : null;
+}
+
+export function gridRoom(gridId) {
+  return `grid:${gridId}`;
+}
+
+/**
+ * Rooms that hear about a write to a grid's data: the owner's windows
+ * (whatever grid they show) plus every member viewing the grid
+ */
+export function gridAudience(ownerId, gridId) {
+  return gridId ? [userRoom(ownerId), gridRoom(gridId)] : [userRoom(ownerId)];
+}
+
+// Viewers of a public panel link, in the "/public" namespace
+export function shareRoom(shareId) {
+  return `share:${shareId}`;
+}
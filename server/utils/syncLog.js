@@ -0,0 +1,124 @@
+// utils/syncLog.js
+// Change cursor for delta sync.
+//
+// Every broadcast to a user or grid room (all entity writes go through
+// broadcastTo, see utils/broadcast.js) gets a sequence number, is kept for
+// a while per room, and carries { syncCursor } as an extra last argument so
+// clients always know the newest change they've seen. A reconnecting client sends
+// its cursor with request_full_state; when the log still covers it, the
+// server replays the events it missed (sync_delta) instead of sending
+// full_state.
+//
+// Cursors are "<epoch>.<seq>". The epoch changes when the server restarts,
+// which empties the log, so older cursors fall back to full_state.
+
+import crypto from "crypto";
+
+// Entries older than this, or past the per-room cap, are dropped; clients
+// further behind get full_state
+const RETENTION_MS = 15 * 60 * 1000;
+const MAX_ROOM_ENTRIES = 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const SYNCED_ROOM_PREFIXES = ["user:", "grid:"];
+
+const epoch = crypto.randomBytes(4).toString("hex");
+let seq = 0;
+
+// room -> { entries: [{ seq, at, event, json, except }], floor }
+// floor: highest seq dropped from the room, so cursors at or below it can't replay
+const logs = new Map();
+
+export function currentCursor() {
+  return `${epoch}.${seq}`;
+}
+
+function parseCursor(cursor) {
+  const [cursorEpoch, cursorSeq] = String(cursor || "").split(".");
+  const n = Number(cursorSeq);
+  return cursorEpoch === epoch && Number.isInteger(n) && n <= seq ? n : null;
+}
+
+function trim(log, now) {
+  while (
+    log.entries.length > 0 &&
+    (log.entries.length > MAX_ROOM_ENTRIES || now - log.entries[0].at > RETENTION_MS)
+  ) {
+    log.floor = log.entries.shift().seq;
+  }
+}
+
+function append(rooms, entry) {
+  for (const room of rooms) {
+    let log = logs.get(room);
+    if (!log) {
+      // First broadcast to the room since the server started
+      log = { entries: [], floor: 0 };
+      logs.set(room, log);
+    }
+    log.entries.push(entry);
+    trim(log, entry.at);
+  }
+}
+
+/**
+ * Events sent to any of rooms after cursor, oldest first
+ * @param {string} cursor - Client's last cursor
+ * @param {Array<string>} rooms - Rooms the client listens to
+ * @param {Object} [options] - { skipSocketId } leaves out events that
+ *   skipped that socket (its own writes, already applied locally)
+ * @returns {Array|null} [{ event, args }], or null when the log can't cover the cursor
+ */
+export function changesSince(cursor, rooms, { skipSocketId } = {}) {
+  const since = parseCursor(cursor);
+  if (since === null) return null;
+
+  const now = Date.now();
+  const bySeq = new Map();
+  for (const room of rooms) {
+    const log = logs.get(room);
+    // No log yet: nothing was sent to the room since the server started
+    if (!log) continue;
+    trim(log, now);
+    if (log.floor > since) return null;
+    for (const entry of log.entries) {
+      if (entry.seq > since && !bySeq.has(entry.seq)) bySeq.set(entry.seq, entry);
+    }
+  }
+
+  return [...bySeq.values()]
+    .sort((a, b) => a.seq - b.seq)
+    .filter(entry => !(skipSocketId && entry.except.includes(skipSocketId)))
+    .map(entry => ({ event: entry.event, args: JSON.parse(entry.json) }));
+}
+
+/**
+ * Numbers and logs a broadcast (called by broadcastTo, utils/broadcast.js)
+ * @param {Array<string>} rooms - Rooms it is sent to; only user and grid rooms are logged
+ * @param {string} event - Event name
+ * @param {Array} args - Event arguments
+ * @param {Array<string>} except - Socket IDs left out of it
+ * @returns {string} Cursor to send with it
+ */
+export function recordBroadcast(rooms, event, args, except = []) {
+  const synced = rooms.filter(room =>
+    SYNCED_ROOM_PREFIXES.some(prefix => String(room).startsWith(prefix))
+  );
+  if (synced.length > 0) {
+    seq += 1;
+    append(synced, { seq, at: Date.now(), event, json: JSON.stringify(args), except });
+  }
+  return currentCursor();
+}
+
+/**
+ * Starts dropping expired entries
+ */
+export function startSyncLog() {
+  // Emptied logs stay (just their floor) so old cursors still fall back
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const log of logs.values()) trim(log, now);
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref?.();
+}
@@ -0,0 +1,98 @@
+// utils/transactions.js
+// Helpers for writing Transaction records. Used by both the socket handlers
+// and the REST API so every write path leaves the same audit trail.
+
+import { EventEmitter } from "events";
+import Transaction from "../models/Transaction.js";
+import { nanoid } from "nanoid";
+
+// Emits "recorded" (transaction) after every save, and "undone" / "redone"
+// when undo / redo flips a transaction's state. Listeners (webhooks,
+// automations, field aggregates) must not throw — they run after the write
+// has succeeded.
+export const transactionEvents = new EventEmitter();
+
+/**
+ * Builds measure operations for a set of changed occurrence fields
+ * @param {Object} occurrence - The occurrence after the change
+ * @param {Object} prevFields - The occurrence's fields before the change
+ * @param {Object} fields - Changed fields ({ fieldId: { value, flow } } or raw values)
+ * @param {Object} [trigger] - Optional trigger context ({ type, triggerId, ... })
+ * @returns {Array} Array of measure operations
+ */
+export function buildMeasureOps(occurrence, prevFields = {}, fields = {}, trigger = null) {
+  const ops = [];
+  for (const [fieldId, fieldValue] of Object.entries(fields || {})) {
+    const prevFieldVal = prevFields?.[fieldId];
+    // Extract raw values (handle both { value, flow } format and raw values)
+    const newVal = fieldValue?.value ?? fieldValue;
+    const oldVal = prevFieldVal?.value ?? prevFieldVal;
+    const flow = fieldValue?.flow || "in";
+
+    ops.push({
+      type: "measure",
+      measure: {
+        occurrenceId: occurrence.id,
+        ...(occurrence.targetType === "instance" && { instanceId: occurrence.targetId }),
+        ...(occurrence.meta?.containerId && { containerId: occurrence.meta.containerId }),
+        fieldId,
+        value: newVal,
+        previousValue: oldVal,
+        flow,
+        ...(trigger && { trigger }),
+      },
+    });
+  }
+  return ops;
+}
+
+/**
+ * Saves a transaction in the "applied" state
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - User ID
+ * @param {string} params.gridId - Grid ID
+ * @param {Array} params.operations - Operations to record
+ * @param {string} [params.description] - Optional description for history UI
+ * @param {Object} [params.meta] - Optional metadata
+ * @param {Date} [params.timestamp] - When it happened (defaults to now; imports backdate it)
+ * @param {Object} [params.iteration] - Iteration context ({ key, value })
+ * @returns {Object|null} Saved transaction (plain object), or null if no operations
+ */
+export async function recordTransaction(params) {
+  if (!Array.isArray(params.operations) || params.operations.length === 0) return null;
+
+  const tx = new Transaction(transactionData(params));
+  await tx.save();
+
+  const saved = tx.toObject();
+  transactionEvents.emit("recorded", saved);
+  return saved;
+}
+
+/**
+ * Saves many transactions in one write (imports), each in the "applied" state
+ * @param {Array} list - recordTransaction params, one per transaction
+ * @returns {Array} Saved transactions (plain objects); ones without operations are skipped
+ */
+export async function recordTransactions(list) {
+  const docs = list.filter(p => Array.isArray(p.operations) && p.operations.length > 0).map(transactionData);
+  if (docs.length === 0) return [];
+
+  const saved = (await Transaction.insertMany(docs)).map(tx => tx.toObject());
+  saved.forEach(tx => transactionEvents.emit("recorded", tx));
+  return saved;
+}
+
+function transactionData({ userId, gridId, operations, description, meta = {}, timestamp, iteration }) {
+  return {
+    id: nanoid(12),
+    userId,
+    gridId,
+    timestamp: timestamp || new Date(),
+    ...(iteration && { iteration }),
+    operations,
+    state: "applied",
+    ...(description && { description }),
+    meta,
+  };
+}
@@ -0,0 +1,377 @@
+// utils/userCache.js
+// ========================================================
+// Per-user in-memory cache shared by socket handlers and HTTP routes.
+// Everything a user owns is loaded once (loadUserIntoCache) and then
+// mutated in place by whoever writes, so sockets and REST stay in sync.
+//
+// Caches don't live forever: users idle past USER_CACHE_IDLE_MS, and the
+// least recently used ones past USER_CACHE_MAX_USERS, are dropped by a
+// periodic sweep (startUserCacheEviction). Everything is already in
+// Mongo, so dropping a cache only costs a reload on the user's next
+// event; callers check userCacheReady before reading.
+// ========================================================
+
+import Instance from "../models/Instance.js";
+import Container from "../models/Container.js";
+import Panel from "../models/Panel.js";
+import Grid from "../models/Grid.js";
+import Occurrence from "../models/Occurrence.js";
+import Field from "../models/Field.js";
+import Manifest from "../models/Manifest.js";
+import View from "../models/View.js";
+import Doc from "../models/Doc.js";
+import Folder from "../models/Folder.js";
+import Artifact from "../models/Artifact.js";
+import Operation from "../models/Operation.js";
+import Iteration from "../models/Iteration.js";
+import User from "../models/User.js";
+
+// ========================================================
+// CACHE (PER USER)
+// ========================================================
+// cacheByUser[userId] = {
+//   gridsById: { [gridId]: gridObj },
+//   panelsById: { [panelId]: panelObj },             // userId-only
+//   containersById: { [containerId]: containerObj }, // userId-only
+//   instancesById: { [instanceId]: instanceObj },    // userId-only
+//   occurrencesById: { [occurrenceId]: occurrenceObj }, // userId-only
+//   fieldsById: { [fieldId]: fieldObj },            // userId-only
+//   settings: { timeZone },                         // the user's own settings
+// };
+export const cacheByUser = Object.create(null);
+
+// ========================================================
+// EVICTION SETTINGS
+// ========================================================
+const MAX_CACHED_USERS = Number(process.env.USER_CACHE_MAX_USERS) || 200;
+const IDLE_MS = Number(process.env.USER_CACHE_IDLE_MS) || 30 * 60 * 1000;
+const SWEEP_INTERVAL_MS = Number(process.env.USER_CACHE_SWEEP_MS) || 60 * 1000;
+// Never evict a cache touched this recently, so a handler between awaits
+// keeps writing to the live one even when the cap is exceeded
+const MIN_IDLE_MS = 60 * 1000;
+
+// userId -> last time the cache was used
+const lastUsed = new Map();
+// userIds whose cache holds everything from Mongo
+const loaded = new Set();
+// userId -> in-flight load, so concurrent events share one
+const loading = new Map();
+
+const stats = { hits: 0, misses: 0, loads: 0, evictions: { idle: 0, lru: 0 } };
+
+function touch(userId) {
+  lastUsed.set(userId, Date.now());
+}
+
+export function ensureUserCache(userId) {
+  touch(userId);
+  if (!cacheByUser[userId]) {
+    cacheByUser[userId] = {
+      gridsById: {},
+      panelsById: {},
+      containersById: {},
+      instancesById: {},
+      occurrencesById: {},
+      fieldsById: {},
+      manifestsById: {},
+      viewsById: {},
+      docsById: {},
+      foldersById: {},
+      artifactsById: {},
+      operationsById: {},
+      iterationsById: {},
+      settings: { timeZone: null },
+    };
+  }
+  return cacheByUser[userId];
+}
+
+export async function getAllGridsForUser(userId) {
+  const all = await Grid.find({ userId }).sort({ createdAt: 1 }).lean();
+  return all.map((g) => ({
+    id: g._id.toString(),
+    name: g.name,
+    createdAt: g.createdAt,
+  }));
+}
+
+// ========================================================
+// LOAD USER DATA INTO CACHE
+// - grids are per user
+// - panels/containers/instances are userId ONLY (gridId ignored)
+// ========================================================
+export function loadUserIntoCache(userId) {
+  const pending = loading.get(userId);
+  if (pending) return pending;
+
+  const load = loadFromDb(userId)
+    .then((uc) => {
+      loaded.add(userId);
+      stats.loads += 1;
+      return uc;
+    })
+    .finally(() => loading.delete(userId));
+  loading.set(userId, load);
+  return load;
+}
+
+async function loadFromDb(userId) {
+  console.log("\n===============================");
+  console.log("📥 loadUserIntoCache START", { userId });
+  console.log("===============================\n");
+
+  const uc = ensureUserCache(userId);
+
+  const [user, grids, panels, containers, instances, occurrences, fields, manifests, views, docs, folders, artifacts, operations, iterations] = await Promise.all([
+    // Settings are optional; a bad id mustn't stop the load
+    User.findById(userId).select("timeZone").lean().catch(() => null),
+    Grid.find({ userId }).sort({ createdAt: 1 }),
+    Panel.find({ userId }).sort({ createdAt: 1 }),
+    Container.find({ userId }).sort({ createdAt: 1 }),
+    Instance.find({ userId }).sort({ createdAt: 1 }),
+    Occurrence.find({ userId }).sort({ timestamp: -1 }),
+    Field.find({ userId }).sort({ createdAt: 1 }),
+    Manifest.find({ userId }).sort({ createdAt: 1 }),
+    View.find({ userId }).sort({ createdAt: 1 }),
+    Doc.find({ userId }).sort({ createdAt: 1 }),
+    Folder.find({ userId }).sort({ createdAt: 1 }),
+    Artifact.find({ userId }).sort({ createdAt: 1 }),
+    Operation.find({ userId }).sort({ createdAt: 1 }),
+    Iteration.find({ userId }).sort({ createdAt: 1 }),
+  ]);
+
+  // ---- settings
+  uc.settings = { timeZone: user?.timeZone || null };
+
+  // ---- gridsById
+  uc.gridsById = {};
+  grids.forEach((g) => {
+    const obj = g.toObject();
+    const gid = obj._id.toString();
+    uc.gridsById[gid] = obj; // plain object
+  });
+
+  // ---- panelsById (user only)
+  uc.panelsById = {};
+  panels.forEach((p) => {
+    const obj = p.toObject();
+    obj.id = obj.id || obj._id.toString();
+    uc.panelsById[obj.id] = obj;
+  });
+
+  // ---- containersById (user only, reducer shape)
+  uc.containersById = {};
+  containers.forEach((c) => {
+    const obj = c.toObject();
+    const id = obj.id || obj.containerId || obj._id.toString();
+    uc.containersById[id] = {
+      ...obj,
+      id,
+      label: obj.label ?? "Untitled",
+      occurrences: Array.isArray(obj.occurrences) ? obj.occurrences : [],
+    };
+  });
+
+  // ---- instancesById (user only, reducer shape)
+  uc.instancesById = {};
+  instances.forEach((i) => {
+    const obj = i.toObject();
+    const id = obj.id || obj.instanceId || obj._id.toString();
+    uc.instancesById[id] = {
+      ...obj,
+      id, // normalize
+      label: obj.label ?? "Untitled",
+    };
+  });
+
+  // ---- occurrencesById (user only)
+  uc.occurrencesById = {};
+  occurrences.forEach((o) => {
+    const obj = o.toObject();
+    const id = obj.id || obj._id.toString();
+    uc.occurrencesById[id] = {
+      ...obj,
+      id,
+    };
+  });
+
+  // ---- fieldsById (user only)
+  uc.fieldsById = {};
+  fields.forEach((f) => {
+    const obj = f.toObject();
+    const id = obj.id || obj._id.toString();
+    uc.fieldsById[id] = {
+      ...obj,
+      id,
+    };
+  });
+
+  // ---- manifestsById
+  uc.manifestsById = {};
+  manifests.forEach((m) => {
+    const obj = m.toObject();
+    const id = obj.id || obj._id.toString();
+    uc.manifestsById[id] = { ...obj, id };
+  });
+
+  // ---- viewsById
+  uc.viewsById = {};
+  views.forEach((v) => {
+    const obj = v.toObject();
+    const id = obj.id || obj._id.toString();
+    uc.viewsById[id] = { ...obj, id };
+  });
+
+  // ---- docsById
+  uc.docsById = {};
+  docs.forEach((d) => {
+    const obj = d.toObject();
+    const id = obj.id || obj._id.toString();
+    uc.docsById[id] = { ...obj, id };
+  });
+
+  // ---- foldersById
+  uc.foldersById = {};
+  folders.forEach((f) => {
+    const obj = f.toObject();
+    const id = obj.id || obj._id.toString();
+    uc.foldersById[id] = { ...obj, id };
+  });
+
+  // ---- artifactsById
+  uc.artifactsById = {};
+  artifacts.forEach((a) => {
+    const obj = a.toObject();
+    const id = obj.id || obj._id.toString();
+    uc.artifactsById[id] = { ...obj, id };
+  });
+
+  // ---- operationsById
+  uc.operationsById = {};
+  operations.forEach((o) => {
+    const obj = o.toObject();
+    const id = obj.id || obj._id.toString();
+    uc.operationsById[id] = { ...obj, id };
+  });
+
+  // ---- iterationsById
+  uc.iterationsById = {};
+  iterations.forEach((i) => {
+    const obj = i.toObject();
+    const id = obj.id || obj._id.toString();
+    uc.iterationsById[id] = { ...obj, id };
+  });
+
+  console.log("✅ CACHE READY FOR USER:", userId);
+  console.log("   Grids:", Object.keys(uc.gridsById).length);
+  console.log("   Panels:", Object.keys(uc.panelsById).length);
+  console.log("   Containers:", Object.keys(uc.containersById).length);
+  console.log("   Instances:", Object.keys(uc.instancesById).length);
+  console.log("   Occurrences:", Object.keys(uc.occurrencesById).length);
+  console.log("   Fields:", Object.keys(uc.fieldsById).length);
+  console.log("   Manifests:", Object.keys(uc.manifestsById).length);
+  console.log("   Views:", Object.keys(uc.viewsById).length);
+  console.log("   Docs:", Object.keys(uc.docsById).length);
+  console.log("   Folders:", Object.keys(uc.foldersById).length);
+  console.log("   Artifacts:", Object.keys(uc.artifactsById).length);
+  console.log("===============================\n");
+
+  return uc;
+}
+
+/**
+ * A user's time zone from their cache (null when unset or not cached)
+ * @param {string} userId - User ID
+ * @returns {string|null}
+ */
+export function getCachedTimeZone(userId) {
+  return cacheByUser[userId]?.settings?.timeZone || null;
+}
+
+export function userCacheReady(userId) {
+  const ready = loaded.has(userId) && Boolean(cacheByUser[userId]);
+  if (ready) {
+    touch(userId);
+    stats.hits += 1;
+  } else {
+    stats.misses += 1;
+  }
+  return ready;
+}
+
+// ========================================================
+// EVICTION
+// ========================================================
+
+/**
+ * Drops a user's cache; the next event reloads it from Mongo.
+ * Code still holding the old object keeps a consistent (detached) copy.
+ * @param {string} userId - User ID
+ * @returns {boolean} Whether a cache was dropped
+ */
+export function evictUserCache(userId) {
+  if (loading.has(userId) || !cacheByUser[userId]) return false;
+  delete cacheByUser[userId];
+  loaded.delete(userId);
+  lastUsed.delete(userId);
+  return true;
+}
+
+/**
+ * Evicts idle caches, then the least recently used past the cap
+ * @param {number} [now] - Current time (ms)
+ * @returns {number} Caches evicted
+ */
+export function sweepUserCaches(now = Date.now()) {
+  let evicted = 0;
+  const byAge = Object.keys(cacheByUser)
+    .map((userId) => ({ userId, at: lastUsed.get(userId) || 0 }))
+    .sort((a, b) => a.at - b.at);
+
+  let remaining = byAge.length;
+  for (const { userId, at } of byAge) {
+    const idle = now - at;
+    if (idle < MIN_IDLE_MS) break;
+    const reason = idle >= IDLE_MS ? "idle" : remaining > MAX_CACHED_USERS ? "lru" : null;
+    if (!reason) break;
+    if (evictUserCache(userId)) {
+      stats.evictions[reason] += 1;
+      evicted += 1;
+      remaining -= 1;
+    }
+  }
+
+  if (evicted > 0) console.log("🧹 user caches evicted:", evicted, "cached:", remaining);
+  return evicted;
+}
+
+export function startUserCacheEviction() {
+  const sweep = setInterval(() => sweepUserCaches(), SWEEP_INTERVAL_MS);
+  sweep.unref?.();
+}
+
+/**
+ * Cache size and activity, without user IDs
+ * @returns {Object}
+ */
+export function getUserCacheStats() {
+  const entities = {};
+  for (const uc of Object.values(cacheByUser)) {
+    for (const [key, byId] of Object.entries(uc)) {
+      if (key.endsWith("ById") && byId) {
+        entities[key] = (entities[key] || 0) + Object.keys(byId).length;
+      }
+    }
+  }
+  return {
+    users: Object.keys(cacheByUser).length,
+    loadedUsers: loaded.size,
+    loading: loading.size,
+    limits: { maxUsers: MAX_CACHED_USERS, idleMs: IDLE_MS, sweepMs: SWEEP_INTERVAL_MS },
+    hits: stats.hits,
+    misses: stats.misses,
+    loads: stats.loads,
+    evictions: { ...stats.evictions },
+    entities,
+  };
+}
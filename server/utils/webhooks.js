@@ -0,0 +1,423 @@
+// utils/webhooks.js
+// =========================================
+// Outbound webhooks
+// - Listens to transactionEvents and turns measure / move ops into
+//   "field.changed" / "occurrence.moved" deliveries
+// - Periodically checks closed periods for "target.missed"
+// - Each delivery is a WebhookDelivery row: signed POST, retried with
+//   backoff, with the last response kept for the delivery log. First
+//   attempts go through the same queue as retries, so writes never wait
+//   on a receiver
+// =========================================
+
+import crypto from "crypto";
+import { nanoid } from "nanoid";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import Field from "../models/Field.js";
+import { transactionEvents } from "./transactions.js";
+import { cacheByUser, ensureUserCache, loadUserIntoCache, userCacheReady } from "./userCache.js";
+import { getDerivedValue } from "./derivedValues.js";
+import { userRoom } from "./rooms.js";
+import { broadcastTo } from "./broadcast.js";
+import { getPeriodBounds, startOfCalendarDate, addCalendarDays, toCalendarDate, isCustomTimeFilter } from "../../shared/calculations.js";
+
+// Delay before attempt N+1 (after N failures); length + 1 = max attempts
+const RETRY_DELAYS_MS = [30e3, 2 * 60e3, 10 * 60e3, 60 * 60e3, 6 * 60 * 60e3];
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+const REQUEST_TIMEOUT_MS = 10e3;
+// A delivery being redelivered right away is due again only after this,
+// so the retry poll doesn't send it twice but still picks it up if the
+// process dies before the attempt is recorded
+const IN_FLIGHT_MS = 3 * REQUEST_TIMEOUT_MS;
+const RETRY_POLL_MS = 15e3;
+const TARGET_POLL_MS = 5 * 60e3;
+// Closed periods a target check catches up on at most (e.g. after downtime)
+const MAX_MISSED_PERIODS = 366;
+const MAX_RESPONSE_BODY = 2000;
+
+let ioRef = null;
+
+export function generateWebhookSecret() {
+  return "whsec_" + crypto.randomBytes(24).toString("base64url");
+}
+
+/**
+ * Signature sent as X-Moduli-Signature: "sha256=<hex>" over "<timestamp>.<body>"
+ * (receivers should also reject stale X-Moduli-Timestamp values)
+ */
+export function signPayload(secret, timestamp, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+function emitDeliveryUpdate(delivery) {
+  broadcastTo(ioRef, userRoom(delivery.userId), "webhook_delivery", { delivery });
+}
+
+// ========================================================
+// EVENTS FROM TRANSACTIONS
+// ========================================================
+
+/**
+ * Builds webhook events from a recorded transaction
+ * @param {Object} tx - Transaction (plain object)
+ * @returns {Array} [{ event, data }]
+ */
+export function buildEventsFromTransaction(tx) {
+  const fieldsById = cacheByUser[tx.userId]?.fieldsById || {};
+  const events = [];
+
+  for (const op of tx.operations || []) {
+    if (op.type === "measure" && op.measure) {
+      const m = op.measure;
+      events.push({
+        event: "field.changed",
+        data: {
+          occurrenceId: m.occurrenceId,
+          instanceId: m.instanceId ?? null,
+          containerId: m.containerId ?? null,
+          panelId: m.panelId ?? null,
+          fieldId: m.fieldId,
+          fieldName: fieldsById[m.fieldId]?.name ?? null,
+          value: m.value,
+          previousValue: m.previousValue ?? null,
+          flow: m.flow,
+          trigger: m.trigger ?? null,
+        },
+      });
+    }
+
+    if (op.type === "occurrence_list" && op.occurrenceList?.action === "move") {
+      const ol = op.occurrenceList;
+      events.push({
+        event: "occurrence.moved",
+        data: {
+          occurrenceId: ol.occurrenceId,
+          instanceId: ol.instanceId ?? null,
+          iteration: ol.iteration ?? null,
+          from: ol.from ?? null,
+          to: ol.to ?? null,
+        },
+      });
+    }
+  }
+
+  return events;
+}
+
+function webhookMatches(hook, event, data) {
+  if (!hook.enabled || !hook.events?.includes(event)) return false;
+  if ((event === "field.changed" || event === "target.missed") && hook.fieldIds?.length) {
+    return hook.fieldIds.includes(data.fieldId);
+  }
+  if (event === "occurrence.moved" && hook.containerIds?.length) {
+    return hook.containerIds.includes(data.to?.containerId);
+  }
+  return true;
+}
+
+// ========================================================
+// DELIVERY
+// ========================================================
+
+/**
+ * Creates a delivery row, due now; the dispatcher sends it
+ * @param {Object} hook - Webhook
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @param {Object} [tx] - Source transaction, if any
+ * @returns {Object} The pending delivery
+ */
+export async function enqueueDelivery(hook, event, data, tx = null) {
+  const id = nanoid();
+  const payload = {
+    id,
+    event,
+    createdAt: new Date().toISOString(),
+    gridId: hook.gridId,
+    webhookId: hook.id,
+    transactionId: tx?.id ?? null,
+    transactionTimestamp: tx?.timestamp ?? null,
+    data,
+  };
+
+  const delivery = await WebhookDelivery.create({
+    id,
+    userId: hook.userId,
+    gridId: hook.gridId,
+    webhookId: hook.id,
+    event,
+    transactionId: tx?.id ?? null,
+    payload,
+    status: "pending",
+    nextAttemptAt: new Date(),
+  });
+
+  wakeDispatcher();
+  return delivery.toObject();
+}
+
+/**
+ * Sends one attempt and records the outcome (success / retry later / failed)
+ * @param {Object} delivery - WebhookDelivery (plain object)
+ * @param {Object} [hook] - Webhook (looked up if omitted)
+ * @returns {Object} Updated delivery
+ */
+export async function attemptDelivery(delivery, hook = null) {
+  hook = hook || (await Webhook.findOne({ id: delivery.webhookId }).lean());
+  if (!hook) {
+    const gone = await WebhookDelivery.findOneAndUpdate(
+      { id: delivery.id },
+      { $set: { status: "failed", error: "Webhook deleted" } },
+      { new: true }
+    ).lean();
+    return gone;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const attempts = (delivery.attempts || 0) + 1;
+
+  const update = { attempts, lastAttemptAt: new Date(), error: null, responseStatus: null, responseBody: null };
+
+  try {
+    const res = await fetch(hook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Moduli-Webhooks/1",
+        "X-Moduli-Event": delivery.event,
+        "X-Moduli-Delivery": delivery.id,
+        "X-Moduli-Timestamp": timestamp,
+        "X-Moduli-Signature": signPayload(hook.secret, timestamp, body),
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    update.responseStatus = res.status;
+    update.responseBody = (await res.text().catch(() => "")).slice(0, MAX_RESPONSE_BODY);
+
+    if (res.ok) {
+      update.status = "success";
+      update.deliveredAt = new Date();
+    } else {
+      update.error = `HTTP ${res.status}`;
+    }
+  } catch (err) {
+    update.error = err.name === "TimeoutError" ? "Timed out" : err.message;
+  }
+
+  if (update.status !== "success") {
+    if (attempts >= MAX_ATTEMPTS) {
+      update.status = "failed";
+    } else {
+      update.status = "pending";
+      update.nextAttemptAt = new Date(Date.now() + RETRY_DELAYS_MS[attempts - 1]);
+    }
+  }
+
+  const saved = await WebhookDelivery.findOneAndUpdate({ id: delivery.id }, { $set: update }, { new: true }).lean();
+  if (saved) emitDeliveryUpdate(saved);
+  return saved;
+}
+
+/**
+ * Re-sends an existing delivery now (manual "redeliver" from the log)
+ */
+export async function redeliver(deliveryId, userId) {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { id: deliveryId, userId },
+    { $set: { status: "pending", nextAttemptAt: new Date(Date.now() + IN_FLIGHT_MS) } },
+    { new: true }
+  ).lean();
+  if (!delivery) return null;
+  return attemptDelivery(delivery);
+}
+
+async function handleTransaction(tx) {
+  const events = buildEventsFromTransaction(tx);
+  if (events.length === 0) return;
+
+  const hooks = await Webhook.find({
+    userId: tx.userId,
+    gridId: tx.gridId,
+    enabled: true,
+    events: { $in: events.map(e => e.event) },
+  }).lean();
+
+  for (const hook of hooks) {
+    for (const { event, data } of events) {
+      if (webhookMatches(hook, event, data)) await enqueueDelivery(hook, event, data, tx);
+    }
+  }
+}
+
+// Sends every due delivery, in parallel so one slow receiver doesn't hold
+// up the others. New deliveries wake it instead of waiting for the poll.
+let processingDue = false;
+let wakeAgain = false;
+async function processDueDeliveries() {
+  if (processingDue) {
+    wakeAgain = true;
+    return;
+  }
+  processingDue = true;
+  try {
+    const due = await WebhookDelivery.find({
+      status: "pending",
+      nextAttemptAt: { $lte: new Date() },
+    }).sort({ nextAttemptAt: 1 }).limit(50).lean();
+
+    await Promise.all(due.map(delivery =>
+      attemptDelivery(delivery).catch(err => console.error("webhook delivery error:", err))
+    ));
+  } catch (err) {
+    console.error("webhook retry error:", err);
+  } finally {
+    processingDue = false;
+    if (wakeAgain) {
+      wakeAgain = false;
+      wakeDispatcher();
+    }
+  }
+}
+
+function wakeDispatcher() {
+  setImmediate(processDueDeliveries);
+}
+
+// ========================================================
+// TARGET MISSED
+// A target's period (daily/weekly/monthly/yearly or one of the grid's
+// custom periods) is checked once it has closed. targetCheckedUntil keeps
+// the last period end checked per field, and every period closed since
+// then is checked, so none are skipped while the server is down. The period's value and
+// target come from getDerivedValue (the shared calculations the grid
+// renders with), iterated by the target's period over every category.
+// Periods are the owner's: days in their time zone, weeks from the grid's
+// weekStart, like the client.
+// ========================================================
+
+// Start of the period containing `date`
+export function periodStart(date, period, calendar = {}) {
+  const { start } = getPeriodBounds(period, date, calendar);
+  return startOfCalendarDate(start, calendar.timeZone);
+}
+
+function previousPeriodStart(start, period, calendar) {
+  const dayBefore = addCalendarDays(toCalendarDate(start, calendar.timeZone), -1);
+  return periodStart(dayBefore, period, calendar);
+}
+
+/**
+ * Periods that closed after `after` and by `end`, oldest first
+ * @param {Date} end - Start of the current (open) period
+ * @param {Date} after - Only periods ending later than this
+ * @returns {Array} [{ start, end }]
+ */
+function closedPeriodsSince(end, after, period, calendar) {
+  const periods = [];
+  while (end > after && periods.length < MAX_MISSED_PERIODS) {
+    const start = previousPeriodStart(end, period, calendar);
+    periods.unshift({ start, end });
+    end = start;
+  }
+  return periods;
+}
+
+function hookCalendar(uc, hook) {
+  const grid = uc.gridsById[hook.gridId];
+  return { timeZone: uc.settings?.timeZone || undefined, weekStart: grid?.weekStart, periods: grid?.periods || [] };
+}
+
+function targetPeriod(field) {
+  const tf = field.metric?.target?.timeFilter;
+  const period = tf && tf !== "inherit" ? tf : field.metric?.timeFilter;
+  return ["daily", "weekly", "monthly", "yearly"].includes(period) || isCustomTimeFilter(period) ? period : "daily";
+}
+
+let checkingTargets = false;
+async function checkMissedTargets() {
+  if (checkingTargets) return;
+  checkingTargets = true;
+  try {
+    const hooks = await Webhook.find({ enabled: true, events: "target.missed" }).lean();
+
+    for (const hook of hooks) {
+      const query = { userId: hook.userId, gridId: hook.gridId, "metric.target.value": { $ne: null } };
+      if (hook.fieldIds?.length) query.id = { $in: hook.fieldIds };
+      const fields = await Field.find(query).lean();
+      if (fields.length === 0) continue;
+
+      if (!userCacheReady(hook.userId)) await loadUserIntoCache(hook.userId);
+      const uc = ensureUserCache(hook.userId);
+      const calendar = hookCalendar(uc, hook);
+
+      const checkedUntil = { ...(hook.targetCheckedUntil || {}) };
+      let changed = false;
+
+      for (const field of fields) {
+        const period = targetPeriod(field);
+        const current = periodStart(new Date(), period, calendar);
+        const last = checkedUntil[field.id] ? new Date(checkedUntil[field.id]) : null;
+
+        if (last && last >= current) continue;
+        checkedUntil[field.id] = current.toISOString();
+        changed = true;
+
+        // Every period that closed since the last check, even across
+        // downtime; a field not checked before starts at the latest one.
+        // Never periods that closed before the webhook was created.
+        const createdAt = new Date(hook.createdAt);
+        const since = last || previousPeriodStart(current, period, calendar);
+        const after = since > createdAt ? since : createdAt;
+
+        for (const { start, end } of closedPeriodsSince(current, after, period, calendar)) {
+          // The period's value and target as the grid shows them
+          const { value, target } = await getDerivedValue({
+            userId: hook.userId,
+            uc,
+            gridId: hook.gridId,
+            field: uc.fieldsById[field.id] || field,
+            date: toCalendarDate(start, calendar.timeZone),
+            timeFilter: period,
+          });
+          if (!target || target.met) continue;
+
+          await enqueueDelivery(hook, "target.missed", {
+            fieldId: field.id,
+            fieldName: field.name,
+            period,
+            periodStart: start.toISOString(),
+            periodEnd: end.toISOString(),
+            value,
+            target: { value: target.value, op: target.op },
+          });
+        }
+      }
+
+      if (changed) await Webhook.updateOne({ id: hook.id }, { $set: { targetCheckedUntil: checkedUntil } });
+    }
+  } catch (err) {
+    console.error("webhook target check error:", err);
+  } finally {
+    checkingTargets = false;
+  }
+}
+
+// ========================================================
+// START
+// ========================================================
+export function startWebhookDispatcher(io) {
+  ioRef = io;
+
+  transactionEvents.on("recorded", (tx) => {
+    // Backfilled rows from a CSV import shouldn't notify outside services
+    if (tx.meta?.import) return;
+    handleTransaction(tx).catch(err => console.error("webhook dispatch error:", err));
+  });
+
+  setInterval(processDueDeliveries, RETRY_POLL_MS);
+  setInterval(checkMissedTargets, TARGET_POLL_MS);
+}
@@ -0,0 +1,74 @@
+// utils/zip.js
+// Reads .zip archives from a Buffer using the central directory.
+// Supports stored (0) and deflated (8) entries, which covers archives made
+// by Finder, Windows Explorer, `zip` and Obsidian. No ZIP64, no encryption.
+
+import zlib from "zlib";
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+export const MAX_ZIP_ENTRIES = 5000;
+// Guards against zip bombs: total bytes after inflating
+export const MAX_ZIP_UNCOMPRESSED = 500 * 1024 * 1024;
+
+function findEndOfCentralDirectory(buf) {
+  // The EOCD record is 22 bytes plus an optional comment of up to 64 KiB
+  const stop = Math.max(0, buf.length - 22 - 0xffff);
+  for (let i = buf.length - 22; i >= stop; i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIGNATURE) return i;
+  }
+  return -1;
+}
+
+/**
+ * Lists and extracts the files in a zip archive
+ * @param {Buffer} buf - Archive bytes
+ * @returns {Array} [{ path, data: Buffer }] (directory entries are skipped)
+ * @throws {Error} When the archive is malformed, too large or uses unsupported features
+ */
+export function readZip(buf) {
+  const eocd = findEndOfCentralDirectory(buf);
+  if (eocd < 0) throw new Error("Not a zip archive");
+
+  const count = buf.readUInt16LE(eocd + 10);
+  let offset = buf.readUInt32LE(eocd + 16);
+  if (count > MAX_ZIP_ENTRIES) throw new Error(`Archives may hold at most ${MAX_ZIP_ENTRIES} entries`);
+  if (offset === 0xffffffff) throw new Error("ZIP64 archives are not supported");
+
+  const files = [];
+  let total = 0;
+  for (let i = 0; i < count; i++) {
+    if (buf.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw new Error("Corrupt zip central directory");
+    const flags = buf.readUInt16LE(offset + 8);
+    const method = buf.readUInt16LE(offset + 10);
+    const compressedSize = buf.readUInt32LE(offset + 20);
+    const size = buf.readUInt32LE(offset + 24);
+    const nameLength = buf.readUInt16LE(offset + 28);
+    const extraLength = buf.readUInt16LE(offset + 30);
+    const commentLength = buf.readUInt16LE(offset + 32);
+    const localOffset = buf.readUInt32LE(offset + 42);
+    // Bit 11 marks UTF-8 names; older tools wrote CP437, which is ASCII-compatible for common names
+    const path = buf.toString(flags & 0x0800 ? "utf8" : "latin1", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith("/")) continue;
+    if (flags & 0x0001) throw new Error(`Encrypted entries are not supported (${path})`);
+
+    total += size;
+    if (total > MAX_ZIP_UNCOMPRESSED) throw new Error("Archive is too large once extracted");
+
+    if (buf.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) throw new Error(`Corrupt zip entry (${path})`);
+    const dataStart = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+    const raw = buf.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === 0) data = raw;
+    else if (method === 8) data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+    else throw new Error(`Unsupported compression method ${method} (${path})`);
+
+    files.push({ path: path.replace(/\\/g, "/"), data });
+  }
+  return files;
+}
@@ -0,0 +1,212 @@
+// shared/blockEvaluator.js
+// ============================================================
+// Evaluates block trees (the visual programming system) against a set of
+// occurrences. Used by the client's OperationsBuilder preview (through
+// blocks/blockEvaluator.js) and by the server for scheduled operations
+// (Operation.blockTree) and field triggers (Field.triggers[].blockTree),
+// so both sides agree on what a tree computes.
+//
+// Accepts both tree shapes found in the database:
+// - serialized builder trees: { type: "operator", data: {...}, slots: [{ id, connected }], innerSlots: [...] }
+// - flat seed trees:          { type: "CONDITION", condition: {...}, body: {...}, fieldId, aggregation }
+// ============================================================
+
+import { AGGREGATIONS, extractFieldValues } from "./calculations.js";
+
+// Loop iterations one evaluation may run in total (nested loops included);
+// trees come from stored data and run on the server's only thread
+export const MAX_LOOP_ITERATIONS = 1000;
+
+// ---- shape helpers (builder trees vs flat seed trees) ----
+
+function typeOf(block) {
+  return String(block?.type || "").toLowerCase();
+}
+
+function dataOf(block) {
+  return block?.data || block || {};
+}
+
+function slotBlock(block, slotId) {
+  const slot = block.slots?.find(s => s.id === slotId);
+  if (slot) return slot.connected || null;
+  return block[slotId] || null;
+}
+
+function innerBlocks(block, index) {
+  if (block.innerSlots) return block.innerSlots[index]?.connected || [];
+  const flat = index === 0 ? block.body : block.elseBody;
+  if (!flat) return [];
+  return Array.isArray(flat) ? flat : [flat];
+}
+
+/**
+ * Evaluate a block and return its value
+ * @param {Object} block - Block (either tree shape)
+ * @param {Object} context - { occurrences, fieldsById, variables }
+ * @returns {any} The calculated value
+ * @throws {Error} On unknown blocks and when loops run past MAX_LOOP_ITERATIONS
+ */
+export function evaluateBlock(block, context = {}) {
+  if (!block) return null;
+
+  const { occurrences = [], fieldsById = {}, variables = {} } = context;
+  const data = dataOf(block);
+
+  switch (typeOf(block)) {
+    case "field": {
+      const { fieldId } = data;
+      if (!fieldId) return null;
+      const values = extractFieldValues(occurrences, fieldId);
+      if (values.length === 0) return null;
+      if (fieldsById[fieldId]?.type === "number") return values.reduce((a, b) => a + b, 0);
+      return values[values.length - 1];
+    }
+
+    case "literal":
+      return data.value;
+
+    case "variable":
+      return variables[data.varName] ?? null;
+
+    case "operator": {
+      const left = evaluateSlot(block, "left", context);
+      const right = evaluateSlot(block, "right", context);
+      if (left === null || right === null) return null;
+      const l = Number(left);
+      const r = Number(right);
+      switch (data.op) {
+        case "+": return l + r;
+        case "-": return l - r;
+        case "*": return l * r;
+        case "/": return r !== 0 ? l / r : null;
+        case "%": return r !== 0 ? l % r : null;
+        default: return null;
+      }
+    }
+
+    case "comparison": {
+      const left = evaluateSlot(block, "left", context);
+      const right = evaluateSlot(block, "right", context);
+      if (left === null || right === null) return null;
+      switch (data.op) {
+        case ">": return left > right;
+        case "<": return left < right;
+        case ">=": return left >= right;
+        case "<=": return left <= right;
+        case "==": return left === right;
+        case "!=": return left !== right;
+        default: return false;
+      }
+    }
+
+    case "logical": {
+      switch (data.op) {
+        case "and": return Boolean(evaluateSlot(block, "left", context)) && Boolean(evaluateSlot(block, "right", context));
+        case "or": return Boolean(evaluateSlot(block, "left", context)) || Boolean(evaluateSlot(block, "right", context));
+        case "not": return !evaluateSlot(block, "value", context);
+        default: return false;
+      }
+    }
+
+    case "aggregation": {
+      const fn = AGGREGATIONS[data.aggregation]?.fn;
+      if (!fn) return null;
+      const source = slotBlock(block, "source");
+      const fieldId = source ? dataOf(source).fieldId : data.fieldId;
+      if (!fieldId) return null;
+      return fn(extractFieldValues(occurrences, fieldId));
+    }
+
+    case "function": {
+      const value = evaluateSlot(block, "value", context);
+      if (value === null) return null;
+      const num = Number(value);
+      switch (data.fn) {
+        case "round": return Math.round(num);
+        case "floor": return Math.floor(num);
+        case "ceil": return Math.ceil(num);
+        case "abs": return Math.abs(num);
+        case "sqrt": return num >= 0 ? Math.sqrt(num) : null;
+        default: return num;
+      }
+    }
+
+    case "condition": {
+      const condition = evaluateSlot(block, "condition", context);
+      return evaluateInner(block, condition ? 0 : 1, context);
+    }
+
+    case "loop": {
+      if (data.loopType !== "repeat") return null;
+      const times = Number(evaluateSlot(block, "count", context)) || 0;
+      const budget = context.loopBudget || { remaining: MAX_LOOP_ITERATIONS };
+      if (times > budget.remaining) {
+        throw new Error(`Loops would run more than ${MAX_LOOP_ITERATIONS} iterations`);
+      }
+      budget.remaining -= Math.max(0, Math.ceil(times));
+      let result = null;
+      for (let i = 0; i < times; i++) {
+        result = evaluateInner(block, 0, { ...context, variables: { ...variables, index: i } });
+      }
+      return result;
+    }
+
+    case "set_var": {
+      const varBlock = slotBlock(block, "varName");
+      const value = evaluateSlot(block, "value", context);
+      if (typeOf(varBlock) !== "variable") return null;
+      // Later sibling blocks see the assignment
+      variables[dataOf(varBlock).varName] = value;
+      return value;
+    }
+
+    // Hat blocks don't produce values
+    case "on_drop":
+    case "on_change":
+      return null;
+
+    default:
+      throw new Error(`Unknown block type: ${block.type}`);
+  }
+}
+
+function evaluateSlot(block, slotId, context) {
+  return evaluateBlock(slotBlock(block, slotId), context);
+}
+
+function evaluateInner(block, index, context) {
+  let result = null;
+  for (const inner of innerBlocks(block, index)) {
+    result = evaluateBlock(inner, context);
+  }
+  return result;
+}
+
+/**
+ * Evaluate a complete block tree
+ * @param {Object} rootBlock - Root block
+ * @param {Object} context - { occurrences, fieldsById, variables }
+ * @returns {Object} { value, variables, errors }
+ */
+export function evaluateBlockTree(rootBlock, context = {}) {
+  const result = { value: null, variables: { ...(context.variables || {}) }, errors: [] };
+
+  try {
+    result.value = evaluateBlock(rootBlock, {
+      ...context,
+      variables: result.variables,
+      loopBudget: { remaining: MAX_LOOP_ITERATIONS },
+    });
+  } catch (err) {
+    result.errors.push({ message: err.message, blockId: rootBlock?.id });
+  }
+
+  return result;
+}
+
+export default {
+  MAX_LOOP_ITERATIONS,
+  evaluateBlock,
+  evaluateBlockTree,
+};
@@ -0,0 +1,2089 @@
+// shared/calculations.js
+// ============================================================
+// Calculation helpers for derived fields
+// Supports aggregations, targets, conditions, and complex rules
+//
+// Isomorphic: plain ES module with no imports, used by the client
+// (through helpers/CalculationHelpers.js) and by the server
+// (utils/derivedValues.js, shared/blockEvaluator.js), so derived values
+// computed on either side agree.
+// ============================================================
+
+/**
+ * Build a lookup map from an array of items with .id property
+ * Used to normalize state arrays into byId maps for efficient lookups
+ */
+function buildLookupFromArray(items = []) {
+  const map = {};
+  for (const item of items) {
+    if (item?.id) map[item.id] = item;
+  }
+  return map;
+}
+
+/**
+ * Get the day-of-year for a calendar date "YYYY-MM-DD" (1-366)
+ */
+function getDayOfYear(day) {
+  return dayNumber(day) - dayNumber(calendarKey(calendarParts(day).year, 0, 0));
+}
+
+/**
+ * Simple seeded random number generator (mulberry32)
+ * Returns a function that produces deterministic values 0-1 for a given seed
+ */
+function seededRandom(seed) {
+  let t = seed | 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Build a numeric seed from a date string (YYYY-MM-DD)
+ * Same date always produces the same seed
+ */
+function dateSeed(day) {
+  // Year, month and day as a single integer (YYYYMMDD)
+  return Number(day.replace(/-/g, ""));
+}
+
+/**
+ * Available aggregation functions
+ */
+export const AGGREGATIONS = {
+  sum: {
+    label: "Sum",
+    symbol: "Σ",
+    description: "Add all values together",
+    types: ["number"],
+    fn: (values) => values.reduce((a, b) => a + b, 0),
+  },
+  count: {
+    label: "Count",
+    symbol: "#",
+    description: "Count number of occurrences",
+    types: ["number", "text", "boolean", "date"],
+    fn: (values) => values.length,
+  },
+  countTrue: {
+    label: "Count True",
+    symbol: "#✓",
+    description: "Count occurrences where value is true/truthy",
+    types: ["boolean", "number"],
+    fn: (values) => values.filter(Boolean).length,
+  },
+  avg: {
+    label: "Average",
+    symbol: "μ",
+    description: "Calculate mean average",
+    types: ["number"],
+    fn: (values) => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0,
+  },
+  min: {
+    label: "Minimum",
+    symbol: "↓",
+    description: "Find smallest value",
+    types: ["number", "date"],
+    fn: (values) => values.length > 0 ? Math.min(...values) : 0,
+  },
+  max: {
+    label: "Maximum",
+    symbol: "↑",
+    description: "Find largest value",
+    types: ["number", "date"],
+    fn: (values) => values.length > 0 ? Math.max(...values) : 0,
+  },
+  last: {
+    label: "Latest",
+    symbol: "→",
+    description: "Get most recent value",
+    types: ["number", "text", "boolean", "date"],
+    fn: (values) => values.length > 0 ? values[values.length - 1] : null,
+  },
+  first: {
+    label: "First",
+    symbol: "←",
+    description: "Get earliest value",
+    types: ["number", "text", "boolean", "date"],
+    fn: (values) => values.length > 0 ? values[0] : null,
+  },
+  range: {
+    label: "Range",
+    symbol: "⟷",
+    description: "Difference between max and min",
+    types: ["number"],
+    fn: (values) => values.length > 0 ? Math.max(...values) - Math.min(...values) : 0,
+  },
+  median: {
+    label: "Median",
+    symbol: "M",
+    description: "Middle value when sorted",
+    types: ["number"],
+    fn: (values) => {
+      if (values.length === 0) return 0;
+      const sorted = [...values].sort((a, b) => a - b);
+      const mid = Math.floor(sorted.length / 2);
+      return sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    },
+  },
+  mode: {
+    label: "Mode",
+    symbol: "Mo",
+    description: "Most frequent value",
+    types: ["number", "text"],
+    fn: (values) => {
+      if (values.length === 0) return null;
+      const counts = {};
+      values.forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+      return Object.entries(counts).reduce((a, b) => b[1] > a[1] ? b : a, [null, 0])[0];
+    },
+  },
+  stdDev: {
+    label: "Std Dev",
+    symbol: "σ",
+    description: "Standard deviation",
+    types: ["number"],
+    fn: (values) => {
+      if (values.length === 0) return 0;
+      const mean = values.reduce((a, b) => a + b, 0) / values.length;
+      const squaredDiffs = values.map(v => Math.pow(v - mean, 2));
+      return Math.sqrt(squaredDiffs.reduce((a, b) => a + b, 0) / values.length);
+    },
+  },
+  product: {
+    label: "Product",
+    symbol: "∏",
+    description: "Multiply all values",
+    types: ["number"],
+    fn: (values) => values.length > 0 ? values.reduce((a, b) => a * b, 1) : 0,
+  },
+  concat: {
+    label: "Concatenate",
+    symbol: "++",
+    description: "Join text values",
+    types: ["text"],
+    fn: (values, options = {}) => values.join(options.separator || ", "),
+  },
+  unique: {
+    label: "Unique Count",
+    symbol: "#!",
+    description: "Count distinct values",
+    types: ["number", "text"],
+    fn: (values) => new Set(values).size,
+  },
+  random: {
+    label: "Random",
+    symbol: "?",
+    description: "Pick a random value from the list",
+    types: ["number", "text", "boolean", "date"],
+    fn: (values) => values.length > 0 ? values[Math.floor(Math.random() * values.length)] : null,
+  },
+};
+
+/**
+ * Comparison operators for targets and conditions
+ */
+export const COMPARISONS = {
+  ">=": { label: "≥ (at least)", fn: (a, b) => a >= b },
+  "<=": { label: "≤ (at most)", fn: (a, b) => a <= b },
+  "==": { label: "= (exactly)", fn: (a, b) => a === b },
+  "!=": { label: "≠ (not equal)", fn: (a, b) => a !== b },
+  ">": { label: "> (more than)", fn: (a, b) => a > b },
+  "<": { label: "< (less than)", fn: (a, b) => a < b },
+};
+
+/**
+ * Flow options for input fields
+ * Determines how the value affects aggregations
+ */
+export const INPUT_FLOWS = {
+  in: { label: "In (+)", description: "Value counts as positive" },
+  out: { label: "Out (−)", description: "Value counts as negative" },
+  replace: { label: "Replace", description: "Value replaces (not summed)" },
+};
+
+/**
+ * Flow filters for derived fields
+ * Determines which input flows are counted in aggregations
+ */
+export const DERIVED_FLOWS = {
+  any: { label: "Any", description: "Count both in and out values" },
+  in: { label: "In only", description: "Only count positive (in) values" },
+  out: { label: "Out only", description: "Only count negative (out) values" },
+};
+
+/**
+ * Persistence modes for occurrences
+ * Determines how an occurrence behaves across iterations (days/weeks/months)
+ */
+export const PERSISTENCE_MODES = {
+  persistent: {
+    label: "Always Show",
+    description: "Shows on all iterations (templates, recurring habits)",
+    icon: "♾️",
+  },
+  specific: {
+    label: "This Day Only",
+    description: "Only shows on the specific iteration/date it was created",
+    icon: "📅",
+  },
+  untilDone: {
+    label: "Until Completed",
+    description: "Shows on all iterations until marked complete, then stays on completion date",
+    icon: "✓",
+  },
+  recurring: {
+    label: "Repeats",
+    description: "Shows on the dates its schedule picks; each date keeps its own values",
+    icon: "🔁",
+  },
+};
+
+/**
+ * Scope types for occurrence filtering
+ */
+export const SCOPES = {
+  grid: { label: "Grid (all)", description: "All occurrences in the grid" },
+  panel: { label: "Panel", description: "Occurrences in the same panel" },
+  container: { label: "Container", description: "Occurrences in the same container" },
+  instance: { label: "Instance", description: "All occurrences of this instance" },
+};
+
+/**
+ * Time-based filter presets for occurrence filtering
+ * fn(occ, calendar) - calendar is { timeZone, weekStart } (see CALENDAR)
+ */
+export const TIME_FILTERS = {
+  all: { label: "All time", fn: () => true },
+  today: {
+    label: "Today",
+    fn: (occ, calendar = {}) => {
+      const occDay = toCalendarDate(occ.createdAt || occ.meta?.createdAt, calendar.timeZone);
+      return occDay === toCalendarDate(new Date(), calendar.timeZone);
+    },
+  },
+  thisWeek: {
+    label: "This week",
+    fn: (occ, calendar = {}) => {
+      const occDay = toCalendarDate(occ.createdAt || occ.meta?.createdAt, calendar.timeZone);
+      return Boolean(occDay) && occDay >= getPeriodBounds("weekly", new Date(), calendar).start;
+    },
+  },
+  thisMonth: {
+    label: "This month",
+    fn: (occ, calendar = {}) => {
+      const occDay = toCalendarDate(occ.createdAt || occ.meta?.createdAt, calendar.timeZone);
+      return Boolean(occDay) && occDay >= getPeriodBounds("monthly", new Date(), calendar).start;
+    },
+  },
+  last7Days: {
+    label: "Last 7 days",
+    fn: (occ) => {
+      const sevenDaysAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+      const occDate = new Date(occ.createdAt || occ.meta?.createdAt).getTime();
+      return occDate >= sevenDaysAgo;
+    },
+  },
+  last30Days: {
+    label: "Last 30 days",
+    fn: (occ) => {
+      const thirtyDaysAgo = Date.now() - 30 * 24 * 60 * 60 * 1000;
+      const occDate = new Date(occ.createdAt || occ.meta?.createdAt).getTime();
+      return occDate >= thirtyDaysAgo;
+    },
+  },
+};
+
+/**
+ * Test for a relative time filter: a TIME_FILTERS preset, or a custom
+ * period ("custom:<id>"), which keeps what was created in the current one
+ * @param {string} timeFilter
+ * @returns {Function|null} fn(occ, calendar), or null for unknown filters
+ */
+export function getTimeFilterFn(timeFilter) {
+  if (isCustomTimeFilter(timeFilter)) {
+    return (occ, calendar = {}) => {
+      const occDay = toCalendarDate(occ.createdAt || occ.meta?.createdAt, calendar.timeZone);
+      const period = getPeriodBounds(timeFilter, new Date(), calendar);
+      return Boolean(occDay && period) && occDay >= period.start && occDay < period.end;
+    };
+  }
+  return TIME_FILTERS[timeFilter]?.fn || null;
+}
+
+/**
+ * Time filter multipliers relative to daily
+ * Used to scale targets when viewing in different time periods
+ */
+export const TIME_FILTER_MULTIPLIERS = {
+  daily: 1,
+  weekly: 7,
+  monthly: 30, // approximate
+  yearly: 365, // approximate
+};
+
+/**
+ * Scale a target value from its base time filter to the current viewing time filter
+ *
+ * @param {number} targetValue - The base target value
+ * @param {string} targetTimeFilter - The time filter the target was set for ('daily', 'weekly', etc.)
+ * @param {string} currentTimeFilter - The time filter we're currently viewing
+ * @param {Object} [calendar] - { periods }, for custom periods (scaled by their average length)
+ * @returns {number} The scaled target value
+ *
+ * @example
+ * // If target is "3 per day" and we're viewing weekly:
+ * scaleTarget(3, "daily", "weekly") // => 21
+ *
+ * // If target is "100 per month" and we're viewing daily:
+ * scaleTarget(100, "monthly", "daily") // => 3.33
+ */
+export function scaleTarget(targetValue, targetTimeFilter, currentTimeFilter, calendar = {}) {
+  if (targetValue === null || targetValue === undefined) return null;
+  if (!targetTimeFilter || !currentTimeFilter) return targetValue;
+  if (targetTimeFilter === currentTimeFilter) return targetValue;
+  if (targetTimeFilter === "inherit" || targetTimeFilter === "all") return targetValue;
+  if (currentTimeFilter === "inherit" || currentTimeFilter === "all") return targetValue;
+
+  const targetMultiplier = getTimeFilterDays(targetTimeFilter, calendar) || 1;
+  const currentMultiplier = getTimeFilterDays(currentTimeFilter, calendar) || 1;
+
+  // Scale from target's base period to current viewing period
+  // e.g., 3 per day × (7 days / 1 day) = 21 per week
+  return targetValue * (currentMultiplier / targetMultiplier);
+}
+
+/**
+ * Get the effective time filter for a derived field source
+ * Handles "inherit" by using the parent iteration
+ *
+ * @param {string} sourceTimeFilter - The time filter from the derived field source ('daily', 'inherit', etc.)
+ * @param {string} parentTimeFilter - The resolved parent iteration time filter
+ * @returns {string} The effective time filter to use
+ */
+export function resolveSourceTimeFilter(sourceTimeFilter, parentTimeFilter) {
+  if (!sourceTimeFilter || sourceTimeFilter === "inherit") {
+    return parentTimeFilter || "daily";
+  }
+  return sourceTimeFilter;
+}
+
+/**
+ * Resolve the effective iteration for an item by walking up the parent chain
+ * Hierarchy: Instance → Container → Panel → Grid
+ *
+ * @param {Object} item - The item (instance, container, or panel)
+ * @param {string} itemType - 'instance', 'container', or 'panel'
+ * @param {Object} lookups - { containersById, panelsById, grid }
+ * @returns {Object} { timeFilter, source } - resolved iteration and where it came from
+ */
+export function resolveEffectiveIteration(item, itemType, lookups = {}) {
+  const { containersById = {}, panelsById = {}, grid } = lookups;
+
+  // Get the grid's current iteration timeFilter as the fallback
+  const iterations = grid?.iterations || [];
+  const selectedIterationId = grid?.selectedIterationId || "default";
+  const gridIteration = iterations.find(i => i.id === selectedIterationId) || iterations[0];
+  const gridTimeFilter = gridIteration?.timeFilter || "daily";
+
+  // Walk up the chain based on item type
+  let current = item;
+  let currentType = itemType;
+  let source = "grid";
+
+  while (current) {
+    const iteration = current.iteration;
+
+    // If this item has mode: "own", use its timeFilter
+    if (iteration?.mode === "own") {
+      return {
+        timeFilter: iteration.timeFilter || "daily",
+        source: currentType,
+      };
+    }
+
+    // Otherwise, walk up to parent
+    if (currentType === "instance") {
+      // Instance → Container
+      const containerId = current.meta?.containerId || current.containerId;
+      current = containersById[containerId];
+      currentType = "container";
+    } else if (currentType === "container") {
+      // Container → Panel
+      const panelId = current.panelId;
+      current = panelsById[panelId];
+      currentType = "panel";
+    } else if (currentType === "panel") {
+      // Panel → Grid (end of chain)
+      break;
+    } else {
+      break;
+    }
+  }
+
+  // Fallback to grid's iteration
+  return { timeFilter: gridTimeFilter, source };
+}
+
+// ============================================================
+// CALENDAR
+// ============================================================
+// Iteration periods are matched on calendar dates ("YYYY-MM-DD") read in a
+// time zone, so an item dated Tuesday stays on Tuesday whether the browser,
+// the server or a laptop in another zone does the matching. A calendar is
+// { timeZone, weekStart }: the viewer's IANA zone (default: the runtime's)
+// and the grid's first day of the week (0 = Sunday ... 6 = Saturday,
+// default Sunday).
+//
+// Occurrences carry their date as iteration.date + iteration.timeZone (see
+// stampIterationDate). Older ones only have an instant (timeValue / value),
+// which is read in the viewer's zone.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_KEY = /^(\d{4})-(\d{2})-(\d{2})$/;
+const PERIOD_FILTERS = ["daily", "weekly", "monthly", "yearly"];
+
+// Intl formatters are slow to build; one per zone
+const zoneFormatters = new Map();
+
+function zoneFormatter(timeZone) {
+  let formatter = zoneFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    zoneFormatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+// Wall-clock fields of an instant in a zone
+function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of zoneFormatter(timeZone).formatToParts(date)) parts[type] = Number(value);
+  return parts;
+}
+
+// How far a zone's wall clock is ahead of UTC at an instant (ms)
+function zoneOffset(instant, timeZone) {
+  const p = zonedParts(new Date(instant), timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(instant / 1000) * 1000;
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+// Calendar dates as whole days since 1970-01-01, for day arithmetic
+function dayNumber(key) {
+  const [, year, month, day] = DATE_KEY.exec(key);
+  return Date.UTC(Number(year), Number(month) - 1, Number(day)) / DAY_MS;
+}
+
+function fromDayNumber(n) {
+  const d = new Date(n * DAY_MS);
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+}
+
+// month is 0-based and may overflow ("month 12" is January of the next year)
+function calendarKey(year, month, day) {
+  return fromDayNumber(Date.UTC(year, month, day) / DAY_MS);
+}
+
+function calendarParts(key) {
+  const [, year, month, day] = DATE_KEY.exec(key);
+  return { year: Number(year), month: Number(month) - 1, day: Number(day) };
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Whether a string is an IANA time zone this runtime knows
+ * @param {string} timeZone - e.g. "Europe/Berlin"
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    zoneFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The runtime's own time zone (the browser's, or the server's)
+ * @returns {string}
+ */
+export function getDefaultTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+  } catch {
+    return "UTC";
+  }
+}
+
+/**
+ * A grid's first day of the week, 0 (Sunday) to 6 (Saturday)
+ * @param {number|string} weekStart - Grid weekStart
+ * @returns {number} Sunday when missing or invalid
+ */
+export function normalizeWeekStart(weekStart) {
+  const day = Number(weekStart);
+  return Number.isInteger(day) && day >= 0 && day <= 6 ? day : 0;
+}
+
+/**
+ * Calendar date of a value in a time zone
+ * "YYYY-MM-DD" strings are already calendar dates and pass through.
+ *
+ * @param {Date|string|number} value - Instant or calendar date
+ * @param {string} [timeZone] - IANA zone (default: the runtime's)
+ * @returns {string|null} "YYYY-MM-DD", or null when missing or invalid
+ */
+export function toCalendarDate(value, timeZone) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "string" && DATE_KEY.test(value)) return value;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (isValidTimeZone(timeZone)) {
+    const p = zonedParts(date, timeZone);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+  }
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * A calendar date moved by whole days
+ * @param {string} key - "YYYY-MM-DD"
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} "YYYY-MM-DD"
+ */
+export function addCalendarDays(key, days) {
+  return fromDayNumber(dayNumber(key) + days);
+}
+
+/**
+ * Day of the week of a calendar date
+ * @param {string} key - "YYYY-MM-DD"
+ * @returns {number} 0 (Sunday) to 6 (Saturday)
+ */
+export function getCalendarWeekday(key) {
+  return new Date(dayNumber(key) * DAY_MS).getUTCDay();
+}
+
+/**
+ * The instant a calendar date begins in a time zone
+ * @param {string} key - "YYYY-MM-DD"
+ * @param {string} [timeZone] - IANA zone (default: the runtime's)
+ * @returns {Date}
+ */
+export function startOfCalendarDate(key, timeZone) {
+  const { year, month, day } = calendarParts(key);
+  if (!isValidTimeZone(timeZone)) return new Date(year, month, day);
+
+  // The zone's offset at UTC midnight, corrected once more in case a DST
+  // change falls in between. Where DST skips midnight, the day starts at
+  // the first instant that exists.
+  const wall = Date.UTC(year, month, day);
+  const first = wall - zoneOffset(wall, timeZone);
+  const second = wall - zoneOffset(first, timeZone);
+  return new Date(toCalendarDate(second, timeZone) === key ? second : first);
+}
+
+/**
+ * The instant a wall-clock time on a calendar date happens in a time zone
+ * @param {string} key - "YYYY-MM-DD"
+ * @param {number} minutes - Minutes since midnight
+ * @param {string} [timeZone] - IANA zone (default: the runtime's)
+ * @returns {Date}
+ */
+export function atTimeOfDay(key, minutes, timeZone) {
+  const { year, month, day } = calendarParts(key);
+  if (!isValidTimeZone(timeZone)) return new Date(year, month, day, 0, minutes);
+
+  // Same two-step offset correction as startOfCalendarDate
+  const wall = Date.UTC(year, month, day) + minutes * 60 * 1000;
+  const first = wall - zoneOffset(wall, timeZone);
+  return new Date(wall - zoneOffset(first, timeZone));
+}
+
+/**
+ * The period containing a date, as calendar dates [start, end)
+ *
+ * @param {string} timeFilter - 'daily', 'weekly', 'monthly', 'yearly' or "custom:<id>"
+ * @param {Date|string} date - Any date in the period
+ * @param {Object} [calendar] - { timeZone, weekStart, periods }
+ * @returns {Object|null} { start, end } as "YYYY-MM-DD" (custom periods add
+ *   their label), or null for 'all'
+ */
+export function getPeriodBounds(timeFilter, date, calendar = {}) {
+  if (!timeFilter || timeFilter === "all") return null;
+  const key = toCalendarDate(date, calendar.timeZone);
+  if (!key) return null;
+
+  const custom = findPeriodDefinition(timeFilter, calendar);
+  if (custom) {
+    const period = customPeriodBounds(custom, key);
+    if (period) return period;
+  }
+
+  const { year, month } = calendarParts(key);
+  switch (timeFilter) {
+    case "weekly": {
+      const start = addCalendarDays(key, -((getCalendarWeekday(key) - normalizeWeekStart(calendar.weekStart) + 7) % 7));
+      return { start, end: addCalendarDays(start, 7) };
+    }
+    case "monthly":
+      return { start: calendarKey(year, month, 1), end: calendarKey(year, month + 1, 1) };
+    case "yearly":
+      return { start: calendarKey(year, 0, 1), end: calendarKey(year + 1, 0, 1) };
+    default:
+      return { start: key, end: addCalendarDays(key, 1) };
+  }
+}
+
+/**
+ * An occurrence's calendar date: iteration.date when it has one, else its
+ * instant (timeValue / value / createdAt) read in its own zone, or the viewer's
+ *
+ * @param {Object} occ - Occurrence
+ * @param {string} [timeZone] - Viewer's zone
+ * @returns {string|null} "YYYY-MM-DD"
+ */
+export function getOccurrenceCalendarDate(occ, timeZone) {
+  const iteration = occ?.iteration || {};
+  if (typeof iteration.date === "string" && DATE_KEY.test(iteration.date)) return iteration.date;
+  const value = iteration.timeValue || iteration.value || occ?.createdAt || occ?.meta?.createdAt;
+  return toCalendarDate(value, iteration.timeZone || timeZone);
+}
+
+/**
+ * Records an iteration's date as a calendar date plus the zone it was
+ * picked in (iteration.date, iteration.timeZone). A date that still agrees
+ * with the iteration's instant is kept, so reading an occurrence from
+ * another zone never moves it; a new instant is dated again.
+ *
+ * @param {Object} iteration - Occurrence iteration
+ * @param {string} [timeZone] - Zone of whoever set the date (default: the runtime's)
+ * @returns {Object} The iteration, with date and timeZone when it has a time value
+ */
+export function stampIterationDate(iteration, timeZone) {
+  if (!iteration || (iteration.key && iteration.key !== "time")) return iteration;
+
+  const zone = isValidTimeZone(timeZone) ? timeZone : getDefaultTimeZone();
+  const value = iteration.timeValue || iteration.value;
+  const hasDate = typeof iteration.date === "string" && DATE_KEY.test(iteration.date);
+
+  if (!value) return hasDate && !iteration.timeZone ? { ...iteration, timeZone: zone } : iteration;
+  if (hasDate && !iteration.timeZone) return { ...iteration, timeZone: zone };
+  if (hasDate && toCalendarDate(value, iteration.timeZone) === iteration.date) return iteration;
+
+  const date = toCalendarDate(value, zone);
+  return date ? { ...iteration, date, timeZone: zone } : iteration;
+}
+
+/**
+ * Calendar options for a state shaped like the client's GridDataContext
+ * (the viewer's zone, the grid's week start and custom periods)
+ * @param {Object} state - { timeZone, grid }
+ * @returns {Object} { timeZone, weekStart, periods }
+ */
+export function getStateCalendar(state) {
+  return {
+    timeZone: state?.timeZone || undefined,
+    weekStart: normalizeWeekStart(state?.grid?.weekStart),
+    periods: state?.grid?.periods || [],
+  };
+}
+
+/**
+ * Check if a date falls within a time period
+ */
+function dateMatchesPeriod(occDate, targetDate, timeFilter, calendar = {}) {
+  if (!occDate || !targetDate) return false;
+  if (!PERIOD_FILTERS.includes(timeFilter) && !isCustomTimeFilter(timeFilter)) return true;
+
+  const day = toCalendarDate(occDate, calendar.timeZone);
+  const period = getPeriodBounds(timeFilter, targetDate, calendar);
+  return Boolean(day && period) && day >= period.start && day < period.end;
+}
+
+// ============================================================
+// CUSTOM PERIODS
+// ============================================================
+// A grid can define periods of its own (grid.periods) and use them
+// wherever a timeFilter goes, as "custom:<id>". Two kinds:
+//   { id, name, kind: "repeating", anchor: "YYYY-MM-DD", unit: "day" | "week",
+//     lengths: [n, ...] }
+//     Period lengths (in units) cycled from the anchor, both ways: [2] weeks
+//     are two-week sprints, [4, 4, 5] weeks the months of a 4-4-5 quarter.
+//   { id, name, kind: "ranges", ranges: [{ name, start, end }] }
+//     Explicit dates (end inclusive). Days between two ranges form one
+//     unnamed period; days before the first or after the last are daily.
+// Definitions reach the period math through the calendar
+// (calendar.periods, see getStateCalendar).
+
+const CUSTOM_PREFIX = "custom:";
+const MAX_PERIOD_LENGTHS = 53;
+
+/**
+ * Whether a timeFilter names one of the grid's custom periods
+ * @param {string} timeFilter
+ * @returns {boolean}
+ */
+export function isCustomTimeFilter(timeFilter) {
+  return typeof timeFilter === "string" && timeFilter.startsWith(CUSTOM_PREFIX) && timeFilter.length > CUSTOM_PREFIX.length;
+}
+
+/**
+ * The timeFilter a custom period is used as
+ * @param {Object|string} period - Definition or its id
+ * @returns {string} "custom:<id>"
+ */
+export function customTimeFilter(period) {
+  return `${CUSTOM_PREFIX}${typeof period === "string" ? period : period?.id}`;
+}
+
+function findPeriodDefinition(timeFilter, calendar = {}) {
+  if (!isCustomTimeFilter(timeFilter)) return null;
+  const id = timeFilter.slice(CUSTOM_PREFIX.length);
+  return (calendar.periods || []).find(p => p?.id === id) || null;
+}
+
+/**
+ * Cleans a custom period definition (as saved on grid.periods)
+ * Lengths are whole units from 1 to 366; ranges are sorted, and ones that
+ * overlap an earlier range are dropped.
+ *
+ * @param {Object} period - { id, name, kind, anchor, unit, lengths } or { id, name, kind, ranges }
+ * @returns {Object|null} The definition, or null when it can't define any period
+ */
+export function normalizePeriodDefinition(period) {
+  if (!period?.id || typeof period.id !== "string") return null;
+  const name = typeof period.name === "string" ? period.name.trim() : "";
+
+  if (period.kind === "repeating") {
+    const anchor = toCalendarDate(period.anchor);
+    const lengths = (Array.isArray(period.lengths) ? period.lengths : [])
+      .map(Number)
+      .filter(n => Number.isInteger(n) && n >= 1 && n <= 366)
+      .slice(0, MAX_PERIOD_LENGTHS);
+    if (!anchor || lengths.length === 0) return null;
+    return { id: period.id, name, kind: "repeating", anchor, unit: period.unit === "day" ? "day" : "week", lengths };
+  }
+
+  if (period.kind === "ranges") {
+    const ranges = [];
+    const sorted = (Array.isArray(period.ranges) ? period.ranges : [])
+      .map(r => ({
+        name: typeof r?.name === "string" ? r.name.trim() : "",
+        start: toCalendarDate(r?.start),
+        end: toCalendarDate(r?.end),
+      }))
+      .filter(r => r.start && r.end && r.start <= r.end)
+      .sort((a, b) => (a.start < b.start ? -1 : 1));
+    for (const range of sorted) {
+      if (ranges.length === 0 || range.start > ranges[ranges.length - 1].end) ranges.push(range);
+    }
+    return { id: period.id, name, kind: "ranges", ranges };
+  }
+
+  return null;
+}
+
+// The custom period containing a calendar date, or null where the
+// definition has none (callers fall back to the day)
+function customPeriodBounds(period, key) {
+  if (period.kind === "repeating") {
+    const lengths = period.lengths || [];
+    const unitDays = period.unit === "day" ? 1 : 7;
+    const cycleDays = lengths.reduce((sum, n) => sum + n, 0) * unitDays;
+    if (!period.anchor || cycleDays <= 0) return null;
+
+    const offset = dayNumber(key) - dayNumber(period.anchor);
+    const cycle = Math.floor(offset / cycleDays);
+    let start = dayNumber(period.anchor) + cycle * cycleDays;
+    for (let i = 0; i < lengths.length; i++) {
+      const end = start + lengths[i] * unitDays;
+      if (dayNumber(key) < end) {
+        // Single-length cycles count periods from the anchor (Sprint 1, 2, ...);
+        // longer ones number the position in the cycle (P1 ... P12)
+        const number = lengths.length > 1 ? i + 1 : cycle + 1;
+        return { start: fromDayNumber(start), end: fromDayNumber(end), label: `${period.name || "Period"} ${number}` };
+      }
+      start = end;
+    }
+    return null;
+  }
+
+  if (period.kind === "ranges") {
+    const ranges = period.ranges || [];
+    for (let i = 0; i < ranges.length; i++) {
+      const range = ranges[i];
+      if (key < range.start) {
+        // Between the previous range and this one
+        return i === 0 ? null : { start: addCalendarDays(ranges[i - 1].end, 1), end: range.start, label: null };
+      }
+      if (key <= range.end) {
+        return { start: range.start, end: addCalendarDays(range.end, 1), label: range.name || period.name || null };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Average length of a timeFilter's periods in days (what targets scale by)
+ * @param {string} timeFilter - Built-in or "custom:<id>"
+ * @param {Object} [calendar] - { periods }
+ * @returns {number|null} null when unknown
+ */
+export function getTimeFilterDays(timeFilter, calendar = {}) {
+  if (TIME_FILTER_MULTIPLIERS[timeFilter]) return TIME_FILTER_MULTIPLIERS[timeFilter];
+
+  const period = findPeriodDefinition(timeFilter, calendar);
+  if (period?.kind === "repeating" && period.lengths?.length) {
+    const unitDays = period.unit === "day" ? 1 : 7;
+    return (period.lengths.reduce((sum, n) => sum + n, 0) * unitDays) / period.lengths.length;
+  }
+  if (period?.kind === "ranges" && period.ranges?.length) {
+    const days = period.ranges.reduce((sum, r) => sum + dayNumber(r.end) - dayNumber(r.start) + 1, 0);
+    return days / period.ranges.length;
+  }
+  return null;
+}
+
+/**
+ * Start of the period a number of periods away from the one containing a date
+ * (how iteration navigation steps through custom periods)
+ *
+ * @param {string} timeFilter - Built-in or "custom:<id>"
+ * @param {Date|string} date - Any date in the current period
+ * @param {number} steps - Periods to move (negative to go back)
+ * @param {Object} [calendar] - { timeZone, weekStart, periods }
+ * @returns {string|null} "YYYY-MM-DD"
+ */
+export function shiftPeriod(timeFilter, date, steps, calendar = {}) {
+  let period = getPeriodBounds(timeFilter, date, calendar);
+  if (!period) return null;
+  for (let i = 0; i < Math.abs(steps); i++) {
+    const next = steps > 0 ? period.end : addCalendarDays(period.start, -1);
+    period = getPeriodBounds(timeFilter, next, calendar);
+  }
+  return period.start;
+}
+
+/**
+ * Select options for a grid's custom periods
+ * @param {Array} periods - grid.periods
+ * @returns {Array} [{ value: "custom:<id>", label }]
+ */
+export function getCustomTimeFilterOptions(periods = []) {
+  return (periods || [])
+    .filter(p => p?.id)
+    .map(p => ({ value: customTimeFilter(p), label: p.name || "Custom period" }));
+}
+
+// ============================================================
+// RECURRENCE
+// ============================================================
+// An occurrence with iteration.mode "recurring" is a series: it repeats on
+// the dates its iteration.recurrence rule picks, starting on its own date
+// (getOccurrenceCalendarDate). The rule is an RRULE subset:
+//   { freq: "daily" | "weekly" | "monthly", interval, byDay: [0-6]
+//     (weekly, Sunday = 0), byMonthDay: 1-31 (monthly), until: "YYYY-MM-DD"
+//     (last date, inclusive), count, exDates: ["YYYY-MM-DD"] }
+// Every-other-week rules count weeks from the grid's week start.
+// A series holds no per-date values. A date that gets its own field values
+// becomes a "specific" occurrence with meta.recurrence { seriesId, date },
+// and the date goes into exDates so the series no longer shows there. A
+// skipped date is an exDate without such an override.
+
+export const RECURRENCE_FREQUENCIES = {
+  daily: { label: "Daily", unit: "day" },
+  weekly: { label: "Weekly", unit: "week" },
+  monthly: { label: "Monthly", unit: "month" },
+};
+
+function startOfCalendarWeek(key, weekStart) {
+  return addCalendarDays(key, -((getCalendarWeekday(key) - weekStart + 7) % 7));
+}
+
+function ruleInterval(rule) {
+  return Math.max(1, Math.floor(Number(rule.interval)) || 1);
+}
+
+function ruleWeekdays(rule, start) {
+  const days = (rule.byDay || []).map(Number).filter(d => Number.isInteger(d) && d >= 0 && d <= 6);
+  return days.length > 0 ? [...new Set(days)].sort((a, b) => a - b) : [getCalendarWeekday(start)];
+}
+
+// Monthly rules on the 29th-31st fall on the last day of shorter months
+function ruleMonthDay(rule, start, year, month) {
+  const monthDay = Math.floor(Number(rule.byMonthDay)) || calendarParts(start).day;
+  return Math.min(Math.max(monthDay, 1), daysInMonth(year, month));
+}
+
+// Whether a day fits the rule's pattern (ignores until, count and exDates)
+function matchesPattern(rule, start, day, weekStart) {
+  const interval = ruleInterval(rule);
+  switch (rule.freq) {
+    case "daily":
+      return (dayNumber(day) - dayNumber(start)) % interval === 0;
+    case "weekly": {
+      if (!ruleWeekdays(rule, start).includes(getCalendarWeekday(day))) return false;
+      const weeks = (dayNumber(startOfCalendarWeek(day, weekStart)) - dayNumber(startOfCalendarWeek(start, weekStart))) / 7;
+      return weeks % interval === 0;
+    }
+    case "monthly": {
+      const s = calendarParts(start);
+      const d = calendarParts(day);
+      const months = (d.year - s.year) * 12 + d.month - s.month;
+      if (months % interval !== 0) return false;
+      return d.day === ruleMonthDay(rule, start, d.year, d.month);
+    }
+    default:
+      return false;
+  }
+}
+
+// Every date of the series in order, from its start (counted dates for COUNT)
+function* seriesDays(rule, start, weekStart) {
+  const interval = ruleInterval(rule);
+  if (rule.freq === "daily") {
+    for (let n = dayNumber(start); ; n += interval) yield fromDayNumber(n);
+  }
+  if (rule.freq === "weekly") {
+    const offsets = ruleWeekdays(rule, start).map(d => (d - weekStart + 7) % 7).sort((a, b) => a - b);
+    for (let week = dayNumber(startOfCalendarWeek(start, weekStart)); ; week += 7 * interval) {
+      for (const offset of offsets) {
+        const day = fromDayNumber(week + offset);
+        if (day >= start) yield day;
+      }
+    }
+  }
+  if (rule.freq === "monthly") {
+    const { year, month } = calendarParts(start);
+    for (let m = 0; ; m += interval) {
+      const first = calendarParts(calendarKey(year, month + m, 1));
+      const day = calendarKey(first.year, first.month, ruleMonthDay(rule, start, first.year, first.month));
+      if (day >= start) yield day;
+    }
+  }
+}
+
+/**
+ * First date of a recurring occurrence's series
+ * @param {Object} occ - Occurrence
+ * @param {string} [timeZone] - Viewer's zone, for occurrences without iteration.date
+ * @returns {string|null} "YYYY-MM-DD", or null without a date
+ */
+export function getRecurrenceStart(occ, timeZone) {
+  return getOccurrenceCalendarDate(occ, timeZone);
+}
+
+/**
+ * Dates a recurring occurrence falls on in [from, to), without its exDates
+ *
+ * @param {Object} occ - Occurrence with iteration.mode "recurring"
+ * @param {Date|string} from - Range start (instant or "YYYY-MM-DD")
+ * @param {Date|string} to - Range end, exclusive (instant or "YYYY-MM-DD")
+ * @param {Object} [calendar] - { timeZone, weekStart }
+ * @returns {Array<string>} "YYYY-MM-DD", oldest first
+ */
+export function getRecurrenceDates(occ, from, to, calendar = {}) {
+  const rule = occ?.iteration?.recurrence;
+  const start = getRecurrenceStart(occ, calendar.timeZone);
+  if (occ?.iteration?.mode !== "recurring" || !rule || !RECURRENCE_FREQUENCIES[rule.freq] || !start) return [];
+
+  const fromKey = toCalendarDate(from, calendar.timeZone);
+  let rangeEnd = toCalendarDate(to, calendar.timeZone);
+  if (!fromKey || !rangeEnd) return [];
+  const rangeStart = fromKey > start ? fromKey : start;
+  const until = toCalendarDate(rule.until, calendar.timeZone);
+  if (until && addCalendarDays(until, 1) < rangeEnd) rangeEnd = addCalendarDays(until, 1);
+
+  const weekStart = normalizeWeekStart(calendar.weekStart);
+  const exDates = new Set(rule.exDates || []);
+  const dates = [];
+
+  const count = Math.floor(Number(rule.count)) || 0;
+  if (count > 0) {
+    // Skipped dates still use up the count, as in RRULE
+    let n = 0;
+    for (const day of seriesDays(rule, start, weekStart)) {
+      if (n++ >= count || day >= rangeEnd) break;
+      if (day >= rangeStart && !exDates.has(day)) dates.push(day);
+    }
+    return dates;
+  }
+
+  for (let n = dayNumber(rangeStart), end = dayNumber(rangeEnd); n < end; n++) {
+    const day = fromDayNumber(n);
+    if (matchesPattern(rule, start, day, weekStart) && !exDates.has(day)) dates.push(day);
+  }
+  return dates;
+}
+
+/**
+ * Whether a recurring occurrence falls on a date (exDates excluded)
+ * @param {Object} occ - Occurrence with iteration.mode "recurring"
+ * @param {Date|string} date - Any time on the day, or "YYYY-MM-DD"
+ * @param {Object} [calendar] - { timeZone, weekStart }
+ * @returns {boolean}
+ */
+export function occurrenceRecursOn(occ, date, calendar = {}) {
+  const day = toCalendarDate(date, calendar.timeZone);
+  if (!day) return false;
+  return getRecurrenceDates(occ, day, addCalendarDays(day, 1), calendar).length > 0;
+}
+
+const RRULE_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+/**
+ * A recurrence rule as an iCalendar RRULE value
+ * @param {Object} rule - iteration.recurrence
+ * @param {number} [weekStart] - Grid week start (written as WKST for every-other-week rules)
+ * @returns {string|null}
+ */
+export function recurrenceToRRule(rule, weekStart = 0) {
+  if (!rule || !RECURRENCE_FREQUENCIES[rule.freq]) return null;
+
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+  const interval = ruleInterval(rule);
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  if (rule.freq === "weekly" && rule.byDay?.length) {
+    parts.push(`BYDAY=${rule.byDay.map(d => RRULE_WEEKDAYS[d]).filter(Boolean).join(",")}`);
+  }
+  if (rule.freq === "weekly" && interval > 1) parts.push(`WKST=${RRULE_WEEKDAYS[normalizeWeekStart(weekStart)]}`);
+  const monthDay = Math.floor(Number(rule.byMonthDay)) || 0;
+  if (rule.freq === "monthly" && monthDay > 28) {
+    // "The 31st, else the month's last day": the latest of 28..31 that exists
+    const days = [];
+    for (let d = 28; d <= monthDay; d++) days.push(d);
+    parts.push(`BYMONTHDAY=${days.join(",")}`, "BYSETPOS=-1");
+  } else if (rule.freq === "monthly" && monthDay > 0) {
+    parts.push(`BYMONTHDAY=${monthDay}`);
+  }
+  const count = Math.floor(Number(rule.count)) || 0;
+  const until = toCalendarDate(rule.until);
+  if (count > 0) parts.push(`COUNT=${count}`);
+  else if (until) parts.push(`UNTIL=${until.replace(/-/g, "")}`);
+
+  return parts.join(";");
+}
+
+// ============================================================
+// TIME OF DAY
+// ============================================================
+// An occurrence can be scheduled within its date: iteration.startTime and
+// iteration.endTime are wall-clock "HH:MM" in the occurrence's own zone
+// (iteration.timeZone). iteration.duration (minutes) stands in for a
+// missing end. Without a startTime an occurrence is unscheduled (all day).
+// Slots are { start, end } in minutes since midnight, end exclusive and at
+// most 24:00.
+
+const TIME_OF_DAY = /^(\d{1,2}):(\d{2})$/;
+const DAY_MINUTES = 24 * 60;
+export const DEFAULT_SLOT_MINUTES = 30;
+
+/**
+ * Minutes since midnight of an "HH:MM" time
+ * @param {string} value - "00:00" ... "24:00"
+ * @returns {number|null} null when not a time of day
+ */
+export function parseTimeOfDay(value) {
+  const match = typeof value === "string" ? TIME_OF_DAY.exec(value.trim()) : null;
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (minutes > 59 || hours * 60 + minutes > DAY_MINUTES) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * "HH:MM" for minutes since midnight
+ * @param {number} minutes - Clamped to 0 ... 24:00
+ * @returns {string}
+ */
+export function formatTimeOfDay(minutes) {
+  const m = Math.min(DAY_MINUTES, Math.max(0, Math.round(Number(minutes) || 0)));
+  return `${pad(Math.floor(m / 60))}:${pad(m % 60)}`;
+}
+
+/**
+ * Wall-clock time of an instant in a time zone
+ * @param {Date|string|number} value - Instant
+ * @param {string} [timeZone] - IANA zone (default: the runtime's)
+ * @returns {string|null} "HH:MM"
+ */
+export function getTimeOfDay(value, timeZone) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (value === null || value === undefined || Number.isNaN(date.getTime())) return null;
+  if (!isValidTimeZone(timeZone)) return formatTimeOfDay(date.getHours() * 60 + date.getMinutes());
+  const { hour, minute } = zonedParts(date, timeZone);
+  return formatTimeOfDay(hour * 60 + minute);
+}
+
+/**
+ * An occurrence's slot within its date
+ * @param {Object} occ - Occurrence
+ * @returns {Object|null} { start, end } in minutes, or null when unscheduled
+ */
+export function getOccurrenceTimeSlot(occ) {
+  const iteration = occ?.iteration || {};
+  const start = parseTimeOfDay(iteration.startTime);
+  if (start === null || start >= DAY_MINUTES) return null;
+
+  let end = parseTimeOfDay(iteration.endTime);
+  if (end === null || end <= start) {
+    const duration = Math.round(Number(iteration.duration));
+    end = start + (duration > 0 ? duration : DEFAULT_SLOT_MINUTES);
+  }
+  return { start, end: Math.min(end, DAY_MINUTES) };
+}
+
+/**
+ * An iteration scheduled into a slot, or unscheduled with a null slot
+ * @param {Object} iteration - Occurrence iteration
+ * @param {Object|null} slot - { start, end } in minutes
+ * @returns {Object} The new iteration
+ */
+export function withTimeSlot(iteration, slot) {
+  if (!slot) return { ...(iteration || {}), startTime: null, endTime: null, duration: null };
+  const start = Math.min(DAY_MINUTES - 1, Math.max(0, Math.round(slot.start)));
+  const end = Math.min(DAY_MINUTES, Math.max(start + 1, Math.round(slot.end)));
+  return { ...(iteration || {}), startTime: formatTimeOfDay(start), endTime: formatTimeOfDay(end), duration: null };
+}
+
+/**
+ * Which of a set of slots overlap another one (touching ends don't)
+ * @param {Array} items - [{ id, slot: { start, end } }]
+ * @returns {Set} ids of the conflicting items
+ */
+export function findTimeSlotConflicts(items = []) {
+  const sorted = items.filter(item => item?.slot).sort((a, b) => a.slot.start - b.slot.start);
+  const conflicts = new Set();
+  let latest = null;
+  for (const item of sorted) {
+    if (latest && item.slot.start < latest.slot.end) {
+      conflicts.add(item.id);
+      conflicts.add(latest.id);
+    }
+    if (!latest || item.slot.end > latest.slot.end) latest = item;
+  }
+  return conflicts;
+}
+
+/**
+ * Filter occurrences for VISIBILITY (what to show in UI)
+ * Handles persistence modes:
+ * - persistent: Always show
+ * - specific: Only show on matching iteration date
+ * - untilDone: Show until completed, then only on completion date
+ * - recurring: Show when one of the series' dates falls in the period
+ *
+ * @param {Array} occurrences - Array of occurrences
+ * @param {string} timeFilter - 'daily', 'weekly', 'monthly', 'yearly' or "custom:<id>"
+ * @param {Date|string} currentDate - The date being viewed
+ * @param {Object} options - { categoryKey, categoryValue, timeZone, weekStart, periods }
+ * @returns {Array} Filtered occurrences
+ */
+export function filterOccurrencesForVisibility(occurrences, timeFilter, currentDate, options = {}) {
+  const { categoryKey = null, categoryValue = null, timeZone, weekStart, periods } = options;
+  const calendar = { timeZone, weekStart, periods };
+
+  let filtered = occurrences;
+
+  // Apply category filter if specified
+  if (categoryKey && categoryValue) {
+    filtered = filtered.filter(occ => {
+      const occCategory = occ.iteration?.categoryValue;
+      // Show if no category set (applies to all) or matches
+      return !occCategory || occCategory === categoryValue;
+    });
+  }
+
+  // Apply time filter if specified
+  if (!timeFilter || timeFilter === "all" || !currentDate) {
+    return filtered;
+  }
+
+  return filtered.filter(occ => {
+    const mode = occ.iteration?.mode || "specific";
+
+    // Persistent occurrences always show
+    if (mode === "persistent") {
+      return true;
+    }
+
+    // "untilDone" mode: show if not completed, or if completed on this iteration
+    if (mode === "untilDone") {
+      const completedOn = occ.iteration?.completedOn;
+
+      // Not completed yet - show on all iterations
+      if (!completedOn) {
+        return true;
+      }
+
+      // Completed - only show on the iteration it was completed
+      return dateMatchesPeriod(completedOn, currentDate, timeFilter, calendar);
+    }
+
+    if (mode === "recurring") {
+      const period = getPeriodBounds(timeFilter, currentDate, calendar);
+      return !period || getRecurrenceDates(occ, period.start, period.end, calendar).length > 0;
+    }
+
+    // "specific" mode: only show if the occurrence's date is in the viewed period
+    // (iteration.date, else timeValue for compound iterations, else legacy value/createdAt)
+    return dateMatchesPeriod(getOccurrenceCalendarDate(occ, timeZone), currentDate, timeFilter, calendar);
+  });
+}
+
+/**
+ * Filter occurrences for CALCULATIONS (what to aggregate)
+ * Only includes non-persistent occurrences that match the iteration
+ * Persistent items are templates - their copies get aggregated, not the templates
+ * Supports compound iterations (time + category)
+ *
+ * @param {Array} occurrences - Array of occurrences
+ * @param {string} timeFilter - 'daily', 'weekly', 'monthly', 'yearly' or "custom:<id>"
+ * @param {Date|string} currentDate - The date being viewed
+ * @param {Object} options - { categoryKey, categoryValue } for compound filtering, { timeZone, weekStart, periods } for periods
+ * @returns {Array} Filtered occurrences for calculation
+ */
+export function filterOccurrencesForCalculation(occurrences, timeFilter, currentDate, options = {}) {
+  const { categoryKey = null, categoryValue = null, timeZone, weekStart, periods } = options;
+  const calendar = { timeZone, weekStart, periods };
+
+  let filtered = occurrences;
+
+  // Apply category filter if specified
+  if (categoryKey && categoryValue) {
+    filtered = filtered.filter(occ => {
+      const occCategory = occ.iteration?.categoryValue;
+      // Only include if category matches (null category = all categories, so include)
+      return !occCategory || occCategory === categoryValue;
+    });
+  }
+
+  // Exclude persistent templates and recurring series from calculations
+  // (a series' dates count through their own overrides)
+  filtered = filtered.filter(occ => occ.iteration?.mode !== "persistent" && occ.iteration?.mode !== "recurring");
+
+  if (!timeFilter || timeFilter === "all" || !currentDate) {
+    return filtered;
+  }
+
+  return filtered.filter(occ => {
+    const mode = occ.iteration?.mode || "specific";
+
+    // "untilDone" mode: only count if completed on this iteration
+    if (mode === "untilDone") {
+      const completedOn = occ.iteration?.completedOn;
+
+      // Not completed - don't count yet
+      if (!completedOn) {
+        return false;
+      }
+
+      // Completed - count on the iteration it was completed
+      return dateMatchesPeriod(completedOn, currentDate, timeFilter, calendar);
+    }
+
+    // "specific" mode: count if the occurrence's date is in the viewed period
+    return dateMatchesPeriod(getOccurrenceCalendarDate(occ, timeZone), currentDate, timeFilter, calendar);
+  });
+}
+
+/**
+ * Filter occurrences by iteration (timeFilter + currentDate + optional category)
+ * This is the legacy function - now calls filterOccurrencesForCalculation
+ *
+ * @param {Array} occurrences - Array of occurrences
+ * @param {string} timeFilter - 'daily', 'weekly', 'monthly', 'yearly' or "custom:<id>"
+ * @param {Date|string} currentDate - The date being viewed (center of the period)
+ * @param {Object} options - { categoryKey, categoryValue, timeZone, weekStart, periods }
+ * @returns {Array} Filtered occurrences
+ */
+export function filterOccurrencesByIteration(occurrences, timeFilter, currentDate, options = {}) {
+  return filterOccurrencesForCalculation(occurrences, timeFilter, currentDate, options);
+}
+
+/**
+ * The period containing a date, as a half-open range of instants [start, end)
+ * Same periods as dateMatchesPeriod (getPeriodBounds), starting at midnight
+ * in the calendar's zone
+ *
+ * @param {string} timeFilter - 'daily', 'weekly', 'monthly', 'yearly'
+ * @param {Date|string} date - Any date in the period
+ * @param {Object} [calendar] - { timeZone, weekStart }
+ * @returns {Object|null} { start: Date, end: Date }, or null for 'all'
+ */
+export function getIterationWindow(timeFilter, date, calendar = {}) {
+  if (!date) return null;
+  const period = getPeriodBounds(timeFilter, date, calendar);
+  if (!period) return null;
+  return {
+    start: startOfCalendarDate(period.start, calendar.timeZone),
+    end: startOfCalendarDate(period.end, calendar.timeZone),
+  };
+}
+
+/**
+ * Date that places an occurrence in one iteration window
+ * Null for occurrences that show in every iteration and so are always
+ * loaded: panels, containers, docs, persistent items, recurring series and not-yet-done items
+ *
+ * @param {Object} occ - Occurrence
+ * @param {string} [timeZone] - Viewer's zone (windows start at midnight in it)
+ * @returns {Date|null}
+ */
+export function getOccurrenceWindowDate(occ, timeZone) {
+  if (occ?.targetType !== "instance") return null;
+
+  const mode = occ.iteration?.mode || "specific";
+  if (mode === "persistent" || mode === "recurring") return null;
+
+  if (mode === "untilDone") {
+    const completedOn = occ.iteration?.completedOn ? new Date(occ.iteration.completedOn) : null;
+    return completedOn && !Number.isNaN(completedOn.getTime()) ? completedOn : null;
+  }
+
+  const day = getOccurrenceCalendarDate(occ, timeZone);
+  return day ? startOfCalendarDate(day, timeZone) : null;
+}
+
+/**
+ * Whether an occurrence belongs with a window's occurrences
+ * (always true for occurrences without a window date)
+ *
+ * @param {Object} occ - Occurrence
+ * @param {Object} window - { start, end } as Dates or ISO strings
+ * @param {string} [timeZone] - Viewer's zone
+ * @returns {boolean}
+ */
+export function isOccurrenceInWindow(occ, window, timeZone) {
+  const date = getOccurrenceWindowDate(occ, timeZone);
+  if (!date) return true;
+  return date >= new Date(window.start) && date < new Date(window.end);
+}
+
+/**
+ * Filter occurrences by scope
+ */
+export function filterOccurrencesByScope(occurrences, scope, context = {}) {
+  const { gridId, panelId, containerId, instanceId } = context;
+
+  switch (scope) {
+    case "grid":
+      return occurrences.filter(occ => occ.gridId === gridId);
+
+    case "panel":
+      return occurrences.filter(occ =>
+        occ.gridId === gridId && occ.meta?.panelId === panelId
+      );
+
+    case "container":
+      return occurrences.filter(occ =>
+        occ.gridId === gridId && occ.meta?.containerId === containerId
+      );
+
+    case "instance":
+      return occurrences.filter(occ =>
+        occ.gridId === gridId && occ.targetId === instanceId
+      );
+
+    default:
+      return occurrences;
+  }
+}
+
+/**
+ * Filter occurrences by time
+ */
+export function filterOccurrencesByTime(occurrences, timeFilter = "all", calendar = {}) {
+  const filter = getTimeFilterFn(timeFilter);
+  if (!filter || timeFilter === "all") return occurrences;
+  return occurrences.filter(occ => filter(occ, calendar));
+}
+
+/**
+ * Extract field values from occurrences
+ *
+ * @param {Array} occurrences - Array of occurrences
+ * @param {string} fieldId - Field ID to extract values from
+ * @param {Object} options - Options for extraction
+ * @param {string} options.flowFilter - 'any', 'in', or 'out' - which flows to include
+ * @returns {Array} Array of values (with sign applied based on flow)
+ */
+export function extractFieldValues(occurrences, fieldId, options = {}) {
+  const { flowFilter = "any" } = options;
+
+  // Normalize flowFilter: "any" = all flows, string = single flow, array = multiple flows
+  const allowedFlows = flowFilter === "any"
+    ? null // null means accept all
+    : Array.isArray(flowFilter)
+      ? flowFilter
+      : [flowFilter];
+
+  return occurrences
+    .map(occ => {
+      const fieldData = occ.fields?.[fieldId];
+      if (fieldData === undefined || fieldData === null) return null;
+
+      // Handle simple values (backwards compatibility — treated as "in" flow)
+      if (typeof fieldData !== "object") {
+        if (allowedFlows && !allowedFlows.includes("in")) return null;
+        return fieldData;
+      }
+
+      // Handle { value, flow } format
+      const { value, flow = "in" } = fieldData;
+      if (value === undefined || value === null) return null;
+
+      // Filter by flow type (null = accept all)
+      if (allowedFlows && !allowedFlows.includes(flow)) {
+        return null;
+      }
+
+      // Apply sign based on flow
+      if (typeof value === "number") {
+        return flow === "out" ? -value : value;
+      }
+
+      return value;
+    })
+    .filter(v => v !== null);
+}
+
+/**
+ * Apply aggregation to values
+ */
+export function applyAggregation(values, aggregation, options = {}) {
+  const agg = AGGREGATIONS[aggregation];
+  if (!agg) {
+    console.warn(`Unknown aggregation: ${aggregation}`);
+    return null;
+  }
+  return agg.fn(values, options);
+}
+
+/**
+ * Check if a value meets a target condition
+ *
+ * @param {number} value - The calculated value
+ * @param {Object} target - Target config { value, op, timeFilter }
+ * @param {string} currentTimeFilter - The current viewing time filter (for scaling)
+ * @param {Object} [calendar] - { periods }, when either time filter is a custom period
+ * @returns {boolean|null} Whether target is met, or null if no target
+ */
+export function checkTarget(value, target, currentTimeFilter = null, calendar = {}) {
+  if (!target || target.value === undefined) return null;
+
+  const comparison = COMPARISONS[target.op || ">="];
+  if (!comparison) return false;
+
+  // Scale the target if viewing in a different time period
+  let scaledTarget = target.value;
+  if (currentTimeFilter && target.timeFilter && target.timeFilter !== "inherit") {
+    scaledTarget = scaleTarget(target.value, target.timeFilter, currentTimeFilter, calendar);
+  }
+
+  return comparison.fn(value, scaledTarget);
+}
+
+/**
+ * Get the scaled target value for display
+ *
+ * @param {Object} target - Target config { value, op, timeFilter }
+ * @param {string} currentTimeFilter - The current viewing time filter
+ * @param {Object} [calendar] - { periods }, when either time filter is a custom period
+ * @returns {number|null} The scaled target value
+ */
+export function getScaledTargetValue(target, currentTimeFilter, calendar = {}) {
+  if (!target || target.value === undefined) return null;
+
+  if (currentTimeFilter && target.timeFilter && target.timeFilter !== "inherit") {
+    return scaleTarget(target.value, target.timeFilter, currentTimeFilter, calendar);
+  }
+
+  return target.value;
+}
+
+/**
+ * Calculate progress towards a target (0-100%)
+ *
+ * @param {number} value - The calculated value
+ * @param {Object} target - Target config { value, op, timeFilter }
+ * @param {string} currentTimeFilter - The current viewing time filter (for scaling)
+ * @param {Object} [calendar] - { periods }, when either time filter is a custom period
+ * @returns {number|null} Progress percentage, or null if no target
+ */
+export function calculateProgress(value, target, currentTimeFilter = null, calendar = {}) {
+  if (!target || target.value === undefined || target.value === 0) return null;
+
+  // Scale the target if viewing in a different time period
+  let scaledTarget = target.value;
+  if (currentTimeFilter && target.timeFilter && target.timeFilter !== "inherit") {
+    scaledTarget = scaleTarget(target.value, target.timeFilter, currentTimeFilter, calendar);
+  }
+
+  if (scaledTarget === 0) return null;
+
+  const progress = (value / scaledTarget) * 100;
+  return Math.min(Math.max(progress, 0), 100);
+}
+
+/**
+ * Get the cache key for a derived field calculation
+ * Used to determine if recalculation is needed
+ *
+ * Includes iteration context so calculations are recalculated when:
+ * - The grid's selected iteration changes
+ * - The viewing time filter changes
+ * - Parent iteration settings change
+ */
+export function getDerivedFieldCacheKey(state, field, context = {}) {
+  if (!field || field.mode !== "derived" || !field.metric) {
+    return null;
+  }
+
+  const { metric } = field;
+  const {
+    fieldId: sourceFieldId,
+    scope = "container",
+    timeFilter = "all",
+  } = metric;
+
+  // Get relevant occurrences based on scope
+  const allOccurrences = state.occurrences || [];
+  const calendar = getStateCalendar(state);
+  const scopedOccurrences = filterOccurrencesByScope(allOccurrences, scope, context);
+  const filteredOccurrences = filterOccurrencesByTime(scopedOccurrences, timeFilter, calendar);
+
+  // Create a hash of only the relevant field values
+  // This ensures we only recalculate when those specific values change
+  const relevantValues = filteredOccurrences
+    .map(occ => `${occ.id}:${occ.fields?.[sourceFieldId] ?? "null"}`)
+    .join("|");
+
+  // Include iteration context in cache key
+  // This ensures recalculation when viewing period changes
+  const { currentIteration, iterationDate } = context;
+  const iterationKey = currentIteration || "default";
+  const dateKey = iterationDate ? toCalendarDate(iterationDate, calendar.timeZone) : "all";
+
+  // Editing a custom period's definition changes its periods
+  const periodsKey = [timeFilter, iterationKey]
+    .map(tf => findPeriodDefinition(tf, calendar))
+    .filter(Boolean)
+    .map(p => JSON.stringify(p))
+    .join(",");
+
+  return `${field.id}:${scope}:${timeFilter}:${iterationKey}:${dateKey}:${calendar.weekStart}:${periodsKey}:${relevantValues}`;
+}
+
+/**
+ * Get only the relevant occurrences for a derived field calculation
+ * Useful for memoization - only depends on specific occurrences
+ */
+export function getRelevantOccurrences(state, field, context = {}) {
+  if (!field || field.mode !== "derived" || !field.metric) {
+    return [];
+  }
+
+  const { metric } = field;
+  const { scope = "container", timeFilter = "all" } = metric;
+
+  const allOccurrences = state.occurrences || [];
+  const scopedOccurrences = filterOccurrencesByScope(allOccurrences, scope, context);
+  return filterOccurrencesByTime(scopedOccurrences, timeFilter, getStateCalendar(state));
+}
+
+/**
+ * Calculate a derived field value
+ *
+ * @param {Object} state - Full app state (including selectedIterationId, currentIterationValue, grid.iterations, timeZone)
+ * @param {Object} field - Field definition with metric config
+ * @param {Object} context - { gridId, panelId, containerId, instanceId }
+ * @returns {any} Calculated value
+ */
+export function calculateDerivedField(state, field, context = {}) {
+  if (!field || field.mode !== "derived" || !field.metric) {
+    return null;
+  }
+
+  const { metric } = field;
+  const {
+    source = "occurrences",
+    allowedFields = [],
+    aggregation = "sum",
+    options = {},
+    // Legacy single field support
+    fieldId: legacyFieldId,
+  } = metric;
+
+  // Only occurrence-based calculations for now
+  if (source !== "occurrences") {
+    console.warn(`Unknown metric source: ${source}`);
+    return null;
+  }
+
+  // Get time iteration context from state
+  const iterations = state.grid?.iterations || [];
+  const selectedIterationId = state.selectedIterationId || "default";
+  const currentIterationValue = state.currentIterationValue;
+  const selectedIteration = iterations.find(i => i.id === selectedIterationId) || iterations[0];
+  const iterationTimeFilter = selectedIteration?.timeFilter;
+  const calendar = getStateCalendar(state);
+
+  // Get category iteration context from state (for compound filtering)
+  const categoryDimensions = state.grid?.categoryDimensions || [];
+  const selectedCategoryId = state.selectedCategoryId || state.grid?.selectedCategoryId;
+  const currentCategoryValue = state.currentCategoryValue || state.grid?.currentCategoryValue;
+  const selectedCategory = categoryDimensions.find(c => c.id === selectedCategoryId);
+
+  // Get all occurrences in the grid
+  let allOccurrences = state.occurrences || [];
+
+  // Create byId lookups - use provided maps or build from arrays
+  const containersById = state.containersById || buildLookupFromArray(state.containers);
+
+  // Apply compound iteration filter (time + category)
+  const iterationOptions = {
+    categoryKey: selectedCategory?.id,
+    categoryValue: currentCategoryValue,
+    ...calendar,
+  };
+
+  if (iterationTimeFilter && currentIterationValue) {
+    allOccurrences = filterOccurrencesByIteration(allOccurrences, iterationTimeFilter, currentIterationValue, iterationOptions);
+  } else if (selectedCategory && currentCategoryValue) {
+    // Category filter only (no time filter)
+    allOccurrences = filterOccurrencesByIteration(allOccurrences, "all", null, iterationOptions);
+  }
+
+  let allValues = [];
+
+  // If using new allowedFields format
+  if (allowedFields.length > 0) {
+    for (const allowedField of allowedFields) {
+      const { fieldId, destinations = [], flowFilter = "any" } = allowedField;
+
+      // Filter occurrences by destination (if specified)
+      let filteredOccs = allOccurrences;
+
+      if (destinations.length > 0) {
+        filteredOccs = allOccurrences.filter(occ => {
+          const occContainerId = occ.meta?.containerId;
+          const occPanelId = containersById[occContainerId]?.panelId;
+
+          for (const dest of destinations) {
+            // Check if destination matches
+            if (dest.id.startsWith("container:")) {
+              const containerId = dest.id.replace("container:", "");
+              if (occContainerId !== containerId) continue;
+            } else if (dest.id.startsWith("panel:")) {
+              const panelId = dest.id.replace("panel:", "");
+              if (occPanelId !== panelId) continue;
+            }
+
+            // Apply time filter for this destination
+            const timeFilter = dest.timeFilter || "all";
+            if (timeFilter !== "all") {
+              const filter = getTimeFilterFn(timeFilter);
+              if (filter && !filter(occ, calendar)) continue;
+            }
+
+            return true;
+          }
+          return false;
+        });
+      }
+
+      // Extract values with flow filter
+      const values = extractFieldValues(filteredOccs, fieldId, { flowFilter });
+      allValues = allValues.concat(values);
+    }
+  } else if (legacyFieldId) {
+    // Legacy single field support
+    const relevantOccurrences = getRelevantOccurrences(state, field, context);
+    allValues = extractFieldValues(relevantOccurrences, legacyFieldId);
+  }
+
+  // ── Sibling-linked question cycling ──
+  // When a derived field uses `first` or `random` aggregation AND has
+  // siblingLinks pointing to a select field with options, use those
+  // options as the value pool instead of occurrence-extracted values.
+  if (
+    (aggregation === "first" || aggregation === "random") &&
+    field.siblingLinks &&
+    field.siblingLinks.length > 0
+  ) {
+    const fieldsById = {};
+    (state.fields || []).forEach(f => { if (f?.id) fieldsById[f.id] = f; });
+
+    // Find the first sibling that is a select field with options
+    for (const siblingId of field.siblingLinks) {
+      const sibling = fieldsById[siblingId];
+      const siblingOptions = sibling?.meta?.options;
+      if (sibling?.type === "select" && Array.isArray(siblingOptions) && siblingOptions.length > 0) {
+        // Use the iteration date (or today) as the cycling key
+        const iterDate = toCalendarDate(currentIterationValue || new Date(), calendar.timeZone);
+
+        if (aggregation === "first") {
+          // Deterministic cycle: index = dayOfYear % options.length
+          const dayIdx = getDayOfYear(iterDate);
+          const idx = dayIdx % siblingOptions.length;
+          return siblingOptions[idx].label ?? siblingOptions[idx].value;
+        }
+
+        if (aggregation === "random") {
+          // Seeded random: same day always gives the same question
+          const seed = dateSeed(iterDate);
+          const r = seededRandom(seed);
+          const idx = Math.floor(r * siblingOptions.length);
+          return siblingOptions[idx].label ?? siblingOptions[idx].value;
+        }
+      }
+    }
+  }
+
+  // Apply aggregation
+  return applyAggregation(allValues, aggregation, options);
+}
+
+/**
+ * Start of each day/week/month period from start to end (inclusive).
+ * Same periods as dateMatchesPeriod, starting at midnight in the calendar's zone.
+ *
+ * @param {string} timeFilter - 'daily', 'weekly', 'monthly', 'yearly' or "custom:<id>"
+ * @param {Date|string} start - First date
+ * @param {Date|string} end - Last date
+ * @param {Object} [calendar] - { timeZone, weekStart }
+ * @returns {Array<Date>}
+ */
+export function getPeriodStarts(timeFilter, start, end, calendar = {}) {
+  const filter = PERIOD_FILTERS.includes(timeFilter) || isCustomTimeFilter(timeFilter) ? timeFilter : "daily";
+  const first = getPeriodBounds(filter, start, calendar);
+  const last = toCalendarDate(end, calendar.timeZone);
+  if (!first || !last) return [];
+
+  const starts = [];
+  for (let period = first; period.start <= last; period = getPeriodBounds(filter, period.end, calendar)) {
+    starts.push(startOfCalendarDate(period.start, calendar.timeZone));
+  }
+  return starts;
+}
+
+/**
+ * Sample derived fields once per period by running calculateDerivedField
+ * as if the grid were viewing that period
+ *
+ * @param {Object} state - Full app state
+ * @param {Array} fields - Derived fields to sample
+ * @param {Object} options - { timeFilter: 'daily'|'weekly'|'monthly', start, end, context, keepCategory }
+ * @returns {Array} [{ period: Date, values: { [fieldId]: value } }]
+ */
+export function sampleDerivedFieldSeries(state, fields, options = {}) {
+  const { timeFilter = "daily", start, end, context = {}, keepCategory = false } = options;
+  const sampleIterationId = "__series";
+
+  const baseState = {
+    ...state,
+    grid: {
+      ...state.grid,
+      iterations: [{ id: sampleIterationId, name: "Series", timeFilter }],
+      ...(keepCategory ? {} : { selectedCategoryId: null, currentCategoryValue: null }),
+    },
+    selectedIterationId: sampleIterationId,
+    ...(keepCategory ? {} : { selectedCategoryId: null, currentCategoryValue: null }),
+  };
+
+  return getPeriodStarts(timeFilter, start, end, getStateCalendar(state)).map(period => {
+    const periodState = { ...baseState, currentIterationValue: period };
+    const values = {};
+    for (const field of fields) {
+      values[field.id] = calculateDerivedField(periodState, field, context);
+    }
+    return { period, values };
+  });
+}
+
+/**
+ * Get aggregation options for a given field type
+ */
+export function getAggregationsForType(fieldType) {
+  return Object.entries(AGGREGATIONS)
+    .filter(([, config]) => config.types.includes(fieldType))
+    .map(([value, config]) => ({
+      value,
+      label: config.label,
+      symbol: config.symbol,
+      description: config.description,
+    }));
+}
+
+/**
+ * Get aggregation symbol for display
+ */
+export function getAggregationSymbol(aggregation) {
+  return AGGREGATIONS[aggregation]?.symbol || "=";
+}
+
+/**
+ * Get aggregation label for display
+ */
+export function getAggregationLabel(aggregation) {
+  return AGGREGATIONS[aggregation]?.label || aggregation;
+}
+
+/**
+ * Calculate streak (consecutive occurrences meeting a condition)
+ * Useful for habit tracking
+ */
+export function calculateStreak(occurrences, fieldId, condition = Boolean) {
+  // Sort by date descending (most recent first)
+  const sorted = [...occurrences].sort((a, b) => {
+    const dateA = new Date(a.createdAt || a.meta?.createdAt || 0);
+    const dateB = new Date(b.createdAt || b.meta?.createdAt || 0);
+    return dateB - dateA;
+  });
+
+  let streak = 0;
+  for (const occ of sorted) {
+    const value = occ.fields?.[fieldId];
+    if (condition(value)) {
+      streak++;
+    } else {
+      break;
+    }
+  }
+  return streak;
+}
+
+/**
+ * Calculate rolling average over N most recent occurrences
+ */
+export function calculateRollingAverage(occurrences, fieldId, windowSize = 7) {
+  // Sort by date descending
+  const sorted = [...occurrences].sort((a, b) => {
+    const dateA = new Date(a.createdAt || a.meta?.createdAt || 0);
+    const dateB = new Date(b.createdAt || b.meta?.createdAt || 0);
+    return dateB - dateA;
+  });
+
+  const window = sorted.slice(0, windowSize);
+  const values = extractFieldValues(window, fieldId);
+
+  if (values.length === 0) return 0;
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+/**
+ * Format a calculated value with prefix/postfix
+ */
+export function formatValue(value, meta = {}) {
+  const { prefix = "", postfix = "", precision = 2 } = meta;
+
+  if (value === null || value === undefined) {
+    return `${prefix}-${postfix}`;
+  }
+
+  let formatted = value;
+  if (typeof value === "number") {
+    formatted = Number.isInteger(value) ? value : value.toFixed(precision);
+  }
+
+  return `${prefix}${formatted}${postfix}`;
+}
+
+/**
+ * Calculate a value from transactions instead of occurrences
+ * Used when field.metric.source === "transactions"
+ *
+ * @param {Array} transactions - Array of Transaction objects from server
+ * @param {Object} options - Configuration options
+ * @param {string} options.aggregation - Aggregation function to apply
+ * @param {string} options.flowFilter - "any" | "in" | "out"
+ * @param {Array<string>} options.fieldIds - Field IDs to include
+ * @param {string} options.timeFilter - Time filter to apply
+ * @param {Object} options.calendar - { timeZone, weekStart } for the time filter
+ * @returns {any} Calculated value
+ */
+export function calculateFromTransactions(transactions, options = {}) {
+  const {
+    aggregation = "sum",
+    flowFilter = "any",
+    fieldIds = [],
+    timeFilter = "all",
+    calendar = {},
+  } = options;
+
+  // Filter transactions by time if needed
+  let filteredTransactions = transactions;
+  const filter = timeFilter && timeFilter !== "all" ? getTimeFilterFn(timeFilter) : null;
+  if (filter) {
+    filteredTransactions = transactions.filter(tx => {
+      // Use transaction timestamp for filtering
+      const mockOcc = { createdAt: tx.timestamp };
+      return filter(mockOcc, calendar);
+    });
+  }
+
+  // Extract values from transaction operations
+  const values = filteredTransactions
+    .flatMap(tx => tx.operations || [])
+    .filter(op => op.type === "measure")
+    .filter(op => {
+      // Filter by field IDs if specified
+      if (fieldIds.length > 0 && !fieldIds.includes(op.measure.fieldId)) {
+        return false;
+      }
+      // Filter by flow
+      if (flowFilter !== "any" && op.measure.flow !== flowFilter) {
+        return false;
+      }
+      return true;
+    })
+    .map(op => {
+      const value = op.measure.value;
+      const flow = op.measure.flow || "in";
+
+      // Apply sign based on flow
+      if (typeof value === "number") {
+        return flow === "out" ? -value : value;
+      }
+      return value;
+    })
+    .filter(v => v !== null && v !== undefined);
+
+  // Apply aggregation
+  return applyAggregation(values, aggregation);
+}
+
+/**
+ * Aggregate values from transaction history for a derived field
+ * This is the transaction-based version of calculateDerivedField
+ *
+ * @param {Object} field - Field definition with metric config
+ * @param {Array} transactions - Transactions from server
+ * @param {Object} context - Additional context ({ calendar } for time filters)
+ * @returns {any} Calculated value
+ */
+export function calculateDerivedFieldFromTransactions(field, transactions, context = {}) {
+  if (!field || field.mode !== "derived" || !field.metric) {
+    return null;
+  }
+
+  const { metric } = field;
+  const {
+    allowedFields = [],
+    aggregation = "sum",
+    timeFilter = "all",
+  } = metric;
+
+  // Build list of field IDs and their flow filters
+  const fieldConfigs = allowedFields.map(af => ({
+    fieldId: af.fieldId,
+    flowFilter: af.flowFilter || "any",
+  }));
+
+  if (fieldConfigs.length === 0) {
+    return null;
+  }
+
+  // For now, we aggregate all allowed fields together
+  // Future: could support per-field aggregation then combine
+  const fieldIds = fieldConfigs.map(fc => fc.fieldId);
+  const flowFilter = fieldConfigs[0]?.flowFilter || "any"; // Use first field's flow filter
+
+  return calculateFromTransactions(transactions, {
+    aggregation,
+    flowFilter,
+    fieldIds,
+    timeFilter,
+    calendar: context.calendar,
+  });
+}
+
+export default {
+  AGGREGATIONS,
+  COMPARISONS,
+  SCOPES,
+  TIME_FILTERS,
+  TIME_FILTER_MULTIPLIERS,
+  INPUT_FLOWS,
+  DERIVED_FLOWS,
+  PERSISTENCE_MODES,
+  RECURRENCE_FREQUENCIES,
+  DEFAULT_SLOT_MINUTES,
+  scaleTarget,
+  resolveSourceTimeFilter,
+  resolveEffectiveIteration,
+  filterOccurrencesByScope,
+  filterOccurrencesByTime,
+  filterOccurrencesByIteration,
+  filterOccurrencesForVisibility,
+  filterOccurrencesForCalculation,
+  isValidTimeZone,
+  getDefaultTimeZone,
+  normalizeWeekStart,
+  toCalendarDate,
+  addCalendarDays,
+  getCalendarWeekday,
+  startOfCalendarDate,
+  atTimeOfDay,
+  getPeriodBounds,
+  getOccurrenceCalendarDate,
+  stampIterationDate,
+  getStateCalendar,
+  isCustomTimeFilter,
+  customTimeFilter,
+  normalizePeriodDefinition,
+  getTimeFilterDays,
+  getTimeFilterFn,
+  shiftPeriod,
+  getCustomTimeFilterOptions,
+  parseTimeOfDay,
+  formatTimeOfDay,
+  getTimeOfDay,
+  getOccurrenceTimeSlot,
+  withTimeSlot,
+  findTimeSlotConflicts,
+  getRecurrenceStart,
+  getRecurrenceDates,
+  occurrenceRecursOn,
+  recurrenceToRRule,
+  extractFieldValues,
+  applyAggregation,
+  checkTarget,
+  getScaledTargetValue,
+  calculateProgress,
+  calculateDerivedField,
+  getPeriodStarts,
+  sampleDerivedFieldSeries,
+  calculateFromTransactions,
+  calculateDerivedFieldFromTransactions,
+  getAggregationsForType,
+  getAggregationSymbol,
+  getAggregationLabel,
+  calculateStreak,
+  calculateRollingAverage,
+  formatValue,
+};
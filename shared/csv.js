@@ -0,0 +1,92 @@
+// shared/csv.js
+// RFC 4180 CSV reading and writing, used by the server exports and imports
+// and by the client (helpers/CsvHelpers.js): fields with commas, quotes or
+// line breaks are quoted, quotes are doubled, rows end with CRLF.
+
+// Leading characters a spreadsheet reads as the start of a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Encodes one cell. Text that a spreadsheet would run as a formula
+ * (=, +, -, @) is prefixed with ' so it opens as text; numbers are left alone.
+ */
+export function csvEscape(value) {
+  if (value === null || value === undefined) return "";
+  let s = value instanceof Date ? value.toISOString() : typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Builds CSV text
+ * @param {Array} columns - [{ key, header }]
+ * @param {Array} rows - Objects keyed by column key
+ * @returns {string} CSV text with a header row
+ */
+export function toCsv(columns, rows) {
+  const lines = [columns.map(c => csvEscape(c.header)).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map(c => csvEscape(row[c.key])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Detects the delimiter from the header line (comma, semicolon or tab)
+ */
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const counts = [",", ";", "\t"].map(d => [d, firstLine.split(d).length]);
+  return counts.reduce((a, b) => (b[1] > a[1] ? b : a))[0];
+}
+
+/**
+ * Parses CSV text into rows of strings
+ * @param {string} text - CSV text (a UTF-8 BOM is ignored)
+ * @param {Object} [options] - { delimiter } (detected when omitted)
+ * @returns {Array<Array<string>>} Rows, blank lines skipped
+ */
+export function parseCsv(text, options = {}) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const delimiter = options.delimiter || detectDelimiter(src);
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"' && field === "") {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.some(v => v !== "")) rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some(v => v !== "")) rows.push(row);
+  return rows;
+}
+
+/**
+ * Parses CSV text with a header row into records keyed by header
+ * @returns {Object} { headers, records }
+ */
+export function parseCsvRecords(text, options = {}) {
+  const [headerRow = [], ...rows] = parseCsv(text, options);
+  const headers = headerRow.map(h => h.trim());
+  const records = rows.map(r => Object.fromEntries(headers.map((h, i) => [h, (r[i] ?? "").trim()])));
+  return { headers, records };
+}